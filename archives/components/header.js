@@ -14,7 +14,16 @@ class Header {
         this.eventListeners = [];
     }
 
-    render(componentName, css, html, container) {
+    /**
+     * Render the server-rendered header template
+     * @param {string} componentName - Template component name
+     * @param {string} css - Template CSS
+     * @param {string} html - Template HTML
+     * @param {HTMLElement} container - Container element
+     * @param {Object} metadata - Optional header metadata the template was rendered from
+     * @param {AppConfig} appConfig - Optional; with metadata, hides actions and menu items the current user lacks permissions for
+     */
+    render(componentName, css, html, container, metadata = null, appConfig = null) {
         this.componentName = componentName;
         this.container = container;
         this.cssId = `tai-` + componentName + `-styles`;
@@ -27,6 +36,10 @@ class Header {
             // Generate and inject HTML
             container.innerHTML = html;
 
+            if (metadata && appConfig) {
+                this.hideForbiddenItems(metadata, appConfig);
+            }
+
             // Initialize functionality
             this.initAll(container);
 
@@ -76,6 +89,36 @@ class Header {
         this.lastScrollTop = 0;
     }
 
+    /**
+     * Remove the actions and user menu items the current user may not see (the template is
+     * rendered from the full metadata), along with menu separators left without items
+     * @param {Object} metadata - Header metadata
+     * @param {AppConfig} appConfig - Application configuration
+     */
+    hideForbiddenItems(metadata, appConfig) {
+        const ns = this.cssNamespace;
+        const right = metadata.header.right || {};
+        const dropdown = (right.user && right.user.dropdown) || {};
+
+        const removeForbidden = (items, selector) => {
+            const allowed = appConfig.filterByPermission(items);
+            items.forEach(item => {
+                if (!item.action || allowed.some(({ action }) => action === item.action)) return;
+                this.container.querySelectorAll(`${selector}[data-action="${item.action}"]`)
+                    .forEach(element => element.remove());
+            });
+        };
+        removeForbidden(right.actions || [], `.${ns}-action`);
+        removeForbidden(dropdown.items || [], `.${ns}-dropdown-item`);
+
+        this.container.querySelectorAll(`.${ns}-dropdown-separator`).forEach(separator => {
+            const next = separator.nextElementSibling;
+            if (!next || next.classList.contains(`${ns}-dropdown-separator`)) {
+                separator.remove();
+            }
+        });
+    }
+
     injectCSS(css) {
         const existingStyle = document.getElementById(this.cssId);
         if (existingStyle) {
@@ -10,7 +10,16 @@ class Sidebar {
         this.eventListeners = [];
     }
 
-    render(componentName, css, html, container) {
+    /**
+     * Render the server-rendered sidebar template
+     * @param {string} componentName - Template component name
+     * @param {string} css - Template CSS
+     * @param {string} html - Template HTML
+     * @param {HTMLElement} container - Container element
+     * @param {Object} metadata - Optional sidebar metadata the template was rendered from
+     * @param {AppConfig} appConfig - Optional; with metadata, hides items the current user lacks permissions for
+     */
+    render(componentName, css, html, container, metadata = null, appConfig = null) {
         this.componentName = componentName;
         this.container = container;
         this.cssId = `tai-` + componentName + `-styles`;
@@ -23,6 +32,10 @@ class Sidebar {
             // Generate and inject HTML
             container.innerHTML = html;
 
+            if (metadata && appConfig) {
+                this.hideForbiddenItems(metadata, appConfig);
+            }
+
             // Initialize functionality
             this.initAll(container);
 
@@ -73,6 +86,41 @@ class Sidebar {
         this.userDropdownOpen = false;
     }
 
+    /**
+     * Remove the navigation items the current user may not see. The template is rendered
+     * from the full metadata, so everything AppConfig.filterByPermission drops is removed
+     * here, along with separators left without a section.
+     * @param {Object} metadata - Sidebar metadata
+     * @param {AppConfig} appConfig - Application configuration
+     */
+    hideForbiddenItems(metadata, appConfig) {
+        const ns = this.cssNamespace;
+        const navigation = metadata.sidebar.navigation || [];
+
+        const collectIds = (items, ids = new Set()) => {
+            items.forEach(item => {
+                if (item.id) ids.add(item.id);
+                if (Array.isArray(item.children)) collectIds(item.children, ids);
+            });
+            return ids;
+        };
+        const allowed = collectIds(appConfig.filterByPermission(navigation));
+
+        collectIds(navigation).forEach(id => {
+            if (allowed.has(id)) return;
+            const link = this.container.querySelector(`#${ns}-nav-${id}`);
+            const item = link && link.closest(`.${ns}-nav-item`);
+            if (item) item.remove();
+        });
+
+        this.container.querySelectorAll(`.${ns}-separator`).forEach(separator => {
+            const next = separator.nextElementSibling;
+            if (!next || next.classList.contains(`${ns}-separator`)) {
+                separator.remove();
+            }
+        });
+    }
+
     injectCSS(css) {
         const existingStyle = document.getElementById(this.cssId);
         if (existingStyle) {
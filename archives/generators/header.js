@@ -12,9 +12,10 @@ class HeaderGenerator {
      * Render header component from metadata
      * @param {Object} metadata - Header metadata
      * @param {HTMLElement} container - Container element
+     * @param {AppConfig} appConfig - Optional; hides actions and menu items the current user lacks permissions for
      */
-    render(metadata, container) {
-        this.metadata = metadata;
+    render(metadata, container, appConfig = null) {
+        this.metadata = appConfig ? this.filterByPermission(metadata, appConfig) : metadata;
         this.container = container;
 
         try {
@@ -42,6 +43,33 @@ class HeaderGenerator {
         }
     }
 
+    /**
+     * Copy metadata without the actions and user menu items the current user may not see
+     * @param {Object} metadata - Header metadata
+     * @param {AppConfig} appConfig - Application configuration
+     */
+    filterByPermission(metadata, appConfig) {
+        const right = metadata.header.right;
+
+        return {
+            ...metadata,
+            header: {
+                ...metadata.header,
+                right: {
+                    ...right,
+                    actions: appConfig.filterByPermission(right.actions || []),
+                    user: {
+                        ...right.user,
+                        dropdown: {
+                            ...right.user.dropdown,
+                            items: appConfig.filterByPermission(right.user.dropdown.items || [])
+                        }
+                    }
+                }
+            }
+        };
+    }
+
     /**
      * Initialize all functionality
      * @param {HTMLElement} container - Container element
@@ -12,9 +12,10 @@ class SidebarNavigationGenerator {
      * Render sidebar navigation from metadata
      * @param {Object} metadata - Sidebar metadata
      * @param {HTMLElement} container - Container element
+     * @param {AppConfig} appConfig - Optional; hides items the current user lacks permissions for
      */
-    render(metadata, container) {
-        this.metadata = metadata;
+    render(metadata, container, appConfig = null) {
+        this.metadata = appConfig ? this.filterByPermission(metadata, appConfig) : metadata;
         this.container = container;
 
         try {
@@ -42,6 +43,21 @@ class SidebarNavigationGenerator {
         }
     }
 
+    /**
+     * Copy metadata without the navigation items the current user may not see
+     * @param {Object} metadata - Sidebar metadata
+     * @param {AppConfig} appConfig - Application configuration
+     */
+    filterByPermission(metadata, appConfig) {
+        return {
+            ...metadata,
+            sidebar: {
+                ...metadata.sidebar,
+                navigation: appConfig.filterByPermission(metadata.sidebar.navigation)
+            }
+        };
+    }
+
     /**
      * Initialize all functionality
      * @param {HTMLElement} container - Container element
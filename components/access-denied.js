@@ -0,0 +1,187 @@
+/**
+ * AccessDenied Component - Extends BaseComponent
+ * 403 view shown by the Router when the current user lacks a route's permissions
+ */
+
+class AccessDenied extends BaseComponent {
+    static cssNamespace = 'access-denied-p4m7';
+    static cssFile = ''; // Can be set to external CSS file path
+
+    /**
+     * Override needsDataManager since AccessDenied doesn't need data management
+     */
+    needsDataManager() {
+        return false;
+    }
+
+    /**
+     * Generate 403 view HTML
+     */
+    generateHTML() {
+        const ns = AccessDenied.cssNamespace;
+        const { title, message, showRequestedPath, showBackButton, backText, homeText } = this.options.ui;
+        const requestedPath = this.options.route && this.options.route.query.from;
+
+        return `
+            <div class="${ns}">
+                <div class="${ns}__container">
+                    <div class="${ns}__icon">
+                        <i class="fas fa-lock"></i>
+                    </div>
+                    <h1 class="${ns}__title">${title}</h1>
+                    <p class="${ns}__message text-secondary">${message}</p>
+                    ${showRequestedPath && requestedPath ? `
+                        <p class="${ns}__path"><code>${Utils.escapeHtml(requestedPath)}</code></p>
+                    ` : ''}
+                    <div class="${ns}__actions">
+                        ${showBackButton ? `
+                            <button type="button" class="btn btn-secondary" data-action="back">
+                                <i class="fas fa-arrow-left"></i>
+                                ${backText}
+                            </button>
+                        ` : ''}
+                        <button type="button" class="btn btn-primary" data-action="home">
+                            <i class="fas fa-home"></i>
+                            ${homeText}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Component CSS
+     */
+    getInlineCSS() {
+        const ns = AccessDenied.cssNamespace;
+
+        return `
+            ${super.getInlineCSS()}
+
+            .${ns} {
+                width: 100%;
+                min-height: 100%;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 32px;
+                box-sizing: border-box;
+            }
+
+            .${ns}__container {
+                max-width: 480px;
+                text-align: center;
+            }
+
+            .${ns}__icon {
+                width: 64px;
+                height: 64px;
+                margin: 0 auto 16px;
+                border-radius: 50%;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: rgba(244, 67, 54, 0.1);
+                color: #f44336;
+                font-size: 28px;
+            }
+
+            .${ns}__title {
+                margin: 0 0 8px 0;
+                font-size: 24px;
+            }
+
+            .${ns}__message {
+                margin: 0 0 16px 0;
+                line-height: 1.5;
+            }
+
+            .${ns}__path code {
+                padding: 2px 6px;
+                border-radius: 4px;
+                background: rgba(0, 0, 0, 0.05);
+            }
+
+            .${ns}__actions {
+                display: flex;
+                gap: 12px;
+                justify-content: center;
+                margin-top: 24px;
+            }
+        `;
+    }
+
+    /**
+     * Add event listeners
+     */
+    addEventListeners() {
+        const backBtn = this.container.querySelector('[data-action="back"]');
+        const homeBtn = this.container.querySelector('[data-action="home"]');
+
+        if (backBtn) {
+            const backListener = () => window.history.back();
+            backBtn.addEventListener('click', backListener);
+            this.eventListeners.push({ element: backBtn, event: 'click', listener: backListener });
+        }
+
+        if (homeBtn) {
+            const homeListener = () => this.navigate(this.options.ui.homePath);
+            homeBtn.addEventListener('click', homeListener);
+            this.eventListeners.push({ element: homeBtn, event: 'click', listener: homeListener });
+        }
+    }
+
+    /**
+     * Get default options
+     */
+    static getDefaultOptions() {
+        return {
+            ui: {
+                title: 'Access denied',
+                message: 'You do not have permission to view this page. Contact your administrator if you need access.',
+                showRequestedPath: true,
+                showBackButton: true,
+                backText: 'Go back',
+                homeText: 'Home',
+                homePath: '/',
+                showLoading: false,
+                showError: false
+            }
+        };
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccessDenied;
+}
+
+if (typeof window !== 'undefined') {
+    window.AccessDenied = AccessDenied;
+    console.log('✅ AccessDenied component loaded');
+}
+
+/* __START_OF_JSON_SPECIFICATION__
+{
+  "name": "AccessDenied",
+  "type": "access-denied",
+  "options": {
+    "ui": {
+      "title": "Access denied",
+      "message": "You do not have permission to view this page. Contact your administrator if you need access.",
+      "showRequestedPath": true,
+      "showBackButton": true,
+      "backText": "Go back",
+      "homeText": "Home",
+      "homePath": "/",
+      "showLoading": false,
+      "showError": false
+    }
+  }
+}
+__END_OF_JSON_SPECIFICATION__ */
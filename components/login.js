@@ -7,6 +7,20 @@ class Login extends BaseComponent {
     static cssNamespace = 'login-c9k2';
     static cssFile = ''; // Can be set to external CSS file path
 
+    // Device token returned by the MFA verify endpoint when "trust this device" is checked
+    static trustedDeviceKey = '_tillo_ai_td_';
+
+    // Failed-attempt records per identifier, so backoff survives reloads
+    static throttleKey = '_tillo_ai_login_throttle_';
+
+    // Second-factor methods the server may offer in an mfaRequired response
+    static mfaMethods = {
+        totp: { label: 'Authenticator app', icon: 'fa-mobile-alt', numeric: true, resend: false },
+        sms: { label: 'Text message', icon: 'fa-sms', numeric: true, resend: true },
+        email: { label: 'Email', icon: 'fa-envelope', numeric: true, resend: true },
+        backup: { label: 'Backup code', icon: 'fa-key', numeric: false, resend: false }
+    };
+
     constructor(container, options = {}) {
         // Then call parent with merged options
         super(container, options);
@@ -21,7 +35,68 @@ class Login extends BaseComponent {
         this.validationErrors = {};
         this.isLoading = false;
         this.loginAttempts = 0;
-        this.maxAttempts = 5;
+
+        // Interval ticking the lockout countdown on the submit button
+        this.lockTimer = null;
+
+        // Mounted challenge widget: { identifier, element, token, cleanup }
+        this.challenge = null;
+
+        // Sign-in token from a passwordless magic link (?token=...)
+        this.magicLinkToken = this.options.ui.passwordless ? this.getMagicLinkToken() : null;
+
+        // 'credentials', 'mfa' (second step after an mfaRequired response), 'forgot'
+        // or 'verify' (after an emailNotVerified response); in passwordless mode
+        // 'passwordless' (email form), 'code' (code sent) or 'magic-link'
+        this.view = this.getInitialView();
+        this.mfa = null;
+        this.resendTimer = null;
+
+        // Email a reset link was requested for (forgot view shows the confirmation)
+        this.resetRequestedFor = null;
+
+        // Unverified account from the last login attempt: { email, userIdOrEmail, resendAvailableAt }
+        this.verification = null;
+
+        // Passwordless sign-in awaiting its code: { email, requestId, resendAvailableAt }
+        this.passwordless = null;
+    }
+
+    /**
+     * Add the endpoints, oauth and throttle option sections
+     */
+    mergeDefaultOptions(options) {
+        const merged = super.mergeDefaultOptions(options);
+
+        merged.endpoints = {
+            login: '/auth/login',
+            mfaVerify: '/auth/mfa/verify',
+            mfaResend: '/auth/mfa/resend',
+            forgotPassword: '/auth/password/forgot',
+            resendVerification: '/auth/email/resend',
+            passwordlessStart: '/auth/passwordless/start',
+            passwordlessVerify: '/auth/passwordless/verify',
+            ...options.endpoints
+        };
+
+        merged.oauth = {
+            providers: [],          // Names from AppConfig.oauthProviders, e.g. ['google', 'microsoft']
+            mode: '',               // 'popup' or 'redirect'; empty uses AppConfig.oauthMode
+            dividerText: 'or continue with',
+            ...options.oauth
+        };
+
+        merged.throttle = {
+            enabled: true,
+            freeAttempts: 3,        // Failures allowed before the submit button is locked
+            baseDelay: 5,           // Seconds of the first lock, doubled after each further failure
+            maxDelay: 300,          // Longest client-side lock in seconds
+            resetAfter: 900,        // Seconds without a failure before the count starts over
+            challengeAfter: 5,      // Failures before events.onChallengeRequired is used; 0 never
+            ...options.throttle
+        };
+
+        return merged;
     }
 
     /**
@@ -35,7 +110,9 @@ class Login extends BaseComponent {
      * Generate login form HTML
      */
     generateHTML() {
-        const { title, subtitle, showRememberMe, showForgotPassword, showSignUpLink } = this.options.ui;
+        const { showRememberMe, showForgotPassword, showSignUpLink } = this.options.ui;
+        const { title, subtitle, errorTitle } = this.getViewText();
+        const isMfa = this.view === 'mfa';
 
         return `
             <div class="${Login.cssNamespace}">
@@ -55,7 +132,7 @@ class Login extends BaseComponent {
                                 <i class="fas fa-exclamation-triangle"></i>
                             </div>
                             <div class="${Login.cssNamespace}__error-message">
-                                <div class="${Login.cssNamespace}__error-title">Login Failed</div>
+                                <div class="${Login.cssNamespace}__error-title">${errorTitle}</div>
                                 <div class="${Login.cssNamespace}__error-text"></div>
                             </div>
                             <button class="${Login.cssNamespace}__error-close" type="button" aria-label="Close error">
@@ -67,13 +144,16 @@ class Login extends BaseComponent {
                                 <i class="fas fa-redo"></i>
                                 Try Again
                             </button>
-                            <button class="${Login.cssNamespace}__error-forgot btn btn-sm btn-secondary" type="button">
-                                <i class="fas fa-key"></i>
-                                Forgot Password?
-                            </button>
+                            ${this.view !== 'credentials' ? '' : `
+                                <button class="${Login.cssNamespace}__error-forgot btn btn-sm btn-secondary" type="button">
+                                    <i class="fas fa-key"></i>
+                                    Forgot Password?
+                                </button>
+                            `}
                         </div>
                     </div>
 
+                    ${this.view !== 'credentials' ? this.generateStepHTML() : `
                     <form class="${Login.cssNamespace}__form" id="${Login.cssNamespace}-form">
                         <!-- User ID or Email Field -->
                         <div class="form-group">
@@ -87,7 +167,7 @@ class Login extends BaseComponent {
                                 name="userIdOrEmail"
                                 class="form-control ${Login.cssNamespace}__input"
                                 placeholder="Enter your user ID or email"
-                                value="${this.formData.userIdOrEmail}"
+                                value="${Utils.escapeHtml(this.formData.userIdOrEmail || '')}"
                                 required
                                 autocomplete="username"
                             >
@@ -107,7 +187,6 @@ class Login extends BaseComponent {
                                     name="password"
                                     class="form-control ${Login.cssNamespace}__input"
                                     placeholder="Enter your password"
-                                    value="${this.formData.password}"
                                     required
                                     autocomplete="current-password"
                                 >
@@ -148,21 +227,26 @@ class Login extends BaseComponent {
                             ` : ''}
                         </div>
 
+                        <!-- Challenge widget (e.g. CAPTCHA) mounted by events.onChallengeRequired -->
+                        <div
+                            class="${Login.cssNamespace}__challenge"
+                            id="${Login.cssNamespace}-challenge"
+                            data-patch-ignore
+                            ${this.isChallengeRequired() ? '' : 'style="display: none;"'}
+                        ></div>
+
                         <!-- Submit Button -->
                         <button
                             type="submit"
                             class="btn btn-primary ${Login.cssNamespace}__submit"
-                            ${this.isLoading ? 'disabled' : ''}
+                            ${this.isLoading || this.isSubmitBlocked() ? 'disabled' : ''}
                         >
-                            ${this.isLoading ? `
-                                <div class="loading-spinner" style="width: 16px; height: 16px;"></div>
-                                Signing in...
-                            ` : `
-                                <i class="fas fa-sign-in-alt"></i>
-                                Sign In
-                            `}
+                            ${this.getSubmitLabel()}
                         </button>
 
+                        <!-- Social Sign-in -->
+                        ${this.generateProvidersHTML()}
+
                         <!-- Sign Up Link -->
                         ${showSignUpLink ? `
                             <div class="${Login.cssNamespace}__signup">
@@ -177,6 +261,7 @@ class Login extends BaseComponent {
                             </div>
                         ` : ''}
                     </form>
+                    `}
 
                     <!-- Security Info for Multiple Failed Attempts -->
                     <div class="${Login.cssNamespace}__security-info" id="${Login.cssNamespace}-security-info" style="display: none;">
@@ -184,7 +269,9 @@ class Login extends BaseComponent {
                             <i class="fas fa-shield-alt"></i>
                             <div>
                                 <strong>Account Security Notice</strong>
-                                <p>Multiple failed login attempts detected. Please verify your credentials or reset your password.</p>
+                                <p>${isMfa
+                                    ? 'Multiple incorrect verification codes entered. Try another method or use a backup code.'
+                                    : 'Multiple failed login attempts detected. Please verify your credentials or reset your password.'}</p>
                             </div>
                         </div>
                     </div>
@@ -193,6 +280,455 @@ class Login extends BaseComponent {
         `;
     }
 
+    /**
+     * Header and error titles for the current view
+     */
+    getViewText() {
+        const { ui } = this.options;
+
+        switch (this.view) {
+            case 'mfa':
+                return { title: ui.mfaTitle, subtitle: ui.mfaSubtitle, errorTitle: 'Verification Failed' };
+            case 'forgot':
+                return { title: ui.forgotTitle, subtitle: ui.forgotSubtitle, errorTitle: 'Request Failed' };
+            case 'verify':
+                return { title: ui.verifyTitle, subtitle: ui.verifySubtitle, errorTitle: 'Request Failed' };
+            case 'passwordless':
+                return { title: ui.title, subtitle: ui.passwordlessSubtitle, errorTitle: 'Request Failed' };
+            case 'code':
+                return { title: ui.codeTitle, subtitle: ui.codeSubtitle, errorTitle: 'Login Failed' };
+            case 'magic-link':
+                return { title: ui.title, subtitle: 'Signing you in...', errorTitle: 'Login Failed' };
+            default:
+                return { title: ui.title, subtitle: ui.subtitle, errorTitle: 'Login Failed' };
+        }
+    }
+
+    /**
+     * Generate the body of a step other than the credentials form
+     */
+    generateStepHTML() {
+        switch (this.view) {
+            case 'mfa':
+                return this.generateMfaHTML();
+            case 'forgot':
+                return this.generateForgotHTML();
+            case 'verify':
+                return this.generateVerifyHTML();
+            case 'passwordless':
+                return this.generatePasswordlessHTML();
+            case 'code':
+                return this.generateCodeHTML();
+            case 'magic-link':
+                return `
+                    <div class="${Login.cssNamespace}__form ${Login.cssNamespace}__magic-link">
+                        <div class="loading-spinner"></div>
+                    </div>
+                `;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Generate the unverified-account step with a resend button
+     */
+    generateVerifyHTML() {
+        const ns = Login.cssNamespace;
+        const { email } = this.verification;
+
+        return `
+            <div class="${ns}__form">
+                <div class="${ns}__notice">
+                    <i class="fas fa-envelope-open-text"></i>
+                    <div>
+                        <strong>Activate your account</strong>
+                        <p>
+                            We sent an activation link to
+                            ${email ? `<strong>${Utils.escapeHtml(email)}</strong>` : 'the email address on your account'}
+                            when you signed up. Follow the link, then sign in again.
+                        </p>
+                    </div>
+                </div>
+
+                <button
+                    type="button"
+                    class="btn btn-primary ${ns}__submit"
+                    data-action="verify-resend"
+                    ${this.getResendRemaining() > 0 ? 'disabled' : ''}
+                >${this.getResendLabel()}</button>
+
+                <div class="${ns}__signup">
+                    <button
+                        type="button"
+                        class="${ns}__link"
+                        data-action="back-to-login"
+                    >
+                        <i class="fas fa-arrow-left"></i>
+                        Back to sign in
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the request-reset (forgot password) form HTML
+     */
+    generateForgotHTML() {
+        const ns = Login.cssNamespace;
+        const email = this.formData.userIdOrEmail && this.formData.userIdOrEmail.indexOf('@') !== -1
+            ? this.formData.userIdOrEmail
+            : '';
+
+        return `
+            <form class="${ns}__form" id="${ns}-forgot-form" novalidate>
+                ${this.resetRequestedFor ? `
+                    <div class="${ns}__notice">
+                        <i class="fas fa-envelope-open-text"></i>
+                        <div>
+                            <strong>Check your email</strong>
+                            <p>
+                                If an account exists for <strong>${Utils.escapeHtml(this.resetRequestedFor)}</strong>,
+                                we've sent a link to reset your password. The link expires soon, so use it right away.
+                            </p>
+                        </div>
+                    </div>
+
+                    <button
+                        type="button"
+                        class="btn btn-secondary ${ns}__submit"
+                        data-action="forgot-retry"
+                    >
+                        <i class="fas fa-redo"></i>
+                        Use a different email
+                    </button>
+                ` : `
+                    <div class="form-group">
+                        <label class="form-label" for="${ns}-resetEmail">
+                            <i class="fas fa-envelope"></i>
+                            Email
+                        </label>
+                        <input
+                            type="email"
+                            id="${ns}-resetEmail"
+                            name="resetEmail"
+                            class="form-control ${ns}__input"
+                            placeholder="Enter your account email"
+                            value="${Utils.escapeHtml(email)}"
+                            required
+                            autocomplete="email"
+                        >
+                        <div class="${ns}__field-error" id="${ns}-resetEmail-error"></div>
+                    </div>
+
+                    <button
+                        type="submit"
+                        class="btn btn-primary ${ns}__submit"
+                        ${this.isLoading ? 'disabled' : ''}
+                    >
+                        ${this.getSubmitLabel()}
+                    </button>
+                `}
+
+                <div class="${ns}__signup">
+                    <button
+                        type="button"
+                        class="${ns}__link"
+                        data-action="back-to-login"
+                    >
+                        <i class="fas fa-arrow-left"></i>
+                        Back to sign in
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Generate the passwordless email form HTML
+     */
+    generatePasswordlessHTML() {
+        const ns = Login.cssNamespace;
+        const { showSignUpLink } = this.options.ui;
+        const email = this.formData.userIdOrEmail && this.formData.userIdOrEmail.indexOf('@') !== -1
+            ? this.formData.userIdOrEmail
+            : '';
+
+        return `
+            <form class="${ns}__form" id="${ns}-passwordless-form" novalidate>
+                <div class="form-group">
+                    <label class="form-label" for="${ns}-passwordlessEmail">
+                        <i class="fas fa-envelope"></i>
+                        Email
+                    </label>
+                    <input
+                        type="email"
+                        id="${ns}-passwordlessEmail"
+                        name="passwordlessEmail"
+                        class="form-control ${ns}__input"
+                        placeholder="Enter your email"
+                        value="${Utils.escapeHtml(email)}"
+                        required
+                        autocomplete="email"
+                    >
+                    <div class="${ns}__field-error" id="${ns}-passwordlessEmail-error"></div>
+                </div>
+
+                <button
+                    type="submit"
+                    class="btn btn-primary ${ns}__submit"
+                    ${this.isLoading ? 'disabled' : ''}
+                >
+                    ${this.getSubmitLabel()}
+                </button>
+
+                ${this.generateProvidersHTML()}
+
+                ${showSignUpLink ? `
+                    <div class="${ns}__signup">
+                        <span class="text-secondary">Don't have an account?</span>
+                        <button
+                            type="button"
+                            class="${ns}__link"
+                            data-action="sign-up"
+                        >
+                            Sign up
+                        </button>
+                    </div>
+                ` : ''}
+            </form>
+        `;
+    }
+
+    /**
+     * Generate the code-sent step: one input per digit, resend and back
+     */
+    generateCodeHTML() {
+        const ns = Login.cssNamespace;
+        const length = this.options.ui.passwordlessCodeLength;
+        const digits = Array.from({ length }, (_, index) => `
+            <input
+                type="text"
+                class="form-control ${ns}__code-digit"
+                data-index="${index}"
+                inputmode="numeric"
+                pattern="[0-9]*"
+                maxlength="1"
+                aria-label="Digit ${index + 1} of ${length}"
+                ${index === 0 ? 'autocomplete="one-time-code"' : 'autocomplete="off"'}
+            >
+        `).join('');
+
+        return `
+            <form class="${ns}__form" id="${ns}-code-form" novalidate>
+                <div class="${ns}__notice">
+                    <i class="fas fa-envelope-open-text"></i>
+                    <div>
+                        <strong>Check your email</strong>
+                        <p>
+                            We sent a ${length}-digit code and a sign-in link to
+                            <strong>${Utils.escapeHtml(this.passwordless.email)}</strong>.
+                            Enter the code below or open the link on this device.
+                        </p>
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <div class="${ns}__code-digits" id="${ns}-passwordlessCode" role="group" aria-label="Sign-in code">
+                        ${digits}
+                    </div>
+                    <div class="${ns}__field-error" id="${ns}-passwordlessCode-error"></div>
+                </div>
+
+                <div class="${ns}__mfa-resend">
+                    <button
+                        type="button"
+                        class="${ns}__link"
+                        data-action="passwordless-resend"
+                        ${this.getResendRemaining() > 0 ? 'disabled' : ''}
+                    >
+                        ${this.getResendLabel()}
+                    </button>
+                </div>
+
+                <button
+                    type="submit"
+                    class="btn btn-primary ${ns}__submit"
+                    ${this.isLoading ? 'disabled' : ''}
+                >
+                    ${this.getSubmitLabel()}
+                </button>
+
+                <div class="${ns}__signup">
+                    <button
+                        type="button"
+                        class="${ns}__link"
+                        data-action="back-to-login"
+                    >
+                        <i class="fas fa-arrow-left"></i>
+                        Use a different email
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Generate social sign-in buttons for the providers configured in options.oauth
+     */
+    generateProvidersHTML() {
+        const providers = this.getOAuthProviders();
+        if (providers.length === 0) return '';
+
+        const ns = Login.cssNamespace;
+
+        return `
+            <div class="${ns}__providers">
+                <div class="${ns}__divider"><span>${this.options.oauth.dividerText}</span></div>
+                ${providers.map(provider => `
+                    <button
+                        type="button"
+                        class="btn btn-secondary ${ns}__provider"
+                        data-action="oauth"
+                        data-provider="${provider.name}"
+                        ${this.isLoading ? 'disabled' : ''}
+                    >
+                        <i class="${provider.icon}"></i>
+                        Continue with ${Utils.escapeHtml(provider.label)}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Get the providers from options.oauth that AppConfig's OAuthClient can use
+     */
+    getOAuthProviders() {
+        const appConfig = this.getAppConfig();
+        if (!appConfig || !appConfig.oauth) return [];
+
+        return appConfig.oauth.getProviders(this.options.oauth.providers);
+    }
+
+    /**
+     * Generate the second-step (MFA) form HTML
+     */
+    generateMfaHTML() {
+        const ns = Login.cssNamespace;
+        const { mfaCodeLength, showTrustDevice, trustDeviceDays } = this.options.ui;
+        const { methods, method, trustDevice } = this.mfa;
+        const current = Login.mfaMethods[method];
+
+        return `
+            <form class="${ns}__form" id="${ns}-mfa-form" novalidate>
+                ${methods.length > 1 ? `
+                    <div class="${ns}__mfa-methods" role="tablist" aria-label="Verification method">
+                        ${methods.map(name => `
+                            <button
+                                type="button"
+                                class="${ns}__mfa-method ${name === method ? `${ns}__mfa-method--active` : ''}"
+                                data-action="mfa-method"
+                                data-method="${name}"
+                                role="tab"
+                                aria-selected="${name === method}"
+                            >
+                                <i class="fas ${Login.mfaMethods[name].icon}"></i>
+                                ${Login.mfaMethods[name].label}
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+
+                <div class="form-group">
+                    <label class="form-label" for="${ns}-mfaCode">
+                        <i class="fas ${current.icon}"></i>
+                        ${current.numeric ? 'Verification code' : 'Backup code'}
+                    </label>
+                    <input
+                        type="text"
+                        id="${ns}-mfaCode"
+                        name="mfaCode"
+                        class="form-control ${ns}__input ${ns}__code-input"
+                        placeholder="${current.numeric ? '0'.repeat(mfaCodeLength) : 'XXXX-XXXX'}"
+                        inputmode="${current.numeric ? 'numeric' : 'text'}"
+                        maxlength="${current.numeric ? mfaCodeLength : 20}"
+                        autocomplete="one-time-code"
+                        required
+                    >
+                    <div class="${ns}__field-error" id="${ns}-mfaCode-error"></div>
+                    <p class="${ns}__mfa-hint text-secondary">${this.getMfaHint()}</p>
+                </div>
+
+                ${current.resend ? `
+                    <div class="${ns}__mfa-resend">
+                        <button
+                            type="button"
+                            class="${ns}__link"
+                            data-action="mfa-resend"
+                            ${this.getResendRemaining() > 0 ? 'disabled' : ''}
+                        >
+                            ${this.getResendLabel()}
+                        </button>
+                    </div>
+                ` : ''}
+
+                ${showTrustDevice ? `
+                    <div class="${ns}__form-options">
+                        <label class="${ns}__checkbox">
+                            <input
+                                type="checkbox"
+                                name="trustDevice"
+                                ${trustDevice ? 'checked' : ''}
+                            >
+                            <span class="${ns}__checkmark"></span>
+                            Trust this device for ${trustDeviceDays} days
+                        </label>
+                    </div>
+                ` : ''}
+
+                <button
+                    type="submit"
+                    class="btn btn-primary ${ns}__submit"
+                    ${this.isLoading ? 'disabled' : ''}
+                >
+                    ${this.getSubmitLabel()}
+                </button>
+
+                <div class="${ns}__signup">
+                    <button
+                        type="button"
+                        class="${ns}__link"
+                        data-action="mfa-cancel"
+                    >
+                        <i class="fas fa-arrow-left"></i>
+                        Back to sign in
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Describe where the code for the current method comes from
+     */
+    getMfaHint() {
+        const { method, destinations } = this.mfa;
+        const destination = destinations[method] ? Utils.escapeHtml(destinations[method]) : '';
+
+        switch (method) {
+            case 'totp':
+                return 'Enter the code shown in your authenticator app.';
+            case 'sms':
+                return `Enter the code we sent by text message${destination ? ` to ${destination}` : ''}.`;
+            case 'email':
+                return `Enter the code we sent by email${destination ? ` to ${destination}` : ''}.`;
+            default:
+                return 'Enter one of the backup codes you saved when you set up two-step verification. Each code works once.';
+        }
+    }
+
     /**
      * Login-specific CSS
      */
@@ -526,6 +1062,13 @@ class Login extends BaseComponent {
                 text-decoration: underline;
             }
 
+            /* Challenge widget */
+            .${Login.cssNamespace}__challenge {
+                display: flex;
+                justify-content: center;
+                margin-bottom: var(--spacing-lg);
+            }
+
             /* Submit Button */
             .${Login.cssNamespace}__submit {
                 width: 100%;
@@ -552,6 +1095,156 @@ class Login extends BaseComponent {
                 font-size: var(--font-size-sm);
             }
 
+            /* Sign-in Providers */
+            .${Login.cssNamespace}__providers {
+                display: flex;
+                flex-direction: column;
+                gap: var(--spacing-sm);
+                margin-bottom: var(--spacing-lg);
+            }
+
+            .${Login.cssNamespace}__divider {
+                display: flex;
+                align-items: center;
+                gap: var(--spacing-md);
+                color: var(--color-text-secondary);
+                font-size: var(--font-size-xs);
+                text-transform: uppercase;
+                letter-spacing: 0.05em;
+            }
+
+            .${Login.cssNamespace}__divider::before,
+            .${Login.cssNamespace}__divider::after {
+                content: '';
+                flex: 1;
+                border-top: 1px solid var(--color-border);
+            }
+
+            .${Login.cssNamespace}__provider {
+                width: 100%;
+                height: 44px;
+                display: inline-flex;
+                align-items: center;
+                justify-content: center;
+                gap: var(--spacing-sm);
+                border-radius: var(--radius-lg);
+                font-weight: var(--font-weight-medium);
+            }
+
+            /* Forgot Password */
+            .${Login.cssNamespace}__notice {
+                display: flex;
+                align-items: flex-start;
+                gap: var(--spacing-md);
+                padding: var(--spacing-md);
+                margin-bottom: var(--spacing-lg);
+                background: rgba(76, 175, 80, 0.08);
+                border: 1px solid rgba(76, 175, 80, 0.25);
+                border-radius: var(--radius-md);
+                color: var(--color-text-primary);
+            }
+
+            .${Login.cssNamespace}__notice i {
+                color: #388e3c;
+                font-size: 18px;
+                margin-top: 2px;
+            }
+
+            .${Login.cssNamespace}__notice strong {
+                display: block;
+                margin-bottom: var(--spacing-xs);
+            }
+
+            .${Login.cssNamespace}__notice p {
+                margin: 0;
+                font-size: var(--font-size-sm);
+                line-height: 1.4;
+            }
+
+            .${Login.cssNamespace}__notice p strong {
+                display: inline;
+            }
+
+            /* MFA Step */
+            .${Login.cssNamespace}__mfa-methods {
+                display: flex;
+                flex-wrap: wrap;
+                gap: var(--spacing-xs);
+                margin-bottom: var(--spacing-lg);
+            }
+
+            .${Login.cssNamespace}__mfa-method {
+                flex: 1 1 auto;
+                display: inline-flex;
+                align-items: center;
+                justify-content: center;
+                gap: var(--spacing-xs);
+                padding: var(--spacing-xs) var(--spacing-sm);
+                background: none;
+                border: 1px solid var(--color-border);
+                border-radius: var(--radius-md);
+                color: var(--color-text-secondary);
+                font-size: var(--font-size-xs);
+                cursor: pointer;
+                transition: all var(--transition-normal);
+            }
+
+            .${Login.cssNamespace}__mfa-method:hover {
+                border-color: var(--color-primary);
+                color: var(--color-primary);
+            }
+
+            .${Login.cssNamespace}__mfa-method--active {
+                background: rgba(25, 118, 210, 0.1);
+                border-color: var(--color-primary);
+                color: var(--color-primary);
+            }
+
+            .${Login.cssNamespace}__code-input {
+                font-size: var(--font-size-lg);
+                letter-spacing: 0.3em;
+                text-align: center;
+            }
+
+            .${Login.cssNamespace}__code-digits {
+                display: flex;
+                justify-content: center;
+                gap: var(--spacing-sm);
+            }
+
+            .${Login.cssNamespace}__code-digit {
+                width: 44px;
+                height: 52px;
+                padding: 0;
+                text-align: center;
+                font-size: var(--font-size-lg);
+                font-weight: var(--font-weight-semibold);
+            }
+
+            .${Login.cssNamespace}__magic-link {
+                display: flex;
+                justify-content: center;
+                padding: var(--spacing-xl) 0;
+            }
+
+            .${Login.cssNamespace}__mfa-hint {
+                font-size: var(--font-size-xs);
+                margin: var(--spacing-xs) 0 0 0;
+                line-height: 1.4;
+            }
+
+            .${Login.cssNamespace}__mfa-resend {
+                text-align: right;
+                margin-bottom: var(--spacing-md);
+            }
+
+            .${Login.cssNamespace}__link:disabled {
+                color: var(--color-text-secondary);
+                cursor: default;
+                background: none;
+                text-decoration: none;
+            }
+
             /* Field Error Messages */
             .${Login.cssNamespace}__field-error {
                 color: var(--color-error);
@@ -611,7 +1304,11 @@ class Login extends BaseComponent {
         const passwordInput = this.container.querySelector(`#${Login.cssNamespace}-password`);
 
         if (userIdOrEmailInput) {
-            const inputListener = () => this.validateUserIdOrEmail();
+            // Each identifier has its own failure count and lock
+            const inputListener = () => {
+                this.validateUserIdOrEmail();
+                this.updateThrottleState();
+            };
             const blurListener = () => this.validateUserIdOrEmail();
             userIdOrEmailInput.addEventListener('input', inputListener);
             userIdOrEmailInput.addEventListener('blur', blurListener);
@@ -658,134 +1355,1517 @@ class Login extends BaseComponent {
             this.eventListeners.push({ element: rememberMeCheckbox, event: 'change', listener: checkboxListener });
         }
 
+        // Social sign-in buttons
+        this.container.querySelectorAll('[data-action="oauth"]').forEach(button => {
+            const oauthListener = () => this.handleOAuthSignIn(button.dataset.provider);
+            button.addEventListener('click', oauthListener);
+            this.eventListeners.push({ element: button, event: 'click', listener: oauthListener });
+        });
+
+        // Redirect-mode callback failed while this Login stayed mounted
+        this.listenToAppEvent('oauthError', () => this.showOAuthError());
+
+        // Second step (only present in the MFA view)
+        this.addMfaEventListeners();
+
+        // Request-reset form (only present in the forgot view)
+        this.addForgotEventListeners();
+
+        // Resend activation email (only present in the verify view)
+        this.addVerifyEventListeners();
+
+        // Passwordless email form and code step
+        this.addPasswordlessEventListeners();
+
         // Error display event listeners
         this.addErrorEventListeners();
+
+        // Lockout countdown and challenge widget for the identifier in the form
+        this.updateThrottleState();
     }
 
     /**
-     * Add error-specific event listeners
+     * Add forgot password view event listeners
      */
-    addErrorEventListeners() {
-        // Error close button
-        const errorClose = this.container.querySelector(`.${Login.cssNamespace}__error-close`);
+    addForgotEventListeners() {
+        const form = this.container.querySelector(`#${Login.cssNamespace}-forgot-form`);
+        if (!form) return;
+
+        const submitListener = (e) => this.handleForgotSubmit(e);
+        form.addEventListener('submit', submitListener);
+        this.eventListeners.push({ element: form, event: 'submit', listener: submitListener });
+
+        const emailInput = this.container.querySelector(`#${Login.cssNamespace}-resetEmail`);
+        if (emailInput) {
+            const blurListener = () => this.validateResetEmail();
+            emailInput.addEventListener('blur', blurListener);
+            this.eventListeners.push({ element: emailInput, event: 'blur', listener: blurListener });
+        }
+
+        const retryBtn = this.container.querySelector('[data-action="forgot-retry"]');
+        if (retryBtn) {
+            const retryListener = () => this.showForgotPassword();
+            retryBtn.addEventListener('click', retryListener);
+            this.eventListeners.push({ element: retryBtn, event: 'click', listener: retryListener });
+        }
+
+        const backBtn = this.container.querySelector('[data-action="back-to-login"]');
+        if (backBtn) {
+            const backListener = () => this.showCredentials();
+            backBtn.addEventListener('click', backListener);
+            this.eventListeners.push({ element: backBtn, event: 'click', listener: backListener });
+        }
+    }
+
+    /**
+     * Add unverified-account view event listeners
+     */
+    addVerifyEventListeners() {
+        if (this.view !== 'verify') return;
+
+        const resendBtn = this.container.querySelector('[data-action="verify-resend"]');
+        if (resendBtn) {
+            const resendListener = () => this.sendVerificationEmail();
+            resendBtn.addEventListener('click', resendListener);
+            this.eventListeners.push({ element: resendBtn, event: 'click', listener: resendListener });
+        }
+
+        const backBtn = this.container.querySelector('[data-action="back-to-login"]');
+        if (backBtn) {
+            const backListener = () => this.showCredentials();
+            backBtn.addEventListener('click', backListener);
+            this.eventListeners.push({ element: backBtn, event: 'click', listener: backListener });
+        }
+    }
+
+    /**
+     * Add passwordless email form and code step event listeners
+     */
+    addPasswordlessEventListeners() {
+        const emailForm = this.container.querySelector(`#${Login.cssNamespace}-passwordless-form`);
+        if (emailForm) {
+            const submitListener = (e) => this.handlePasswordlessSubmit(e);
+            emailForm.addEventListener('submit', submitListener);
+            this.eventListeners.push({ element: emailForm, event: 'submit', listener: submitListener });
+        }
+
+        const codeForm = this.container.querySelector(`#${Login.cssNamespace}-code-form`);
+        if (!codeForm) return;
+
+        const submitListener = (e) => {
+            e.preventDefault();
+            this.verifyPasswordlessCode();
+        };
+        codeForm.addEventListener('submit', submitListener);
+        this.eventListeners.push({ element: codeForm, event: 'submit', listener: submitListener });
+
+        this.getCodeInputs().forEach((input, index) => {
+            const inputListener = () => this.handleCodeDigitInput(index);
+            const keydownListener = (e) => this.handleCodeDigitKeydown(e, index);
+            const pasteListener = (e) => {
+                e.preventDefault();
+                const text = (e.clipboardData || window.clipboardData).getData('text');
+                this.fillCodeDigits(index, text);
+            };
+            input.addEventListener('input', inputListener);
+            input.addEventListener('keydown', keydownListener);
+            input.addEventListener('paste', pasteListener);
+            this.eventListeners.push({ element: input, event: 'input', listener: inputListener });
+            this.eventListeners.push({ element: input, event: 'keydown', listener: keydownListener });
+            this.eventListeners.push({ element: input, event: 'paste', listener: pasteListener });
+        });
+
+        const resendBtn = this.container.querySelector('[data-action="passwordless-resend"]');
+        if (resendBtn) {
+            const resendListener = () => this.sendPasswordlessCode();
+            resendBtn.addEventListener('click', resendListener);
+            this.eventListeners.push({ element: resendBtn, event: 'click', listener: resendListener });
+        }
+
+        const backBtn = this.container.querySelector('[data-action="back-to-login"]');
+        if (backBtn) {
+            const backListener = () => this.showCredentials();
+            backBtn.addEventListener('click', backListener);
+            this.eventListeners.push({ element: backBtn, event: 'click', listener: backListener });
+        }
+    }
+
+    /**
+     * Add MFA step event listeners
+     */
+    addMfaEventListeners() {
+        const form = this.container.querySelector(`#${Login.cssNamespace}-mfa-form`);
+        if (!form) return;
+
+        const submitListener = (e) => this.handleMfaSubmit(e);
+        form.addEventListener('submit', submitListener);
+        this.eventListeners.push({ element: form, event: 'submit', listener: submitListener });
+
+        this.container.querySelectorAll('[data-action="mfa-method"]').forEach(button => {
+            const methodListener = () => this.selectMfaMethod(button.dataset.method);
+            button.addEventListener('click', methodListener);
+            this.eventListeners.push({ element: button, event: 'click', listener: methodListener });
+        });
+
+        const codeInput = this.container.querySelector(`#${Login.cssNamespace}-mfaCode`);
+        if (codeInput) {
+            const inputListener = () => this.clearFieldError('mfaCode');
+            codeInput.addEventListener('input', inputListener);
+            this.eventListeners.push({ element: codeInput, event: 'input', listener: inputListener });
+        }
+
+        const resendBtn = this.container.querySelector('[data-action="mfa-resend"]');
+        if (resendBtn) {
+            const resendListener = () => this.sendMfaCode();
+            resendBtn.addEventListener('click', resendListener);
+            this.eventListeners.push({ element: resendBtn, event: 'click', listener: resendListener });
+        }
+
+        const trustCheckbox = this.container.querySelector('input[name="trustDevice"]');
+        if (trustCheckbox) {
+            const trustListener = (e) => {
+                this.mfa.trustDevice = e.target.checked;
+            };
+            trustCheckbox.addEventListener('change', trustListener);
+            this.eventListeners.push({ element: trustCheckbox, event: 'change', listener: trustListener });
+        }
+
+        const cancelBtn = this.container.querySelector('[data-action="mfa-cancel"]');
+        if (cancelBtn) {
+            const cancelListener = () => this.cancelMfa();
+            cancelBtn.addEventListener('click', cancelListener);
+            this.eventListeners.push({ element: cancelBtn, event: 'click', listener: cancelListener });
+        }
+    }
+
+    /**
+     * Add error-specific event listeners
+     */
+    addErrorEventListeners() {
+        // Error close button
+        const errorClose = this.container.querySelector(`.${Login.cssNamespace}__error-close`);
         if (errorClose) {
             const closeListener = () => this.hideInlineError();
             errorClose.addEventListener('click', closeListener);
             this.eventListeners.push({ element: errorClose, event: 'click', listener: closeListener });
         }
 
-        // Error retry button
-        const errorRetry = this.container.querySelector(`.${Login.cssNamespace}__error-retry`);
-        if (errorRetry) {
-            const retryListener = () => this.retryLogin();
-            errorRetry.addEventListener('click', retryListener);
-            this.eventListeners.push({ element: errorRetry, event: 'click', listener: retryListener });
+        // Error retry button
+        const errorRetry = this.container.querySelector(`.${Login.cssNamespace}__error-retry`);
+        if (errorRetry) {
+            const retryListener = () => this.retryLogin();
+            errorRetry.addEventListener('click', retryListener);
+            this.eventListeners.push({ element: errorRetry, event: 'click', listener: retryListener });
+        }
+
+        // Error forgot password button
+        const errorForgot = this.container.querySelector(`.${Login.cssNamespace}__error-forgot`);
+        if (errorForgot) {
+            const forgotListener = () => this.handleForgotPassword();
+            errorForgot.addEventListener('click', forgotListener);
+            this.eventListeners.push({ element: errorForgot, event: 'click', listener: forgotListener });
+        }
+    }
+
+    /**
+     * Handle form submission with direct API call
+     */
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        // Hide any existing errors
+        this.hideInlineError();
+
+        // Collect form data
+        const formData = new FormData(e.target);
+        this.formData = {
+            userIdOrEmail: formData.get('userIdOrEmail'),
+            password: formData.get('password'),
+            rememberMe: formData.get('rememberMe') === 'on'
+        };
+
+        // Validate form
+        if (!this.validateForm()) {
+            return;
+        }
+
+        // Locked out, or the challenge is not completed yet
+        if (this.isSubmitBlocked()) {
+            this.updateThrottleState();
+            return;
+        }
+
+        try {
+            this.setLoading(true);
+            this.loginAttempts++;
+
+            // Direct API call - no DataManager needed
+            const response = await API.postJson(this.options.endpoints.login, this.getLoginPayload(), { skipAuthRefresh: true });
+
+            // Challenge tokens are single-use
+            this.resetChallenge();
+            this.setLoading(false);
+
+            const challenge = this.getMfaChallenge(response);
+            if (challenge) {
+                // Password accepted - a second factor is still required
+                this.clearThrottle();
+                this.startMfa(challenge);
+            } else if (this.isEmailNotVerified(response)) {
+                this.clearThrottle();
+                this.showVerificationRequired(response);
+            } else if (response && response.success) {
+                this.clearThrottle();
+                this.completeLogin(response);
+            } else {
+                // Handle failure
+                this.recordLoginFailure(response);
+                const errorMessage = this.extractErrorMessage(response);
+                this.handleLoginError(errorMessage, response);
+            }
+
+        } catch (error) {
+            this.resetChallenge();
+            this.setLoading(false);
+            const errorMessage = this.extractErrorMessage(error);
+            this.handleLoginError(errorMessage, error);
+        }
+    }
+
+    /**
+     * Build the /auth/login request body (adds the trusted-device and challenge tokens when present)
+     */
+    getLoginPayload() {
+        const payload = { ...this.formData };
+
+        const deviceToken = this.getTrustedDeviceToken();
+        if (deviceToken) {
+            payload.deviceToken = deviceToken;
+        }
+
+        if (this.challenge && this.challenge.token) {
+            payload.challengeToken = this.challenge.token;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Finish a successful login (credentials, MFA step or OAuth provider)
+     */
+    completeLogin(response, formData = this.formData) {
+        // Reset login attempts on success
+        this.loginAttempts = 0;
+        this.hideSecurityInfo();
+        this.stopResendCountdown();
+        this.mfa = null;
+
+        // Success - use inherited success modal or callback
+        if (this.options.events.onLoginSuccess) {
+            this.options.events.onLoginSuccess(response.data, formData);
+        } else if (this.getAppConfig()) {
+            // Stores the session and navigates to the redirect target
+            this.getAppConfig().handleLoginSuccess(response, formData);
+        } else {
+            this.showSuccessMessage('Login successful!', {
+                autoClose: 2000,
+                onClose: () => {
+                    // Default behavior: could redirect
+                    console.log('Login completed successfully');
+                }
+            });
+        }
+    }
+
+    /**
+     * Handle login error with appropriate display
+     */
+    handleLoginError(errorMessage, originalError) {
+        // Show security info for multiple failed attempts
+        if (this.loginAttempts >= 3) {
+            this.showSecurityInfo();
+        }
+
+
+        // Choose display method
+        if (this.options.ui.errorDisplayType === 'modal') {
+            this.showErrorModal(errorMessage);
+        } else {
+          // Use inline error for login (better UX than modal)
+          this.showInlineError(errorMessage, {
+              showRetry: true,
+              onRetry: () => this.retryLogin()
+          });
+        }
+
+
+
+        // Still call the error callback if provided
+        if (this.options.events.onLoginError) {
+            this.options.events.onLoginError(originalError, this.formData);
+        }
+
+        // Clear password field for security
+        const passwordInput = this.container.querySelector(`#${Login.cssNamespace}-password`);
+        if (passwordInput) {
+            passwordInput.value = '';
+            passwordInput.focus();
+        }
+    }
+
+    /**
+     * Sign in with an OAuth / OpenID Connect provider
+     * Popup mode completes here; redirect mode leaves the page and finishes in the /oauth/callback route.
+     */
+    async handleOAuthSignIn(providerName) {
+        this.hideInlineError();
+        this.setProvidersDisabled(true);
+
+        try {
+            const result = await this.getAppConfig().oauth.signIn(providerName, {
+                mode: this.options.oauth.mode || undefined
+            });
+
+            if (result) {
+                this.completeLogin(result.response, { provider: result.provider });
+            }
+        } catch (error) {
+            // Closing the popup is a deliberate cancel, not an error
+            if (error.code !== 'popup_closed') {
+                this.showInlineError(error.message);
+            }
+        } finally {
+            this.setProvidersDisabled(false);
+        }
+    }
+
+    /**
+     * Show why a redirect-mode OAuth sign-in came back to the login page
+     */
+    showOAuthError() {
+        const appConfig = this.getAppConfig();
+        const oauthError = appConfig && appConfig.oauth ? appConfig.oauth.consumeError() : null;
+
+        if (oauthError) {
+            this.showInlineError(oauthError.message);
+        }
+    }
+
+    /**
+     * Enable or disable the provider buttons while a sign-in is in flight
+     */
+    setProvidersDisabled(disabled) {
+        this.container.querySelectorAll('[data-action="oauth"]').forEach(button => {
+            button.disabled = disabled;
+        });
+    }
+
+    // ========================================
+    // MULTI-FACTOR AUTHENTICATION
+    // ========================================
+
+    /**
+     * Read an mfaRequired challenge from a login response
+     * Expected: { mfaRequired: true, data: { mfaToken, methods, defaultMethod, destinations } }
+     * @returns {object|null} - Normalized challenge or null when no second step is needed
+     */
+    getMfaChallenge(response) {
+        if (!response) return null;
+
+        const data = response.data || {};
+        if (!response.mfaRequired && !data.mfaRequired) return null;
+
+        const offered = Array.isArray(data.methods) ? data.methods : ['totp'];
+        const methods = offered.filter(method => Login.mfaMethods[method]);
+        if (methods.length === 0) methods.push('totp');
+
+        const method = methods.includes(data.defaultMethod) ? data.defaultMethod : methods[0];
+
+        return {
+            token: data.mfaToken,
+            methods,
+            method,
+            destinations: data.destinations || {},
+            sent: { [method]: Login.mfaMethods[method].resend }, // The server sends the first code itself
+            trustDevice: false,
+            attempts: 0,
+            resendAvailableAt: {}           // Per method: when a new code may be requested
+        };
+    }
+
+    /**
+     * Switch to the MFA step
+     */
+    startMfa(challenge) {
+        this.mfa = challenge;
+        this.view = 'mfa';
+
+        this.hideInlineError();
+        this.hideSecurityInfo();
+        this.render();
+
+        if (Login.mfaMethods[challenge.method].resend) {
+            this.startResendCountdown();
+        }
+        this.focusMfaInput();
+
+        if (this.options.events.onMfaRequired) {
+            this.options.events.onMfaRequired(challenge.methods, this.formData);
+        }
+    }
+
+    /**
+     * Switch verification method; SMS/email send a code the first time they are chosen
+     */
+    selectMfaMethod(method) {
+        if (!this.mfa || !Login.mfaMethods[method] || method === this.mfa.method) return;
+
+        this.mfa.method = method;
+        this.hideInlineError();
+        this.clearFieldError('mfaCode');
+        this.render();
+        this.focusMfaInput();
+
+        if (Login.mfaMethods[method].resend && !this.mfa.sent[method]) {
+            this.sendMfaCode();
+        } else {
+            this.updateResendButton();
+        }
+    }
+
+    /**
+     * Send (or resend) a one-time code for the current SMS/email method
+     */
+    async sendMfaCode() {
+        if (!this.mfa || this.getResendRemaining() > 0) return;
+
+        const { token, method } = this.mfa;
+        this.hideInlineError();
+
+        // Block repeat clicks while the request is in flight
+        this.startResendCountdown();
+
+        try {
+            const response = await API.postJson(this.options.endpoints.mfaResend, { mfaToken: token, method }, { skipAuthRefresh: true });
+
+            if (!response || response.success === false) {
+                throw new Error(this.extractErrorMessage(response));
+            }
+
+            if (!this.mfa) return;
+            if (response.data && response.data.mfaToken) {
+                this.mfa.token = response.data.mfaToken;
+            }
+            this.mfa.sent[method] = true;
+        } catch (error) {
+            if (!this.mfa) return;
+            this.mfa.resendAvailableAt[method] = 0;
+            this.updateResendButton();
+            this.showInlineError(this.extractErrorMessage(error));
+        }
+    }
+
+    /**
+     * Start the resend cooldown for the current method
+     */
+    startResendCountdown() {
+        this.mfa.resendAvailableAt[this.mfa.method] = Date.now() + this.options.ui.mfaResendCooldown * 1000;
+        this.updateResendButton();
+    }
+
+    /**
+     * Stop the resend cooldown timer
+     */
+    stopResendCountdown() {
+        if (this.resendTimer) {
+            clearInterval(this.resendTimer);
+            this.resendTimer = null;
+        }
+    }
+
+    /**
+     * Seconds until a new code (MFA and code views) or activation email (verify view) may be requested
+     */
+    getResendRemaining() {
+        let availableAt = 0;
+        if (this.view === 'verify' && this.verification) {
+            availableAt = this.verification.resendAvailableAt;
+        } else if (this.view === 'code' && this.passwordless) {
+            availableAt = this.passwordless.resendAvailableAt;
+        } else if (this.mfa) {
+            availableAt = this.mfa.resendAvailableAt[this.mfa.method] || 0;
+        }
+
+        return Math.max(0, Math.ceil((availableAt - Date.now()) / 1000));
+    }
+
+    /**
+     * Resend button text
+     */
+    getResendLabel() {
+        const remaining = this.getResendRemaining();
+        const label = this.view === 'verify' ? 'Resend activation email' : 'Resend code';
+        return remaining > 0 ? `${label} in ${remaining}s` : label;
+    }
+
+    /**
+     * Refresh the resend button without re-rendering the form
+     * Ticks once a second while the current method is cooling down.
+     */
+    updateResendButton() {
+        const remaining = this.getResendRemaining();
+        const action = { verify: 'verify-resend', code: 'passwordless-resend' }[this.view] || 'mfa-resend';
+        const resendBtn = this.container.querySelector(`[data-action="${action}"]`);
+
+        if (resendBtn) {
+            resendBtn.disabled = remaining > 0;
+            resendBtn.textContent = this.getResendLabel();
+        }
+
+        if (remaining === 0) {
+            this.stopResendCountdown();
+        } else if (!this.resendTimer) {
+            this.resendTimer = setInterval(() => this.updateResendButton(), 1000);
+        }
+    }
+
+    /**
+     * Handle MFA form submission
+     */
+    async handleMfaSubmit(e) {
+        e.preventDefault();
+        if (!this.mfa || this.isLoading) return;
+
+        this.hideInlineError();
+
+        if (!this.validateMfaCode()) {
+            return;
+        }
+
+        const input = this.container.querySelector(`#${Login.cssNamespace}-mfaCode`);
+        const { token, method, trustDevice } = this.mfa;
+
+        try {
+            this.setLoading(true);
+            this.mfa.attempts++;
+
+            const response = await API.postJson(this.options.endpoints.mfaVerify, {
+                mfaToken: token,
+                method,
+                code: this.normalizeMfaCode(input.value),
+                trustDevice
+            }, { skipAuthRefresh: true });
+
+            this.setLoading(false);
+
+            if (response && response.success) {
+                if (trustDevice && response.data && response.data.deviceToken) {
+                    this.setTrustedDeviceToken(response.data.deviceToken);
+                }
+                this.completeLogin(response);
+            } else {
+                this.handleMfaError(this.extractErrorMessage(response), response);
+            }
+        } catch (error) {
+            this.setLoading(false);
+            this.handleMfaError(this.extractErrorMessage(error), error);
+        }
+    }
+
+    /**
+     * Handle a rejected verification code
+     */
+    handleMfaError(errorMessage, originalError) {
+        if (!this.mfa) return;
+
+        if (this.mfa.attempts >= 3) {
+            this.showSecurityInfo();
+        }
+
+        this.showInlineError(errorMessage);
+
+        if (this.options.events.onLoginError) {
+            this.options.events.onLoginError(originalError, this.formData);
+        }
+
+        const input = this.container.querySelector(`#${Login.cssNamespace}-mfaCode`);
+        if (input) {
+            input.value = '';
+            input.focus();
+        }
+    }
+
+    /**
+     * Strip separators users commonly type or paste into codes
+     */
+    normalizeMfaCode(value) {
+        const code = (value || '').replace(/\s+/g, '');
+        return Login.mfaMethods[this.mfa.method].numeric ? code : code.toUpperCase();
+    }
+
+    /**
+     * Validate the MFA code field
+     */
+    validateMfaCode() {
+        const input = this.container.querySelector(`#${Login.cssNamespace}-mfaCode`);
+        if (!input) return true;
+
+        const code = this.normalizeMfaCode(input.value);
+        const length = this.options.ui.mfaCodeLength;
+
+        if (!code) {
+            this.showFieldError('mfaCode', 'Verification code is required');
+            return false;
+        }
+
+        if (Login.mfaMethods[this.mfa.method].numeric) {
+            if (!new RegExp(`^\\d{${length}}$`).test(code)) {
+                this.showFieldError('mfaCode', `Enter the ${length}-digit code`);
+                return false;
+            }
+        } else if (!/^[A-Z0-9-]{6,20}$/.test(code)) {
+            this.showFieldError('mfaCode', 'Please enter a valid backup code');
+            return false;
+        }
+
+        this.clearFieldError('mfaCode');
+        return true;
+    }
+
+    /**
+     * Leave the MFA step and return to the credentials form
+     */
+    cancelMfa() {
+        this.stopResendCountdown();
+        this.mfa = null;
+        this.formData.password = '';
+        this.showCredentials();
+
+        const passwordInput = this.container.querySelector(`#${Login.cssNamespace}-password`);
+        if (passwordInput) {
+            passwordInput.focus();
+        }
+    }
+
+    /**
+     * Switch to the credentials form (the email form in passwordless mode)
+     */
+    showCredentials() {
+        this.stopResendCountdown();
+        this.view = this.options.ui.passwordless ? 'passwordless' : 'credentials';
+        this.resetRequestedFor = null;
+        this.verification = null;
+        this.passwordless = null;
+
+        this.hideInlineError();
+        this.hideSecurityInfo();
+        this.render();
+    }
+
+    // ========================================
+    // EMAIL VERIFICATION
+    // ========================================
+
+    /**
+     * Whether a failed login says the account's email is not verified yet
+     * Expected: { emailNotVerified: true, data: { email } } or code EMAIL_NOT_VERIFIED
+     */
+    isEmailNotVerified(response) {
+        if (!response || response.success) return false;
+
+        const data = response.data || {};
+        return !!(response.emailNotVerified || data.emailNotVerified || response.code === 'EMAIL_NOT_VERIFIED');
+    }
+
+    /**
+     * Switch to the unverified-account view offering to resend the activation email
+     */
+    showVerificationRequired(response) {
+        const data = response.data || {};
+        const { userIdOrEmail } = this.formData;
+
+        this.verification = {
+            email: data.email || (userIdOrEmail && userIdOrEmail.indexOf('@') !== -1 ? userIdOrEmail : ''),
+            userIdOrEmail,
+            resendAvailableAt: 0
+        };
+        this.view = 'verify';
+        this.formData.password = '';
+
+        this.hideInlineError();
+        this.hideSecurityInfo();
+        this.render();
+
+        if (this.options.events.onEmailNotVerified) {
+            this.options.events.onEmailNotVerified(this.verification.email, this.formData);
+        }
+    }
+
+    /**
+     * Ask the server to send the activation email again
+     * A rate-limited response may carry retryAfter (seconds), which sets the cooldown.
+     */
+    async sendVerificationEmail() {
+        if (!this.verification || this.getResendRemaining() > 0) return;
+
+        const verification = this.verification;
+        this.hideInlineError();
+
+        // Block repeat clicks while the request is in flight
+        verification.resendAvailableAt = Date.now() + this.options.ui.verifyResendCooldown * 1000;
+        this.updateResendButton();
+
+        try {
+            const response = await API.postJson(this.options.endpoints.resendVerification, {
+                email: verification.email,
+                userIdOrEmail: verification.userIdOrEmail,
+                verifyUrl: this.getAbsoluteUrl(this.options.ui.verifyEmailPath)
+            }, { skipAuthRefresh: true });
+
+            if (!response || response.success === false) {
+                verification.resendAvailableAt = response && response.retryAfter
+                    ? Date.now() + response.retryAfter * 1000
+                    : 0;
+                this.updateResendButton();
+                this.showInlineError(this.extractErrorMessage(response));
+                return;
+            }
+
+            this.showSuccessMessage('We sent you a new activation link.', { autoClose: 3000 });
+        } catch (error) {
+            verification.resendAvailableAt = 0;
+            this.updateResendButton();
+            this.showInlineError(this.extractErrorMessage(error));
+        }
+    }
+
+    // ========================================
+    // FORGOT PASSWORD
+    // ========================================
+
+    /**
+     * Switch to the request-reset form
+     */
+    showForgotPassword() {
+        this.view = 'forgot';
+        this.resetRequestedFor = null;
+        this.formData.password = '';
+
+        this.hideInlineError();
+        this.hideSecurityInfo();
+        this.render();
+
+        const emailInput = this.container.querySelector(`#${Login.cssNamespace}-resetEmail`);
+        if (emailInput) {
+            emailInput.focus();
+        }
+    }
+
+    /**
+     * Post the email to the forgot-password endpoint
+     * The confirmation does not reveal whether an account exists for the email.
+     */
+    async handleForgotSubmit(e) {
+        e.preventDefault();
+        if (this.isLoading) return;
+
+        this.hideInlineError();
+
+        if (!this.validateResetEmail()) {
+            return;
+        }
+
+        const email = this.container.querySelector(`#${Login.cssNamespace}-resetEmail`).value.trim();
+
+        try {
+            this.setLoading(true);
+
+            // The backend appends ?token=... to resetUrl in the email
+            const response = await API.postJson(this.options.endpoints.forgotPassword, {
+                email,
+                resetUrl: this.getAbsoluteUrl(this.options.ui.resetPasswordPath)
+            }, { skipAuthRefresh: true });
+
+            this.setLoading(false);
+
+            if (response && response.success === false) {
+                this.showInlineError(this.extractErrorMessage(response));
+                return;
+            }
+
+            this.resetRequestedFor = email;
+            this.render();
+
+            if (this.options.events.onResetRequested) {
+                this.options.events.onResetRequested(email);
+            }
+        } catch (error) {
+            this.setLoading(false);
+            this.showInlineError(this.extractErrorMessage(error));
+        }
+    }
+
+    /**
+     * Validate the forgot password email field
+     */
+    validateResetEmail() {
+        const input = this.container.querySelector(`#${Login.cssNamespace}-resetEmail`);
+        if (!input) return true;
+
+        const value = input.value ? input.value.trim() : '';
+
+        if (!value) {
+            this.showFieldError('resetEmail', 'Email is required');
+            return false;
+        }
+
+        if (!Utils.isValidEmail(value)) {
+            this.showFieldError('resetEmail', 'Please enter a valid email address');
+            return false;
+        }
+
+        this.clearFieldError('resetEmail');
+        return true;
+    }
+
+    // ========================================
+    // PASSWORDLESS SIGN-IN
+    // ========================================
+
+    /**
+     * First view: a magic link being consumed, the passwordless email form, or ui.initialView
+     */
+    getInitialView() {
+        if (this.magicLinkToken) return 'magic-link';
+        if (this.options.ui.passwordless) return 'passwordless';
+        return this.options.ui.initialView === 'forgot' ? 'forgot' : 'credentials';
+    }
+
+    /**
+     * Read a magic-link token from the route query, or from the page URL when not routed
+     */
+    getMagicLinkToken() {
+        const route = this.options.route;
+        if (route && route.query && route.query.token) {
+            return route.query.token;
+        }
+
+        return new URLSearchParams(window.location.search).get('token');
+    }
+
+    /**
+     * Post the email to the passwordless start endpoint, which emails a code and a magic link
+     * Expected: { success: true, data: { requestId } }; requestId is sent back with the code.
+     */
+    async handlePasswordlessSubmit(e) {
+        e.preventDefault();
+        if (this.isLoading) return;
+
+        this.hideInlineError();
+
+        if (!this.validatePasswordlessEmail()) {
+            return;
+        }
+
+        const email = this.container.querySelector(`#${Login.cssNamespace}-passwordlessEmail`).value.trim();
+        this.formData.userIdOrEmail = email;
+
+        try {
+            this.setLoading(true);
+            const response = await this.requestPasswordlessCode(email);
+            this.setLoading(false);
+
+            if (!response || response.success === false) {
+                this.showInlineError(this.extractErrorMessage(response));
+                return;
+            }
+
+            this.passwordless = {
+                email,
+                requestId: response.data && response.data.requestId,
+                resendAvailableAt: 0
+            };
+            this.view = 'code';
+            this.render();
+            this.startPasswordlessCountdown();
+            this.focusCodeDigit(0);
+        } catch (error) {
+            this.setLoading(false);
+            this.showInlineError(this.extractErrorMessage(error));
+        }
+    }
+
+    /**
+     * Ask the server to email a sign-in code and magic link
+     * The backend appends ?token=... to magicLinkUrl in the email.
+     */
+    requestPasswordlessCode(email) {
+        return API.postJson(this.options.endpoints.passwordlessStart, {
+            email,
+            magicLinkUrl: this.getAbsoluteUrl(this.options.ui.magicLinkPath)
+        }, { skipAuthRefresh: true });
+    }
+
+    /**
+     * Send a new code from the code step
+     * A rate-limited response may carry retryAfter (seconds), which sets the cooldown.
+     */
+    async sendPasswordlessCode() {
+        if (!this.passwordless || this.getResendRemaining() > 0) return;
+
+        const passwordless = this.passwordless;
+        this.hideInlineError();
+
+        // Block repeat clicks while the request is in flight
+        this.startPasswordlessCountdown();
+
+        try {
+            const response = await this.requestPasswordlessCode(passwordless.email);
+
+            if (!response || response.success === false) {
+                passwordless.resendAvailableAt = response && response.retryAfter
+                    ? Date.now() + response.retryAfter * 1000
+                    : 0;
+                this.updateResendButton();
+                this.showInlineError(this.extractErrorMessage(response));
+                return;
+            }
+
+            if (response.data && response.data.requestId) {
+                passwordless.requestId = response.data.requestId;
+            }
+            this.clearCodeDigits();
+        } catch (error) {
+            passwordless.resendAvailableAt = 0;
+            this.updateResendButton();
+            this.showInlineError(this.extractErrorMessage(error));
+        }
+    }
+
+    /**
+     * Start the resend cooldown for the passwordless code
+     */
+    startPasswordlessCountdown() {
+        this.passwordless.resendAvailableAt = Date.now() + this.options.ui.passwordlessResendCooldown * 1000;
+        this.updateResendButton();
+    }
+
+    /**
+     * Verify the entered code
+     */
+    async verifyPasswordlessCode() {
+        if (!this.passwordless || this.isLoading) return;
+
+        this.hideInlineError();
+
+        const code = this.getPasswordlessCode();
+        const length = this.options.ui.passwordlessCodeLength;
+        if (!new RegExp(`^\\d{${length}}$`).test(code)) {
+            this.showFieldError('passwordlessCode', `Enter the ${length}-digit code`);
+            return;
+        }
+        this.clearFieldError('passwordlessCode');
+
+        const { email, requestId } = this.passwordless;
+
+        try {
+            this.setLoading(true);
+            const response = await API.postJson(this.options.endpoints.passwordlessVerify, { requestId, email, code }, { skipAuthRefresh: true });
+            this.setLoading(false);
+
+            if (!this.finishPasswordless(response, email)) {
+                this.handleCodeError(this.extractErrorMessage(response), response);
+            }
+        } catch (error) {
+            this.setLoading(false);
+            this.handleCodeError(this.extractErrorMessage(error), error);
+        }
+    }
+
+    /**
+     * Exchange the magic-link token for a session
+     * On failure the email form is shown with the error so a new link can be requested.
+     */
+    async consumeMagicLink() {
+        const token = this.magicLinkToken;
+
+        try {
+            const response = await API.postJson(this.options.endpoints.passwordlessVerify, { token }, { skipAuthRefresh: true });
+            if (this.finishPasswordless(response, response && response.data && response.data.email)) {
+                return;
+            }
+            this.handleMagicLinkError(this.extractErrorMessage(response));
+        } catch (error) {
+            this.handleMagicLinkError(this.extractErrorMessage(error));
+        }
+    }
+
+    /**
+     * Complete a passwordless sign-in (or continue with MFA)
+     * @returns {boolean} - false when the response is a failure
+     */
+    finishPasswordless(response, email) {
+        const challenge = this.getMfaChallenge(response);
+        if (challenge) {
+            this.startMfa(challenge);
+            return true;
+        }
+
+        if (!response || !response.success) {
+            return false;
         }
 
-        // Error forgot password button
-        const errorForgot = this.container.querySelector(`.${Login.cssNamespace}__error-forgot`);
-        if (errorForgot) {
-            const forgotListener = () => this.handleForgotPassword();
-            errorForgot.addEventListener('click', forgotListener);
-            this.eventListeners.push({ element: errorForgot, event: 'click', listener: forgotListener });
+        this.stopResendCountdown();
+        this.passwordless = null;
+        this.magicLinkToken = null;
+        this.completeLogin(response, { userIdOrEmail: email || '', rememberMe: false });
+        return true;
+    }
+
+    /**
+     * Handle a rejected code
+     */
+    handleCodeError(errorMessage, originalError) {
+        this.showInlineError(errorMessage);
+
+        if (this.options.events.onLoginError) {
+            this.options.events.onLoginError(originalError, this.formData);
         }
+
+        this.clearCodeDigits();
     }
 
     /**
-     * Handle form submission with direct API call
+     * Handle an expired, used or invalid magic link
      */
-    async handleSubmit(e) {
-        e.preventDefault();
+    handleMagicLinkError(errorMessage) {
+        this.magicLinkToken = null;
+        this.showCredentials();
+        this.showInlineError(errorMessage);
+    }
 
-        // Hide any existing errors
-        this.hideInlineError();
+    /**
+     * Validate the passwordless email field
+     */
+    validatePasswordlessEmail() {
+        const input = this.container.querySelector(`#${Login.cssNamespace}-passwordlessEmail`);
+        if (!input) return true;
 
-        // Collect form data
-        const formData = new FormData(e.target);
-        this.formData = {
-            userIdOrEmail: formData.get('userIdOrEmail'),
-            password: formData.get('password'),
-            rememberMe: formData.get('rememberMe') === 'on'
-        };
+        const value = input.value ? input.value.trim() : '';
 
-        // Validate form
-        if (!this.validateForm()) {
+        if (!value) {
+            this.showFieldError('passwordlessEmail', 'Email is required');
+            return false;
+        }
+
+        if (!Utils.isValidEmail(value)) {
+            this.showFieldError('passwordlessEmail', 'Please enter a valid email address');
+            return false;
+        }
+
+        this.clearFieldError('passwordlessEmail');
+        return true;
+    }
+
+    /**
+     * Per-digit code inputs
+     */
+    getCodeInputs() {
+        return Array.from(this.container.querySelectorAll(`.${Login.cssNamespace}__code-digit`));
+    }
+
+    /**
+     * Entered code (digits joined)
+     */
+    getPasswordlessCode() {
+        return this.getCodeInputs().map(input => input.value).join('');
+    }
+
+    /**
+     * Keep one digit per input and advance; several characters (autofill) are spread out
+     */
+    handleCodeDigitInput(index) {
+        const input = this.getCodeInputs()[index];
+        const digits = input.value.replace(/\D/g, '');
+
+        this.clearFieldError('passwordlessCode');
+
+        if (digits.length > 1) {
+            this.fillCodeDigits(index, digits);
             return;
         }
 
-        try {
-            this.setLoading(true);
-            this.loginAttempts++;
+        input.value = digits;
+        if (digits) {
+            this.advanceCode(index + 1);
+        }
+    }
 
-            // Direct API call - no DataManager needed
-            const response = await API.postJson('/auth/login', this.formData);
+    /**
+     * Backspace on an empty digit clears the previous one; arrows move between digits
+     */
+    handleCodeDigitKeydown(e, index) {
+        const inputs = this.getCodeInputs();
+
+        if (e.key === 'Backspace' && !inputs[index].value && index > 0) {
+            e.preventDefault();
+            inputs[index - 1].value = '';
+            this.focusCodeDigit(index - 1);
+        } else if (e.key === 'ArrowLeft' && index > 0) {
+            e.preventDefault();
+            this.focusCodeDigit(index - 1);
+        } else if (e.key === 'ArrowRight' && index < inputs.length - 1) {
+            e.preventDefault();
+            this.focusCodeDigit(index + 1);
+        }
+    }
 
-            this.setLoading(false);
+    /**
+     * Spread pasted or autofilled digits across the inputs starting at index
+     */
+    fillCodeDigits(index, text) {
+        const inputs = this.getCodeInputs();
+        const digits = (text || '').replace(/\D/g, '').slice(0, inputs.length - index).split('');
 
-            if (response && response.success) {
-                // Reset login attempts on success
-                this.loginAttempts = 0;
-                this.hideSecurityInfo();
-
-                // Success - use inherited success modal or callback
-                if (this.options.events.onLoginSuccess) {
-                    this.options.events.onLoginSuccess(response.data, this.formData);
-                } else {
-                    this.showSuccessMessage('Login successful!', {
-                        autoClose: 2000,
-                        onClose: () => {
-                            // Default behavior: could redirect
-                            console.log('Login completed successfully');
-                        }
-                    });
-                }
-            } else {
-                // Handle failure
-                const errorMessage = this.extractErrorMessage(response);
-                this.handleLoginError(errorMessage, response);
-            }
+        digits.forEach((digit, offset) => {
+            inputs[index + offset].value = digit;
+        });
+
+        this.advanceCode(index + digits.length);
+    }
+
+    /**
+     * Focus the next empty digit, or submit once every digit is filled
+     */
+    advanceCode(fromIndex) {
+        const inputs = this.getCodeInputs();
+        const next = inputs.findIndex((input, index) => index >= fromIndex && !input.value);
+
+        if (next !== -1) {
+            this.focusCodeDigit(next);
+        } else if (inputs.every(input => input.value)) {
+            this.verifyPasswordlessCode();
+        } else {
+            this.focusCodeDigit(inputs.findIndex(input => !input.value));
+        }
+    }
+
+    /**
+     * Empty the code inputs and focus the first
+     */
+    clearCodeDigits() {
+        this.getCodeInputs().forEach(input => {
+            input.value = '';
+        });
+        this.focusCodeDigit(0);
+    }
+
+    /**
+     * Focus and select a code digit
+     */
+    focusCodeDigit(index) {
+        const input = this.getCodeInputs()[index];
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    }
 
+    /**
+     * Focus the MFA code input
+     */
+    focusMfaInput() {
+        const input = this.container.querySelector(`#${Login.cssNamespace}-mfaCode`);
+        if (input) {
+            input.focus();
+        }
+    }
+
+    /**
+     * Get the stored trusted-device token
+     */
+    getTrustedDeviceToken() {
+        try {
+            return localStorage.getItem(Login.trustedDeviceKey);
         } catch (error) {
-            this.setLoading(false);
-            const errorMessage = this.extractErrorMessage(error);
-            this.handleLoginError(errorMessage, error);
+            return null;
         }
     }
 
     /**
-     * Handle login error with appropriate display
+     * Store the trusted-device token so later logins can skip the second step
      */
-    handleLoginError(errorMessage, originalError) {
-        // Show security info for multiple failed attempts
-        if (this.loginAttempts >= 3) {
-            this.showSecurityInfo();
+    setTrustedDeviceToken(deviceToken) {
+        try {
+            localStorage.setItem(Login.trustedDeviceKey, deviceToken);
+        } catch (error) {
+            Utils.log('Login', 'warn', 'Could not store trusted device token:', error.message);
         }
+    }
 
+    // ========================================
+    // THROTTLING
+    // ========================================
 
-        // Choose display method
-        if (this.options.ui.errorDisplayType === 'modal') {
-            this.showErrorModal(errorMessage);
+    /**
+     * Normalized identifier in the credentials form (or the last one submitted)
+     */
+    getThrottleIdentifier() {
+        const input = this.container.querySelector(`#${Login.cssNamespace}-userIdOrEmail`);
+        const value = input ? input.value : this.formData.userIdOrEmail;
+        return (value || '').trim().toLowerCase();
+    }
+
+    /**
+     * Read stored failure records, dropping those that have expired
+     * Records are keyed by a hash of the identifier so user IDs and emails are not kept in storage.
+     */
+    readThrottleRecords() {
+        try {
+            const records = JSON.parse(localStorage.getItem(Login.throttleKey)) || {};
+            const now = Date.now();
+            const resetAfter = this.options.throttle.resetAfter * 1000;
+
+            return Object.fromEntries(Object.entries(records).filter(([, record]) => {
+                return record.lockedUntil > now || now - record.lastFailureAt < resetAfter;
+            }));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Get the failure record for an identifier
+     * @returns {object} - { failures, lockedUntil, lastFailureAt, challenge }
+     */
+    getThrottleRecord(identifier = this.getThrottleIdentifier()) {
+        const record = identifier ? this.readThrottleRecords()[Login.hashIdentifier(identifier)] : null;
+        return { failures: 0, lockedUntil: 0, lastFailureAt: 0, challenge: false, ...record };
+    }
+
+    /**
+     * Store (or with null, remove) the failure record for an identifier
+     */
+    saveThrottleRecord(identifier, record) {
+        const records = this.readThrottleRecords();
+        const key = Login.hashIdentifier(identifier);
+
+        if (record) {
+            records[key] = record;
         } else {
-          // Use inline error for login (better UX than modal)
-          this.showInlineError(errorMessage, {
-              showRetry: true,
-              onRetry: () => this.retryLogin()
-          });
+            delete records[key];
         }
 
+        try {
+            localStorage.setItem(Login.throttleKey, JSON.stringify(records));
+        } catch (error) {
+            Utils.log('Login', 'warn', 'Could not store login attempts:', error.message);
+        }
+    }
 
+    /**
+     * Count a rejected login and lock the identifier when due
+     * Past throttle.freeAttempts the lock doubles with each failure (baseDelay, 2x, 4x... up to
+     * maxDelay). A server lock - retryAfter seconds (also taken from the Retry-After header) or a
+     * lockedUntil timestamp - is honored when it is longer. The server can ask for a challenge
+     * with challengeRequired.
+     */
+    recordLoginFailure(response) {
+        const identifier = this.getThrottleIdentifier();
+        if (!identifier) return;
 
-        // Still call the error callback if provided
-        if (this.options.events.onLoginError) {
-            this.options.events.onLoginError(originalError, this.formData);
+        const { throttle } = this.options;
+        const now = Date.now();
+        const record = this.getThrottleRecord(identifier);
+
+        record.failures++;
+        record.lastFailureAt = now;
+
+        if (throttle.enabled && record.failures > throttle.freeAttempts) {
+            const delay = Math.min(
+                throttle.baseDelay * Math.pow(2, record.failures - throttle.freeAttempts - 1),
+                throttle.maxDelay
+            );
+            record.lockedUntil = Math.max(record.lockedUntil, now + delay * 1000);
         }
 
-        // Clear password field for security
-        const passwordInput = this.container.querySelector(`#${Login.cssNamespace}-password`);
-        if (passwordInput) {
-            passwordInput.value = '';
-            passwordInput.focus();
+        record.lockedUntil = Math.max(record.lockedUntil, this.getServerLockedUntil(response));
+
+        if ((response && response.challengeRequired) ||
+            (throttle.enabled && throttle.challengeAfter > 0 && record.failures >= throttle.challengeAfter)) {
+            record.challenge = true;
+        }
+
+        this.saveThrottleRecord(identifier, record);
+        this.updateThrottleState();
+    }
+
+    /**
+     * Time (ms) until which the server locked the account, or 0
+     */
+    getServerLockedUntil(response) {
+        if (!response || typeof response !== 'object') return 0;
+
+        if (response.lockedUntil) {
+            const lockedUntil = new Date(response.lockedUntil).getTime();
+            return isNaN(lockedUntil) ? 0 : lockedUntil;
+        }
+
+        const retryAfter = Number(response.retryAfter);
+        return retryAfter > 0 ? Date.now() + retryAfter * 1000 : 0;
+    }
+
+    /**
+     * Forget failures for the identifier once its password is accepted
+     */
+    clearThrottle() {
+        const identifier = this.getThrottleIdentifier();
+        if (identifier) {
+            this.saveThrottleRecord(identifier, null);
+        }
+        this.stopLockCountdown();
+    }
+
+    /**
+     * Seconds until the identifier in the form may try again
+     */
+    getLockRemaining() {
+        const { lockedUntil } = this.getThrottleRecord();
+        return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+    }
+
+    /**
+     * Whether the identifier must pass a challenge and a challenge widget is available
+     */
+    isChallengeRequired() {
+        return !!this.options.events.onChallengeRequired && this.getThrottleRecord().challenge;
+    }
+
+    /**
+     * Whether the credentials form may not be submitted right now
+     */
+    isSubmitBlocked() {
+        if (this.view !== 'credentials') return false;
+
+        return this.getLockRemaining() > 0 ||
+            (this.isChallengeRequired() && !(this.challenge && this.challenge.token));
+    }
+
+    /**
+     * Refresh the submit button and challenge widget without re-rendering the form
+     * Ticks once a second while the identifier is locked.
+     */
+    updateThrottleState() {
+        if (this.view !== 'credentials') {
+            this.stopLockCountdown();
+            return;
+        }
+
+        this.mountChallenge();
+
+        const submitBtn = this.container.querySelector(`.${Login.cssNamespace}__submit`);
+        if (submitBtn && !this.isLoading) {
+            submitBtn.disabled = this.isSubmitBlocked();
+            submitBtn.innerHTML = this.getSubmitLabel();
+        }
+
+        if (this.getLockRemaining() === 0) {
+            this.stopLockCountdown();
+        } else if (!this.lockTimer) {
+            this.lockTimer = setInterval(() => this.updateThrottleState(), 1000);
+        }
+    }
+
+    /**
+     * Stop the lockout countdown timer
+     */
+    stopLockCountdown() {
+        if (this.lockTimer) {
+            clearInterval(this.lockTimer);
+            this.lockTimer = null;
+        }
+    }
+
+    /**
+     * Mount the challenge widget through events.onChallengeRequired when the identifier needs one
+     * The hook receives the slot element and { identifier, failures, complete(token), expire() };
+     * it may return a cleanup function. Login is not submitted until complete() is called.
+     */
+    mountChallenge() {
+        const slot = this.container.querySelector(`#${Login.cssNamespace}-challenge`);
+        const identifier = this.getThrottleIdentifier();
+        const required = !!slot && this.isChallengeRequired();
+
+        if (this.challenge && (!required || this.challenge.element !== slot || this.challenge.identifier !== identifier)) {
+            this.unmountChallenge();
+        }
+
+        if (slot) {
+            slot.style.display = required ? '' : 'none';
+        }
+
+        if (!required || this.challenge) return;
+
+        const challenge = { identifier, element: slot, token: null, cleanup: null };
+        this.challenge = challenge;
+
+        const cleanup = this.options.events.onChallengeRequired(slot, {
+            identifier,
+            failures: this.getThrottleRecord(identifier).failures,
+            complete: (token) => {
+                if (this.challenge !== challenge) return;
+                challenge.token = token || null;
+                this.updateThrottleState();
+            },
+            expire: () => {
+                if (this.challenge !== challenge) return;
+                challenge.token = null;
+                this.updateThrottleState();
+            }
+        });
+
+        challenge.cleanup = typeof cleanup === 'function' ? cleanup : null;
+    }
+
+    /**
+     * Remove the challenge widget
+     */
+    unmountChallenge() {
+        const challenge = this.challenge;
+        if (!challenge) return;
+
+        this.challenge = null;
+
+        if (challenge.cleanup) {
+            try {
+                challenge.cleanup();
+            } catch (error) {
+                Utils.log('Login', 'warn', 'Challenge cleanup failed:', error.message);
+            }
+        }
+        challenge.element.innerHTML = '';
+    }
+
+    /**
+     * Discard a used challenge token by remounting the widget
+     */
+    resetChallenge() {
+        if (this.challenge) {
+            this.unmountChallenge();
+            this.updateThrottleState();
+        }
+    }
+
+    /**
+     * Short non-cryptographic hash (FNV-1a) used as the storage key for an identifier
+     */
+    static hashIdentifier(identifier) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < identifier.length; i++) {
+            hash ^= identifier.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
         }
+        return (hash >>> 0).toString(36);
     }
 
     /**
@@ -838,7 +2918,8 @@ class Login extends BaseComponent {
         this.hideInlineError();
 
         // Focus on the first input field
-        const firstInput = this.container.querySelector(`#${Login.cssNamespace}-userIdOrEmail`);
+        const firstInputId = { mfa: 'mfaCode', forgot: 'resetEmail' }[this.view] || 'userIdOrEmail';
+        const firstInput = this.container.querySelector(`#${Login.cssNamespace}-${firstInputId}`);
         if (firstInput) {
             firstInput.focus();
         }
@@ -852,15 +2933,39 @@ class Login extends BaseComponent {
 
         const submitBtn = this.container.querySelector(`.${Login.cssNamespace}__submit`);
         if (submitBtn) {
-            submitBtn.disabled = loading;
-            submitBtn.innerHTML = loading ? `
-                <div class="loading-spinner" style="width: 16px; height: 16px;"></div>
-                Signing in...
-            ` : `
-                <i class="fas fa-sign-in-alt"></i>
-                Sign In
+            submitBtn.disabled = loading || this.isSubmitBlocked();
+            submitBtn.innerHTML = this.getSubmitLabel();
+        }
+    }
+
+    /**
+     * Submit button content for the current view and loading state
+     */
+    getSubmitLabel() {
+        const labels = {
+            credentials: { icon: 'fa-sign-in-alt', text: 'Sign In', loadingText: 'Signing in...' },
+            mfa: { icon: 'fa-check', text: 'Verify', loadingText: 'Verifying...' },
+            forgot: { icon: 'fa-paper-plane', text: 'Send reset link', loadingText: 'Sending...' },
+            passwordless: { icon: 'fa-paper-plane', text: 'Email me a sign-in code', loadingText: 'Sending...' },
+            code: { icon: 'fa-sign-in-alt', text: 'Sign In', loadingText: 'Signing in...' }
+        };
+        const { icon, text, loadingText } = labels[this.view];
+
+        const lockRemaining = !this.isLoading && this.view === 'credentials' ? this.getLockRemaining() : 0;
+        if (lockRemaining > 0) {
+            return `
+                <i class="fas fa-hourglass-half"></i>
+                Try again in ${lockRemaining}s
             `;
         }
+
+        return this.isLoading ? `
+            <div class="loading-spinner" style="width: 16px; height: 16px;"></div>
+            ${loadingText}
+        ` : `
+            <i class="fas ${icon}"></i>
+            ${text}
+        `;
     }
 
     /**
@@ -994,19 +3099,7 @@ class Login extends BaseComponent {
         if (this.options.events.onForgotPassword) {
             this.options.events.onForgotPassword();
         } else {
-            // Use inherited modal for forgot password
-            this.showConfirmationDialog(
-                'Would you like to reset your password? You will receive an email with instructions.',
-                {
-                    title: 'Reset Password',
-                    confirmText: 'Send Reset Email',
-                    cancelText: 'Cancel',
-                    onConfirm: () => {
-                        // Could implement password reset here
-                        this.showSuccessMessage('Password reset instructions have been sent to your email.');
-                    }
-                }
-            );
+            this.showForgotPassword();
         }
     }
 
@@ -1037,6 +3130,12 @@ class Login extends BaseComponent {
         if (userIdOrEmailInput) {
             userIdOrEmailInput.focus();
         }
+
+        this.showOAuthError();
+
+        if (this.view === 'magic-link') {
+            this.consumeMagicLink();
+        }
     }
 
     /**
@@ -1045,6 +3144,9 @@ class Login extends BaseComponent {
     destroy() {
         // Hide any open inline errors
         this.hideInlineError();
+        this.stopResendCountdown();
+        this.stopLockCountdown();
+        this.unmountChallenge();
 
         // Call parent destroy
         super.destroy();
@@ -1070,7 +3172,50 @@ class Login extends BaseComponent {
                 borderBox : "none",
                 innerPadding: '32px',
                 preferredWidth: '400px',
-                preferredHeight: '500px'
+                preferredHeight: '500px',
+                mfaTitle: 'Two-step verification',
+                mfaSubtitle: 'Enter the code to finish signing in',
+                mfaCodeLength: 6,
+                mfaResendCooldown: 30,  // Seconds before an SMS/email code can be resent
+                showTrustDevice: true,
+                trustDeviceDays: 30,
+                initialView: 'credentials', // 'credentials' or 'forgot'
+                forgotTitle: 'Reset your password',
+                forgotSubtitle: "Enter your email and we'll send you a reset link",
+                resetPasswordPath: '/reset-password',
+                verifyTitle: 'Verify your email',
+                verifySubtitle: 'Your account has not been activated yet',
+                verifyEmailPath: '/verify-email',
+                verifyResendCooldown: 60, // Seconds between activation email resends
+                passwordless: false,        // Sign in with an emailed code or magic link instead of a password
+                passwordlessSubtitle: "We'll email you a code to sign in",
+                codeTitle: 'Check your email',
+                codeSubtitle: 'Enter the code to finish signing in',
+                passwordlessCodeLength: 6,
+                passwordlessResendCooldown: 30,
+                magicLinkPath: '/login'
+            },
+            endpoints: {
+                login: '/auth/login',
+                mfaVerify: '/auth/mfa/verify',
+                mfaResend: '/auth/mfa/resend',
+                forgotPassword: '/auth/password/forgot',
+                resendVerification: '/auth/email/resend',
+                passwordlessStart: '/auth/passwordless/start',
+                passwordlessVerify: '/auth/passwordless/verify'
+            },
+            oauth: {
+                providers: [],
+                mode: '',
+                dividerText: 'or continue with'
+            },
+            throttle: {
+                enabled: true,
+                freeAttempts: 3,
+                baseDelay: 5,
+                maxDelay: 300,
+                resetAfter: 900,
+                challengeAfter: 5
             }
         };
     }
@@ -1110,7 +3255,50 @@ if (typeof window !== 'undefined') {
       "borderBox" : "none",
       "innerPadding": "32px",
       "preferredWidth": "400px",
-      "preferredHeight": "500px"
+      "preferredHeight": "500px",
+      "mfaTitle": "Two-step verification",
+      "mfaSubtitle": "Enter the code to finish signing in",
+      "mfaCodeLength": 6,
+      "mfaResendCooldown": 30,
+      "showTrustDevice": true,
+      "trustDeviceDays": 30,
+      "initialView": "credentials",
+      "forgotTitle": "Reset your password",
+      "forgotSubtitle": "Enter your email and we'll send you a reset link",
+      "resetPasswordPath": "/reset-password",
+      "verifyTitle": "Verify your email",
+      "verifySubtitle": "Your account has not been activated yet",
+      "verifyEmailPath": "/verify-email",
+      "verifyResendCooldown": 60,
+      "passwordless": false,
+      "passwordlessSubtitle": "We'll email you a code to sign in",
+      "codeTitle": "Check your email",
+      "codeSubtitle": "Enter the code to finish signing in",
+      "passwordlessCodeLength": 6,
+      "passwordlessResendCooldown": 30,
+      "magicLinkPath": "/login"
+    },
+    "endpoints": {
+      "login": "/auth/login",
+      "mfaVerify": "/auth/mfa/verify",
+      "mfaResend": "/auth/mfa/resend",
+      "forgotPassword": "/auth/password/forgot",
+      "resendVerification": "/auth/email/resend",
+      "passwordlessStart": "/auth/passwordless/start",
+      "passwordlessVerify": "/auth/passwordless/verify"
+    },
+    "oauth": {
+      "providers": [],
+      "mode": "",
+      "dividerText": "or continue with"
+    },
+    "throttle": {
+      "enabled": true,
+      "freeAttempts": 3,
+      "baseDelay": 5,
+      "maxDelay": 300,
+      "resetAfter": 900,
+      "challengeAfter": 5
     }
   }
 }
@@ -0,0 +1,830 @@
+/**
+ * ResetPassword Component - Extends BaseComponent
+ * Second half of the forgot-password flow: reads the reset token from the URL
+ * (?token=...), checks it with the backend, and lets the user choose a new password.
+ * Expired and invalid links get their own views with a way to request a new one.
+ * New passwords are checked against the app-wide PasswordPolicy (AppConfig.passwordPolicy), the same one Signup enforces.
+ */
+
+class ResetPassword extends BaseComponent {
+    static cssNamespace = 'reset-password-k2v9';
+    static cssFile = ''; // Can be set to external CSS file path
+
+    constructor(container, options = {}) {
+        super(container, options);
+
+        this.token = this.getToken();
+
+        // 'checking', 'form', 'expired', 'invalid' or 'success'
+        this.view = this.token ? 'checking' : 'invalid';
+
+        this.validationErrors = {};
+        this.isLoading = false;
+        this.redirectTimer = null;
+
+        // { userId, email } of the account, if the token check returns them (user-info rule)
+        this.account = {};
+    }
+
+    /**
+     * Add the endpoints option section
+     */
+    mergeDefaultOptions(options) {
+        const merged = super.mergeDefaultOptions(options);
+
+        merged.endpoints = {
+            validate: '/auth/password/reset/validate',
+            reset: '/auth/password/reset',
+            ...options.endpoints
+        };
+
+        return merged;
+    }
+
+    /**
+     * Override needsDataManager since ResetPassword doesn't need data management
+     */
+    needsDataManager() {
+        return false;
+    }
+
+    /**
+     * Read the reset token from the route query, or from the page URL when not routed
+     */
+    getToken() {
+        const route = this.options.route;
+        if (route && route.query && route.query.token) {
+            return route.query.token;
+        }
+
+        return new URLSearchParams(window.location.search).get('token');
+    }
+
+    /**
+     * Generate reset password HTML
+     */
+    generateHTML() {
+        const ns = ResetPassword.cssNamespace;
+
+        return `
+            <div class="${ns}">
+                <div class="${ns}__container">
+                    ${this.generateViewHTML()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the HTML for the current view
+     */
+    generateViewHTML() {
+        const ns = ResetPassword.cssNamespace;
+        const { ui } = this.options;
+
+        switch (this.view) {
+            case 'checking':
+                return `
+                    <div class="${ns}__status">
+                        <div class="loading-spinner"></div>
+                        <p class="text-secondary">Checking your reset link...</p>
+                    </div>
+                `;
+
+            case 'expired':
+            case 'invalid': {
+                const expired = this.view === 'expired';
+                return `
+                    ${this.generateHeaderHTML(
+                        expired ? 'fa-hourglass-end' : 'fa-unlink',
+                        expired ? ui.expiredTitle : ui.invalidTitle,
+                        expired ? ui.expiredMessage : ui.invalidMessage,
+                        'warning'
+                    )}
+                    <div class="${ns}__actions">
+                        <button type="button" class="btn btn-secondary" data-action="login">
+                            <i class="fas fa-arrow-left"></i>
+                            Back to sign in
+                        </button>
+                        <button type="button" class="btn btn-primary" data-action="request-new">
+                            <i class="fas fa-paper-plane"></i>
+                            Request a new link
+                        </button>
+                    </div>
+                `;
+            }
+
+            case 'success':
+                return `
+                    ${this.generateHeaderHTML('fa-check', ui.successTitle, ui.successMessage, 'success')}
+                    <div class="${ns}__actions">
+                        <button type="button" class="btn btn-primary" data-action="login">
+                            <i class="fas fa-sign-in-alt"></i>
+                            Sign in
+                        </button>
+                    </div>
+                `;
+
+            default:
+                return `
+                    ${this.generateHeaderHTML('fa-key', ui.title, ui.subtitle)}
+
+                    <div class="${ns}__error" id="${ns}-error" style="display: none;">
+                        <i class="fas fa-exclamation-triangle"></i>
+                        <span class="${ns}__error-text"></span>
+                    </div>
+
+                    <form class="${ns}__form" id="${ns}-form" novalidate>
+                        ${this.generatePasswordFieldHTML('password', 'New password', 'Create a strong password')}
+                        ${ui.showStrengthMeter ? `
+                            <div class="${ns}__strength" id="${ns}-strength">
+                                ${this.generateStrengthMeterHTML('')}
+                            </div>
+                        ` : ''}
+                        ${this.generatePasswordFieldHTML('repeatPassword', 'Confirm new password', 'Confirm your new password')}
+
+                        <button
+                            type="submit"
+                            class="btn btn-primary ${ns}__submit"
+                            ${this.isLoading ? 'disabled' : ''}
+                        >
+                            ${this.getSubmitLabel()}
+                        </button>
+                    </form>
+
+                    <div class="${ns}__footer">
+                        <button type="button" class="${ns}__link" data-action="login">
+                            <i class="fas fa-arrow-left"></i>
+                            Back to sign in
+                        </button>
+                    </div>
+                `;
+        }
+    }
+
+    /**
+     * Generate the icon, title and message block
+     * @param {string} tone - '' (primary), 'success' or 'warning'
+     */
+    generateHeaderHTML(icon, title, message, tone = '') {
+        const ns = ResetPassword.cssNamespace;
+
+        return `
+            <div class="${ns}__header">
+                <div class="${ns}__icon ${tone ? `${ns}__icon--${tone}` : ''}">
+                    <i class="fas ${icon}"></i>
+                </div>
+                <h1 class="${ns}__title">${title}</h1>
+                <p class="${ns}__subtitle text-secondary">${message}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate a password input with a visibility toggle
+     */
+    generatePasswordFieldHTML(field, label, placeholder) {
+        const ns = ResetPassword.cssNamespace;
+
+        return `
+            <div class="form-group">
+                <label class="form-label" for="${ns}-${field}">
+                    <i class="fas fa-lock"></i>
+                    ${label}
+                </label>
+                <div class="${ns}__password-wrapper">
+                    <input
+                        type="password"
+                        id="${ns}-${field}"
+                        name="${field}"
+                        class="form-control ${ns}__input"
+                        placeholder="${placeholder}"
+                        required
+                        autocomplete="new-password"
+                    >
+                    <button
+                        type="button"
+                        class="${ns}__password-toggle"
+                        data-action="toggle-password"
+                        data-field="${field}"
+                        aria-label="Toggle password visibility"
+                    >
+                        <i class="fas fa-eye"></i>
+                    </button>
+                </div>
+                <div class="${ns}__field-error" id="${ns}-${field}-error"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the strength bar and rule checklist for a password
+     */
+    generateStrengthMeterHTML(password) {
+        return this.getPasswordPolicy().generateMeterHTML(ResetPassword.cssNamespace, password, this.account);
+    }
+
+    /**
+     * The app-wide password policy (AppConfig.passwordPolicy), the same one Signup enforces
+     */
+    getPasswordPolicy() {
+        return PasswordPolicy.getShared(this.getAppConfig());
+    }
+
+    /**
+     * Submit button content for the loading state
+     */
+    getSubmitLabel() {
+        return this.isLoading ? `
+            <div class="loading-spinner" style="width: 16px; height: 16px;"></div>
+            Resetting...
+        ` : `
+            <i class="fas fa-key"></i>
+            Reset password
+        `;
+    }
+
+    /**
+     * Component CSS
+     */
+    getInlineCSS() {
+        const ns = ResetPassword.cssNamespace;
+        const { borderRadius, borderWidth, borderColor, borderBox, innerPadding } = this.options.ui;
+
+        return `
+            ${super.getInlineCSS()}
+
+            .${ns} {
+                width: 100%;
+                min-height: 100%;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 32px;
+                background: #fafafa;
+                box-sizing: border-box;
+            }
+
+            .${ns}__container {
+                width: 100%;
+                max-width: ${this.options.ui.preferredWidth};
+                background: var(--color-surface);
+                border-radius: ${borderRadius};
+                border: ${borderWidth} solid ${borderColor};
+                box-shadow: ${borderBox};
+                padding: ${innerPadding};
+                box-sizing: border-box;
+            }
+
+            .${ns}__header {
+                text-align: center;
+                margin-bottom: var(--spacing-xl);
+            }
+
+            .${ns}__icon {
+                width: 64px;
+                height: 64px;
+                margin: 0 auto var(--spacing-lg) auto;
+                border-radius: var(--radius-full);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                background: linear-gradient(135deg, var(--color-primary), var(--color-primary-light));
+                color: white;
+                font-size: 28px;
+                box-shadow: var(--shadow-md);
+            }
+
+            .${ns}__icon--success {
+                background: linear-gradient(135deg, var(--color-success), var(--color-success-light));
+            }
+
+            .${ns}__icon--warning {
+                background: rgba(255, 152, 0, 0.12);
+                color: #ef6c00;
+                box-shadow: none;
+            }
+
+            .${ns}__title {
+                font-size: var(--font-size-xxl);
+                font-weight: var(--font-weight-bold);
+                color: var(--color-text-primary);
+                margin: 0 0 var(--spacing-sm) 0;
+            }
+
+            .${ns}__subtitle {
+                font-size: var(--font-size-md);
+                line-height: 1.5;
+                margin: 0;
+            }
+
+            .${ns}__status {
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                gap: var(--spacing-md);
+                padding: var(--spacing-xl) 0;
+            }
+
+            .${ns}__error {
+                display: flex;
+                align-items: flex-start;
+                gap: var(--spacing-sm);
+                padding: var(--spacing-md);
+                margin-bottom: var(--spacing-lg);
+                background: rgba(244, 67, 54, 0.08);
+                border: 1px solid rgba(244, 67, 54, 0.2);
+                border-radius: var(--radius-md);
+                color: #b71c1c;
+                font-size: var(--font-size-sm);
+            }
+
+            .${ns}__error i {
+                color: #d32f2f;
+                margin-top: 2px;
+            }
+
+            .${ns}__form {
+                margin-bottom: var(--spacing-lg);
+            }
+
+            .${ns}__password-wrapper {
+                position: relative;
+            }
+
+            .${ns}__password-wrapper .${ns}__input {
+                padding-right: 40px;
+            }
+
+            .${ns}__password-toggle {
+                position: absolute;
+                right: 8px;
+                top: 50%;
+                transform: translateY(-50%);
+                background: none;
+                border: none;
+                color: var(--color-text-secondary);
+                cursor: pointer;
+                padding: var(--spacing-xs);
+            }
+
+            .${ns}__field-error {
+                min-height: 18px;
+                margin-top: var(--spacing-xs);
+                color: var(--color-error);
+                font-size: var(--font-size-xs);
+            }
+
+            .${ns}__strength {
+                margin: calc(-1 * var(--spacing-sm)) 0 var(--spacing-md) 0;
+            }
+
+            ${PasswordPolicy.getMeterCSS(ns)}
+
+            .${ns}__submit {
+                width: 100%;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                gap: var(--spacing-sm);
+            }
+
+            .${ns}__actions {
+                display: flex;
+                gap: 12px;
+                justify-content: center;
+            }
+
+            .${ns}__footer {
+                text-align: center;
+            }
+
+            .${ns}__link {
+                background: none;
+                border: none;
+                color: var(--color-primary);
+                cursor: pointer;
+                font-size: var(--font-size-sm);
+                padding: 0;
+            }
+
+            .${ns}__link:hover {
+                text-decoration: underline;
+            }
+        `;
+    }
+
+    /**
+     * Add event listeners
+     */
+    addEventListeners() {
+        const ns = ResetPassword.cssNamespace;
+        const form = this.container.querySelector(`#${ns}-form`);
+
+        if (form) {
+            const submitListener = (e) => this.handleSubmit(e);
+            form.addEventListener('submit', submitListener);
+            this.eventListeners.push({ element: form, event: 'submit', listener: submitListener });
+        }
+
+        ['password', 'repeatPassword'].forEach(field => {
+            const input = this.container.querySelector(`#${ns}-${field}`);
+            if (input) {
+                const blurListener = () => this.validateField(field);
+                input.addEventListener('blur', blurListener);
+                this.eventListeners.push({ element: input, event: 'blur', listener: blurListener });
+            }
+        });
+
+        const passwordInput = this.container.querySelector(`#${ns}-password`);
+        if (passwordInput) {
+            const inputListener = () => this.updateStrengthMeter();
+            passwordInput.addEventListener('input', inputListener);
+            this.eventListeners.push({ element: passwordInput, event: 'input', listener: inputListener });
+        }
+
+        this.container.querySelectorAll('[data-action="toggle-password"]').forEach(button => {
+            const toggleListener = () => this.togglePassword(button.dataset.field);
+            button.addEventListener('click', toggleListener);
+            this.eventListeners.push({ element: button, event: 'click', listener: toggleListener });
+        });
+
+        this.container.querySelectorAll('[data-action="login"]').forEach(button => {
+            const loginListener = () => this.handleLogin();
+            button.addEventListener('click', loginListener);
+            this.eventListeners.push({ element: button, event: 'click', listener: loginListener });
+        });
+
+        const requestNewBtn = this.container.querySelector('[data-action="request-new"]');
+        if (requestNewBtn) {
+            const requestNewListener = () => this.navigate(this.options.ui.forgotPasswordPath);
+            requestNewBtn.addEventListener('click', requestNewListener);
+            this.eventListeners.push({ element: requestNewBtn, event: 'click', listener: requestNewListener });
+        }
+    }
+
+    // ========================================
+    // TOKEN AND RESET
+    // ========================================
+
+    /**
+     * Check the token before showing the form, so a dead link is reported up front
+     */
+    async validateToken() {
+        try {
+            const response = await API.postJson(this.options.endpoints.validate, { token: this.token });
+            const data = (response && response.data) || {};
+
+            this.account = { userId: data.userId, email: data.email };
+            this.setView(this.getTokenState(response) || 'form');
+        } catch (error) {
+            // Let the reset request report problems the check could not
+            Utils.log('ResetPassword', 'warn', 'Token check failed:', error.message);
+            this.setView('form');
+        }
+    }
+
+    /**
+     * Map a failed response to 'expired' or 'invalid' by its code (null for other responses)
+     */
+    getTokenState(response) {
+        if (!response || response.success) {
+            return null;
+        }
+
+        if (response.code === 'TOKEN_EXPIRED') {
+            return 'expired';
+        }
+
+        if (response.code === 'TOKEN_INVALID') {
+            return 'invalid';
+        }
+
+        return null;
+    }
+
+    /**
+     * Handle form submission
+     */
+    async handleSubmit(e) {
+        e.preventDefault();
+        if (this.isLoading) return;
+
+        this.hideInlineError();
+
+        if (!this.validateForm()) {
+            return;
+        }
+
+        const password = this.container.querySelector(`#${ResetPassword.cssNamespace}-password`).value;
+
+        try {
+            this.setLoading(true);
+
+            const response = await API.postJson(this.options.endpoints.reset, {
+                token: this.token,
+                password
+            });
+
+            this.setLoading(false);
+
+            const tokenState = this.getTokenState(response);
+            if (tokenState) {
+                this.setView(tokenState);
+                return;
+            }
+
+            if (!response || !response.success) {
+                this.showInlineError(this.extractErrorMessage(response));
+                return;
+            }
+
+            this.handleResetSuccess(response);
+        } catch (error) {
+            this.setLoading(false);
+            this.showInlineError(this.extractErrorMessage(error));
+        }
+    }
+
+    /**
+     * Show the success view and return to the login page after ui.redirectDelay
+     */
+    handleResetSuccess(response) {
+        Utils.log('ResetPassword', 'log', 'Password reset');
+        this.setView('success');
+
+        if (this.options.events.onResetSuccess) {
+            this.options.events.onResetSuccess(response);
+        }
+
+        if (this.options.ui.redirectDelay > 0) {
+            this.redirectTimer = setTimeout(() => this.handleLogin(), this.options.ui.redirectDelay);
+        }
+    }
+
+    /**
+     * Switch view and re-render
+     */
+    setView(view) {
+        this.view = view;
+        this.render();
+
+        const passwordInput = this.container.querySelector(`#${ResetPassword.cssNamespace}-password`);
+        if (passwordInput) {
+            passwordInput.focus();
+        }
+    }
+
+    /**
+     * Return to the login page
+     */
+    handleLogin() {
+        clearTimeout(this.redirectTimer);
+        this.redirectTimer = null;
+
+        if (this.options.events.onLogin) {
+            this.options.events.onLogin();
+        } else {
+            this.navigate(this.options.ui.loginPath);
+        }
+    }
+
+    // ========================================
+    // VALIDATION AND FORM STATE
+    // ========================================
+
+    /**
+     * Validate entire form
+     */
+    validateForm() {
+        const isPasswordValid = this.validateField('password');
+        const isRepeatValid = this.validateField('repeatPassword');
+        return isPasswordValid && isRepeatValid;
+    }
+
+    /**
+     * Validate a single field - same password rules as Signup
+     */
+    validateField(field) {
+        const ns = ResetPassword.cssNamespace;
+        const password = this.container.querySelector(`#${ns}-password`).value;
+        const repeatPassword = this.container.querySelector(`#${ns}-repeatPassword`).value;
+
+        let message = null;
+        if (field === 'password') {
+            message = this.getPasswordPolicy().getError(password, this.account);
+        } else if (!repeatPassword) {
+            message = 'Please confirm your password';
+        } else if (repeatPassword !== password) {
+            message = 'Passwords do not match';
+        }
+
+        if (message) {
+            this.showFieldError(field, message);
+            return false;
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
+    /**
+     * Refresh the strength meter from the password input
+     */
+    updateStrengthMeter() {
+        const meter = this.container.querySelector(`#${ResetPassword.cssNamespace}-strength`);
+        const passwordInput = this.container.querySelector(`#${ResetPassword.cssNamespace}-password`);
+
+        if (meter && passwordInput) {
+            meter.innerHTML = this.generateStrengthMeterHTML(passwordInput.value);
+        }
+    }
+
+    /**
+     * Show field-specific error
+     */
+    showFieldError(field, message) {
+        const errorElement = this.container.querySelector(`#${ResetPassword.cssNamespace}-${field}-error`);
+        const inputElement = this.container.querySelector(`#${ResetPassword.cssNamespace}-${field}`);
+
+        if (errorElement) {
+            errorElement.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${message}`;
+        }
+
+        if (inputElement) {
+            inputElement.style.borderColor = 'var(--color-error)';
+        }
+
+        this.validationErrors[field] = message;
+    }
+
+    /**
+     * Clear field-specific error
+     */
+    clearFieldError(field) {
+        const errorElement = this.container.querySelector(`#${ResetPassword.cssNamespace}-${field}-error`);
+        const inputElement = this.container.querySelector(`#${ResetPassword.cssNamespace}-${field}`);
+
+        if (errorElement) {
+            errorElement.innerHTML = '';
+        }
+
+        if (inputElement) {
+            inputElement.style.borderColor = '';
+        }
+
+        delete this.validationErrors[field];
+    }
+
+    /**
+     * Override showInlineError to use the form's error banner
+     */
+    showInlineError(message, config = {}) {
+        const errorContainer = this.container.querySelector(`#${ResetPassword.cssNamespace}-error`);
+        const errorText = this.container.querySelector(`.${ResetPassword.cssNamespace}__error-text`);
+
+        if (errorContainer && errorText) {
+            errorText.textContent = message;
+            errorContainer.style.display = 'flex';
+        }
+    }
+
+    /**
+     * Hide inline error
+     */
+    hideInlineError() {
+        const errorContainer = this.container.querySelector(`#${ResetPassword.cssNamespace}-error`);
+        if (errorContainer) {
+            errorContainer.style.display = 'none';
+        }
+    }
+
+    /**
+     * Set loading state
+     */
+    setLoading(loading) {
+        this.isLoading = loading;
+
+        const submitBtn = this.container.querySelector(`.${ResetPassword.cssNamespace}__submit`);
+        if (submitBtn) {
+            submitBtn.disabled = loading;
+            submitBtn.innerHTML = this.getSubmitLabel();
+        }
+    }
+
+    /**
+     * Toggle password visibility
+     */
+    togglePassword(field) {
+        const passwordInput = this.container.querySelector(`#${ResetPassword.cssNamespace}-${field}`);
+        const toggleIcon = this.container.querySelector(`[data-action="toggle-password"][data-field="${field}"] i`);
+
+        if (passwordInput && toggleIcon) {
+            const show = passwordInput.type === 'password';
+            passwordInput.type = show ? 'text' : 'password';
+            toggleIcon.className = show ? 'fas fa-eye-slash' : 'fas fa-eye';
+        }
+    }
+
+    /**
+     * Initialize component after render
+     */
+    initialize() {
+        if (this.view === 'checking') {
+            this.validateToken();
+        }
+    }
+
+    /**
+     * Override destroy to cancel the pending redirect
+     */
+    destroy() {
+        clearTimeout(this.redirectTimer);
+        this.redirectTimer = null;
+
+        super.destroy();
+    }
+
+    /**
+     * Get default options
+     */
+    static getDefaultOptions() {
+        return {
+            ui: {
+                title: 'Choose a new password',
+                subtitle: 'Enter a new password for your account',
+                successTitle: 'Password updated',
+                successMessage: 'Your password has been reset. You can now sign in with your new password.',
+                expiredTitle: 'Link expired',
+                expiredMessage: 'This password reset link has expired. Request a new one to continue.',
+                invalidTitle: 'Invalid link',
+                invalidMessage: 'This password reset link is invalid or has already been used.',
+                loginPath: '/login',
+                forgotPasswordPath: '/forgot-password',
+                redirectDelay: 5000, // ms on the success view before returning to login (0 to stay)
+                showLoading: false, // ResetPassword handles its own loading state
+                showError: false,   // ResetPassword handles its own errors
+                borderRadius: '8px',
+                borderWidth: '1px',
+                borderColor: '#e0e0e0',
+                borderBox: 'none',
+                innerPadding: '32px',
+                preferredWidth: '440px',
+                showStrengthMeter: true
+            },
+            endpoints: {
+                validate: '/auth/password/reset/validate',
+                reset: '/auth/password/reset'
+            }
+        };
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResetPassword;
+}
+
+if (typeof window !== 'undefined') {
+    window.ResetPassword = ResetPassword;
+    console.log('✅ ResetPassword component (extends BaseComponent) loaded');
+}
+
+/* __START_OF_JSON_SPECIFICATION__
+{
+  "name": "ResetPassword",
+  "type": "reset-password",
+  "options": {
+    "ui": {
+      "title": "Choose a new password",
+      "subtitle": "Enter a new password for your account",
+      "successTitle": "Password updated",
+      "successMessage": "Your password has been reset. You can now sign in with your new password.",
+      "expiredTitle": "Link expired",
+      "expiredMessage": "This password reset link has expired. Request a new one to continue.",
+      "invalidTitle": "Invalid link",
+      "invalidMessage": "This password reset link is invalid or has already been used.",
+      "loginPath": "/login",
+      "forgotPasswordPath": "/forgot-password",
+      "redirectDelay": 5000,
+      "showLoading": false,
+      "showError": false,
+      "borderRadius": "8px",
+      "borderWidth": "1px",
+      "borderColor": "#e0e0e0",
+      "borderBox": "none",
+      "innerPadding": "32px",
+      "preferredWidth": "440px",
+      "showStrengthMeter": true
+    },
+    "endpoints": {
+      "validate": "/auth/password/reset/validate",
+      "reset": "/auth/password/reset"
+    }
+  }
+}
+__END_OF_JSON_SPECIFICATION__ */
@@ -7,6 +7,12 @@ class Signup extends BaseComponent {
     static cssNamespace = 'signup-r8j1';
     static cssFile = ''; // Can be set to external CSS file path
 
+    // Built-in fields (and payload keys) that options.fields cannot redefine
+    static reservedFieldNames = ['userId', 'email', 'password', 'repeatPassword', 'firstName', 'lastName', 'verifyUrl'];
+
+    // Input types supported by options.fields
+    static extraFieldTypes = ['text', 'email', 'tel', 'url', 'select', 'checkbox'];
+
     constructor(container, options = {}) {
         // Call parent with merged options
         super(container, options);
@@ -18,13 +24,54 @@ class Signup extends BaseComponent {
             password: '',
             repeatPassword: '',
             firstName: '',
-            lastName: ''
+            lastName: '',
+            ...this.getExtraFieldDefaults()
         };
 
         this.validationErrors = {};
         this.isLoading = false;
         this.signupAttempts = 0;
         this.maxAttempts = 5;
+
+        // Availability checks per field: { value, status, message, timer, controller }
+        // status is 'pending', 'available', 'taken' or 'error' (check failed - left to the server)
+        this.availability = {};
+
+        // Field errors from the last register response: { field: { value, message } }
+        this.serverFieldErrors = {};
+
+        // 'form' or 'verify' (check-your-inbox step after a verificationRequired response)
+        this.view = 'form';
+        this.verification = null;       // { email, resendAvailableAt }
+        this.resendTimer = null;
+    }
+
+    /**
+     * Add the endpoints, oauth and fields option sections
+     */
+    mergeDefaultOptions(options) {
+        const merged = super.mergeDefaultOptions(options);
+
+        merged.endpoints = {
+            register: '/auth/register',
+            userIdAvailability: '/auth/availability/user-id',  // Empty string disables the check
+            emailAvailability: '/auth/availability/email',
+            resendVerification: '/auth/email/resend',
+            ...options.endpoints
+        };
+
+        merged.oauth = {
+            providers: [],          // Names from AppConfig.oauthProviders, e.g. ['google', 'microsoft']
+            mode: '',               // 'popup' or 'redirect'; empty uses AppConfig.oauthMode
+            dividerText: 'or sign up with',
+            ...options.oauth
+        };
+
+        // Extra fields after the built-in ones, sent with the register payload
+        // (see generateExtraFieldHTML for the field definition)
+        merged.fields = Array.isArray(options.fields) ? options.fields : [];
+
+        return merged;
     }
 
     /**
@@ -38,14 +85,17 @@ class Signup extends BaseComponent {
      * Generate signup form HTML
      */
     generateHTML() {
-        const { title, subtitle, showLoginLink } = this.options.ui;
+        const { showLoginLink } = this.options.ui;
+        const isVerify = this.view === 'verify';
+        const title = isVerify ? this.options.ui.verifyTitle : this.options.ui.title;
+        const subtitle = isVerify ? this.options.ui.verifySubtitle : this.options.ui.subtitle;
 
         return `
             <div class="${Signup.cssNamespace}">
                 <div class="${Signup.cssNamespace}__container">
                     <div class="${Signup.cssNamespace}__header">
                         <div class="${Signup.cssNamespace}__logo">
-                            <i class="fas fa-user-plus"></i>
+                            <i class="fas ${isVerify ? 'fa-envelope-open-text' : 'fa-user-plus'}"></i>
                         </div>
                         <h1 class="${Signup.cssNamespace}__title">${title}</h1>
                         <p class="${Signup.cssNamespace}__subtitle text-secondary">${subtitle}</p>
@@ -58,7 +108,7 @@ class Signup extends BaseComponent {
                                 <i class="fas fa-exclamation-triangle"></i>
                             </div>
                             <div class="${Signup.cssNamespace}__error-message">
-                                <div class="${Signup.cssNamespace}__error-title">Registration Failed</div>
+                                <div class="${Signup.cssNamespace}__error-title">${isVerify ? 'Request Failed' : 'Registration Failed'}</div>
                                 <div class="${Signup.cssNamespace}__error-text"></div>
                             </div>
                             <button class="${Signup.cssNamespace}__error-close" type="button" aria-label="Close error">
@@ -73,6 +123,7 @@ class Signup extends BaseComponent {
                         </div>
                     </div>
 
+                    ${isVerify ? this.generateVerifyHTML() : `
                     <form class="${Signup.cssNamespace}__form" id="${Signup.cssNamespace}-form">
                         <!-- Row 1: User ID and Email -->
                         <div class="${Signup.cssNamespace}__form-row">
@@ -88,7 +139,7 @@ class Signup extends BaseComponent {
                                     name="userId"
                                     class="form-control ${Signup.cssNamespace}__input"
                                     placeholder="Choose a unique user ID"
-                                    value="${this.formData.userId}"
+                                    value="${Utils.escapeHtml(this.formData.userId || '')}"
                                     required
                                     autocomplete="username"
                                 >
@@ -107,7 +158,7 @@ class Signup extends BaseComponent {
                                     name="email"
                                     class="form-control ${Signup.cssNamespace}__input"
                                     placeholder="Enter your email address"
-                                    value="${this.formData.email}"
+                                    value="${Utils.escapeHtml(this.formData.email || '')}"
                                     required
                                     autocomplete="email"
                                 >
@@ -130,7 +181,6 @@ class Signup extends BaseComponent {
                                         name="password"
                                         class="form-control ${Signup.cssNamespace}__input"
                                         placeholder="Create a strong password"
-                                        value="${this.formData.password}"
                                         required
                                         autocomplete="new-password"
                                     >
@@ -144,6 +194,11 @@ class Signup extends BaseComponent {
                                     </button>
                                 </div>
                                 <div class="${Signup.cssNamespace}__field-error" id="${Signup.cssNamespace}-password-error"></div>
+                                ${this.options.ui.showStrengthMeter ? `
+                                    <div class="${Signup.cssNamespace}__strength" id="${Signup.cssNamespace}-strength">
+                                        ${this.generateStrengthMeterHTML()}
+                                    </div>
+                                ` : ''}
                             </div>
 
                             <!-- Repeat Password Field -->
@@ -159,7 +214,6 @@ class Signup extends BaseComponent {
                                         name="repeatPassword"
                                         class="form-control ${Signup.cssNamespace}__input"
                                         placeholder="Confirm your password"
-                                        value="${this.formData.repeatPassword}"
                                         required
                                         autocomplete="new-password"
                                     >
@@ -190,7 +244,7 @@ class Signup extends BaseComponent {
                                     name="firstName"
                                     class="form-control ${Signup.cssNamespace}__input"
                                     placeholder="Enter your first name"
-                                    value="${this.formData.firstName}"
+                                    value="${Utils.escapeHtml(this.formData.firstName || '')}"
                                     autocomplete="given-name"
                                 >
                                 <div class="${Signup.cssNamespace}__field-error" id="${Signup.cssNamespace}-firstName-error"></div>
@@ -208,13 +262,16 @@ class Signup extends BaseComponent {
                                     name="lastName"
                                     class="form-control ${Signup.cssNamespace}__input"
                                     placeholder="Enter your last name"
-                                    value="${this.formData.lastName}"
+                                    value="${Utils.escapeHtml(this.formData.lastName || '')}"
                                     autocomplete="family-name"
                                 >
                                 <div class="${Signup.cssNamespace}__field-error" id="${Signup.cssNamespace}-lastName-error"></div>
                             </div>
                         </div>
 
+                        <!-- Extra fields from options.fields -->
+                        ${this.generateExtraFieldsHTML()}
+
                         <!-- Submit Button -->
                         <button
                             type="submit"
@@ -230,6 +287,9 @@ class Signup extends BaseComponent {
                             `}
                         </button>
 
+                        <!-- Social Sign-up -->
+                        ${this.generateProvidersHTML()}
+
                         <!-- Navigation Links -->
                         <div class="${Signup.cssNamespace}__navigation">
                             <div class="${Signup.cssNamespace}__nav-link">
@@ -254,6 +314,7 @@ class Signup extends BaseComponent {
                             </div>
                         </div>
                     </form>
+                    `}
 
                     <!-- Security Info for Multiple Failed Attempts -->
                     <div class="${Signup.cssNamespace}__security-info" id="${Signup.cssNamespace}-security-info" style="display: none;">
@@ -270,6 +331,217 @@ class Signup extends BaseComponent {
         `;
     }
 
+    /**
+     * Generate the fields declared in options.fields
+     */
+    generateExtraFieldsHTML() {
+        const fields = this.getExtraFields();
+        if (fields.length === 0) return '';
+
+        return `
+            <div class="${Signup.cssNamespace}__form-row">
+                ${fields.map(field => this.generateExtraFieldHTML(field)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Generate one extra field
+     * Definition: { name, type, label, icon, placeholder, required, defaultValue, queryParam,
+     * options (select: [{ value, label }] or strings), pattern, patternMessage, minLength,
+     * maxLength, requiredMessage, autocomplete, fullWidth, validate(value, formData) }.
+     * Checkbox labels may reference links as {key}, filled from links: { key: { text, href } }.
+     */
+    generateExtraFieldHTML(field) {
+        const ns = Signup.cssNamespace;
+        const id = `${ns}-${field.name}`;
+        const value = this.formData[field.name];
+        const fullWidth = field.fullWidth !== undefined ? field.fullWidth : field.type === 'checkbox';
+        const marker = field.required
+            ? '<span class="text-color-error">*</span>'
+            : '<span class="text-secondary">(optional)</span>';
+
+        let control;
+        if (field.type === 'checkbox') {
+            control = `
+                <label class="${ns}__checkbox" for="${id}">
+                    <input
+                        type="checkbox"
+                        id="${id}"
+                        name="${field.name}"
+                        ${value ? 'checked' : ''}
+                        ${field.required ? 'required' : ''}
+                    >
+                    <span>${this.formatCheckboxLabel(field)} ${field.required ? marker : ''}</span>
+                </label>
+            `;
+        } else {
+            const label = `
+                <label class="form-label" for="${id}">
+                    ${field.icon ? `<i class="fas ${Utils.escapeHtml(field.icon)}"></i>` : ''}
+                    ${Utils.escapeHtml(field.label || field.name)} ${marker}
+                </label>
+            `;
+
+            control = field.type === 'select' ? `
+                ${label}
+                <select
+                    id="${id}"
+                    name="${field.name}"
+                    class="form-control ${ns}__input"
+                    ${field.required ? 'required' : ''}
+                >
+                    <option value="">${Utils.escapeHtml(field.placeholder || 'Select...')}</option>
+                    ${this.getSelectOptions(field).map(option => `
+                        <option value="${Utils.escapeHtml(option.value)}" ${option.value === value ? 'selected' : ''}>
+                            ${Utils.escapeHtml(option.label)}
+                        </option>
+                    `).join('')}
+                </select>
+            ` : `
+                ${label}
+                <input
+                    type="${field.type}"
+                    id="${id}"
+                    name="${field.name}"
+                    class="form-control ${ns}__input"
+                    placeholder="${Utils.escapeHtml(field.placeholder || '')}"
+                    value="${Utils.escapeHtml(value)}"
+                    ${field.maxLength ? `maxlength="${field.maxLength}"` : ''}
+                    ${field.required ? 'required' : ''}
+                    autocomplete="${Utils.escapeHtml(field.autocomplete || 'off')}"
+                >
+            `;
+        }
+
+        return `
+            <div class="form-group ${ns}__form-col ${fullWidth ? `${ns}__form-col--full` : ''}">
+                ${control}
+                <div class="${ns}__field-error" id="${id}-error"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Escaped checkbox label with {key} placeholders replaced by links from field.links
+     */
+    formatCheckboxLabel(field) {
+        const links = field.links || {};
+
+        return Utils.escapeHtml(field.label || field.name).replace(/\{(\w+)\}/g, (placeholder, key) => {
+            const link = links[key];
+            if (!link) return placeholder;
+
+            return `<a href="${Utils.escapeHtml(link.href)}" target="_blank" rel="noopener noreferrer">${Utils.escapeHtml(link.text || key)}</a>`;
+        });
+    }
+
+    /**
+     * Normalize select options to { value, label }
+     */
+    getSelectOptions(field) {
+        return (field.options || []).map(option => {
+            return Utils.isObject(option)
+                ? { value: String(option.value), label: option.label !== undefined ? String(option.label) : String(option.value) }
+                : { value: String(option), label: String(option) };
+        });
+    }
+
+    /**
+     * Generate the check-your-inbox step shown after signing up
+     */
+    generateVerifyHTML() {
+        const ns = Signup.cssNamespace;
+        const remaining = this.getResendRemaining();
+
+        return `
+            <div class="${ns}__verify">
+                <p class="${ns}__verify-text">
+                    We sent an activation link to
+                    <strong>${Utils.escapeHtml(this.verification.email)}</strong>.
+                    Follow the link to activate your account, then sign in.
+                </p>
+                <p class="${ns}__verify-text text-secondary">
+                    Didn't get it? Check your spam folder or send it again.
+                </p>
+
+                <div class="${ns}__verify-actions">
+                    <button
+                        type="button"
+                        class="btn btn-secondary"
+                        data-action="verify-resend"
+                        ${remaining > 0 ? 'disabled' : ''}
+                    >${this.getResendLabel()}</button>
+                    <button type="button" class="btn btn-primary" data-action="login">
+                        <i class="fas fa-sign-in-alt"></i>
+                        Sign in
+                    </button>
+                </div>
+
+                <div class="${ns}__navigation">
+                    <div class="${ns}__nav-link">
+                        <span class="text-secondary">Wrong email address?</span>
+                        <button type="button" class="${ns}__link" data-action="verify-back">
+                            Sign up again
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the strength bar and rule checklist for the current password
+     */
+    generateStrengthMeterHTML() {
+        return this.getPasswordPolicy().generateMeterHTML(Signup.cssNamespace, this.formData.password, this.getPasswordContext());
+    }
+
+    /**
+     * The app-wide password policy (AppConfig.passwordPolicy)
+     */
+    getPasswordPolicy() {
+        return PasswordPolicy.getShared(this.getAppConfig());
+    }
+
+    /**
+     * Generate social sign-in buttons for the providers configured in options.oauth
+     */
+    generateProvidersHTML() {
+        const providers = this.getOAuthProviders();
+        if (providers.length === 0) return '';
+
+        const ns = Signup.cssNamespace;
+
+        return `
+            <div class="${ns}__providers">
+                <div class="${ns}__divider"><span>${this.options.oauth.dividerText}</span></div>
+                ${providers.map(provider => `
+                    <button
+                        type="button"
+                        class="btn btn-secondary ${ns}__provider"
+                        data-action="oauth"
+                        data-provider="${provider.name}"
+                        ${this.isLoading ? 'disabled' : ''}
+                    >
+                        <i class="${provider.icon}"></i>
+                        Sign up with ${Utils.escapeHtml(provider.label)}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Get the providers from options.oauth that AppConfig's OAuthClient can use
+     */
+    getOAuthProviders() {
+        const appConfig = this.getAppConfig();
+        if (!appConfig || !appConfig.oauth) return [];
+
+        return appConfig.oauth.getProviders(this.options.oauth.providers);
+    }
+
     /**
      * Signup-specific CSS (inherits styles from Login component pattern)
      */
@@ -503,6 +775,29 @@ class Signup extends BaseComponent {
                 min-width: 0; /* Prevents grid overflow */
             }
 
+            .${Signup.cssNamespace}__form-col--full {
+                grid-column: 1 / -1;
+            }
+
+            .${Signup.cssNamespace}__checkbox {
+                display: flex;
+                align-items: flex-start;
+                gap: var(--spacing-sm);
+                cursor: pointer;
+                font-size: var(--font-size-sm);
+                color: var(--color-text-secondary);
+                line-height: 1.4;
+            }
+
+            .${Signup.cssNamespace}__checkbox input {
+                margin-top: 2px;
+                accent-color: var(--color-primary);
+            }
+
+            .${Signup.cssNamespace}__checkbox a {
+                color: var(--color-primary);
+            }
+
             .${Signup.cssNamespace}__input {
                 transition: all var(--transition-normal);
                 border-radius: var(--radius-lg);
@@ -558,6 +853,42 @@ class Signup extends BaseComponent {
                 transform: none;
             }
 
+            /* Sign-up Providers */
+            .${Signup.cssNamespace}__providers {
+                display: flex;
+                flex-direction: column;
+                gap: var(--spacing-sm);
+                margin-bottom: var(--spacing-lg);
+            }
+
+            .${Signup.cssNamespace}__divider {
+                display: flex;
+                align-items: center;
+                gap: var(--spacing-md);
+                color: var(--color-text-secondary);
+                font-size: var(--font-size-xs);
+                text-transform: uppercase;
+                letter-spacing: 0.05em;
+            }
+
+            .${Signup.cssNamespace}__divider::before,
+            .${Signup.cssNamespace}__divider::after {
+                content: '';
+                flex: 1;
+                border-top: 1px solid var(--color-border);
+            }
+
+            .${Signup.cssNamespace}__provider {
+                width: 100%;
+                height: 44px;
+                display: inline-flex;
+                align-items: center;
+                justify-content: center;
+                gap: var(--spacing-sm);
+                border-radius: var(--radius-lg);
+                font-weight: var(--font-weight-medium);
+            }
+
             /* Navigation Links */
             .${Signup.cssNamespace}__navigation {
                 display: flex;
@@ -598,6 +929,43 @@ class Signup extends BaseComponent {
                 gap: var(--spacing-xs);
             }
 
+            /* Email Verification Step */
+            .${Signup.cssNamespace}__verify {
+                max-width: 480px;
+                margin: 0 auto;
+                text-align: center;
+            }
+
+            .${Signup.cssNamespace}__verify-text {
+                margin: 0 0 var(--spacing-md) 0;
+                line-height: 1.5;
+            }
+
+            .${Signup.cssNamespace}__verify-actions {
+                display: flex;
+                gap: var(--spacing-md);
+                justify-content: center;
+                margin: var(--spacing-lg) 0;
+            }
+
+            /* Availability Status (shares the field error slot) */
+            .${Signup.cssNamespace}__field-status {
+                display: inline-flex;
+                align-items: center;
+                gap: var(--spacing-xs);
+            }
+
+            .${Signup.cssNamespace}__field-status--pending {
+                color: var(--color-text-secondary);
+            }
+
+            .${Signup.cssNamespace}__field-status--available {
+                color: var(--color-success);
+            }
+
+            /* Password Strength */
+            ${PasswordPolicy.getMeterCSS(Signup.cssNamespace)}
+
             /* Responsive */
             @media (max-width: 480px) {
                 .${Signup.cssNamespace} {
@@ -634,7 +1002,7 @@ class Signup extends BaseComponent {
         const form = this.container.querySelector(`#${Signup.cssNamespace}-form`);
         const passwordToggle = this.container.querySelector('[data-action="toggle-password"]');
         const repeatPasswordToggle = this.container.querySelector('[data-action="toggle-repeat-password"]');
-        const loginBtn = this.container.querySelector('[data-action="login"]');
+        const loginBtns = this.container.querySelectorAll('[data-action="login"]');
         const forgotPasswordBtn = this.container.querySelector('[data-action="forgot-password"]');
 
         // Form submission
@@ -645,11 +1013,17 @@ class Signup extends BaseComponent {
         }
 
         // Real-time form validation
-        const fields = ['userId', 'email', 'password', 'repeatPassword', 'firstName', 'lastName'];
+        const fields = [
+            'userId', 'email', 'password', 'repeatPassword', 'firstName', 'lastName',
+            ...this.getExtraFields().map(field => field.name)
+        ];
         fields.forEach(field => {
             const input = this.container.querySelector(`#${Signup.cssNamespace}-${field}`);
             if (input) {
-                const inputListener = () => this.validateField(field);
+                const inputListener = () => {
+                    this.validateField(field);
+                    this.updateStrengthMeter();
+                };
                 const blurListener = () => this.validateField(field);
                 input.addEventListener('input', inputListener);
                 input.addEventListener('blur', blurListener);
@@ -672,11 +1046,11 @@ class Signup extends BaseComponent {
         }
 
         // Navigation buttons
-        if (loginBtn) {
+        loginBtns.forEach(loginBtn => {
             const loginListener = () => this.handleLogin();
             loginBtn.addEventListener('click', loginListener);
             this.eventListeners.push({ element: loginBtn, event: 'click', listener: loginListener });
-        }
+        });
 
         if (forgotPasswordBtn) {
             const forgotListener = () => this.handleForgotPassword();
@@ -684,6 +1058,28 @@ class Signup extends BaseComponent {
             this.eventListeners.push({ element: forgotPasswordBtn, event: 'click', listener: forgotListener });
         }
 
+        // Verification step buttons
+        const resendBtn = this.container.querySelector('[data-action="verify-resend"]');
+        if (resendBtn) {
+            const resendListener = () => this.sendVerificationEmail();
+            resendBtn.addEventListener('click', resendListener);
+            this.eventListeners.push({ element: resendBtn, event: 'click', listener: resendListener });
+        }
+
+        const verifyBackBtn = this.container.querySelector('[data-action="verify-back"]');
+        if (verifyBackBtn) {
+            const backListener = () => this.showForm();
+            verifyBackBtn.addEventListener('click', backListener);
+            this.eventListeners.push({ element: verifyBackBtn, event: 'click', listener: backListener });
+        }
+
+        // Social sign-in buttons
+        this.container.querySelectorAll('[data-action="oauth"]').forEach(button => {
+            const oauthListener = () => this.handleOAuthSignIn(button.dataset.provider);
+            button.addEventListener('click', oauthListener);
+            this.eventListeners.push({ element: button, event: 'click', listener: oauthListener });
+        });
+
         // Error display event listeners
         this.addErrorEventListeners();
     }
@@ -717,6 +1113,7 @@ class Signup extends BaseComponent {
 
         // Hide any existing errors
         this.hideInlineError();
+        this.serverFieldErrors = {};
 
         // Collect form data
         const formData = new FormData(e.target);
@@ -726,7 +1123,8 @@ class Signup extends BaseComponent {
             password: formData.get('password'),
             repeatPassword: formData.get('repeatPassword'),
             firstName: formData.get('firstName') || '',
-            lastName: formData.get('lastName') || ''
+            lastName: formData.get('lastName') || '',
+            ...this.getExtraFieldValues()
         };
 
         // Validate form
@@ -742,7 +1140,10 @@ class Signup extends BaseComponent {
             const { repeatPassword, ...apiData } = this.formData;
 
             // Direct API call - no DataManager needed
-            const response = await API.postJson('/auth/register', apiData);
+            const response = await API.postJson(this.options.endpoints.register, {
+                ...apiData,
+                verifyUrl: this.getAbsoluteUrl(this.options.ui.verifyEmailPath)
+            });
 
             this.setLoading(false);
 
@@ -751,10 +1152,16 @@ class Signup extends BaseComponent {
                 this.signupAttempts = 0;
                 this.hideSecurityInfo();
 
+                // Account needs activating - the server has emailed a verification link
+                const verificationRequired = !!(response.data && response.data.verificationRequired);
+                if (verificationRequired) {
+                    this.showVerificationPending(this.formData.email);
+                }
+
                 // Success - use inherited success modal or callback
                 if (this.options.events.onSignupSuccess) {
                     this.options.events.onSignupSuccess(response.data, this.formData);
-                } else {
+                } else if (!verificationRequired) {
                     this.showSuccessMessage('Account created successfully!', {
                         autoClose: 3000,
                         onClose: () => {
@@ -767,6 +1174,7 @@ class Signup extends BaseComponent {
                 // Handle failure
                 const errorMessage = this.extractErrorMessage(response);
                 this.handleSignupError(errorMessage, response);
+                this.applyServerFieldErrors(response);
             }
 
         } catch (error) {
@@ -776,6 +1184,163 @@ class Signup extends BaseComponent {
         }
     }
 
+    // ========================================
+    // EMAIL VERIFICATION
+    // ========================================
+
+    /**
+     * Switch to the check-your-inbox step
+     * The register call already sent the first email, so the resend cooldown starts now.
+     */
+    showVerificationPending(email) {
+        this.verification = {
+            email,
+            resendAvailableAt: Date.now() + this.options.ui.resendCooldown * 1000
+        };
+        this.view = 'verify';
+        this.formData = { ...this.formData, password: '', repeatPassword: '' };
+
+        this.hideInlineError();
+        this.hideSecurityInfo();
+        this.render();
+        this.updateResendButton();
+    }
+
+    /**
+     * Return to the signup form
+     */
+    showForm() {
+        this.stopResendCountdown();
+        this.verification = null;
+        this.view = 'form';
+
+        this.hideInlineError();
+        this.render();
+    }
+
+    /**
+     * Ask the server to send the activation email again
+     * A rate-limited response may carry retryAfter (seconds), which sets the cooldown.
+     */
+    async sendVerificationEmail() {
+        if (!this.verification || this.getResendRemaining() > 0) return;
+
+        const verification = this.verification;
+        this.hideInlineError();
+
+        // Block repeat clicks while the request is in flight
+        verification.resendAvailableAt = Date.now() + this.options.ui.resendCooldown * 1000;
+        this.updateResendButton();
+
+        try {
+            const response = await API.postJson(this.options.endpoints.resendVerification, {
+                email: verification.email,
+                verifyUrl: this.getAbsoluteUrl(this.options.ui.verifyEmailPath)
+            });
+
+            if (!response || response.success === false) {
+                verification.resendAvailableAt = response && response.retryAfter
+                    ? Date.now() + response.retryAfter * 1000
+                    : 0;
+                this.updateResendButton();
+                this.showInlineError(this.extractErrorMessage(response));
+                return;
+            }
+
+            this.showSuccessMessage(`We sent a new activation link to ${verification.email}.`, { autoClose: 3000 });
+        } catch (error) {
+            verification.resendAvailableAt = 0;
+            this.updateResendButton();
+            this.showInlineError(this.extractErrorMessage(error));
+        }
+    }
+
+    /**
+     * Seconds until the activation email may be sent again
+     */
+    getResendRemaining() {
+        if (!this.verification) return 0;
+        return Math.max(0, Math.ceil((this.verification.resendAvailableAt - Date.now()) / 1000));
+    }
+
+    /**
+     * Resend button text
+     */
+    getResendLabel() {
+        const remaining = this.getResendRemaining();
+        return remaining > 0 ? `Resend email in ${remaining}s` : 'Resend email';
+    }
+
+    /**
+     * Refresh the resend button without re-rendering; ticks once a second while cooling down
+     */
+    updateResendButton() {
+        const remaining = this.getResendRemaining();
+        const resendBtn = this.container.querySelector('[data-action="verify-resend"]');
+
+        if (resendBtn) {
+            resendBtn.disabled = remaining > 0;
+            resendBtn.textContent = this.getResendLabel();
+        }
+
+        if (remaining === 0) {
+            this.stopResendCountdown();
+        } else if (!this.resendTimer) {
+            this.resendTimer = setInterval(() => this.updateResendButton(), 1000);
+        }
+    }
+
+    /**
+     * Stop the resend cooldown timer
+     */
+    stopResendCountdown() {
+        if (this.resendTimer) {
+            clearInterval(this.resendTimer);
+            this.resendTimer = null;
+        }
+    }
+
+    /**
+     * Sign in with an OAuth / OpenID Connect provider
+     * Popup mode completes here; redirect mode leaves the page and finishes in the /oauth/callback route.
+     */
+    async handleOAuthSignIn(providerName) {
+        this.hideInlineError();
+        this.setProvidersDisabled(true);
+
+        try {
+            const result = await this.getAppConfig().oauth.signIn(providerName, {
+                mode: this.options.oauth.mode || undefined
+            });
+
+            if (result) {
+                // The provider account is the new account - the backend creates it on first sign-in
+                const formData = { provider: result.provider };
+                if (this.options.events.onSignupSuccess) {
+                    this.options.events.onSignupSuccess(result.response.data, formData);
+                } else if (this.getAppConfig()) {
+                    this.getAppConfig().handleLoginSuccess(result.response, formData);
+                }
+            }
+        } catch (error) {
+            // Closing the popup is a deliberate cancel, not an error
+            if (error.code !== 'popup_closed') {
+                this.showInlineError(error.message);
+            }
+        } finally {
+            this.setProvidersDisabled(false);
+        }
+    }
+
+    /**
+     * Enable or disable the provider buttons while a sign-in is in flight
+     */
+    setProvidersDisabled(disabled) {
+        this.container.querySelectorAll('[data-action="oauth"]').forEach(button => {
+            button.disabled = disabled;
+        });
+    }
+
     /**
      * Handle signup error with appropriate display
      */
@@ -801,6 +1366,7 @@ class Signup extends BaseComponent {
         const repeatPasswordInput = this.container.querySelector(`#${Signup.cssNamespace}-repeatPassword`);
         if (passwordInput) passwordInput.value = '';
         if (repeatPasswordInput) repeatPasswordInput.value = '';
+        this.updateStrengthMeter();
     }
 
     /**
@@ -888,7 +1454,8 @@ class Signup extends BaseComponent {
             this.validateField('password'),
             this.validateField('repeatPassword'),
             this.validateField('firstName'),
-            this.validateField('lastName')
+            this.validateField('lastName'),
+            ...this.getExtraFields().map(field => this.validateField(field.name))
         ];
 
         return validations.every(isValid => isValid);
@@ -901,7 +1468,14 @@ class Signup extends BaseComponent {
         const input = this.container.querySelector(`#${Signup.cssNamespace}-${fieldName}`);
         if (!input) return true;
 
-        const value = input.value ? input.value.trim() : '';
+        const value = this.getInputValue(input);
+
+        // Keep showing what the server said about this exact value
+        const serverError = this.serverFieldErrors[fieldName];
+        if (serverError && serverError.value === value) {
+            this.showFieldError(fieldName, serverError.message);
+            return false;
+        }
 
         switch (fieldName) {
             case 'userId':
@@ -916,10 +1490,20 @@ class Signup extends BaseComponent {
             case 'lastName':
                 return this.validateOptionalName(fieldName, value);
             default:
-                return true;
+                return this.validateExtraField(fieldName, value);
         }
     }
 
+    /**
+     * Current value of a form control (checked state for checkboxes, trimmed text otherwise)
+     */
+    getInputValue(input) {
+        if (input.type === 'checkbox') {
+            return input.checked;
+        }
+        return input.value ? input.value.trim() : '';
+    }
+
     /**
      * Validate userId field
      */
@@ -944,8 +1528,7 @@ class Signup extends BaseComponent {
             return false;
         }
 
-        this.clearFieldError('userId');
-        return true;
+        return this.validateAvailability('userId', value);
     }
 
     /**
@@ -963,26 +1546,170 @@ class Signup extends BaseComponent {
             return false;
         }
 
-        this.clearFieldError('email');
-        return true;
+        return this.validateAvailability('email', value);
     }
 
+    // ========================================
+    // ASYNC VALIDATION
+    // ========================================
+
     /**
-     * Validate password field
+     * Apply the availability state of a value that passed the local rules
+     * New values get a debounced check; a value the server reported as taken fails.
      */
-    validatePassword(value) {
-        if (!value) {
-            this.showFieldError('password', 'Password is required');
-            return false;
+    validateAvailability(field, value) {
+        if (!this.options.endpoints[`${field}Availability`]) {
+            this.clearFieldError(field);
+            return true;
+        }
+
+        const state = this.availability[field];
+        if (!state || state.value !== value) {
+            this.scheduleAvailabilityCheck(field, value);
+            return true;
         }
 
-        if (value.length < 8) {
-            this.showFieldError('password', 'Password must be at least 8 characters');
+        if (state.status === 'taken') {
+            this.showFieldError(field, state.message);
             return false;
         }
 
-        if (!/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(value)) {
-            this.showFieldError('password', 'Password must contain at least one lowercase letter, one uppercase letter, and one number');
+        this.showFieldStatus(field, state.status, state.message);
+        return true;
+    }
+
+    /**
+     * Start a debounced availability check, replacing any pending or in-flight one
+     */
+    scheduleAvailabilityCheck(field, value) {
+        this.cancelAvailabilityCheck(field);
+
+        const state = { value, status: 'pending', message: '', timer: null, controller: null };
+        this.availability[field] = state;
+        this.showFieldStatus(field, 'pending');
+
+        state.timer = setTimeout(() => this.checkAvailability(field, state), this.options.ui.availabilityDebounce);
+    }
+
+    /**
+     * Ask the availability endpoint about a value
+     * Responses look like { success: true, data: { available, message } }.
+     */
+    async checkAvailability(field, state) {
+        state.timer = null;
+        state.controller = new AbortController();
+
+        try {
+            const response = await API.postJson(
+                this.options.endpoints[`${field}Availability`],
+                { [field]: state.value },
+                { signal: state.controller.signal }
+            );
+            const data = (response && response.data) || {};
+
+            if (!response || !response.success) {
+                Utils.log('Signup', 'warn', `Availability check failed for ${field}:`, this.extractErrorMessage(response));
+                state.status = 'error';
+            } else if (data.available === false) {
+                state.status = 'taken';
+                state.message = data.message || (field === 'email'
+                    ? 'An account with this email already exists'
+                    : 'This user ID is already taken');
+            } else {
+                state.status = 'available';
+                state.message = data.message || '';
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+
+            Utils.log('Signup', 'warn', `Availability check failed for ${field}:`, error.message);
+            state.status = 'error';
+        }
+
+        state.controller = null;
+
+        // Only update the field if it still holds the checked value
+        const input = this.container.querySelector(`#${Signup.cssNamespace}-${field}`);
+        if (this.availability[field] === state && input && input.value.trim() === state.value) {
+            this.validateField(field);
+        }
+    }
+
+    /**
+     * Cancel a pending or in-flight availability check
+     */
+    cancelAvailabilityCheck(field) {
+        const state = this.availability[field];
+        if (!state) return;
+
+        clearTimeout(state.timer);
+        if (state.controller) {
+            state.controller.abort();
+        }
+        delete this.availability[field];
+    }
+
+    /**
+     * Show a non-error availability status in the field's error slot
+     * @param {string} status - 'pending', 'available' or 'error' (shows nothing)
+     */
+    showFieldStatus(field, status, message = '') {
+        this.clearFieldError(field);
+
+        const statusElement = this.container.querySelector(`#${Signup.cssNamespace}-${field}-error`);
+        if (!statusElement || status === 'error') return;
+
+        statusElement.innerHTML = status === 'pending' ? `
+            <span class="${Signup.cssNamespace}__field-status ${Signup.cssNamespace}__field-status--pending">
+                <i class="fas fa-spinner fa-spin"></i> Checking availability...
+            </span>
+        ` : `
+            <span class="${Signup.cssNamespace}__field-status ${Signup.cssNamespace}__field-status--available">
+                <i class="fas fa-check-circle"></i> ${Utils.escapeHtml(message || 'Available')}
+            </span>
+        `;
+    }
+
+    /**
+     * Show field errors from a failed register response on the matching fields
+     * Accepts errors: [{ field, message }] and/or fieldErrors: { field: message }.
+     * @returns {number} - How many errors matched a field
+     */
+    applyServerFieldErrors(response) {
+        const fieldErrors = {};
+
+        if (response && Array.isArray(response.errors)) {
+            response.errors.forEach(error => {
+                if (error && error.field) {
+                    fieldErrors[error.field] = error.message;
+                }
+            });
+        }
+
+        if (response && response.fieldErrors) {
+            Object.assign(fieldErrors, response.fieldErrors);
+        }
+
+        let matched = 0;
+        Object.entries(fieldErrors).forEach(([field, message]) => {
+            const input = this.container.querySelector(`#${Signup.cssNamespace}-${field}`);
+            if (!input) return;
+
+            this.serverFieldErrors[field] = { value: this.getInputValue(input), message };
+            this.showFieldError(field, message);
+            matched++;
+        });
+
+        return matched;
+    }
+
+    /**
+     * Validate password field
+     */
+    validatePassword(value) {
+        const passwordError = this.getPasswordPolicy().getError(value, this.getPasswordContext());
+        if (passwordError) {
+            this.showFieldError('password', passwordError);
             return false;
         }
 
@@ -997,6 +1724,31 @@ class Signup extends BaseComponent {
         return true;
     }
 
+    /**
+     * User ID and email currently entered, for the policy's user-info rule
+     */
+    getPasswordContext() {
+        const userIdInput = this.container.querySelector(`#${Signup.cssNamespace}-userId`);
+        const emailInput = this.container.querySelector(`#${Signup.cssNamespace}-email`);
+
+        return {
+            userId: userIdInput ? userIdInput.value.trim() : this.formData.userId,
+            email: emailInput ? emailInput.value.trim() : this.formData.email
+        };
+    }
+
+    /**
+     * Refresh the strength meter from the password input
+     */
+    updateStrengthMeter() {
+        const meter = this.container.querySelector(`#${Signup.cssNamespace}-strength`);
+        const passwordInput = this.container.querySelector(`#${Signup.cssNamespace}-password`);
+        if (!meter || !passwordInput) return;
+
+        this.formData.password = passwordInput.value;
+        meter.innerHTML = this.generateStrengthMeterHTML();
+    }
+
     /**
      * Validate repeat password field
      */
@@ -1032,6 +1784,111 @@ class Signup extends BaseComponent {
         return true;
     }
 
+    // ========================================
+    // EXTRA FIELDS
+    // ========================================
+
+    /**
+     * Valid field definitions from options.fields (resolved once)
+     */
+    getExtraFields() {
+        if (!this.extraFields) {
+            this.extraFields = this.options.fields.filter(field => {
+                const valid = !!field && /^[A-Za-z][\w-]*$/.test(field.name || '') &&
+                    !Signup.reservedFieldNames.includes(field.name) &&
+                    Signup.extraFieldTypes.includes(field.type || 'text');
+
+                if (!valid) {
+                    Utils.log('Signup', 'warn', 'Ignoring invalid field definition:', field && field.name);
+                }
+                return valid;
+            }).map(field => ({ type: 'text', ...field }));
+        }
+
+        return this.extraFields;
+    }
+
+    /**
+     * Initial extra field values: defaultValue, replaced by the URL query parameter when present
+     * (e.g. an invitation code from ?invite=...)
+     */
+    getExtraFieldDefaults() {
+        const route = this.options.route;
+        const search = new URLSearchParams(window.location.search);
+
+        return this.getExtraFields().reduce((values, field) => {
+            let value = field.type === 'checkbox'
+                ? !!field.defaultValue
+                : (field.defaultValue !== undefined ? String(field.defaultValue) : '');
+
+            if (field.queryParam) {
+                const param = route && route.query && route.query[field.queryParam] !== undefined
+                    ? route.query[field.queryParam]
+                    : search.get(field.queryParam);
+                if (param !== null && param !== undefined) {
+                    value = field.type === 'checkbox' ? param === 'true' || param === '1' : param;
+                }
+            }
+
+            values[field.name] = value;
+            return values;
+        }, {});
+    }
+
+    /**
+     * Extra field values from the form
+     */
+    getExtraFieldValues() {
+        return this.getExtraFields().reduce((values, field) => {
+            const input = this.container.querySelector(`#${Signup.cssNamespace}-${field.name}`);
+            values[field.name] = input ? this.getInputValue(input) : this.formData[field.name];
+            return values;
+        }, {});
+    }
+
+    /**
+     * Validate an extra field against its definition
+     */
+    validateExtraField(fieldName, value) {
+        const field = this.getExtraFields().find(candidate => candidate.name === fieldName);
+        if (!field) return true;
+
+        const label = field.label || field.name;
+        let error = null;
+
+        if (field.type === 'checkbox') {
+            if (field.required && !value) {
+                error = field.requiredMessage || 'You must accept this to continue';
+            }
+        } else if (!value) {
+            if (field.required) {
+                error = field.requiredMessage || `${label} is required`;
+            }
+        } else if (field.type === 'email' && !Utils.isValidEmail(value)) {
+            error = 'Please enter a valid email address';
+        } else if (field.minLength && value.length < field.minLength) {
+            error = `${label} must be at least ${field.minLength} characters`;
+        } else if (field.maxLength && value.length > field.maxLength) {
+            error = `${label} must be ${field.maxLength} characters or less`;
+        } else if (field.pattern && !new RegExp(field.pattern).test(value)) {
+            error = field.patternMessage || `Please enter a valid ${label.toLowerCase()}`;
+        } else if (field.type === 'select' && !this.getSelectOptions(field).some(option => option.value === value)) {
+            error = `Please select a valid ${label.toLowerCase()}`;
+        }
+
+        if (!error && typeof field.validate === 'function') {
+            error = field.validate(value, this.formData) || null;
+        }
+
+        if (error) {
+            this.showFieldError(fieldName, error);
+            return false;
+        }
+
+        this.clearFieldError(fieldName);
+        return true;
+    }
+
     /**
      * Show field-specific error
      */
@@ -1040,7 +1897,8 @@ class Signup extends BaseComponent {
         const inputElement = this.container.querySelector(`#${Signup.cssNamespace}-${field}`);
 
         if (errorElement) {
-            errorElement.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${message}`;
+            // Messages can come from the server (availability check, register field errors)
+            errorElement.innerHTML = `<i class="fas fa-exclamation-circle"></i> ${Utils.escapeHtml(message)}`;
         }
 
         if (inputElement) {
@@ -1093,8 +1951,7 @@ class Signup extends BaseComponent {
         if (this.options.events.onLogin) {
             this.options.events.onLogin();
         } else {
-            // Default behavior - could redirect to /login
-            console.log('Navigate to login');
+            this.navigate(this.options.ui.loginPath);
         }
     }
 
@@ -1128,6 +1985,10 @@ class Signup extends BaseComponent {
         // Hide any open inline errors
         this.hideInlineError();
 
+        // Stop pending availability checks and the resend countdown
+        Object.keys(this.availability).forEach(field => this.cancelAvailabilityCheck(field));
+        this.stopResendCountdown();
+
         // Call parent destroy
         super.destroy();
     }
@@ -1150,8 +2011,27 @@ class Signup extends BaseComponent {
                 borderBox : "none",
                 innerPadding: '32px',
                 preferredWidth: '780px',
-                preferredHeight: '650px'
-            }
+                preferredHeight: '650px',
+                showStrengthMeter: true,
+                availabilityDebounce: 400, // ms after typing stops before checking userId/email availability
+                verifyTitle: 'Check your inbox',
+                verifySubtitle: 'One more step to activate your account',
+                verifyEmailPath: '/verify-email', // Route the emailed activation link opens
+                loginPath: '/login', // Where "Sign in" goes unless events.onLogin is set
+                resendCooldown: 60 // Seconds between activation email resends
+            },
+            endpoints: {
+                register: '/auth/register',
+                userIdAvailability: '/auth/availability/user-id',
+                emailAvailability: '/auth/availability/email',
+                resendVerification: '/auth/email/resend'
+            },
+            oauth: {
+                providers: [],
+                mode: '',
+                dividerText: 'or sign up with'
+            },
+            fields: []
         };
     }
 }
@@ -1188,8 +2068,27 @@ if (typeof window !== 'undefined') {
       "borderBox" : "none",
       "innerPadding": "32px",
       "preferredWidth": "780px",
-      "preferredHeight": "650px"
-    }
+      "preferredHeight": "650px",
+      "showStrengthMeter": true,
+      "availabilityDebounce": 400,
+      "verifyTitle": "Check your inbox",
+      "verifySubtitle": "One more step to activate your account",
+      "verifyEmailPath": "/verify-email",
+      "loginPath": "/login",
+      "resendCooldown": 60
+    },
+    "endpoints": {
+      "register": "/auth/register",
+      "userIdAvailability": "/auth/availability/user-id",
+      "emailAvailability": "/auth/availability/email",
+      "resendVerification": "/auth/email/resend"
+    },
+    "oauth": {
+      "providers": [],
+      "mode": "",
+      "dividerText": "or sign up with"
+    },
+    "fields": []
   }
 }
 __END_OF_JSON_SPECIFICATION__ */
\ No newline at end of file
@@ -0,0 +1,323 @@
+/**
+ * VerifyEmail Component - Extends BaseComponent
+ * Target of the activation link emailed after Signup: consumes the token from the
+ * URL (?token=...) and, once the account is active, prompts the user to sign in.
+ * Expired or used links send the user to Login, which offers a new link when the
+ * account is still unverified.
+ */
+
+class VerifyEmail extends BaseComponent {
+    static cssNamespace = 'verify-email-h6t3';
+    static cssFile = ''; // Can be set to external CSS file path
+
+    constructor(container, options = {}) {
+        super(container, options);
+
+        this.token = this.getToken();
+
+        // 'verifying', 'success', 'expired', 'invalid' or 'error'
+        this.view = this.token ? 'verifying' : 'invalid';
+        this.errorMessage = '';
+    }
+
+    /**
+     * Add the endpoints option section
+     */
+    mergeDefaultOptions(options) {
+        const merged = super.mergeDefaultOptions(options);
+
+        merged.endpoints = {
+            verify: '/auth/email/verify',
+            ...options.endpoints
+        };
+
+        return merged;
+    }
+
+    /**
+     * Override needsDataManager since VerifyEmail doesn't need data management
+     */
+    needsDataManager() {
+        return false;
+    }
+
+    /**
+     * Read the verification token from the route query, or from the page URL when not routed
+     */
+    getToken() {
+        const route = this.options.route;
+        if (route && route.query && route.query.token) {
+            return route.query.token;
+        }
+
+        return new URLSearchParams(window.location.search).get('token');
+    }
+
+    /**
+     * Generate verification status HTML
+     */
+    generateHTML() {
+        const ns = VerifyEmail.cssNamespace;
+        const { ui } = this.options;
+
+        if (this.view === 'verifying') {
+            return `
+                <div class="${ns}">
+                    <div class="${ns}__container">
+                        <div class="loading-spinner"></div>
+                        <p class="text-secondary">Activating your account...</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        const views = {
+            success: { icon: 'fa-check', tone: 'success', title: ui.successTitle, message: ui.successMessage },
+            expired: { icon: 'fa-hourglass-end', tone: 'warning', title: ui.expiredTitle, message: ui.expiredMessage },
+            invalid: { icon: 'fa-unlink', tone: 'warning', title: ui.invalidTitle, message: ui.invalidMessage },
+            error: { icon: 'fa-exclamation-triangle', tone: 'error', title: ui.errorTitle, message: Utils.escapeHtml(this.errorMessage) }
+        };
+        const { icon, tone, title, message } = views[this.view];
+
+        return `
+            <div class="${ns}">
+                <div class="${ns}__container">
+                    <div class="${ns}__icon ${ns}__icon--${tone}">
+                        <i class="fas ${icon}"></i>
+                    </div>
+                    <h1 class="${ns}__title">${title}</h1>
+                    <p class="${ns}__message text-secondary">${message}</p>
+                    <div class="${ns}__actions">
+                        ${this.view === 'error' ? `
+                            <button type="button" class="btn btn-secondary" data-action="retry">
+                                <i class="fas fa-redo"></i>
+                                Try again
+                            </button>
+                        ` : ''}
+                        <button type="button" class="btn btn-primary" data-action="login">
+                            <i class="fas fa-sign-in-alt"></i>
+                            ${this.view === 'success' ? 'Sign in' : 'Go to sign in'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Component CSS
+     */
+    getInlineCSS() {
+        const ns = VerifyEmail.cssNamespace;
+
+        return `
+            ${super.getInlineCSS()}
+
+            .${ns} {
+                width: 100%;
+                min-height: 100%;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 32px;
+                box-sizing: border-box;
+            }
+
+            .${ns}__container {
+                max-width: 480px;
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                text-align: center;
+            }
+
+            .${ns}__icon {
+                width: 64px;
+                height: 64px;
+                margin: 0 auto 16px;
+                border-radius: 50%;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-size: 28px;
+            }
+
+            .${ns}__icon--success {
+                background: rgba(76, 175, 80, 0.12);
+                color: #388e3c;
+            }
+
+            .${ns}__icon--warning {
+                background: rgba(255, 152, 0, 0.12);
+                color: #ef6c00;
+            }
+
+            .${ns}__icon--error {
+                background: rgba(244, 67, 54, 0.1);
+                color: #f44336;
+            }
+
+            .${ns}__title {
+                margin: 0 0 8px 0;
+                font-size: 24px;
+            }
+
+            .${ns}__message {
+                margin: 0;
+                line-height: 1.5;
+            }
+
+            .${ns}__actions {
+                display: flex;
+                gap: 12px;
+                justify-content: center;
+                margin-top: 24px;
+            }
+        `;
+    }
+
+    /**
+     * Add event listeners
+     */
+    addEventListeners() {
+        const loginBtn = this.container.querySelector('[data-action="login"]');
+        const retryBtn = this.container.querySelector('[data-action="retry"]');
+
+        if (loginBtn) {
+            const loginListener = () => this.handleLogin();
+            loginBtn.addEventListener('click', loginListener);
+            this.eventListeners.push({ element: loginBtn, event: 'click', listener: loginListener });
+        }
+
+        if (retryBtn) {
+            const retryListener = () => this.verify();
+            retryBtn.addEventListener('click', retryListener);
+            this.eventListeners.push({ element: retryBtn, event: 'click', listener: retryListener });
+        }
+    }
+
+    /**
+     * Consume the token
+     * Failures are told apart by code TOKEN_EXPIRED / TOKEN_INVALID.
+     */
+    async verify() {
+        if (this.view !== 'verifying') {
+            this.setView('verifying');
+        }
+
+        try {
+            const response = await API.postJson(this.options.endpoints.verify, { token: this.token });
+
+            if (response && response.success) {
+                Utils.log('VerifyEmail', 'log', 'Email verified');
+                this.setView('success');
+
+                if (this.options.events.onVerified) {
+                    this.options.events.onVerified(response.data);
+                }
+                return;
+            }
+
+            if (response && response.code === 'TOKEN_EXPIRED') {
+                this.setView('expired');
+            } else if (response && response.code === 'TOKEN_INVALID') {
+                this.setView('invalid');
+            } else {
+                this.errorMessage = this.extractErrorMessage(response);
+                this.setView('error');
+            }
+        } catch (error) {
+            this.errorMessage = this.extractErrorMessage(error);
+            this.setView('error');
+        }
+    }
+
+    /**
+     * Switch view and re-render
+     */
+    setView(view) {
+        this.view = view;
+        this.render();
+    }
+
+    /**
+     * Go to the login page
+     */
+    handleLogin() {
+        if (this.options.events.onLogin) {
+            this.options.events.onLogin();
+        } else {
+            this.navigate(this.options.ui.loginPath);
+        }
+    }
+
+    /**
+     * Initialize component after render
+     */
+    initialize() {
+        if (this.view === 'verifying') {
+            this.verify();
+        }
+    }
+
+    /**
+     * Get default options
+     */
+    static getDefaultOptions() {
+        return {
+            ui: {
+                successTitle: 'Email verified',
+                successMessage: 'Your account is now active. Sign in to get started.',
+                expiredTitle: 'Link expired',
+                expiredMessage: 'This activation link has expired. Sign in with your account and we will offer to send a new one.',
+                invalidTitle: 'Invalid link',
+                invalidMessage: 'This activation link is invalid or has already been used. If your account is already active, just sign in.',
+                errorTitle: 'Could not verify your email',
+                loginPath: '/login',
+                showLoading: false, // VerifyEmail handles its own loading state
+                showError: false    // VerifyEmail handles its own errors
+            },
+            endpoints: {
+                verify: '/auth/email/verify'
+            }
+        };
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VerifyEmail;
+}
+
+if (typeof window !== 'undefined') {
+    window.VerifyEmail = VerifyEmail;
+    console.log('✅ VerifyEmail component (extends BaseComponent) loaded');
+}
+
+/* __START_OF_JSON_SPECIFICATION__
+{
+  "name": "VerifyEmail",
+  "type": "verify-email",
+  "options": {
+    "ui": {
+      "successTitle": "Email verified",
+      "successMessage": "Your account is now active. Sign in to get started.",
+      "expiredTitle": "Link expired",
+      "expiredMessage": "This activation link has expired. Sign in with your account and we will offer to send a new one.",
+      "invalidTitle": "Invalid link",
+      "invalidMessage": "This activation link is invalid or has already been used. If your account is already active, just sign in.",
+      "errorTitle": "Could not verify your email",
+      "loginPath": "/login",
+      "showLoading": false,
+      "showError": false
+    },
+    "endpoints": {
+      "verify": "/auth/email/verify"
+    }
+  }
+}
+__END_OF_JSON_SPECIFICATION__ */
@@ -0,0 +1,629 @@
+/**
+ * AccordionContainer Component - Extends BaseComponent
+ * Vertical stack of collapsible sections, each hosting a child component in a slot named
+ * after the section. In single mode opening a section closes the others; in multiple mode
+ * sections open independently. A section's child is mounted the first time it is opened
+ * (ui.deferMount) so heavy children don't load until needed, and can be unmounted again
+ * when it collapses. Open sections are remembered per container in localStorage, and
+ * sections animate their height when they open or close.
+ */
+
+class AccordionContainer extends BaseComponent {
+    static cssNamespace = 'accordion-container';
+
+    // localStorage key prefix for open sections, followed by ui.storageKey or the container ID
+    static storageKey = '_tillo_ai_accordion_';
+
+    static events = {
+        onToggle: null      // ({ name, open, openSections })
+    };
+
+    constructor(container, options = {}) {
+        super(container, options);
+
+        // Slot declaration per section name (layout children plus ui.sections components)
+        this.sectionSlots = { ...this.options.slots };
+
+        this.sections = this.normalizeSections(this.options.ui.sections);
+        this.openSections = this.loadOpenSections();
+
+        // Sections whose child is mounted (deferred until first opened)
+        this.mountedSections = new Set(this.options.ui.deferMount
+            ? this.openSections
+            : this.sections.map(section => section.name));
+
+        // Sections still visible while their close animation runs
+        this.closingSections = new Set();
+        this.animationTimers = {};
+
+        this.syncSectionSlots();
+    }
+
+    /**
+     * Override needsDataManager since AccordionContainer doesn't need data management
+     */
+    needsDataManager() {
+        return false;
+    }
+
+    /**
+     * Generate accordion HTML
+     */
+    generateHTML() {
+        const ns = AccordionContainer.cssNamespace;
+
+        return `
+            <div class="${ns}">
+                ${this.sections.map(section => this.generateSectionHTML(section)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Generate one section: heading button and region (with the slot once mounted)
+     */
+    generateSectionHTML(section) {
+        const ns = AccordionContainer.cssNamespace;
+        const open = this.isOpen(section.name);
+        const visible = open || this.closingSections.has(section.name);
+        const locked = open && !this.canClose(section.name);
+        const headerId = this.getHeaderId(section.name);
+        const regionId = this.getRegionId(section.name);
+
+        return `
+            <div class="${ns}__section${open ? ` ${ns}__section--open` : ''}" data-section="${section.name}">
+                <h3 class="${ns}__heading">
+                    <button
+                        type="button"
+                        class="${ns}__header"
+                        id="${headerId}"
+                        aria-expanded="${open}"
+                        aria-controls="${regionId}"
+                        data-action="toggle-section"
+                        ${locked ? 'aria-disabled="true"' : ''}
+                        ${section.disabled ? 'disabled' : ''}
+                    >
+                        ${section.icon ? `<i class="fas ${Utils.escapeHtml(section.icon)} ${ns}__icon" aria-hidden="true"></i>` : ''}
+                        <span class="${ns}__titles">
+                            <span class="${ns}__title">${Utils.escapeHtml(section.title)}</span>
+                            ${section.subtitle ? `<span class="${ns}__subtitle">${Utils.escapeHtml(section.subtitle)}</span>` : ''}
+                        </span>
+                        <i class="fas fa-chevron-down ${ns}__chevron" aria-hidden="true"></i>
+                    </button>
+                </h3>
+                <div class="${ns}__region" id="${regionId}" role="region" aria-labelledby="${headerId}" ${visible ? '' : 'hidden'}>
+                    <div class="${ns}__content">
+                        ${this.mountedSections.has(section.name) ? `<div class="${ns}__pane" data-slot="${section.name}"></div>` : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Element IDs for a section's header and region
+     */
+    getHeaderId(name) {
+        return `${this.containerId || AccordionContainer.cssNamespace}-header-${name}`;
+    }
+
+    getRegionId(name) {
+        return `${this.containerId || AccordionContainer.cssNamespace}-region-${name}`;
+    }
+
+    /**
+     * A section's region element
+     */
+    getRegion(name) {
+        return this.container.querySelector(`[id="${this.getRegionId(name)}"]`);
+    }
+
+    /**
+     * Component CSS
+     */
+    getInlineCSS() {
+        const ns = AccordionContainer.cssNamespace;
+        const { gap, backgroundColor, headerBackgroundColor, contentPadding, animationDuration } = this.options.ui;
+
+        return `
+            ${super.getInlineCSS()}
+
+            .${ns} {
+                width: 100%;
+                display: flex;
+                flex-direction: column;
+                gap: ${gap};
+            }
+
+            .${ns}__section {
+                background: ${backgroundColor};
+                border: 1px solid #e0e0e0;
+                border-radius: 8px;
+                overflow: hidden;
+            }
+
+            .${ns}__heading {
+                margin: 0;
+                font-size: inherit;
+            }
+
+            .${ns}__header {
+                width: 100%;
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 14px 16px;
+                border: none;
+                background: ${headerBackgroundColor};
+                color: inherit;
+                font-size: 15px;
+                font-weight: 600;
+                text-align: left;
+                cursor: pointer;
+            }
+
+            .${ns}__header:focus-visible {
+                outline: 2px solid #1976d2;
+                outline-offset: -2px;
+            }
+
+            .${ns}__header:disabled {
+                color: #aaa;
+                cursor: not-allowed;
+            }
+
+            .${ns}__header[aria-disabled="true"] {
+                cursor: default;
+            }
+
+            .${ns}__icon {
+                color: #1976d2;
+            }
+
+            .${ns}__titles {
+                flex: 1;
+                min-width: 0;
+                display: flex;
+                flex-direction: column;
+                gap: 2px;
+            }
+
+            .${ns}__subtitle {
+                font-size: 13px;
+                font-weight: normal;
+                color: #777;
+            }
+
+            .${ns}__chevron {
+                color: #999;
+                transition: transform ${animationDuration}ms ease;
+            }
+
+            .${ns}__section--open .${ns}__chevron {
+                transform: rotate(180deg);
+            }
+
+            .${ns}__region {
+                overflow: hidden;
+                transition: height ${animationDuration}ms ease;
+            }
+
+            .${ns}__region[hidden] {
+                display: none;
+            }
+
+            .${ns}__content {
+                padding: ${contentPadding};
+                border-top: 1px solid #eee;
+            }
+
+            @media (prefers-reduced-motion: reduce) {
+                .${ns}__region,
+                .${ns}__chevron {
+                    transition: none;
+                }
+            }
+        `;
+    }
+
+    /**
+     * Add event listeners
+     */
+    addEventListeners() {
+        this.container.querySelectorAll(`.${AccordionContainer.cssNamespace}__section`).forEach(element => {
+            const name = element.dataset.section;
+            const header = element.querySelector('[data-action="toggle-section"]');
+
+            const clickListener = () => this.toggleSection(name);
+            const keydownListener = (e) => this.handleHeaderKeydown(e, name);
+
+            header.addEventListener('click', clickListener);
+            header.addEventListener('keydown', keydownListener);
+            this.eventListeners.push({ element: header, event: 'click', listener: clickListener });
+            this.eventListeners.push({ element: header, event: 'keydown', listener: keydownListener });
+        });
+    }
+
+    // ========================================
+    // SECTIONS
+    // ========================================
+
+    /**
+     * Normalize section definitions, skipping invalid or duplicate names
+     * @returns {Array<object>} - { name, title, subtitle, icon, disabled, open }
+     */
+    normalizeSections(definitions) {
+        const sections = [];
+
+        (Array.isArray(definitions) ? definitions : []).forEach(definition => {
+            const valid = Utils.isObject(definition) &&
+                BaseComponent.slotNamePattern.test(definition.name || '') &&
+                !sections.some(section => section.name === definition.name);
+
+            if (!valid) {
+                Utils.log('AccordionContainer', 'warn', 'Skipping invalid or duplicate section:', definition);
+                return;
+            }
+
+            if (definition.componentClass && !this.sectionSlots[definition.name]) {
+                this.sectionSlots[definition.name] = { componentClass: definition.componentClass, options: definition.options || {} };
+            }
+
+            sections.push({
+                name: definition.name,
+                title: definition.title || definition.name,
+                subtitle: definition.subtitle || '',
+                icon: definition.icon || '',
+                disabled: !!definition.disabled,
+                open: !!definition.open
+            });
+        });
+
+        return sections;
+    }
+
+    /**
+     * Point options.slots at the sections' declarations
+     */
+    syncSectionSlots() {
+        this.setSlots(this.sections.map(section => section.name), this.sectionSlots);
+    }
+
+    /**
+     * Get a section by name
+     */
+    getSection(name) {
+        return this.sections.find(section => section.name === name) || null;
+    }
+
+    /**
+     * Names of the open sections, in section order
+     */
+    getOpenSections() {
+        return this.sections.filter(section => this.isOpen(section.name)).map(section => section.name);
+    }
+
+    isOpen(name) {
+        return this.openSections.includes(name);
+    }
+
+    /**
+     * Whether an open section may be closed (single mode without ui.collapsible keeps one open)
+     */
+    canClose(name) {
+        return this.options.ui.multiple || this.options.ui.collapsible || !this.isOpen(name);
+    }
+
+    /**
+     * Open or close a section
+     */
+    toggleSection(name) {
+        return this.isOpen(name) ? this.closeSection(name) : this.openSection(name);
+    }
+
+    /**
+     * Open a section (in single mode, closing the open one)
+     * @returns {boolean} - Whether anything changed
+     */
+    openSection(name) {
+        const section = this.getSection(name);
+        if (!section || section.disabled || this.isOpen(name)) return false;
+
+        const closing = this.options.ui.multiple ? [] : this.openSections.slice();
+        this.setOpenSections(this.options.ui.multiple ? [...this.openSections, name] : [name], { opening: [name], closing });
+        closing.forEach(closed => this.notifyToggle(closed, false));
+        this.notifyToggle(name, true);
+        return true;
+    }
+
+    /**
+     * Close a section
+     * @returns {boolean} - Whether anything changed
+     */
+    closeSection(name) {
+        if (!this.isOpen(name) || !this.canClose(name)) return false;
+
+        this.setOpenSections(this.openSections.filter(open => open !== name), { opening: [], closing: [name] });
+        this.notifyToggle(name, false);
+        return true;
+    }
+
+    /**
+     * Open every enabled section (multiple mode only)
+     */
+    expandAll() {
+        if (!this.options.ui.multiple) return;
+
+        const opening = this.sections.filter(section => !section.disabled && !this.isOpen(section.name)).map(section => section.name);
+        if (opening.length === 0) return;
+
+        this.setOpenSections([...this.openSections, ...opening], { opening, closing: [] });
+        opening.forEach(name => this.notifyToggle(name, true));
+    }
+
+    /**
+     * Close every section that may be closed
+     */
+    collapseAll() {
+        const closing = this.openSections.filter(name => this.canClose(name));
+        if (closing.length === 0) return;
+
+        this.setOpenSections(this.openSections.filter(name => !closing.includes(name)), { opening: [], closing });
+        closing.forEach(name => this.notifyToggle(name, false));
+    }
+
+    /**
+     * Apply a new set of open sections: mount newly opened children, re-render, animate
+     * and remember the state
+     */
+    setOpenSections(openSections, { opening, closing }) {
+        this.openSections = openSections;
+
+        opening.forEach(name => {
+            this.mountedSections.add(name);
+            this.closingSections.delete(name);
+        });
+
+        const animate = this.shouldAnimate();
+        if (animate) {
+            closing.forEach(name => this.closingSections.add(name));
+        } else {
+            closing.forEach(name => this.finishClosing(name, false));
+        }
+
+        this.render();
+
+        if (animate) {
+            closing.forEach(name => this.animateRegion(name, false));
+
+            // A deferred child mounts after the render, so measure the opening regions once
+            // the slots are synced and keep them collapsed until then
+            opening.forEach(name => {
+                const region = this.getRegion(name);
+                if (region) region.style.height = '0px';
+            });
+            this.slotsSynced.then(() => {
+                opening
+                    .filter(name => !this.destroyed && this.isOpen(name))
+                    .forEach(name => this.animateRegion(name, true));
+            });
+        }
+
+        this.saveOpenSections();
+    }
+
+    /**
+     * Tell listeners a section opened or closed
+     */
+    notifyToggle(name, open) {
+        if (this.options.events.onToggle) {
+            this.options.events.onToggle({ name, open, openSections: this.getOpenSections() });
+        }
+    }
+
+    /**
+     * Up/Down/Home/End move focus between section headers
+     */
+    handleHeaderKeydown(e, name) {
+        const headers = Array.from(this.container.querySelectorAll('[data-action="toggle-section"]:not([disabled])'));
+        const index = headers.findIndex(header => header.closest('[data-section]').dataset.section === name);
+        const targets = {
+            ArrowDown: headers[(index + 1) % headers.length],
+            ArrowUp: headers[(index - 1 + headers.length) % headers.length],
+            Home: headers[0],
+            End: headers[headers.length - 1]
+        };
+
+        if (targets[e.key]) {
+            e.preventDefault();
+            targets[e.key].focus();
+        }
+    }
+
+    // ========================================
+    // ANIMATION
+    // ========================================
+
+    /**
+     * Whether to animate height changes (not when disabled or the user prefers reduced motion)
+     */
+    shouldAnimate() {
+        if (!this.options.ui.animationDuration) return false;
+
+        return !(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    /**
+     * Animate a region between 0 and its content height, then leave it at auto height
+     * (or hidden, once closed)
+     */
+    animateRegion(name, open) {
+        const region = this.getRegion(name);
+        if (!region) return;
+
+        clearTimeout(this.animationTimers[name]);
+
+        const fullHeight = `${region.scrollHeight}px`;
+        region.style.height = open ? '0px' : fullHeight;
+        region.getBoundingClientRect(); // Commit the start height so the change transitions
+        region.style.height = open ? fullHeight : '0px';
+
+        // transitionend is not guaranteed (hidden tab, interrupted transition), so use a timer
+        this.animationTimers[name] = setTimeout(() => {
+            delete this.animationTimers[name];
+            region.style.height = '';
+
+            if (!open) {
+                this.finishClosing(name, true);
+            }
+        }, this.options.ui.animationDuration + 20);
+    }
+
+    /**
+     * Hide a closed region and, with ui.unmountOnCollapse, unmount its child
+     * @param {boolean} rerender - Re-render now (false when a render follows anyway)
+     */
+    finishClosing(name, rerender) {
+        if (this.destroyed || this.isOpen(name)) return;
+
+        this.closingSections.delete(name);
+        if (this.options.ui.unmountOnCollapse) {
+            this.mountedSections.delete(name);
+        }
+
+        if (rerender) {
+            this.render();
+        }
+    }
+
+    // ========================================
+    // REMEMBERED STATE
+    // ========================================
+
+    /**
+     * localStorage key for this accordion, or null when state is not remembered
+     */
+    getStateKey() {
+        const { rememberState, storageKey } = this.options.ui;
+        const key = storageKey || (this.container && this.container.id);
+        return rememberState && key ? AccordionContainer.storageKey + key : null;
+    }
+
+    /**
+     * Open sections from the last visit, or the sections defined as open
+     */
+    loadOpenSections() {
+        let names = this.sections.filter(section => section.open).map(section => section.name);
+        const key = this.getStateKey();
+
+        if (key) {
+            try {
+                const saved = JSON.parse(localStorage.getItem(key));
+                if (Array.isArray(saved)) {
+                    names = saved;
+                }
+            } catch (error) {
+                this.log('Could not read accordion state:', error.message);
+            }
+        }
+
+        names = names.filter(name => {
+            const section = this.getSection(name);
+            return section && !section.disabled;
+        });
+        if (!this.options.ui.multiple) {
+            names = names.slice(0, 1);
+        }
+
+        // Single mode without collapsible always shows one section
+        if (names.length === 0 && !this.options.ui.multiple && !this.options.ui.collapsible) {
+            const first = this.sections.find(section => !section.disabled);
+            if (first) names = [first.name];
+        }
+
+        return names;
+    }
+
+    /**
+     * Remember the open sections
+     */
+    saveOpenSections() {
+        const key = this.getStateKey();
+        if (!key) return;
+
+        try {
+            localStorage.setItem(key, JSON.stringify(this.openSections));
+        } catch (error) {
+            this.log('Could not save accordion state:', error.message);
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        Object.values(this.animationTimers).forEach(timer => clearTimeout(timer));
+        this.animationTimers = {};
+        super.destroy();
+    }
+
+    /**
+     * Get default options
+     */
+    static getDefaultOptions() {
+        return {
+            ui: {
+                sections: [],               // [{ name, title, subtitle, icon, open, disabled, componentClass, options }]
+                multiple: false,            // Allow several open sections
+                collapsible: true,          // Single mode: allow closing the open section
+                deferMount: true,           // Mount a section's child when it is first opened
+                unmountOnCollapse: false,   // Unmount a section's child when it closes
+                rememberState: true,        // Remember open sections per container ID
+                storageKey: '',             // Storage key to use instead of the container ID
+                animationDuration: 250,     // ms; 0 disables the height animation
+                gap: '8px',
+                backgroundColor: '#fff',
+                headerBackgroundColor: '#fafafa',
+                contentPadding: '16px'
+            }
+        };
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AccordionContainer;
+}
+
+if (typeof window !== 'undefined') {
+    window.AccordionContainer = AccordionContainer;
+    console.log('✅ AccordionContainer component loaded');
+}
+
+/* __START_OF_JSON_SPECIFICATION__
+{
+  "name": "AccordionContainer",
+  "type": "accordion-container",
+  "slotsOption": "ui.sections",
+  "options": {
+    "ui": {
+      "sections": [],
+      "multiple": false,
+      "collapsible": true,
+      "deferMount": true,
+      "unmountOnCollapse": false,
+      "rememberState": true,
+      "storageKey": "",
+      "animationDuration": 250,
+      "gap": "8px",
+      "backgroundColor": "#fff",
+      "headerBackgroundColor": "#fafafa",
+      "contentPadding": "16px"
+    }
+  }
+}
+__END_OF_JSON_SPECIFICATION__ */
@@ -0,0 +1,1078 @@
+/**
+ * DashboardContainer Component - Extends BaseComponent
+ * Grid of widget panes, each hosting a mounted child component in a slot named after
+ * the widget. In edit mode users can drag widgets by their header, resize them from the
+ * corner, move/resize them with the keyboard, add widgets from ui.catalog and remove them.
+ * Positions snap to grid cells; overlapping widgets are pushed down and the grid is then
+ * compacted upwards.
+ *
+ * The layout ({ widgets: [{ name, type, x, y, w, h }] }) is saved per user through the
+ * API client and restored before the first render. Only positions are saved - components
+ * and options always come from ui.widgets / ui.catalog, never from the server.
+ */
+
+class DashboardContainer extends BaseComponent {
+    static cssNamespace = 'dashboard-container';
+
+    static events = {
+        onLayoutChange: null,   // (layout)
+        onWidgetAdd: null,      // (widget)
+        onWidgetRemove: null    // (widget)
+    };
+
+    constructor(container, options = {}) {
+        super(container, options);
+
+        this.editing = !!this.options.ui.editMode;
+
+        // Active pointer move/resize: { kind, name, pointerId, startX, startY, origin, snapshot, stepX, stepY }
+        this.interaction = null;
+        this.saveTimer = null;
+
+        // Slot declaration per widget name, kept so a widget's child is only re-mounted
+        // when the widget itself is re-added (layout children plus ui.widgets components)
+        this.widgetSlots = { ...this.options.slots };
+        (Array.isArray(this.options.ui.widgets) ? this.options.ui.widgets : []).forEach(definition => {
+            if (Utils.isObject(definition) && definition.componentClass && !this.widgetSlots[definition.name]) {
+                this.widgetSlots[definition.name] = { componentClass: definition.componentClass, options: definition.options || {} };
+            }
+        });
+
+        this.defaultWidgets = this.normalizeWidgets(this.options.ui.widgets);
+        this.widgets = this.cloneWidgets(this.defaultWidgets);
+        this.syncWidgetSlots();
+    }
+
+    /**
+     * Add the endpoints option section
+     */
+    mergeDefaultOptions(options) {
+        const merged = super.mergeDefaultOptions(options);
+
+        merged.endpoints = {
+            layout: '/dashboard/layouts/{key}',
+            ...options.endpoints
+        };
+
+        return merged;
+    }
+
+    /**
+     * Restore the saved layout before the first render so children mount once, in place
+     */
+    async init() {
+        await this.loadLayout();
+        return super.init();
+    }
+
+    /**
+     * Override needsDataManager since DashboardContainer doesn't need data management
+     */
+    needsDataManager() {
+        return false;
+    }
+
+    /**
+     * Generate dashboard HTML
+     */
+    generateHTML() {
+        const ns = DashboardContainer.cssNamespace;
+        const { columns, rowHeight, gap } = this.options.ui;
+
+        return `
+            <div class="${ns}${this.editing ? ` ${ns}--editing` : ''}${this.interaction ? ` ${ns}--${this.interaction.kind}` : ''}">
+                ${this.options.ui.editable ? this.generateToolbarHTML() : ''}
+                <div
+                    class="${ns}__grid"
+                    style="--${ns}-columns: ${columns}; --${ns}-row-height: ${rowHeight}px; --${ns}-gap: ${gap}px;"
+                >
+                    ${this.widgets.map(widget => this.generateWidgetHTML(widget)).join('')}
+                </div>
+                ${this.widgets.length === 0 ? `
+                    <div class="${ns}__empty-state text-secondary">${Utils.escapeHtml(this.options.ui.emptyMessage)}</div>
+                ` : ''}
+                ${this.editing ? `
+                    <p class="${ns}__sr-only" id="${this.getHelpId()}">
+                        Use the arrow keys to move a widget, Shift and the arrow keys to resize it, and Delete to remove it.
+                    </p>
+                ` : ''}
+                <div class="${ns}__sr-only" aria-live="polite" data-live-region data-patch-ignore></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the toolbar (edit toggle, add widget, reset)
+     */
+    generateToolbarHTML() {
+        const ns = DashboardContainer.cssNamespace;
+        const { title, catalog } = this.options.ui;
+        const addable = this.editing && Array.isArray(catalog) && catalog.length > 0;
+
+        return `
+            <div class="${ns}__toolbar">
+                <h2 class="${ns}__title">${Utils.escapeHtml(title)}</h2>
+                <div class="${ns}__toolbar-actions">
+                    ${addable ? `
+                        <select class="${ns}__add" data-action="add-widget" aria-label="Add widget">
+                            <option value="">+ Add widget</option>
+                            ${catalog.map(entry => `
+                                <option value="${Utils.escapeHtml(entry.type)}">${Utils.escapeHtml(entry.title || entry.type)}</option>
+                            `).join('')}
+                        </select>
+                    ` : ''}
+                    ${this.editing ? `
+                        <button type="button" class="btn btn-secondary" data-action="reset-layout">
+                            <i class="fas fa-undo"></i>
+                            Reset
+                        </button>
+                    ` : ''}
+                    <button type="button" class="btn ${this.editing ? 'btn-primary' : 'btn-secondary'}" data-action="toggle-edit" aria-pressed="${this.editing}">
+                        <i class="fas ${this.editing ? 'fa-check' : 'fa-th-large'}"></i>
+                        ${this.editing ? 'Done' : 'Customize'}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate one widget pane; the body is the slot its child is mounted into
+     */
+    generateWidgetHTML(widget) {
+        const ns = DashboardContainer.cssNamespace;
+        const title = Utils.escapeHtml(widget.title || widget.name);
+
+        return `
+            <section
+                class="${ns}__widget"
+                data-widget="${widget.name}"
+                style="${this.getWidgetStyle(widget)}"
+                aria-label="${title}"
+                ${this.editing ? `tabindex="0" aria-roledescription="movable widget" aria-describedby="${this.getHelpId()}"` : ''}
+            >
+                ${widget.title || this.editing ? `
+                    <header class="${ns}__widget-header" ${this.editing ? 'data-drag-handle' : ''}>
+                        ${this.editing ? `<i class="fas fa-grip-vertical ${ns}__grip" aria-hidden="true"></i>` : ''}
+                        <span class="${ns}__widget-title">${title}</span>
+                        ${this.editing && widget.removable ? `
+                            <button type="button" class="${ns}__remove" data-action="remove-widget" aria-label="Remove ${title}" title="Remove">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        ` : ''}
+                    </header>
+                ` : ''}
+                <div class="${ns}__widget-body" data-slot="${widget.name}"></div>
+                ${this.editing ? `<div class="${ns}__resize-handle" data-resize-handle aria-hidden="true"></div>` : ''}
+            </section>
+        `;
+    }
+
+    /**
+     * Grid placement custom properties (the stylesheet maps them to grid-column/grid-row)
+     */
+    getWidgetStyle(widget) {
+        const ns = DashboardContainer.cssNamespace;
+
+        return `--${ns}-x: ${widget.x + 1}; --${ns}-y: ${widget.y + 1}; --${ns}-w: ${widget.w}; --${ns}-h: ${widget.h}; ` +
+            `--${ns}-order: ${widget.y * this.options.ui.columns + widget.x};`;
+    }
+
+    /**
+     * ID of the keyboard help text referenced by the widgets in edit mode
+     */
+    getHelpId() {
+        return `${this.containerId || DashboardContainer.cssNamespace}-help`;
+    }
+
+    /**
+     * Component CSS
+     */
+    getInlineCSS() {
+        const ns = DashboardContainer.cssNamespace;
+        const { padding, backgroundColor, stackBelow } = this.options.ui;
+
+        return `
+            ${super.getInlineCSS()}
+
+            .${ns} {
+                width: 100%;
+                padding: ${padding};
+                background: ${backgroundColor};
+                box-sizing: border-box;
+            }
+
+            .${ns}__toolbar {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 12px;
+                margin-bottom: 16px;
+            }
+
+            .${ns}__title {
+                margin: 0;
+                font-size: 20px;
+            }
+
+            .${ns}__toolbar-actions {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .${ns}__add {
+                height: 36px;
+                padding: 0 8px;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                background: #fff;
+            }
+
+            .${ns}__grid {
+                position: relative;
+                display: grid;
+                grid-template-columns: repeat(var(--${ns}-columns), minmax(0, 1fr));
+                grid-auto-rows: var(--${ns}-row-height);
+                gap: var(--${ns}-gap);
+            }
+
+            .${ns}__widget {
+                grid-column: var(--${ns}-x) / span var(--${ns}-w);
+                grid-row: var(--${ns}-y) / span var(--${ns}-h);
+                position: relative;
+                display: flex;
+                flex-direction: column;
+                min-width: 0;
+                min-height: 0;
+                background: #fff;
+                border: 1px solid #e0e0e0;
+                border-radius: 8px;
+                overflow: hidden;
+                box-sizing: border-box;
+            }
+
+            .${ns}__widget-header {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 8px 12px;
+                border-bottom: 1px solid #eee;
+                font-weight: 600;
+                font-size: 14px;
+            }
+
+            .${ns}__widget-title {
+                flex: 1;
+                min-width: 0;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+
+            .${ns}__widget-body {
+                flex: 1;
+                min-height: 0;
+                overflow: auto;
+            }
+
+            .${ns}--editing .${ns}__widget {
+                border-style: dashed;
+                border-color: #90caf9;
+            }
+
+            .${ns}--editing .${ns}__widget:focus-visible {
+                outline: 2px solid #1976d2;
+                outline-offset: 2px;
+            }
+
+            .${ns}--editing .${ns}__widget-body {
+                pointer-events: none;
+            }
+
+            .${ns}__widget-header[data-drag-handle] {
+                cursor: move;
+                touch-action: none;
+                user-select: none;
+            }
+
+            .${ns}__grip {
+                color: #999;
+            }
+
+            .${ns}__remove {
+                padding: 2px 6px;
+                border: none;
+                background: transparent;
+                color: #999;
+                cursor: pointer;
+            }
+
+            .${ns}__remove:hover {
+                color: #f44336;
+            }
+
+            .${ns}__resize-handle {
+                position: absolute;
+                right: 0;
+                bottom: 0;
+                width: 16px;
+                height: 16px;
+                cursor: nwse-resize;
+                touch-action: none;
+                background: linear-gradient(135deg, transparent 50%, #90caf9 50%);
+            }
+
+            .${ns}__widget--active {
+                z-index: 1;
+                box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15);
+                opacity: 0.9;
+            }
+
+            .${ns}--move,
+            .${ns}--move * {
+                cursor: move !important;
+            }
+
+            .${ns}--resize,
+            .${ns}--resize * {
+                cursor: nwse-resize !important;
+            }
+
+            .${ns}__empty-state {
+                padding: 48px 16px;
+                text-align: center;
+            }
+
+            .${ns}__sr-only {
+                position: absolute;
+                width: 1px;
+                height: 1px;
+                overflow: hidden;
+                clip: rect(0 0 0 0);
+                white-space: nowrap;
+            }
+
+            @media (max-width: ${stackBelow}) {
+                .${ns}__grid {
+                    grid-template-columns: minmax(0, 1fr);
+                }
+
+                .${ns}__widget {
+                    grid-column: 1 / -1;
+                    grid-row: auto / span var(--${ns}-h);
+                    order: var(--${ns}-order);
+                }
+
+                .${ns}__resize-handle {
+                    display: none;
+                }
+            }
+        `;
+    }
+
+    /**
+     * Add event listeners
+     */
+    addEventListeners() {
+        const ns = DashboardContainer.cssNamespace;
+        const listen = (element, event, listener) => {
+            element.addEventListener(event, listener);
+            this.eventListeners.push({ element, event, listener });
+        };
+
+        const toggleBtn = this.container.querySelector('[data-action="toggle-edit"]');
+        if (toggleBtn) {
+            listen(toggleBtn, 'click', () => this.setEditing(!this.editing));
+        }
+
+        const resetBtn = this.container.querySelector('[data-action="reset-layout"]');
+        if (resetBtn) {
+            listen(resetBtn, 'click', () => this.resetLayout());
+        }
+
+        const addSelect = this.container.querySelector('[data-action="add-widget"]');
+        if (addSelect) {
+            listen(addSelect, 'change', () => {
+                const type = addSelect.value;
+                addSelect.value = '';
+                if (type) this.addWidget(type);
+            });
+        }
+
+        if (!this.editing) return;
+
+        this.container.querySelectorAll(`.${ns}__widget`).forEach(element => {
+            const name = element.dataset.widget;
+
+            listen(element, 'keydown', (e) => this.handleWidgetKeydown(e, name));
+            listen(element, 'pointerdown', (e) => this.startInteraction(e, name));
+            listen(element, 'pointermove', (e) => this.moveInteraction(e));
+            listen(element, 'pointerup', (e) => this.endInteraction(e));
+            listen(element, 'pointercancel', () => this.cancelInteraction());
+
+            const removeBtn = element.querySelector('[data-action="remove-widget"]');
+            if (removeBtn) {
+                listen(removeBtn, 'click', () => this.removeWidget(name));
+            }
+        });
+    }
+
+    // ========================================
+    // WIDGETS
+    // ========================================
+
+    /**
+     * Normalize widget definitions, skipping invalid or duplicate names, and place
+     * widgets without an x/y in the first free spot
+     * @param {Array<object>} definitions - ui.widgets entries
+     * @returns {Array<object>} - { name, type, title, x, y, w, h, minW, minH, maxW, maxH, removable }
+     */
+    normalizeWidgets(definitions) {
+        const widgets = [];
+        const unplaced = [];
+
+        (Array.isArray(definitions) ? definitions : []).forEach(definition => {
+            const valid = Utils.isObject(definition) &&
+                BaseComponent.slotNamePattern.test(definition.name || '') &&
+                !widgets.concat(unplaced).some(widget => widget.name === definition.name);
+
+            if (!valid) {
+                Utils.log('DashboardContainer', 'warn', 'Skipping invalid or duplicate widget:', definition);
+                return;
+            }
+
+            const widget = this.createWidget(definition);
+            const placed = Number.isInteger(definition.x) && Number.isInteger(definition.y);
+            (placed ? widgets : unplaced).push(widget);
+        });
+
+        unplaced.forEach(widget => {
+            Object.assign(widget, this.findFreeSpot(widgets, widget.w, widget.h));
+            widgets.push(widget);
+        });
+
+        return this.resolveLayout(widgets);
+    }
+
+    /**
+     * Build a widget from a definition, with its size clamped to its limits and the grid
+     */
+    createWidget(definition) {
+        const { columns, defaultWidgetSize } = this.options.ui;
+        const toInteger = (value, fallback) => (Number.isInteger(value) ? value : fallback);
+
+        const widget = {
+            name: definition.name,
+            type: definition.type || null,
+            title: definition.title || '',
+            minW: Math.min(columns, Math.max(1, toInteger(definition.minW, 1))),
+            minH: Math.max(1, toInteger(definition.minH, 1)),
+            maxW: Math.min(columns, toInteger(definition.maxW, columns)),
+            maxH: toInteger(definition.maxH, 0),
+            removable: definition.removable !== false,
+            x: toInteger(definition.x, 0),
+            y: toInteger(definition.y, 0),
+            w: toInteger(definition.w, defaultWidgetSize.w),
+            h: toInteger(definition.h, defaultWidgetSize.h)
+        };
+
+        return this.clampWidget(widget, widget);
+    }
+
+    /**
+     * Clamp a position/size to the widget's limits and the grid
+     * @param {object} widget - Widget (for its limits)
+     * @param {object} rect - { x, y, w, h }
+     * @returns {object} - widget with the clamped rect applied
+     */
+    clampWidget(widget, rect) {
+        const { columns } = this.options.ui;
+        const minW = Math.min(widget.minW, columns);
+        const maxW = Math.max(minW, Math.min(widget.maxW || columns, columns));
+
+        widget.w = Math.min(maxW, Math.max(minW, rect.w));
+        widget.h = Math.max(widget.minH, widget.maxH ? Math.min(widget.maxH, rect.h) : rect.h);
+        widget.x = Math.min(columns - widget.w, Math.max(0, rect.x));
+        widget.y = Math.max(0, rect.y);
+        return widget;
+    }
+
+    /**
+     * Point options.slots at the current widgets' declarations (catalog widgets get theirs
+     * from the catalog entry on first use); slots of removed widgets are unmounted on render
+     */
+    syncWidgetSlots() {
+        const catalog = this.options.ui.catalog || [];
+
+        this.widgets.forEach(widget => {
+            if (this.widgetSlots[widget.name]) return;
+            const entry = catalog.find(item => item.type === widget.type);
+            if (entry && entry.componentClass) {
+                this.widgetSlots[widget.name] = { componentClass: entry.componentClass, options: entry.options || {} };
+            }
+        });
+
+        this.setSlots(this.widgets.map(widget => widget.name), this.widgetSlots);
+    }
+
+    /**
+     * Get a widget by name
+     */
+    getWidget(name) {
+        return this.widgets.find(widget => widget.name === name) || null;
+    }
+
+    /**
+     * Add a widget from ui.catalog at the first free spot
+     * @param {string} type - Catalog entry type
+     * @returns {object|null} - The new widget
+     */
+    addWidget(type) {
+        const entry = (this.options.ui.catalog || []).find(item => item.type === type);
+        if (!entry) {
+            Utils.log('DashboardContainer', 'warn', `Unknown widget type '${type}'`);
+            return null;
+        }
+
+        const widget = this.createWidget({ ...entry, name: this.getUniqueName(type), x: 0, y: 0 });
+        Object.assign(widget, this.findFreeSpot(this.widgets, widget.w, widget.h));
+
+        this.widgets.push(widget);
+        this.commitLayout(`${widget.title || widget.name} added`);
+
+        if (this.options.events.onWidgetAdd) {
+            this.options.events.onWidgetAdd({ ...widget });
+        }
+
+        this.focusWidget(widget.name);
+        return widget;
+    }
+
+    /**
+     * Remove a widget (its child component is unmounted with its slot)
+     */
+    removeWidget(name) {
+        const widget = this.getWidget(name);
+        if (!widget || !widget.removable) return;
+
+        this.widgets = this.widgets.filter(item => item !== widget);
+        delete this.widgetSlots[name];
+        this.commitLayout(`${widget.title || widget.name} removed`);
+
+        if (this.options.events.onWidgetRemove) {
+            this.options.events.onWidgetRemove({ ...widget });
+        }
+    }
+
+    /**
+     * Widget name for a new catalog widget: the type, suffixed until unused
+     */
+    getUniqueName(type) {
+        const base = BaseComponent.slotNamePattern.test(type) ? type : 'widget';
+        let index = 1;
+
+        while (this.getWidget(`${base}-${index}`) || this.widgetSlots[`${base}-${index}`]) {
+            index++;
+        }
+        return `${base}-${index}`;
+    }
+
+    /**
+     * Enter or leave edit mode
+     */
+    setEditing(editing) {
+        this.cancelInteraction();
+        this.editing = editing;
+        this.render();
+    }
+
+    // ========================================
+    // LAYOUT
+    // ========================================
+
+    /**
+     * Whether two widgets overlap
+     */
+    static collides(a, b) {
+        return a !== b && a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+    }
+
+    /**
+     * Push widgets that overlap the fixed one (and then each other) down, then compact
+     * the grid upwards. When the fixed widget moved down, a widget it lands on takes its
+     * old row instead if that is free, so widgets can swap places.
+     * @param {Array<object>} widgets - Widgets (updated in place)
+     * @param {object} fixed - Widget that keeps its position while pushing, if any
+     * @param {object} origin - The fixed widget's previous { x, y, w, h }
+     * @returns {Array<object>} - The widgets
+     */
+    resolveLayout(widgets, fixed = null, origin = null) {
+        const byPosition = (a, b) => a.y - b.y || a.x - b.x;
+        const placed = fixed ? [fixed] : [];
+
+        widgets.filter(widget => widget !== fixed).sort(byPosition).forEach(widget => {
+            if (origin && fixed.y > origin.y && DashboardContainer.collides(widget, fixed)) {
+                const raised = { ...widget, y: origin.y };
+                if (!placed.some(other => DashboardContainer.collides(raised, other))) {
+                    widget.y = origin.y;
+                }
+            }
+
+            while (placed.some(other => DashboardContainer.collides(widget, other))) {
+                widget.y++;
+            }
+            placed.push(widget);
+        });
+
+        const compacted = [];
+        placed.sort(byPosition).forEach(widget => {
+            while (widget.y > 0 && !compacted.some(other => DashboardContainer.collides({ ...widget, y: widget.y - 1 }, other))) {
+                widget.y--;
+            }
+            compacted.push(widget);
+        });
+
+        return widgets;
+    }
+
+    /**
+     * First free position (top to bottom, left to right) for a w x h widget
+     * The row below every widget is always free, which bounds the search.
+     */
+    findFreeSpot(widgets, w, h) {
+        const { columns } = this.options.ui;
+        const width = Math.min(w, columns);
+        const bottom = widgets.reduce((max, other) => Math.max(max, other.y + other.h), 0);
+
+        for (let y = 0; y < bottom; y++) {
+            for (let x = 0; x + width <= columns; x++) {
+                if (!widgets.some(other => DashboardContainer.collides({ x, y, w: width, h }, other))) {
+                    return { x, y };
+                }
+            }
+        }
+
+        return { x: 0, y: bottom };
+    }
+
+    /**
+     * Copy widgets (positions are mutated while dragging)
+     */
+    cloneWidgets(widgets) {
+        return widgets.map(widget => ({ ...widget }));
+    }
+
+    /**
+     * Serializable layout: positions only
+     * @returns {object} - { widgets: [{ name, type, x, y, w, h }] }
+     */
+    getLayout() {
+        return {
+            widgets: this.widgets.map(({ name, type, x, y, w, h }) => ({ name, type, x, y, w, h }))
+        };
+    }
+
+    /**
+     * Apply a saved layout
+     * Saved widgets are matched to ui.widgets by name, or rebuilt from ui.catalog by type;
+     * anything else is dropped. ui.widgets missing from the layout stay removed.
+     * @param {object} layout - From getLayout()
+     * @returns {boolean} - Whether the layout was usable
+     */
+    restoreLayout(layout) {
+        if (!layout || !Array.isArray(layout.widgets)) {
+            return false;
+        }
+
+        const catalog = this.options.ui.catalog || [];
+        const definitions = layout.widgets.map(saved => {
+            if (!Utils.isObject(saved)) return null;
+
+            const position = { x: saved.x, y: saved.y, w: saved.w, h: saved.h };
+            const initial = (this.options.ui.widgets || []).find(widget => widget.name === saved.name);
+            if (initial) {
+                return { ...initial, ...position };
+            }
+
+            const entry = catalog.find(item => item.type === saved.type);
+            return entry ? { ...entry, name: saved.name, ...position } : null;
+        }).filter(Boolean);
+
+        this.widgets = this.normalizeWidgets(definitions);
+        this.syncWidgetSlots();
+
+        return true;
+    }
+
+    /**
+     * Return to ui.widgets and save that as the layout
+     */
+    resetLayout() {
+        this.cancelInteraction();
+        this.widgets = this.cloneWidgets(this.defaultWidgets);
+        this.commitLayout('Layout reset');
+    }
+
+    /**
+     * Re-render after a layout change, announce it, notify and schedule a save
+     */
+    commitLayout(message) {
+        this.syncWidgetSlots();
+        this.render();
+        this.announce(message);
+        this.scheduleSave();
+
+        if (this.options.events.onLayoutChange) {
+            this.options.events.onLayoutChange(this.getLayout());
+        }
+    }
+
+    /**
+     * Update widget placement in the DOM without re-rendering (used while dragging)
+     */
+    applyPositions() {
+        this.widgets.forEach(widget => {
+            const element = this.getWidgetElement(widget.name);
+            if (element) {
+                element.setAttribute('style', this.getWidgetStyle(widget));
+            }
+        });
+    }
+
+    /**
+     * Get a widget's pane element
+     */
+    getWidgetElement(name) {
+        return this.container.querySelector(`.${DashboardContainer.cssNamespace}__widget[data-widget="${name}"]`);
+    }
+
+    /**
+     * Focus a widget pane (edit mode)
+     */
+    focusWidget(name) {
+        const element = this.getWidgetElement(name);
+        if (element && element.tabIndex >= 0) {
+            element.focus();
+        }
+    }
+
+    /**
+     * Read a message to screen readers
+     */
+    announce(message) {
+        const live = this.container.querySelector('[data-live-region]');
+        if (live && message) {
+            live.textContent = message;
+        }
+    }
+
+    /**
+     * Describe a widget's position for announcements
+     */
+    describeWidget(widget) {
+        return `${widget.title || widget.name}: column ${widget.x + 1}, row ${widget.y + 1}, ${widget.w} by ${widget.h}`;
+    }
+
+    // ========================================
+    // POINTER AND KEYBOARD
+    // ========================================
+
+    /**
+     * Start moving (header) or resizing (corner handle) a widget
+     */
+    startInteraction(e, name) {
+        if (e.button !== 0 || this.interaction) return;
+
+        const kind = e.target.closest('[data-resize-handle]') ? 'resize'
+            : (e.target.closest('[data-drag-handle]') && !e.target.closest('button') ? 'move' : null);
+        const widget = this.getWidget(name);
+        if (!kind || !widget) return;
+
+        const grid = this.container.querySelector(`.${DashboardContainer.cssNamespace}__grid`);
+        const { columns, rowHeight, gap } = this.options.ui;
+        const columnWidth = (grid.getBoundingClientRect().width - gap * (columns - 1)) / columns;
+
+        this.interaction = {
+            kind,
+            name,
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            origin: { x: widget.x, y: widget.y, w: widget.w, h: widget.h },
+            snapshot: this.cloneWidgets(this.widgets),
+            stepX: columnWidth + gap,
+            stepY: rowHeight + gap
+        };
+
+        const element = e.currentTarget;
+        if (element.setPointerCapture && e.pointerId !== undefined) {
+            element.setPointerCapture(e.pointerId);
+        }
+        element.classList.add(`${DashboardContainer.cssNamespace}__widget--active`);
+        this.container.firstElementChild.classList.add(`${DashboardContainer.cssNamespace}--${kind}`);
+        e.preventDefault();
+    }
+
+    /**
+     * Snap the widget to the cell under the pointer, pushing others out of the way
+     */
+    moveInteraction(e) {
+        const interaction = this.interaction;
+        if (!interaction || interaction.stepX <= 0) return;
+
+        const dx = Math.round((e.clientX - interaction.startX) / interaction.stepX);
+        const dy = Math.round((e.clientY - interaction.startY) / interaction.stepY);
+        const { origin } = interaction;
+        const rect = interaction.kind === 'move'
+            ? { ...origin, x: origin.x + dx, y: origin.y + dy }
+            : { ...origin, w: origin.w + dx, h: origin.h + dy };
+
+        this.previewLayout(interaction.name, rect);
+    }
+
+    /**
+     * Lay out the snapshot taken at the start of the interaction with one widget at rect
+     */
+    previewLayout(name, rect) {
+        const widgets = this.cloneWidgets(this.interaction.snapshot);
+        const widget = widgets.find(item => item.name === name);
+        this.clampWidget(widget, rect);
+
+        this.widgets = this.resolveLayout(widgets, widget, this.interaction.origin);
+        this.applyPositions();
+    }
+
+    /**
+     * Finish the interaction and keep the new layout
+     */
+    endInteraction() {
+        const interaction = this.interaction;
+        if (!interaction) return;
+
+        this.interaction = null;
+        const widget = this.getWidget(interaction.name);
+        const { origin } = interaction;
+        const changed = ['x', 'y', 'w', 'h'].some(key => widget[key] !== origin[key]);
+
+        if (changed) {
+            this.commitLayout(this.describeWidget(widget));
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * Abandon the interaction and put everything back
+     */
+    cancelInteraction() {
+        const interaction = this.interaction;
+        if (!interaction) return;
+
+        this.interaction = null;
+        this.widgets = interaction.snapshot;
+        this.render();
+    }
+
+    /**
+     * Arrow keys move the focused widget one cell, Shift+arrows resize it, Delete removes it
+     * and Escape cancels a pointer interaction
+     */
+    handleWidgetKeydown(e, name) {
+        if (e.target !== e.currentTarget) return;
+
+        if (e.key === 'Escape' && this.interaction) {
+            this.cancelInteraction();
+            e.preventDefault();
+            return;
+        }
+
+        if (e.key === 'Delete' || e.key === 'Backspace') {
+            this.removeWidget(name);
+            e.preventDefault();
+            return;
+        }
+
+        const deltas = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        const delta = deltas[e.key];
+        const widget = this.getWidget(name);
+        if (!delta || !widget || this.interaction) return;
+        e.preventDefault();
+
+        const [dx, dy] = delta;
+        const rect = e.shiftKey
+            ? { x: widget.x, y: widget.y, w: widget.w + dx, h: widget.h + dy }
+            : { x: widget.x + dx, y: widget.y + dy, w: widget.w, h: widget.h };
+
+        // Moving down onto widgets jumps past them so they can take this widget's place
+        if (!e.shiftKey && dy > 0) {
+            const below = this.widgets.filter(other => DashboardContainer.collides({ ...widget, y: widget.y + 1 }, other));
+            if (below.length > 0) {
+                rect.y = widget.y + Math.max(...below.map(other => other.h));
+            }
+        }
+
+        const origin = { x: widget.x, y: widget.y, w: widget.w, h: widget.h };
+        const widgets = this.cloneWidgets(this.widgets);
+        const moved = widgets.find(item => item.name === name);
+        this.clampWidget(moved, rect);
+        this.widgets = this.resolveLayout(widgets, moved, origin);
+
+        this.commitLayout(this.describeWidget(moved));
+        this.focusWidget(name);
+    }
+
+    // ========================================
+    // PERSISTENCE
+    // ========================================
+
+    /**
+     * Layout endpoint for this dashboard, or null when layouts are not saved
+     */
+    getLayoutUrl() {
+        const { persistLayout, layoutKey } = this.options.ui;
+        const key = layoutKey || (this.container && this.container.id);
+        if (!persistLayout || !key || !this.options.endpoints.layout) {
+            return null;
+        }
+
+        return this.options.endpoints.layout.replace('{key}', encodeURIComponent(key));
+    }
+
+    /**
+     * Load the user's saved layout; keeps the default layout when there is none
+     * Expects { success, data: { layout } }.
+     */
+    async loadLayout() {
+        const url = this.getLayoutUrl();
+        if (!url) return;
+
+        try {
+            const response = await API.get(url, { cache: false });
+            const layout = response && response.success && response.data ? response.data.layout : null;
+
+            if (layout && this.restoreLayout(layout)) {
+                this.log('Restored saved layout');
+            }
+        } catch (error) {
+            Utils.log('DashboardContainer', 'warn', 'Could not load saved layout:', this.extractErrorMessage(error));
+        }
+    }
+
+    /**
+     * Save the layout after ui.saveDelay ms without further changes
+     */
+    scheduleSave() {
+        if (!this.getLayoutUrl()) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveLayout(), this.options.ui.saveDelay);
+    }
+
+    /**
+     * Save the layout now
+     */
+    async saveLayout() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const url = this.getLayoutUrl();
+        if (!url) return false;
+
+        try {
+            const response = await API.putJson(url, { layout: this.getLayout() });
+            if (response && response.success === false) {
+                throw new Error(this.extractErrorMessage(response));
+            }
+            return true;
+        } catch (error) {
+            Utils.log('DashboardContainer', 'error', 'Could not save layout:', this.extractErrorMessage(error));
+            return false;
+        }
+    }
+
+    /**
+     * Cleanup - save a pending layout change first
+     */
+    destroy() {
+        if (this.saveTimer) {
+            this.saveLayout();
+        }
+        this.interaction = null;
+        super.destroy();
+    }
+
+    /**
+     * Get default options
+     */
+    static getDefaultOptions() {
+        return {
+            ui: {
+                title: 'Dashboard',
+                widgets: [],                    // [{ name, title, type, x, y, w, h, minW, minH, maxW, maxH, removable, componentClass, options }]
+                catalog: [],                    // Widgets users can add: [{ type, title, componentClass, options, w, h, minW, minH, maxW, maxH }]
+                columns: 12,
+                rowHeight: 80,                  // px
+                gap: 16,                        // px
+                defaultWidgetSize: { w: 4, h: 3 },
+                editable: true,                 // Show the Customize toggle
+                editMode: false,                // Start in edit mode
+                persistLayout: true,            // Save the layout per user under the layout key
+                layoutKey: '',                  // Defaults to the container ID
+                saveDelay: 1000,                // ms
+                stackBelow: '768px',
+                padding: '20px',
+                backgroundColor: '#fafafa',
+                emptyMessage: 'No widgets yet. Choose Customize to add some.'
+            },
+            endpoints: {
+                layout: '/dashboard/layouts/{key}'
+            }
+        };
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DashboardContainer;
+}
+
+if (typeof window !== 'undefined') {
+    window.DashboardContainer = DashboardContainer;
+    console.log('✅ DashboardContainer component loaded');
+}
+
+/* __START_OF_JSON_SPECIFICATION__
+{
+  "name": "DashboardContainer",
+  "type": "dashboard-container",
+  "slotsOption": "ui.widgets",
+  "options": {
+    "ui": {
+      "title": "Dashboard",
+      "widgets": [],
+      "catalog": [],
+      "columns": 12,
+      "rowHeight": 80,
+      "gap": 16,
+      "defaultWidgetSize": { "w": 4, "h": 3 },
+      "editable": true,
+      "editMode": false,
+      "persistLayout": true,
+      "layoutKey": "",
+      "saveDelay": 1000,
+      "stackBelow": "768px",
+      "padding": "20px",
+      "backgroundColor": "#fafafa",
+      "emptyMessage": "No widgets yet. Choose Customize to add some."
+    },
+    "endpoints": {
+      "layout": "/dashboard/layouts/{key}"
+    }
+  }
+}
+__END_OF_JSON_SPECIFICATION__ */
@@ -0,0 +1,352 @@
+/**
+ * GridContainer Component - Extends BaseComponent
+ * Responsive CSS-grid layout hosting one child component per named area (slot).
+ * Areas are placed either by span (colSpan/rowSpan, optionally at a fixed column/row)
+ * or by name in a grid-template-areas template. Breakpoints override the columns,
+ * template and per-area placement below a max width, and below ui.stackBelow every
+ * area is stacked in a single column in mobileOrder.
+ *
+ * Because the class stylesheet is shared by all instances, the per-instance grid rules
+ * are rendered into a <style> element scoped by the instance's data-grid-id.
+ */
+
+class GridContainer extends BaseComponent {
+    static cssNamespace = 'grid-container';
+
+    // Used to give each instance a unique data-grid-id
+    static instanceCount = 0;
+
+    constructor(container, options = {}) {
+        super(container, options);
+        this.gridId = `${GridContainer.cssNamespace}-${++GridContainer.instanceCount}`;
+        this.areas = null;
+    }
+
+    /**
+     * Override needsDataManager since GridContainer doesn't need data management
+     */
+    needsDataManager() {
+        return false;
+    }
+
+    /**
+     * Generate layout HTML
+     */
+    generateHTML() {
+        const ns = GridContainer.cssNamespace;
+
+        return `
+            <div class="${ns}" data-grid-id="${this.gridId}">
+                <style>${this.getGridCSS()}</style>
+                <div class="${ns}__grid">
+                    ${this.getAreas().map(area => this.generateAreaHTML(area)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate one area (the slot element its child is mounted into)
+     */
+    generateAreaHTML(area) {
+        const ns = GridContainer.cssNamespace;
+        const { showPlaceholders } = this.options.ui;
+
+        return `
+            <div class="${ns}__area" data-slot="${area.name}" data-area="${area.name}">
+                ${showPlaceholders ? `
+                    <div class="${ns}__placeholder">
+                        <h3>${Utils.escapeHtml(area.name)}</h3>
+                        <p>${Utils.escapeHtml(area.placeholder || 'Component will be placed here')}</p>
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Component CSS (shared by all instances; placement rules come from getGridCSS)
+     */
+    getInlineCSS() {
+        const ns = GridContainer.cssNamespace;
+
+        return `
+            ${super.getInlineCSS()}
+
+            .${ns} {
+                width: 100%;
+                box-sizing: border-box;
+            }
+
+            .${ns}__grid {
+                display: grid;
+                width: 100%;
+            }
+
+            .${ns}__area {
+                position: relative;
+                min-width: 0;
+                min-height: 0;
+                box-sizing: border-box;
+            }
+
+            .${ns}__placeholder {
+                height: 100%;
+                min-height: 120px;
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+                border: 2px dashed #ddd;
+                border-radius: 8px;
+                color: #999;
+                text-align: center;
+                box-sizing: border-box;
+            }
+
+            .${ns}__placeholder h3 {
+                margin: 0 0 4px 0;
+                font-size: 16px;
+                color: #666;
+            }
+
+            .${ns}__placeholder p {
+                margin: 0;
+                font-size: 13px;
+            }
+        `;
+    }
+
+    /**
+     * Per-instance grid rules: base placement, breakpoint overrides (widest first) and
+     * the stacked single-column layout
+     */
+    getGridCSS() {
+        const { gap, padding, backgroundColor, areaBackgroundColor, autoRows, stackBelow } = this.options.ui;
+        const root = `.${GridContainer.cssNamespace}[data-grid-id="${this.gridId}"]`;
+        const grid = `${root} > .${GridContainer.cssNamespace}__grid`;
+        const areas = this.getAreas();
+        const rules = [];
+
+        rules.push(`${root} { padding: ${GridContainer.cssValue(padding)}; background: ${GridContainer.cssValue(backgroundColor)}; }`);
+        rules.push(`${grid} { gap: ${GridContainer.cssValue(gap)}; grid-auto-rows: ${GridContainer.cssValue(autoRows)}; }`);
+        rules.push(`${grid} > [data-area] { background: ${GridContainer.cssValue(areaBackgroundColor)}; }`);
+        rules.push(...this.getLevelRules(grid, this.options.ui, areas, true));
+
+        this.getBreakpoints().forEach(breakpoint => {
+            rules.push(`@media (max-width: ${GridContainer.cssValue(breakpoint.maxWidth)}) {
+                ${this.getLevelRules(grid, breakpoint, areas, false).join('\n')}
+            }`);
+        });
+
+        if (stackBelow) {
+            const stacked = areas
+                .map((area, index) => `${grid} > [data-area="${area.name}"] { grid-area: auto; grid-column: 1 / -1; grid-row: auto; order: ${GridContainer.toInteger(area.mobileOrder, index)}; }`);
+
+            rules.push(`@media (max-width: ${GridContainer.cssValue(stackBelow)}) {
+                ${grid} { grid-template-columns: minmax(0, 1fr); grid-template-areas: none; grid-template-rows: none; }
+                ${stacked.join('\n')}
+            }`);
+        }
+
+        return rules.join('\n');
+    }
+
+    /**
+     * Rules for the base layout or one breakpoint
+     * @param {string} grid - Grid element selector
+     * @param {object} level - ui options or a breakpoint: { columns, columnTemplate, rows, template, areas }
+     * @param {Array<object>} areas - Normalized areas
+     * @param {boolean} isBase - Base layout (breakpoints only emit what they override)
+     */
+    getLevelRules(grid, level, areas, isBase) {
+        const rules = [];
+        const declarations = [];
+        const template = Array.isArray(level.template) && level.template.length > 0 ? level.template : null;
+
+        if (level.columnTemplate) {
+            declarations.push(`grid-template-columns: ${GridContainer.cssValue(level.columnTemplate)};`);
+        } else if (level.columns) {
+            declarations.push(`grid-template-columns: repeat(${GridContainer.toInteger(level.columns, 1)}, minmax(0, 1fr));`);
+        }
+        if (level.rows) {
+            declarations.push(`grid-template-rows: ${GridContainer.cssValue(level.rows)};`);
+        }
+        if (template) {
+            const rows = template.map(row => `"${String(row).replace(/[^A-Za-z0-9_.\s-]/g, '').trim()}"`);
+            declarations.push(`grid-template-areas: ${rows.join(' ')};`);
+        } else if (!isBase && level.template !== undefined) {
+            declarations.push('grid-template-areas: none;');
+        }
+        if (declarations.length > 0) {
+            rules.push(`${grid} { ${declarations.join(' ')} }`);
+        }
+
+        // Overrides for a breakpoint: { [areaName]: { colSpan, rowSpan, column, row, order, hidden } }
+        const overrides = isBase ? {} : (Utils.isObject(level.areas) ? level.areas : {});
+
+        areas.forEach(area => {
+            const placement = isBase ? area : overrides[area.name];
+            if (!placement && !template) return;
+
+            const selector = `${grid} > [data-area="${area.name}"]`;
+            const areaDeclarations = [];
+
+            if (template) {
+                areaDeclarations.push(`grid-area: ${area.name};`);
+            } else if (isBase || ['colSpan', 'rowSpan', 'column', 'row'].some(key => key in placement)) {
+                areaDeclarations.push(...this.getPlacementDeclarations(isBase ? area : { ...area, ...placement }));
+            }
+            if (placement && placement.order !== undefined && placement.order !== null) {
+                areaDeclarations.push(`order: ${GridContainer.toInteger(placement.order, 0)};`);
+            }
+            if (placement && placement.minHeight) {
+                areaDeclarations.push(`min-height: ${GridContainer.cssValue(placement.minHeight)};`);
+            }
+            if (placement && placement.hidden !== undefined) {
+                areaDeclarations.push(`display: ${placement.hidden ? 'none' : 'block'};`);
+            }
+
+            if (areaDeclarations.length > 0) {
+                rules.push(`${selector} { ${areaDeclarations.join(' ')} }`);
+            }
+        });
+
+        return rules;
+    }
+
+    /**
+     * grid-column / grid-row for span placement, at a fixed line when column/row is set
+     */
+    getPlacementDeclarations(area) {
+        const colSpan = GridContainer.toInteger(area.colSpan, 1);
+        const rowSpan = GridContainer.toInteger(area.rowSpan, 1);
+        const column = area.column ? `${GridContainer.toInteger(area.column, 1)} / ` : '';
+        const row = area.row ? `${GridContainer.toInteger(area.row, 1)} / ` : '';
+
+        return [
+            'grid-area: auto;',
+            `grid-column: ${column}span ${colSpan};`,
+            `grid-row: ${row}span ${rowSpan};`
+        ];
+    }
+
+    // ========================================
+    // AREAS
+    // ========================================
+
+    /**
+     * Normalized areas from ui.areas (strings are shorthand for { name })
+     * Areas with an invalid or duplicate name are skipped with a warning.
+     * @returns {Array<object>} - { name, colSpan, rowSpan, column, row, order, mobileOrder, minHeight, placeholder }
+     */
+    getAreas() {
+        if (this.areas) {
+            return this.areas;
+        }
+
+        const seen = new Set();
+        this.areas = (Array.isArray(this.options.ui.areas) ? this.options.ui.areas : [])
+            .map(area => (typeof area === 'string' ? { name: area } : area))
+            .filter(area => {
+                const valid = Utils.isObject(area) && BaseComponent.slotNamePattern.test(area.name || '') && !seen.has(area.name);
+                if (!valid) {
+                    Utils.log('GridContainer', 'warn', 'Skipping invalid or duplicate grid area:', area);
+                    return false;
+                }
+                seen.add(area.name);
+                return true;
+            });
+
+        return this.areas;
+    }
+
+    /**
+     * Breakpoints sorted widest first, so narrower media queries come later and win
+     */
+    getBreakpoints() {
+        const breakpoints = Array.isArray(this.options.ui.breakpoints) ? this.options.ui.breakpoints : [];
+
+        return breakpoints
+            .filter(breakpoint => Utils.isObject(breakpoint) && breakpoint.maxWidth)
+            .slice()
+            .sort((a, b) => parseFloat(b.maxWidth) - parseFloat(a.maxWidth));
+    }
+
+    /**
+     * Keep option values from closing the declaration or the <style> element
+     */
+    static cssValue(value) {
+        return String(value === undefined || value === null ? '' : value).replace(/[<>{};]/g, '');
+    }
+
+    /**
+     * Integer from an option, or the fallback
+     */
+    static toInteger(value, fallback) {
+        const number = parseInt(value, 10);
+        return isNaN(number) ? fallback : number;
+    }
+
+    /**
+     * Get default options
+     */
+    static getDefaultOptions() {
+        return {
+            ui: {
+                areas: [],                      // [{ name, colSpan, rowSpan, column, row, order, mobileOrder, minHeight, placeholder }]
+                columns: 12,
+                columnTemplate: '',             // Explicit grid-template-columns, instead of equal columns
+                rows: '',                       // grid-template-rows
+                autoRows: 'minmax(120px, auto)',
+                template: [],                   // grid-template-areas rows, e.g. ['header header', 'main side']
+                breakpoints: [],                // [{ maxWidth, columns, columnTemplate, rows, template, areas: { [name]: placement } }]
+                stackBelow: '768px',            // Single column below this width; '' to disable
+                gap: '20px',
+                padding: '20px',
+                backgroundColor: '#fafafa',
+                areaBackgroundColor: 'transparent',
+                showPlaceholders: false
+            }
+        };
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GridContainer;
+}
+
+if (typeof window !== 'undefined') {
+    window.GridContainer = GridContainer;
+    console.log('✅ GridContainer component loaded');
+}
+
+/* __START_OF_JSON_SPECIFICATION__
+{
+  "name": "GridContainer",
+  "type": "grid-container",
+  "slotsOption": "ui.areas",
+  "options": {
+    "ui": {
+      "areas": [],
+      "columns": 12,
+      "columnTemplate": "",
+      "rows": "",
+      "autoRows": "minmax(120px, auto)",
+      "template": [],
+      "breakpoints": [],
+      "stackBelow": "768px",
+      "gap": "20px",
+      "padding": "20px",
+      "backgroundColor": "#fafafa",
+      "areaBackgroundColor": "transparent",
+      "showPlaceholders": false
+    }
+  }
+}
+__END_OF_JSON_SPECIFICATION__ */
@@ -1,23 +1,54 @@
 /**
  * LeftRightContainer Component - Extends BaseComponent
- * Provides a responsive 2-column layout for hosting other components side by side
+ * Provides a responsive 2-column layout for hosting other components side by side.
+ * With ui.resizable a splitter between the panes can be dragged (or moved with the
+ * arrow keys), double-clicked to reset, and used to collapse either pane. The split
+ * is saved per container, and each pane receives a 'pane-resize' event when it changes.
+ * ui.heightMode keeps the pane children at equal height as their content changes
+ * ('equal'), leaves them alone ('independent') or scrolls the panes together ('scroll-sync').
  */
 
 class LeftRightContainer extends BaseComponent {
     static cssNamespace = 'left-right-container';
 
+    // localStorage key prefix for saved splits, followed by ui.persistKey or the container ID
+    static storageKey = '_tillo_ai_lrc_split_';
+
+    // Dispatched on both pane elements (the slot children's containers) after a resize
+    static resizeEventName = 'pane-resize';
+
+    // ui.heightMode values
+    static heightModes = ['equal', 'independent', 'scroll-sync'];
+
+    static events = {
+        onResize: null      // ({ ratio, collapsed, left: { width, height }, right: { width, height } })
+    };
+
     constructor(container, options = {}) {
         super(container, options);
         this.leftContainer = null;
         this.rightContainer = null;
+
+        // Left pane share of the width (0-1) and 'left' / 'right' when a pane is collapsed
+        this.split = this.loadSplit();
+
+        // Active splitter drag: { pointerId, left, width }
+        this.drag = null;
+
+        // Height equalization ('equal' mode): observers, observed children and pending frame
+        this.resizeObserver = null;
+        this.mutationObserver = null;
+        this.observedChildren = [];
+        this.heightSyncFrame = null;
+
+        // Pane whose scroll was just copied to the other one ('scroll-sync' mode)
+        this.scrollSource = null;
     }
 
     async postInit() {
         this.leftContainer = this.container.querySelector('[data-container-id="left"]');
         this.rightContainer = this.container.querySelector('[data-container-id="right"]');
-        setTimeout(() => {
-            this.syncHeights();
-        }, 100); // Small delay to ensure content is fully rendered
+        this.observeHeights();
     }
 
     /**
@@ -31,13 +62,13 @@ class LeftRightContainer extends BaseComponent {
      * Generate layout HTML
      */
     generateHTML() {
-        const { showPlaceholders, leftPlaceholder, rightPlaceholder } = this.options.ui;
+        const { showPlaceholders, leftPlaceholder, rightPlaceholder, resizable } = this.options.ui;
 
         return `
-            <div class="${LeftRightContainer.cssNamespace}">
+            <div class="${this.getRootClass()}" style="${resizable ? this.getSplitStyle() : ''}">
                 <div class="${LeftRightContainer.cssNamespace}__wrapper">
                     <!-- Left Container -->
-                    <div class="${LeftRightContainer.cssNamespace}__left" data-container-id="left">
+                    <div class="${LeftRightContainer.cssNamespace}__left" data-slot="left" data-container-id="left">
                         ${showPlaceholders ? `
                             <div class="${LeftRightContainer.cssNamespace}__placeholder">
                                 <div class="${LeftRightContainer.cssNamespace}__placeholder-content">
@@ -48,8 +79,10 @@ class LeftRightContainer extends BaseComponent {
                         ` : ''}
                     </div>
 
+                    ${resizable ? this.generateSplitterHTML() : ''}
+
                     <!-- Right Container -->
-                    <div class="${LeftRightContainer.cssNamespace}__right" data-container-id="right">
+                    <div class="${LeftRightContainer.cssNamespace}__right" data-slot="right" data-container-id="right">
                         ${showPlaceholders ? `
                             <div class="${LeftRightContainer.cssNamespace}__placeholder">
                                 <div class="${LeftRightContainer.cssNamespace}__placeholder-content">
@@ -64,6 +97,77 @@ class LeftRightContainer extends BaseComponent {
         `;
     }
 
+    /**
+     * Generate the splitter with its collapse buttons
+     */
+    generateSplitterHTML() {
+        const ns = LeftRightContainer.cssNamespace;
+
+        return `
+            <div
+                class="${ns}__splitter"
+                role="separator"
+                tabindex="0"
+                aria-orientation="vertical"
+                aria-label="Resize panes"
+                aria-valuemin="0"
+                aria-valuemax="100"
+                aria-valuenow="${this.getSplitPercent()}"
+                title="Drag to resize, double-click to reset"
+            >
+                ${this.options.ui.collapsible ? `
+                    <button type="button" class="${ns}__collapse" data-action="collapse-left" tabindex="-1">
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <button type="button" class="${ns}__collapse" data-action="collapse-right" tabindex="-1">
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Root element classes for the current split state
+     */
+    getRootClass() {
+        const ns = LeftRightContainer.cssNamespace;
+        const classes = [ns];
+
+        if (this.options.ui.resizable) {
+            classes.push(`${ns}--resizable`);
+            if (this.split.collapsed) {
+                classes.push(`${ns}--collapsed-${this.split.collapsed}`);
+            }
+        }
+        if (this.options.ui.heightMode === 'scroll-sync') {
+            classes.push(`${ns}--scroll-sync`);
+        }
+
+        return classes.join(' ');
+    }
+
+    /**
+     * Custom properties sizing the panes (the stylesheet is shared by all instances)
+     */
+    getSplitStyle() {
+        const ns = LeftRightContainer.cssNamespace;
+        const { splitterSize } = this.options.ui;
+
+        return `--${ns}-left-size: calc(${(this.split.ratio * 100).toFixed(2)}% - ${splitterSize} / 2); ` +
+            `--${ns}-splitter-size: ${splitterSize};`;
+    }
+
+    /**
+     * Left pane share as a whole percentage (0 or 100 when a pane is collapsed)
+     */
+    getSplitPercent() {
+        if (this.split.collapsed) {
+            return this.split.collapsed === 'left' ? 0 : 100;
+        }
+        return Math.round(this.split.ratio * 100);
+    }
+
     /**
      * Component CSS
      */
@@ -142,6 +246,87 @@ class LeftRightContainer extends BaseComponent {
                 line-height: 1.4;
             }
 
+            /* Scroll-synced panes scroll their own content */
+            .${LeftRightContainer.cssNamespace}--scroll-sync .${LeftRightContainer.cssNamespace}__left,
+            .${LeftRightContainer.cssNamespace}--scroll-sync .${LeftRightContainer.cssNamespace}__right {
+                align-items: flex-start;
+                overflow-y: auto;
+            }
+
+            /* Resizable split (sizes come from custom properties set on the root element) */
+            .${LeftRightContainer.cssNamespace}--resizable .${LeftRightContainer.cssNamespace}__wrapper {
+                gap: 0;
+            }
+
+            .${LeftRightContainer.cssNamespace}--resizable .${LeftRightContainer.cssNamespace}__left {
+                flex: 0 0 var(--${LeftRightContainer.cssNamespace}-left-size);
+                min-width: 0;
+            }
+
+            .${LeftRightContainer.cssNamespace}--resizable .${LeftRightContainer.cssNamespace}__right {
+                flex: 1 1 0;
+                min-width: 0;
+            }
+
+            .${LeftRightContainer.cssNamespace}--collapsed-left .${LeftRightContainer.cssNamespace}__left,
+            .${LeftRightContainer.cssNamespace}--collapsed-right .${LeftRightContainer.cssNamespace}__right {
+                display: none;
+            }
+
+            .${LeftRightContainer.cssNamespace}--collapsed-right .${LeftRightContainer.cssNamespace}__left {
+                flex: 1 1 0;
+            }
+
+            .${LeftRightContainer.cssNamespace}--collapsed-left [data-action="collapse-left"],
+            .${LeftRightContainer.cssNamespace}--collapsed-right [data-action="collapse-right"] {
+                display: none;
+            }
+
+            .${LeftRightContainer.cssNamespace}__splitter {
+                flex: 0 0 var(--${LeftRightContainer.cssNamespace}-splitter-size);
+                position: relative;
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+                gap: 4px;
+                cursor: col-resize;
+                touch-action: none;
+                background: rgba(0, 0, 0, 0.04);
+                transition: background 0.15s ease;
+            }
+
+            .${LeftRightContainer.cssNamespace}__splitter:hover,
+            .${LeftRightContainer.cssNamespace}__splitter:focus-visible,
+            .${LeftRightContainer.cssNamespace}--dragging .${LeftRightContainer.cssNamespace}__splitter {
+                background: rgba(25, 118, 210, 0.2);
+                outline: none;
+            }
+
+            .${LeftRightContainer.cssNamespace}--dragging {
+                cursor: col-resize;
+                user-select: none;
+            }
+
+            .${LeftRightContainer.cssNamespace}__collapse {
+                position: relative;
+                z-index: 1;
+                width: 20px;
+                height: 28px;
+                padding: 0;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                background: #fff;
+                color: #666;
+                font-size: 10px;
+                cursor: pointer;
+            }
+
+            .${LeftRightContainer.cssNamespace}__collapse:hover {
+                color: #1976d2;
+                border-color: #1976d2;
+            }
+
             /* Responsive Design */
             @media (max-width: ${breakpoint}) {
                 .${LeftRightContainer.cssNamespace}__wrapper {
@@ -149,60 +334,527 @@ class LeftRightContainer extends BaseComponent {
                 }
 
                 .${LeftRightContainer.cssNamespace}__left,
-                .${LeftRightContainer.cssNamespace}__right {
+                .${LeftRightContainer.cssNamespace}__right,
+                .${LeftRightContainer.cssNamespace}--resizable .${LeftRightContainer.cssNamespace}__left,
+                .${LeftRightContainer.cssNamespace}--resizable .${LeftRightContainer.cssNamespace}__right {
+                    display: flex;
                     flex: 1 1 100%;
                 }
+
+                .${LeftRightContainer.cssNamespace}__splitter {
+                    display: none;
+                }
             }
         `;
     }
 
     /**
-     * Sync heights of left and right containers to match the taller one
+     * Add scroll-sync and splitter event listeners (drag, keyboard, double-click and collapse buttons)
+     */
+    addEventListeners() {
+        this.addScrollSyncListeners();
+
+        const splitter = this.container.querySelector(`.${LeftRightContainer.cssNamespace}__splitter`);
+        if (!splitter) return;
+
+        const listeners = {
+            pointerdown: (e) => this.startDrag(e, splitter),
+            pointermove: (e) => this.moveDrag(e),
+            pointerup: (e) => this.endDrag(e, splitter),
+            pointercancel: (e) => this.endDrag(e, splitter),
+            keydown: (e) => this.handleSplitterKeydown(e),
+            dblclick: (e) => {
+                if (!e.target.closest('button')) {
+                    this.resetSplit();
+                }
+            }
+        };
+
+        Object.entries(listeners).forEach(([event, listener]) => {
+            splitter.addEventListener(event, listener);
+            this.eventListeners.push({ element: splitter, event, listener });
+        });
+
+        splitter.querySelectorAll('[data-action^="collapse-"]').forEach(button => {
+            const side = button.dataset.action === 'collapse-left' ? 'left' : 'right';
+            const clickListener = () => this.toggleCollapse(side);
+            button.addEventListener('click', clickListener);
+            this.eventListeners.push({ element: button, event: 'click', listener: clickListener });
+        });
+
+        this.applySplit();
+    }
+
+    // ========================================
+    // SPLITTER
+    // ========================================
+
+    /**
+     * Left pane share from ui.leftWidth when it is a percentage, otherwise an even split
+     */
+    getDefaultRatio() {
+        const leftWidth = String(this.options.ui.leftWidth).trim();
+        const ratio = /%$/.test(leftWidth) ? parseFloat(leftWidth) / 100 : 0.5;
+        return isNaN(ratio) ? 0.5 : Math.min(1, Math.max(0, ratio));
+    }
+
+    /**
+     * localStorage key for this container's split, or null when it is not saved
+     */
+    getSplitStorageKey() {
+        const { persistSplit, persistKey } = this.options.ui;
+        const key = persistKey || (persistSplit && this.container && this.container.id);
+        return key ? LeftRightContainer.storageKey + key : null;
+    }
+
+    /**
+     * Read the saved split, falling back to the default
+     */
+    loadSplit() {
+        const split = { ratio: this.getDefaultRatio(), collapsed: null };
+        const key = this.options.ui.resizable ? this.getSplitStorageKey() : null;
+        if (!key) return split;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(key));
+            if (saved && typeof saved.ratio === 'number' && saved.ratio >= 0 && saved.ratio <= 1) {
+                split.ratio = saved.ratio;
+            }
+            if (saved && this.options.ui.collapsible && (saved.collapsed === 'left' || saved.collapsed === 'right')) {
+                split.collapsed = saved.collapsed;
+            }
+        } catch (error) {
+            this.log('Could not read saved split:', error.message);
+        }
+
+        return split;
+    }
+
+    /**
+     * Save (or with clear, forget) the split
+     */
+    saveSplit(clear = false) {
+        const key = this.getSplitStorageKey();
+        if (!key) return;
+
+        try {
+            if (clear) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, JSON.stringify(this.split));
+            }
+        } catch (error) {
+            this.log('Could not save split:', error.message);
+        }
+    }
+
+    /**
+     * Allowed left pane share given the min/max pane widths (px) and the current width
+     */
+    getRatioLimits() {
+        const { minLeftWidth, minRightWidth, maxLeftWidth, maxRightWidth } = this.options.ui;
+        const width = this.getSplitWidth();
+        if (width <= 0) {
+            return { min: 0, max: 1 };
+        }
+
+        let min = minLeftWidth / width;
+        let max = 1 - minRightWidth / width;
+        if (maxLeftWidth > 0) max = Math.min(max, maxLeftWidth / width);
+        if (maxRightWidth > 0) min = Math.max(min, 1 - maxRightWidth / width);
+
+        min = Math.min(1, Math.max(0, min));
+        max = Math.min(1, Math.max(0, max));
+        return min <= max ? { min, max } : { min: (min + max) / 2, max: (min + max) / 2 };
+    }
+
+    /**
+     * Width shared by the two panes (wrapper width less the splitter)
+     */
+    getSplitWidth() {
+        const wrapper = this.container.querySelector(`.${LeftRightContainer.cssNamespace}__wrapper`);
+        const splitter = this.container.querySelector(`.${LeftRightContainer.cssNamespace}__splitter`);
+        if (!wrapper) return 0;
+
+        return wrapper.getBoundingClientRect().width - (splitter ? splitter.getBoundingClientRect().width : 0);
+    }
+
+    /**
+     * Set the left pane share (clamped to the pane limits) and expand any collapsed pane
+     * @param {number} ratio - Left pane share, 0-1
+     * @param {object} options - { save, notify } (both default true)
+     */
+    setSplitRatio(ratio, options = {}) {
+        const { min, max } = this.getRatioLimits();
+
+        this.split.ratio = Math.min(max, Math.max(min, ratio));
+        this.split.collapsed = null;
+        this.applySplit();
+
+        if (options.save !== false) this.saveSplit();
+        if (options.notify !== false) this.notifyResize();
+    }
+
+    /**
+     * Collapse a pane, or expand it again if the other pane is the collapsed one
+     * @param {string} side - Button side: 'left' or 'right'
      */
+    toggleCollapse(side) {
+        if (!this.options.ui.collapsible) return;
+
+        this.split.collapsed = this.split.collapsed && this.split.collapsed !== side ? null : side;
+        this.applySplit();
+        this.saveSplit();
+        this.notifyResize();
+    }
+
+    /**
+     * Return to the default split and forget the saved one
+     */
+    resetSplit() {
+        this.split = { ratio: this.getDefaultRatio(), collapsed: null };
+        this.applySplit();
+        this.saveSplit(true);
+        this.notifyResize();
+    }
+
+    /**
+     * Apply the split to the rendered elements without re-rendering (slot children stay mounted)
+     */
+    applySplit() {
+        const ns = LeftRightContainer.cssNamespace;
+        const root = this.container.querySelector(`.${ns}`);
+        if (!root || !this.options.ui.resizable) return;
+
+        root.className = this.getRootClass() + (this.drag ? ` ${ns}--dragging` : '');
+        root.setAttribute('style', this.getSplitStyle());
+
+        const splitter = root.querySelector(`.${ns}__splitter`);
+        if (splitter) {
+            splitter.setAttribute('aria-valuenow', this.getSplitPercent());
+        }
+
+        const { collapsed } = this.split;
+        const labels = {
+            'collapse-left': collapsed === 'right' ? 'Expand right pane' : 'Collapse left pane',
+            'collapse-right': collapsed === 'left' ? 'Expand left pane' : 'Collapse right pane'
+        };
+        root.querySelectorAll(`.${ns}__collapse`).forEach(button => {
+            const label = labels[button.dataset.action];
+            button.setAttribute('aria-label', label);
+            button.title = label;
+        });
+    }
+
+    /**
+     * Start dragging the splitter (not when pressing a collapse button)
+     */
+    startDrag(e, splitter) {
+        if (e.button !== 0 || e.target.closest('button')) return;
+
+        const wrapper = this.container.querySelector(`.${LeftRightContainer.cssNamespace}__wrapper`);
+        const rect = wrapper.getBoundingClientRect();
+        const splitterWidth = splitter.getBoundingClientRect().width;
+
+        this.drag = { pointerId: e.pointerId, left: rect.left + splitterWidth / 2, width: rect.width - splitterWidth };
+        if (splitter.setPointerCapture && e.pointerId !== undefined) {
+            splitter.setPointerCapture(e.pointerId);
+        }
+
+        e.preventDefault();
+        this.applySplit();
+    }
+
+    /**
+     * Follow the pointer while dragging
+     */
+    moveDrag(e) {
+        if (!this.drag || this.drag.width <= 0) return;
+
+        this.setSplitRatio((e.clientX - this.drag.left) / this.drag.width, { save: false, notify: false });
+    }
+
+    /**
+     * Finish dragging: save the split and notify the panes
+     */
+    endDrag(e, splitter) {
+        if (!this.drag) return;
+
+        if (splitter.releasePointerCapture && this.drag.pointerId !== undefined &&
+            splitter.hasPointerCapture && splitter.hasPointerCapture(this.drag.pointerId)) {
+            splitter.releasePointerCapture(this.drag.pointerId);
+        }
+
+        this.drag = null;
+        this.applySplit();
+        this.saveSplit();
+        this.notifyResize();
+    }
+
+    /**
+     * Arrow keys move the splitter by ui.keyboardStep percent (5x with Shift), Home/End go to
+     * the limits, Enter collapses or expands the left pane
+     */
+    handleSplitterKeydown(e) {
+        const { keyboardStep, collapsible } = this.options.ui;
+        const step = (e.shiftKey ? keyboardStep * 5 : keyboardStep) / 100;
+        const current = this.getSplitPercent() / 100;
+
+        switch (e.key) {
+            case 'ArrowLeft':
+                this.setSplitRatio(current - step);
+                break;
+            case 'ArrowRight':
+                this.setSplitRatio(current + step);
+                break;
+            case 'Home':
+                this.setSplitRatio(this.getRatioLimits().min);
+                break;
+            case 'End':
+                this.setSplitRatio(this.getRatioLimits().max);
+                break;
+            case 'Enter':
+                if (!collapsible) return;
+                this.toggleCollapse('left');
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+    }
+
+    /**
+     * Tell listeners the panes changed size: events.onResize and a 'pane-resize'
+     * CustomEvent (detail: sizes plus slot) on each pane
+     */
+    notifyResize() {
+        const ns = LeftRightContainer.cssNamespace;
+        const panes = {
+            left: this.container.querySelector(`.${ns}__left`),
+            right: this.container.querySelector(`.${ns}__right`)
+        };
+        const size = (pane) => ({
+            width: pane ? pane.offsetWidth : 0,
+            height: pane ? pane.offsetHeight : 0
+        });
+        const detail = {
+            ratio: this.split.ratio,
+            collapsed: this.split.collapsed,
+            left: size(panes.left),
+            right: size(panes.right)
+        };
+
+        Object.entries(panes).forEach(([slot, pane]) => {
+            if (pane) {
+                pane.dispatchEvent(new CustomEvent(LeftRightContainer.resizeEventName, { detail: { ...detail, slot } }));
+            }
+        });
+
+        if (this.options.events.onResize) {
+            this.options.events.onResize(detail);
+        }
+    }
+
+    // ========================================
+    // PANE HEIGHTS
+    // ========================================
+
     /**
-     * Sync heights of left and right containers to match the taller one
+     * In 'equal' mode, re-sync the children's heights whenever they change size (ResizeObserver)
+     * or content (MutationObserver - a child held at the taller height doesn't shrink, so its
+     * size alone can't tell when content is removed)
+     */
+    observeHeights() {
+        this.disconnectHeightObservers();
+        if (this.options.ui.heightMode !== 'equal' || !this.leftContainer || !this.rightContainer) return;
+
+        const panes = [this.leftContainer, this.rightContainer];
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.scheduleHeightSync());
+            panes.forEach(pane => this.resizeObserver.observe(pane));
+        }
+
+        if (typeof MutationObserver !== 'undefined') {
+            // Not 'style', which syncHeights itself writes
+            this.mutationObserver = new MutationObserver(() => this.scheduleHeightSync());
+            panes.forEach(pane => this.mutationObserver.observe(pane, {
+                childList: true,
+                subtree: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: ['class', 'hidden', 'open']
+            }));
+        }
+
+        this.syncHeights();
+    }
+
+    /**
+     * Stop observing and drop a pending sync
+     */
+    disconnectHeightObservers() {
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        if (this.mutationObserver) this.mutationObserver.disconnect();
+        if (this.heightSyncFrame) cancelAnimationFrame(this.heightSyncFrame);
+
+        this.resizeObserver = null;
+        this.mutationObserver = null;
+        this.observedChildren = [];
+        this.heightSyncFrame = null;
+    }
+
+    /**
+     * Sync once per frame however many observer callbacks arrive
+     */
+    scheduleHeightSync() {
+        if (this.heightSyncFrame || this.destroyed) return;
+
+        this.heightSyncFrame = requestAnimationFrame(() => {
+            this.heightSyncFrame = null;
+            if (!this.destroyed) {
+                this.syncHeights();
+            }
+        });
+    }
+
+    /**
+     * Give both pane children the taller one's natural height (as min-height, so either can
+     * still grow). Heights are left natural while a pane is collapsed or the panes are stacked.
+     * @returns {boolean} - Whether the heights were synced
      */
     syncHeights() {
         if (!this.leftContainer || !this.rightContainer) {
             this.log('Cannot sync heights - containers not found');
             return false;
         }
-        
-        // Get the first child of each container (the actual components)
+
+        // The first child of each pane is the mounted component
         const leftChild = this.leftContainer.firstElementChild;
         const rightChild = this.rightContainer.firstElementChild;
-        
+
         if (!leftChild || !rightChild) {
             this.log('Cannot sync heights - child components not found');
             return false;
         }
-        
-        // Reset heights to auto to get natural heights
-        leftChild.style.height = 'auto';
-        rightChild.style.height = 'auto';
-        
-        // Get actual heights
+
+        this.observeChildren([leftChild, rightChild]);
+
+        // Reset to measure natural heights
+        leftChild.style.minHeight = '';
+        rightChild.style.minHeight = '';
+
+        if (this.split.collapsed || this.isStacked()) {
+            return false;
+        }
+
         const leftHeight = leftChild.offsetHeight;
         const rightHeight = rightChild.offsetHeight;
-        
-        // Set both to the maximum height
         const maxHeight = Math.max(leftHeight, rightHeight);
-        leftChild.style.height = `${maxHeight}px`;
-        rightChild.style.height = `${maxHeight}px`;
-        
+
+        leftChild.style.minHeight = `${maxHeight}px`;
+        rightChild.style.minHeight = `${maxHeight}px`;
+
         this.log(`Child heights synced to ${maxHeight}px (left: ${leftHeight}px, right: ${rightHeight}px)`);
         return true;
     }
 
     /**
-     * Reset container heights to auto (remove manual height setting)
+     * Observe the pane children, which are replaced when a slot is remounted
+     */
+    observeChildren(children) {
+        if (!this.resizeObserver) return;
+        if (children.every((child, index) => child === this.observedChildren[index])) return;
+
+        this.observedChildren.forEach(child => this.resizeObserver.unobserve(child));
+        children.forEach(child => this.resizeObserver.observe(child));
+        this.observedChildren = children;
+    }
+
+    /**
+     * Whether the panes are stacked (below ui.breakpoint)
+     */
+    isStacked() {
+        const wrapper = this.container.querySelector(`.${LeftRightContainer.cssNamespace}__wrapper`);
+        return !!wrapper && window.getComputedStyle(wrapper).flexDirection === 'column';
+    }
+
+    /**
+     * Remove the synced heights from the pane children
      */
     resetHeights() {
-        if (this.leftContainer) this.leftContainer.style.height = 'auto';
-        if (this.rightContainer) this.rightContainer.style.height = 'auto';
+        [this.leftContainer, this.rightContainer].forEach(pane => {
+            const child = pane && pane.firstElementChild;
+            if (child) {
+                child.style.minHeight = '';
+            }
+        });
         this.log('Heights reset to auto');
     }
 
+    /**
+     * Switch between 'equal', 'independent' and 'scroll-sync'
+     */
+    setHeightMode(mode) {
+        if (!LeftRightContainer.heightModes.includes(mode)) {
+            Utils.log('LeftRightContainer', 'warn', `Unknown height mode "${mode}"`);
+            return;
+        }
+
+        this.options.ui.heightMode = mode;
+        this.disconnectHeightObservers();
+        this.resetHeights();
+        this.render();
+        this.observeHeights();
+    }
+
+    /**
+     * In 'scroll-sync' mode, scrolling either pane scrolls the other to the same relative position
+     */
+    addScrollSyncListeners() {
+        if (this.options.ui.heightMode !== 'scroll-sync') return;
+
+        const ns = LeftRightContainer.cssNamespace;
+        const panes = [this.container.querySelector(`.${ns}__left`), this.container.querySelector(`.${ns}__right`)];
+        if (!panes[0] || !panes[1]) return;
+
+        panes.forEach((pane, index) => {
+            const scrollListener = () => this.syncScroll(pane, panes[1 - index]);
+            pane.addEventListener('scroll', scrollListener);
+            this.eventListeners.push({ element: pane, event: 'scroll', listener: scrollListener });
+        });
+    }
+
+    /**
+     * Copy a pane's relative scroll position to the other pane
+     */
+    syncScroll(source, target) {
+        // The scroll event caused by the previous copy
+        if (this.scrollSource === target) {
+            this.scrollSource = null;
+            return;
+        }
+
+        const sourceRange = source.scrollHeight - source.clientHeight;
+        const targetRange = target.scrollHeight - target.clientHeight;
+        if (sourceRange <= 0 || targetRange <= 0) return;
+
+        const scrollTop = Math.round((source.scrollTop / sourceRange) * targetRange);
+        if (target.scrollTop === scrollTop) return;
+
+        this.scrollSource = source;
+        target.scrollTop = scrollTop;
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.disconnectHeightObservers();
+        super.destroy();
+    }
+
     /**
      * Get default options
      */
@@ -221,7 +873,18 @@ class LeftRightContainer extends BaseComponent {
                 breakpoint: '768px',
                 showPlaceholders: false,
                 leftPlaceholder: 'Left component will be placed here',
-                rightPlaceholder: 'Right component will be placed here'
+                rightPlaceholder: 'Right component will be placed here',
+                resizable: false,       // Draggable splitter between the panes
+                collapsible: true,      // Collapse buttons on the splitter (resizable only)
+                splitterSize: '8px',
+                minLeftWidth: 200,      // px
+                minRightWidth: 200,     // px
+                maxLeftWidth: 0,        // px; 0 for no limit
+                maxRightWidth: 0,       // px; 0 for no limit
+                keyboardStep: 2,        // Percent per arrow key press
+                persistSplit: true,     // Save the split per container ID
+                persistKey: '',         // Storage key to use instead of the container ID
+                heightMode: 'equal'     // 'equal', 'independent' or 'scroll-sync'
             }
         };
     }
@@ -241,6 +904,7 @@ if (typeof window !== 'undefined') {
 {
   "name": "LeftRightContainer",
   "type": "left-right-container",
+  "slots": ["left", "right"],
   "options": {
     "ui": {
       "leftWidth": "50%",
@@ -255,7 +919,18 @@ if (typeof window !== 'undefined') {
       "breakpoint": "768px",
       "showPlaceholders": false,
       "leftPlaceholder": "Left component will be placed here",
-      "rightPlaceholder": "Right component will be placed here"
+      "rightPlaceholder": "Right component will be placed here",
+      "resizable": false,
+      "collapsible": true,
+      "splitterSize": "8px",
+      "minLeftWidth": 200,
+      "minRightWidth": 200,
+      "maxLeftWidth": 0,
+      "maxRightWidth": 0,
+      "keyboardStep": 2,
+      "persistSplit": true,
+      "persistKey": "",
+      "heightMode": "equal"
     }
   }
 }
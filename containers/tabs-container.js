@@ -0,0 +1,964 @@
+/**
+ * TabsContainer Component - Extends BaseComponent
+ * Hosts one child component per tab, each in a slot named after the tab. A tab's child
+ * is mounted the first time the tab is activated (ui.lazy) and, when the user switches
+ * away, either kept mounted and hidden (ui.keepAlive) or unmounted. The active tab can be
+ * mirrored in the URL query (ui.syncUrl). Tabs can be closable and reordered by dragging;
+ * tabs that do not fit move into a "More" menu.
+ */
+
+class TabsContainer extends BaseComponent {
+    static cssNamespace = 'tabs-container';
+
+    static events = {
+        onTabChange: null,      // ({ name, previous, tab })
+        onTabClose: null,       // (tab) - return false to keep the tab open
+        onTabReorder: null      // (names)
+    };
+
+    constructor(container, options = {}) {
+        super(container, options);
+
+        // Slot declaration per tab name, reused so re-renders don't re-mount children
+        this.tabSlots = { ...this.options.slots };
+
+        this.tabs = this.normalizeTabs(this.options.ui.tabs);
+        this.activeTab = this.getInitialTab();
+
+        // Tabs whose child has been mounted (lazy mode mounts on first activation)
+        this.visited = new Set(this.options.ui.lazy ? [this.activeTab] : this.tabs.map(tab => tab.name));
+
+        // Tabs currently shown in the "More" menu instead of the tab list
+        this.overflowTabs = [];
+        this.tabWidths = {};
+        this.menuOpen = false;
+
+        // Tab being dragged to a new position
+        this.dragTab = null;
+
+        this.resizeObserver = null;
+        this.observedList = null;
+        this.documentClickListener = null;
+
+        this.syncTabSlots();
+    }
+
+    /**
+     * Override needsDataManager since TabsContainer doesn't need data management
+     */
+    needsDataManager() {
+        return false;
+    }
+
+    /**
+     * Generate tabs HTML
+     */
+    generateHTML() {
+        const ns = TabsContainer.cssNamespace;
+        const { ariaLabel, overflow } = this.options.ui;
+
+        return `
+            <div class="${ns}">
+                <div class="${ns}__bar">
+                    <div class="${ns}__list" role="tablist" aria-label="${Utils.escapeHtml(ariaLabel)}">
+                        ${this.tabs.map(tab => this.generateTabHTML(tab)).join('')}
+                    </div>
+                    ${overflow ? this.generateMenuHTML() : ''}
+                </div>
+                <div class="${ns}__panels">
+                    ${this.tabs.map(tab => this.generatePanelHTML(tab)).join('')}
+                </div>
+                ${this.tabs.length === 0 ? `
+                    <div class="${ns}__empty text-secondary">${Utils.escapeHtml(this.options.ui.emptyMessage)}</div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Generate one tab (select button plus optional close button)
+     */
+    generateTabHTML(tab) {
+        const ns = TabsContainer.cssNamespace;
+        const active = tab.name === this.activeTab;
+        const title = Utils.escapeHtml(tab.title);
+
+        return `
+            <div
+                class="${ns}__tab${active ? ` ${ns}__tab--active` : ''}"
+                role="presentation"
+                data-tab="${tab.name}"
+                ${this.overflowTabs.includes(tab.name) ? 'hidden' : ''}
+                ${this.options.ui.reorderable ? 'draggable="true"' : ''}
+            >
+                <button
+                    type="button"
+                    class="${ns}__tab-button"
+                    role="tab"
+                    id="${this.getTabId(tab.name)}"
+                    aria-selected="${active}"
+                    aria-controls="${this.getPanelId(tab.name)}"
+                    tabindex="${active ? '0' : '-1'}"
+                    data-action="select-tab"
+                >
+                    ${tab.icon ? `<i class="fas ${Utils.escapeHtml(tab.icon)}" aria-hidden="true"></i>` : ''}
+                    <span>${title}</span>
+                </button>
+                ${tab.closable ? `
+                    <button type="button" class="${ns}__close" data-action="close-tab" tabindex="-1" aria-label="Close ${title}" title="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the "More" menu listing the tabs that don't fit
+     */
+    generateMenuHTML() {
+        const ns = TabsContainer.cssNamespace;
+        const tabs = this.tabs.filter(tab => this.overflowTabs.includes(tab.name));
+
+        return `
+            <div class="${ns}__more" ${tabs.length === 0 ? 'hidden' : ''}>
+                <button
+                    type="button"
+                    class="${ns}__more-button"
+                    data-action="toggle-menu"
+                    aria-haspopup="menu"
+                    aria-expanded="${this.menuOpen}"
+                    aria-label="More tabs"
+                >
+                    <i class="fas fa-ellipsis-h"></i>
+                    <span class="${ns}__more-count">${tabs.length}</span>
+                </button>
+                <div class="${ns}__menu" role="menu" ${this.menuOpen ? '' : 'hidden'}>
+                    ${tabs.map(tab => `
+                        <button type="button" class="${ns}__menu-item" role="menuitem" data-action="menu-select" data-tab="${tab.name}">
+                            ${tab.icon ? `<i class="fas ${Utils.escapeHtml(tab.icon)}" aria-hidden="true"></i>` : ''}
+                            ${Utils.escapeHtml(tab.title)}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate a tab panel; the slot is only rendered while the tab's child should be mounted
+     */
+    generatePanelHTML(tab) {
+        const ns = TabsContainer.cssNamespace;
+        const active = tab.name === this.activeTab;
+
+        return `
+            <div
+                class="${ns}__panel"
+                role="tabpanel"
+                id="${this.getPanelId(tab.name)}"
+                aria-labelledby="${this.getTabId(tab.name)}"
+                data-tab-panel="${tab.name}"
+                ${active ? '' : 'hidden'}
+            >
+                ${this.isMounted(tab.name) ? `<div class="${ns}__pane" data-slot="${tab.name}"></div>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Element IDs for a tab and its panel
+     */
+    getTabId(name) {
+        return `${this.containerId || TabsContainer.cssNamespace}-tab-${name}`;
+    }
+
+    getPanelId(name) {
+        return `${this.containerId || TabsContainer.cssNamespace}-panel-${name}`;
+    }
+
+    /**
+     * Component CSS
+     */
+    getInlineCSS() {
+        const ns = TabsContainer.cssNamespace;
+        const { backgroundColor, panelPadding } = this.options.ui;
+
+        return `
+            ${super.getInlineCSS()}
+
+            .${ns} {
+                width: 100%;
+                display: flex;
+                flex-direction: column;
+                background: ${backgroundColor};
+            }
+
+            .${ns}__bar {
+                position: relative;
+                display: flex;
+                align-items: flex-end;
+                border-bottom: 1px solid #e0e0e0;
+            }
+
+            .${ns}__list {
+                flex: 1;
+                min-width: 0;
+                display: flex;
+                overflow-x: auto;
+                scrollbar-width: none;
+            }
+
+            .${ns}__tab {
+                flex: 0 0 auto;
+                display: flex;
+                align-items: center;
+                border-bottom: 2px solid transparent;
+            }
+
+            .${ns}__tab[hidden] {
+                display: none;
+            }
+
+            .${ns}__tab--active {
+                border-bottom-color: #1976d2;
+            }
+
+            .${ns}__tab--dragging {
+                opacity: 0.5;
+            }
+
+            .${ns}__tab--drop-before {
+                box-shadow: inset 2px 0 0 #1976d2;
+            }
+
+            .${ns}__tab--drop-after {
+                box-shadow: inset -2px 0 0 #1976d2;
+            }
+
+            .${ns}__tab-button {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 10px 16px;
+                border: none;
+                background: transparent;
+                color: #666;
+                font-size: 14px;
+                white-space: nowrap;
+                cursor: pointer;
+            }
+
+            .${ns}__tab--active .${ns}__tab-button {
+                color: #1976d2;
+                font-weight: 600;
+            }
+
+            .${ns}__tab-button:focus-visible,
+            .${ns}__menu-item:focus-visible {
+                outline: 2px solid #1976d2;
+                outline-offset: -2px;
+            }
+
+            .${ns}__close {
+                margin-left: -8px;
+                margin-right: 4px;
+                padding: 4px 6px;
+                border: none;
+                background: transparent;
+                color: #999;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .${ns}__close:hover {
+                color: #f44336;
+            }
+
+            .${ns}__more {
+                position: relative;
+                flex: 0 0 auto;
+            }
+
+            .${ns}__more[hidden] {
+                display: none;
+            }
+
+            .${ns}__more-button {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                padding: 10px 12px;
+                border: none;
+                background: transparent;
+                color: #666;
+                cursor: pointer;
+            }
+
+            .${ns}__more-count {
+                font-size: 12px;
+            }
+
+            .${ns}__menu {
+                position: absolute;
+                right: 0;
+                top: 100%;
+                z-index: 10;
+                min-width: 180px;
+                padding: 4px 0;
+                background: #fff;
+                border: 1px solid #e0e0e0;
+                border-radius: 4px;
+                box-shadow: 0 4px 16px rgba(0, 0, 0, 0.12);
+            }
+
+            .${ns}__menu[hidden] {
+                display: none;
+            }
+
+            .${ns}__menu-item {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                width: 100%;
+                padding: 8px 16px;
+                border: none;
+                background: transparent;
+                text-align: left;
+                cursor: pointer;
+            }
+
+            .${ns}__menu-item:hover {
+                background: #f5f5f5;
+            }
+
+            .${ns}__panels {
+                flex: 1;
+                min-height: 0;
+            }
+
+            .${ns}__panel {
+                height: 100%;
+                padding: ${panelPadding};
+                box-sizing: border-box;
+            }
+
+            .${ns}__panel[hidden] {
+                display: none;
+            }
+
+            .${ns}__empty {
+                padding: 48px 16px;
+                text-align: center;
+            }
+        `;
+    }
+
+    /**
+     * Add event listeners
+     */
+    addEventListeners() {
+        const ns = TabsContainer.cssNamespace;
+        const listen = (element, event, listener) => {
+            element.addEventListener(event, listener);
+            this.eventListeners.push({ element, event, listener });
+        };
+
+        this.container.querySelectorAll(`.${ns}__tab`).forEach(element => {
+            const name = element.dataset.tab;
+            const selectBtn = element.querySelector('[data-action="select-tab"]');
+            const closeBtn = element.querySelector('[data-action="close-tab"]');
+
+            listen(selectBtn, 'click', () => this.activateTab(name));
+            listen(selectBtn, 'keydown', (e) => this.handleTabKeydown(e, name));
+            listen(element, 'mousedown', (e) => {
+                // Middle click closes closable tabs, as in browsers
+                if (e.button === 1 && closeBtn) {
+                    e.preventDefault();
+                    this.closeTab(name);
+                }
+            });
+
+            if (closeBtn) {
+                listen(closeBtn, 'click', () => this.closeTab(name));
+            }
+
+            if (this.options.ui.reorderable) {
+                listen(element, 'dragstart', (e) => this.handleDragStart(e, name));
+                listen(element, 'dragover', (e) => this.handleDragOver(e, element));
+                listen(element, 'dragleave', () => this.clearDropIndicator(element));
+                listen(element, 'drop', (e) => this.handleDrop(e, element));
+                listen(element, 'dragend', () => this.handleDragEnd());
+            }
+        });
+
+        const moreBtn = this.container.querySelector('[data-action="toggle-menu"]');
+        if (moreBtn) {
+            listen(moreBtn, 'click', () => this.setMenuOpen(!this.menuOpen));
+        }
+
+        this.container.querySelectorAll('[data-action="menu-select"]').forEach(item => {
+            listen(item, 'click', () => {
+                this.stopListeningForOutsideClick();
+                this.menuOpen = false;
+                this.activateTab(item.dataset.tab, { focus: true });
+            });
+            listen(item, 'keydown', (e) => this.handleMenuKeydown(e));
+        });
+
+        this.observeTabList();
+        this.updateOverflow();
+    }
+
+    // ========================================
+    // TABS
+    // ========================================
+
+    /**
+     * Normalize tab definitions, skipping invalid or duplicate names
+     * @returns {Array<object>} - { name, title, icon, closable }
+     */
+    normalizeTabs(definitions) {
+        const tabs = [];
+
+        (Array.isArray(definitions) ? definitions : []).forEach(definition => {
+            const tab = this.createTab(definition);
+            if (!tab || tabs.some(other => other.name === tab.name)) {
+                Utils.log('TabsContainer', 'warn', 'Skipping invalid or duplicate tab:', definition);
+                return;
+            }
+            tabs.push(tab);
+        });
+
+        return tabs;
+    }
+
+    /**
+     * Build a tab from a definition and remember its slot declaration
+     * @returns {object|null} - null for an invalid definition
+     */
+    createTab(definition) {
+        if (!Utils.isObject(definition) || !BaseComponent.slotNamePattern.test(definition.name || '')) {
+            return null;
+        }
+
+        if (definition.componentClass && !this.tabSlots[definition.name]) {
+            this.tabSlots[definition.name] = { componentClass: definition.componentClass, options: definition.options || {} };
+        }
+
+        return {
+            name: definition.name,
+            title: definition.title || definition.name,
+            icon: definition.icon || '',
+            closable: definition.closable !== undefined ? !!definition.closable : !!this.options.ui.closable
+        };
+    }
+
+    /**
+     * Point options.slots at the current tabs' declarations
+     */
+    syncTabSlots() {
+        this.setSlots(this.tabs.map(tab => tab.name), this.tabSlots);
+    }
+
+    /**
+     * Get a tab by name
+     */
+    getTab(name) {
+        return this.tabs.find(tab => tab.name === name) || null;
+    }
+
+    /**
+     * Get the active tab's name
+     */
+    getActiveTab() {
+        return this.activeTab;
+    }
+
+    /**
+     * Whether a tab's child should be mounted: the active tab, plus visited tabs in keepAlive mode
+     */
+    isMounted(name) {
+        return name === this.activeTab || (this.options.ui.keepAlive && this.visited.has(name));
+    }
+
+    /**
+     * Tab to start on: the URL, then ui.activeTab, then the first tab
+     */
+    getInitialTab() {
+        const fromUrl = this.options.ui.syncUrl ? this.getUrlTab() : null;
+        const candidates = [fromUrl, this.options.ui.activeTab];
+        const name = candidates.find(candidate => candidate && this.getTab(candidate));
+
+        return name || (this.tabs[0] ? this.tabs[0].name : null);
+    }
+
+    /**
+     * Switch to a tab (mounting its child on first activation)
+     * @param {string} name - Tab name
+     * @param {object} options - { focus, updateUrl }
+     * @returns {boolean} - Whether the tab exists
+     */
+    activateTab(name, options = {}) {
+        const tab = this.getTab(name);
+        if (!tab) return false;
+
+        const previous = this.activeTab;
+        const changed = previous !== name;
+
+        this.activeTab = name;
+        this.visited.add(name);
+        this.menuOpen = false;
+        this.render();
+
+        if (options.focus) {
+            this.focusTab(name);
+        }
+
+        if (changed) {
+            if (this.options.ui.syncUrl && options.updateUrl !== false) {
+                this.updateUrl(name);
+            }
+            if (this.options.events.onTabChange) {
+                this.options.events.onTabChange({ name, previous, tab: { ...tab } });
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Add a tab (and optionally switch to it)
+     * @param {object} definition - { name, title, icon, closable, componentClass, options }
+     * @param {object} options - { activate (default true), index }
+     * @returns {boolean} - Whether the tab was added
+     */
+    addTab(definition, options = {}) {
+        const tab = this.createTab(definition);
+        if (!tab || this.getTab(tab.name)) {
+            Utils.log('TabsContainer', 'warn', 'Cannot add invalid or duplicate tab:', definition);
+            return false;
+        }
+
+        const index = Number.isInteger(options.index) ? options.index : this.tabs.length;
+        this.tabs.splice(index, 0, tab);
+        this.syncTabSlots();
+
+        if (options.activate === false) {
+            this.render();
+        } else {
+            this.activateTab(tab.name, { focus: true });
+        }
+        return true;
+    }
+
+    /**
+     * Close a tab, unmounting its child; the neighbouring tab becomes active
+     * events.onTabClose may return false to keep it open.
+     */
+    closeTab(name) {
+        const index = this.tabs.findIndex(tab => tab.name === name);
+        if (index === -1) return false;
+
+        const tab = this.tabs[index];
+        if (this.options.events.onTabClose && this.options.events.onTabClose({ ...tab }) === false) {
+            return false;
+        }
+
+        this.tabs.splice(index, 1);
+        this.visited.delete(name);
+        delete this.tabSlots[name];
+        this.syncTabSlots();
+
+        if (this.activeTab === name) {
+            const next = this.tabs[index] || this.tabs[index - 1];
+            if (next) {
+                this.activateTab(next.name, { focus: true });
+                return true;
+            }
+            this.activeTab = null;
+            if (this.options.ui.syncUrl) {
+                this.updateUrl(null);
+            }
+        }
+
+        this.render();
+        return true;
+    }
+
+    /**
+     * Move a tab to a new position
+     * @param {string} name - Tab name
+     * @param {number} index - New index
+     */
+    moveTab(name, index) {
+        const from = this.tabs.findIndex(tab => tab.name === name);
+        if (from === -1) return;
+
+        const to = Math.max(0, Math.min(this.tabs.length - 1, index));
+        if (from === to) return;
+
+        const [tab] = this.tabs.splice(from, 1);
+        this.tabs.splice(to, 0, tab);
+        this.render();
+
+        if (this.options.events.onTabReorder) {
+            this.options.events.onTabReorder(this.tabs.map(item => item.name));
+        }
+    }
+
+    /**
+     * Focus a tab's button (or the More button when the tab is in the overflow menu)
+     */
+    focusTab(name) {
+        const button = this.overflowTabs.includes(name)
+            ? this.container.querySelector('[data-action="toggle-menu"]')
+            : this.container.querySelector(`.${TabsContainer.cssNamespace}__tab[data-tab="${name}"] [role="tab"]`);
+
+        if (button) {
+            button.focus();
+        }
+    }
+
+    /**
+     * Arrow keys / Home / End move between tabs (activating them), Delete closes a closable tab
+     */
+    handleTabKeydown(e, name) {
+        const visible = this.tabs.filter(tab => !this.overflowTabs.includes(tab.name));
+        const index = visible.findIndex(tab => tab.name === name);
+        let target = null;
+
+        switch (e.key) {
+            case 'ArrowLeft':
+                target = visible[(index - 1 + visible.length) % visible.length];
+                break;
+            case 'ArrowRight':
+                target = visible[(index + 1) % visible.length];
+                break;
+            case 'Home':
+                target = visible[0];
+                break;
+            case 'End':
+                target = visible[visible.length - 1];
+                break;
+            case 'Delete':
+                if (this.getTab(name).closable) {
+                    e.preventDefault();
+                    this.closeTab(name);
+                }
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        if (target) {
+            this.activateTab(target.name, { focus: true });
+        }
+    }
+
+    // ========================================
+    // URL SYNC
+    // ========================================
+
+    /**
+     * Active tab from the route query, or from the page URL when not routed
+     */
+    getUrlTab() {
+        const { urlParam } = this.options.ui;
+        const route = this.options.route;
+        if (route && route.query) {
+            return route.query[urlParam] || null;
+        }
+
+        return new URLSearchParams(window.location.search).get(urlParam);
+    }
+
+    /**
+     * Write the active tab to the URL without adding a history entry
+     * Routed components go through the router (which keeps mounted components); otherwise
+     * the page query string is replaced.
+     */
+    updateUrl(name) {
+        const { urlParam } = this.options.ui;
+        const appConfig = this.getAppConfig();
+        const router = appConfig ? appConfig.router : null;
+
+        if (this.options.route && router && router.current) {
+            const [path, search = ''] = router.current.fullPath.split('?');
+            const params = new URLSearchParams(search);
+            if (name) {
+                params.set(urlParam, name);
+            } else {
+                params.delete(urlParam);
+            }
+
+            const query = params.toString();
+            router.replace(query ? `${path}?${query}` : path);
+            return;
+        }
+
+        const url = new URL(window.location.href);
+        if (name) {
+            url.searchParams.set(urlParam, name);
+        } else {
+            url.searchParams.delete(urlParam);
+        }
+        window.history.replaceState(window.history.state, '', url.href);
+    }
+
+    // ========================================
+    // OVERFLOW MENU
+    // ========================================
+
+    /**
+     * Re-measure when the tab list is resized
+     */
+    observeTabList() {
+        if (!this.options.ui.overflow || typeof ResizeObserver === 'undefined') return;
+
+        const list = this.container.querySelector(`.${TabsContainer.cssNamespace}__list`);
+        if (!list || list === this.observedList) return;
+
+        if (!this.resizeObserver) {
+            this.resizeObserver = new ResizeObserver(() => this.updateOverflow());
+        }
+        this.resizeObserver.disconnect();
+        this.resizeObserver.observe(list);
+        this.observedList = list;
+    }
+
+    /**
+     * Move the tabs that don't fit into the More menu, keeping the active tab visible
+     * Tab widths are measured while the tabs are shown and cached.
+     */
+    updateOverflow() {
+        if (!this.options.ui.overflow) return;
+
+        const ns = TabsContainer.cssNamespace;
+        const list = this.container.querySelector(`.${ns}__list`);
+        if (!list) return;
+
+        this.container.querySelectorAll(`.${ns}__tab:not([hidden])`).forEach(element => {
+            if (element.offsetWidth > 0) {
+                this.tabWidths[element.dataset.tab] = element.offsetWidth;
+            }
+        });
+
+        const moreButton = this.container.querySelector(`.${ns}__more`);
+        const available = list.clientWidth + (moreButton && !moreButton.hidden ? moreButton.offsetWidth : 0);
+        const measured = this.tabs.every(tab => this.tabWidths[tab.name]);
+        let overflowTabs = [];
+
+        if (measured && available > 0) {
+            const total = this.tabs.reduce((sum, tab) => sum + this.tabWidths[tab.name], 0);
+
+            if (total > available) {
+                let remaining = available - this.options.ui.moreButtonWidth - (this.tabWidths[this.activeTab] || 0);
+                overflowTabs = this.tabs.filter(tab => {
+                    if (tab.name === this.activeTab) return false;
+                    remaining -= this.tabWidths[tab.name];
+                    return remaining < 0;
+                }).map(tab => tab.name);
+            }
+        }
+
+        if (overflowTabs.join() !== this.overflowTabs.join()) {
+            this.overflowTabs = overflowTabs;
+            this.scheduleRender();
+        }
+    }
+
+    /**
+     * Open or close the More menu
+     */
+    setMenuOpen(open) {
+        this.menuOpen = open;
+        this.render();
+
+        if (open) {
+            const firstItem = this.container.querySelector('[data-action="menu-select"]');
+            if (firstItem) firstItem.focus();
+            this.listenForOutsideClick();
+        } else {
+            this.stopListeningForOutsideClick();
+        }
+    }
+
+    /**
+     * Arrow keys move through the menu, Escape closes it
+     */
+    handleMenuKeydown(e) {
+        const items = Array.from(this.container.querySelectorAll('[data-action="menu-select"]'));
+        const index = items.indexOf(e.currentTarget);
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.setMenuOpen(false);
+            const moreBtn = this.container.querySelector('[data-action="toggle-menu"]');
+            if (moreBtn) moreBtn.focus();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const next = items[(index + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length];
+            if (next) next.focus();
+        }
+    }
+
+    /**
+     * Close the menu on clicks outside it
+     */
+    listenForOutsideClick() {
+        if (this.documentClickListener) return;
+
+        this.documentClickListener = (e) => {
+            const more = this.container.querySelector(`.${TabsContainer.cssNamespace}__more`);
+            if (!more || !more.contains(e.target)) {
+                this.setMenuOpen(false);
+            }
+        };
+        document.addEventListener('click', this.documentClickListener, true);
+    }
+
+    stopListeningForOutsideClick() {
+        if (this.documentClickListener) {
+            document.removeEventListener('click', this.documentClickListener, true);
+            this.documentClickListener = null;
+        }
+    }
+
+    // ========================================
+    // DRAG TO REORDER
+    // ========================================
+
+    handleDragStart(e, name) {
+        this.dragTab = name;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', name);
+        e.currentTarget.classList.add(`${TabsContainer.cssNamespace}__tab--dragging`);
+    }
+
+    /**
+     * Show where the dragged tab would land (before or after the hovered tab)
+     */
+    handleDragOver(e, element) {
+        if (!this.dragTab || element.dataset.tab === this.dragTab) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+
+        const after = this.isDropAfter(e, element);
+        element.classList.toggle(`${TabsContainer.cssNamespace}__tab--drop-before`, !after);
+        element.classList.toggle(`${TabsContainer.cssNamespace}__tab--drop-after`, after);
+    }
+
+    handleDrop(e, element) {
+        if (!this.dragTab) return;
+        e.preventDefault();
+
+        const name = this.dragTab;
+        const after = this.isDropAfter(e, element);
+        this.clearDropIndicator(element);
+        this.dragTab = null;
+
+        const from = this.tabs.findIndex(tab => tab.name === name);
+        let to = this.tabs.findIndex(tab => tab.name === element.dataset.tab) + (after ? 1 : 0);
+        if (from < to) to--;
+        this.moveTab(name, to);
+    }
+
+    handleDragEnd() {
+        this.dragTab = null;
+        this.container.querySelectorAll(`.${TabsContainer.cssNamespace}__tab`).forEach(element => {
+            element.classList.remove(`${TabsContainer.cssNamespace}__tab--dragging`);
+            this.clearDropIndicator(element);
+        });
+    }
+
+    /**
+     * Whether the pointer is over the right half of a tab
+     */
+    isDropAfter(e, element) {
+        const rect = element.getBoundingClientRect();
+        return e.clientX > rect.left + rect.width / 2;
+    }
+
+    clearDropIndicator(element) {
+        element.classList.remove(`${TabsContainer.cssNamespace}__tab--drop-before`, `${TabsContainer.cssNamespace}__tab--drop-after`);
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        this.stopListeningForOutsideClick();
+        super.destroy();
+    }
+
+    /**
+     * Get default options
+     */
+    static getDefaultOptions() {
+        return {
+            ui: {
+                tabs: [],                   // [{ name, title, icon, closable, componentClass, options }]
+                activeTab: '',              // Defaults to the first tab
+                lazy: true,                 // Mount a tab's child on first activation
+                keepAlive: true,            // Keep visited tabs mounted (hidden); false unmounts them
+                syncUrl: false,             // Mirror the active tab in the URL query
+                urlParam: 'tab',
+                closable: false,            // Default for tabs that don't set closable
+                reorderable: false,         // Drag tabs to reorder them
+                overflow: true,             // Move tabs that don't fit into a More menu
+                moreButtonWidth: 56,        // px reserved for the More button
+                ariaLabel: 'Tabs',
+                backgroundColor: 'transparent',
+                panelPadding: '16px 0',
+                emptyMessage: 'No tabs open'
+            }
+        };
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabsContainer;
+}
+
+if (typeof window !== 'undefined') {
+    window.TabsContainer = TabsContainer;
+    console.log('✅ TabsContainer component loaded');
+}
+
+/* __START_OF_JSON_SPECIFICATION__
+{
+  "name": "TabsContainer",
+  "type": "tabs-container",
+  "slotsOption": "ui.tabs",
+  "options": {
+    "ui": {
+      "tabs": [],
+      "activeTab": "",
+      "lazy": true,
+      "keepAlive": true,
+      "syncUrl": false,
+      "urlParam": "tab",
+      "closable": false,
+      "reorderable": false,
+      "overflow": true,
+      "moreButtonWidth": 56,
+      "ariaLabel": "Tabs",
+      "backgroundColor": "transparent",
+      "panelPadding": "16px 0",
+      "emptyMessage": "No tabs open"
+    }
+  }
+}
+__END_OF_JSON_SPECIFICATION__ */
@@ -8,6 +8,18 @@ class BaseComponent {
     static cssNamespace = '';
     static cssFile = '';
 
+    // Required to mount the component: every permission and any role (see AppConfig.isAllowed).
+    // ComponentManager refuses the mount otherwise; routes can declare the same on their entry.
+    static permissions = [];
+    static roles = [];
+
+    // Valid slot names; containers that name their children (tabs, sections, areas,
+    // widgets) also use them as CSS idents and URL values
+    static slotNamePattern = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+    // Events a subclass adds to the events option section: { onX: null }
+    static events = {};
+
     constructor(container, options = {}) {
         this.container = container;
         this.options = this.mergeDefaultOptions(options);
@@ -22,8 +34,26 @@ class BaseComponent {
         this.dataManager = null;
         this.refreshTimer = null;
 
+        // True while the container holds generateHTML() output that can be patched
+        this.contentRendered = false;
+
+        // Reactive state - setState() batches into one scheduled render
+        this.renderScheduled = false;
+        this.stateChangeListeners = [];
+        this.destroyed = false;
+
         // Event listeners storage for cleanup
         this.eventListeners = [];
+
+        // Set by ComponentManager when mounted; used to mount slot children
+        this.componentManager = null;
+        this.containerId = null;
+
+        // Slot name -> container ID of the child mounted in that slot
+        this.slotComponents = new Map();
+
+        // Settles once the slot children of the latest render are mounted
+        this.slotsSynced = Promise.resolve();
     }
 
     /**
@@ -32,7 +62,7 @@ class BaseComponent {
     mergeDefaultOptions(options) {
         return {
             cssFile: options.cssFile || this.constructor.cssFile || '',
-            preview : false,
+            preview : options.preview || false,
             dataSource: {
                 type: 'static',        // 'static', 'api', 'function', 'websocket'
                 data: null,
@@ -52,14 +82,26 @@ class BaseComponent {
                 loadingText: 'Loading...',
                 errorRetryText: 'Retry',
                 modalErrorType: 'inline', // 'inline' or 'modal'
+                renderMode: 'patch',      // 'patch' (keyed DOM diffing) or 'replace' (innerHTML)
+                renderScheduler: 'microtask', // 'microtask' or 'animationFrame'
                 ...options.ui
             },
 
+            // Named slot children: { [slotName]: { componentClass, options } }
+            slots: {
+                ...options.slots
+            },
+
+            // Set by Router for routed components: { path, fullPath, name, params, query }
+            route: options.route || null,
+
             events: {
                 onDataLoaded: null,
                 onError: null,
                 onRetry: null,
                 onDestroy: null,
+                onStateChange: null,
+                ...this.constructor.events,
                 ...options.events
             }
         };
@@ -179,9 +221,11 @@ class BaseComponent {
         }
 
         try {
-            this.setState({ loading: true, error: null });
+            // Callers render explicitly once loading completes
+            this.setState({ loading: true, error: null }, { render: false });
 
-            if (this.options.ui.showLoading) {
+            // Background refreshes keep the rendered content instead of flashing the spinner
+            if (this.options.ui.showLoading && !this.contentRendered) {
                 this.renderLoading();
             }
 
@@ -191,7 +235,7 @@ class BaseComponent {
                 data: data,
                 loading: false,
                 error: null
-            });
+            }, { render: false });
 
             // Trigger callback
             if (this.options.events.onDataLoaded) {
@@ -204,7 +248,7 @@ class BaseComponent {
             this.setState({
                 loading: false,
                 error: error
-            });
+            }, { render: false });
 
             this.handleError(error);
         }
@@ -281,7 +325,10 @@ class BaseComponent {
      * Render component based on current state
      */
     render() {
-        if (this.state.loading && this.options.ui.showLoading) {
+        // An explicit render satisfies any pending scheduled render
+        this.renderScheduled = false;
+
+        if (this.state.loading && this.options.ui.showLoading && !this.contentRendered) {
             this.renderLoading();
         } else if (this.state.error && this.options.ui.showError) {
             this.renderError();
@@ -296,6 +343,7 @@ class BaseComponent {
      * Render loading state
      */
     renderLoading() {
+        this.contentRendered = false;
         this.container.innerHTML = `
             <div class="${this.constructor.cssNamespace}__loading">
                 <div class="loading-spinner"></div>
@@ -310,6 +358,7 @@ class BaseComponent {
     renderError() {
         const canRetry = this.options.ui.retryOnError && this.dataManager;
 
+        this.contentRendered = false;
         this.container.innerHTML = `
             <div class="${this.constructor.cssNamespace}__error">
                 <div class="error-icon">⚠️</div>
@@ -329,17 +378,139 @@ class BaseComponent {
 
     /**
      * Render main content
+     * The first render (and every render in 'replace' mode) writes innerHTML; later
+     * renders patch the existing DOM so focus, caret, scroll and typed input survive.
      */
     renderContent() {
-        this.container.innerHTML = this.generateHTML();
+        const html = this.generateHTML();
+
+        if (!this.contentRendered || this.options.ui.renderMode === 'replace') {
+            this.removeEventListeners();
+            this.container.innerHTML = html;
+            this.contentRendered = true;
+            this.addEventListeners();
+            this.initialize();
+            this.syncSlots();
+            return;
+        }
+
+        // Listeners are re-bound to the same (preserved) nodes, so none are duplicated
+        this.removeEventListeners();
+        const stats = DOMPatcher.patch(this.container, html);
         this.addEventListeners();
-        this.initialize();
+        this.onPatched(stats);
+        this.syncSlots();
+    }
+
+    // ========================================
+    // SLOTS
+    // ========================================
+
+    /**
+     * Get a named slot element declared in generateHTML() with data-slot="name"
+     * Slots belonging to nested child components are ignored.
+     */
+    getSlotElement(name) {
+        const candidates = this.container.querySelectorAll(`[data-slot="${name}"]`);
+
+        return Array.from(candidates).find(element => {
+            const owner = element.parentElement && element.parentElement.closest('[data-mounted-component]');
+            return !owner || owner === this.container || owner.contains(this.container);
+        }) || null;
+    }
+
+    /**
+     * Mount every declared slot child and unmount children whose slot went away
+     * @returns {Promise<number>} - Number of slot children mounted
+     */
+    async mountSlots() {
+        if (!this.componentManager) {
+            return 0;
+        }
+
+        Array.from(this.slotComponents.keys()).forEach(name => {
+            if (!this.options.slots[name] || !this.getSlotElement(name)) {
+                this.unmountSlot(name);
+            }
+        });
+
+        let mountedCount = 0;
+        for (const [name, declaration] of Object.entries(this.options.slots)) {
+            if (!declaration) continue;
+
+            if (!this.getSlotElement(name)) {
+                this.log(`Slot "${name}" is not rendered, skipping`);
+                continue;
+            }
+
+            try {
+                await this.mountSlot(name);
+                mountedCount++;
+            } catch (error) {
+                console.error(`[${this.constructor.name}] Failed to mount slot "${name}":`, error);
+            }
+        }
+
+        return mountedCount;
+    }
+
+    /**
+     * Mount (or keep) the child declared for a slot
+     */
+    async mountSlot(name) {
+        return this.componentManager.mountSlot(this, name, this.options.slots[name]);
+    }
+
+    /**
+     * Unmount the child mounted in a slot
+     */
+    unmountSlot(name) {
+        if (this.componentManager) {
+            this.componentManager.unmountSlot(this, name);
+        }
+        this.slotComponents.delete(name);
+    }
+
+    /**
+     * Get the component mounted in a slot
+     */
+    getSlotComponent(name) {
+        const containerId = this.slotComponents.get(name);
+        return containerId && this.componentManager ? this.componentManager.getComponent(containerId) : null;
+    }
+
+    /**
+     * Point options.slots at the declarations of the given slot names
+     * Containers keep one declaration object per name across calls, so a child is only
+     * re-mounted when its slot is declared anew (see ComponentManager.mountSlot).
+     * @param {string[]} names - Slot names in use
+     * @param {object} declarations - Slot declaration per name; names without one are left out
+     */
+    setSlots(names, declarations) {
+        this.options.slots = {};
+        names.forEach(name => {
+            if (declarations[name]) {
+                this.options.slots[name] = declarations[name];
+            }
+        });
+    }
+
+    /**
+     * Re-sync slot children after a re-render (initial mount is driven by ComponentManager)
+     */
+    syncSlots() {
+        if (!this.state.initialized || !this.componentManager) return;
+
+        this.slotsSynced = this.mountSlots().catch(error => {
+            console.error(`[${this.constructor.name}] Failed to sync slots:`, error);
+        });
     }
 
     /**
      * Render empty state
      */
     renderEmpty() {
+        this.contentRendered = false;
         this.container.innerHTML = `
             <div class="${this.constructor.cssNamespace}__empty">
                 No data available
@@ -394,17 +565,89 @@ class BaseComponent {
 
     /**
      * Update component state
+     * Changes made after initialization schedule a single batched render, so several
+     * setState() calls in one tick (e.g. multiple data-manager events) render once.
+     * @param {object} newState - Partial state to shallow-merge
+     * @param {object} options - { render: false } to update without scheduling a render
      */
-    setState(newState) {
-        this.state = { ...this.state, ...newState };
+    setState(newState, options = {}) {
+        const prevState = this.state;
+        const nextState = { ...prevState, ...newState };
+        this.state = nextState;
+
+        this.notifyStateChange(prevState, nextState);
+
+        if (options.render !== false && nextState.initialized && this.shouldUpdate(prevState, nextState)) {
+            this.scheduleRender();
+        }
     }
 
     /**
-     * Update component data and re-render
+     * Decide whether a state change needs a re-render
+     * Override in subclasses for finer control; default re-renders when any key changed
+     * @param {object} prevState - State before the change
+     * @param {object} nextState - State after the change
+     * @returns {boolean} - True to re-render
+     */
+    shouldUpdate(prevState, nextState) {
+        return Object.keys(nextState).some(key => prevState[key] !== nextState[key]);
+    }
+
+    /**
+     * Subscribe to state changes
+     * @param {function} callback - Called with (nextState, prevState)
+     * @returns {function} - Unsubscribe function
+     */
+    onStateChange(callback) {
+        this.stateChangeListeners.push(callback);
+        return () => {
+            this.stateChangeListeners = this.stateChangeListeners.filter(cb => cb !== callback);
+        };
+    }
+
+    /**
+     * Notify state change subscribers and the onStateChange event option
+     */
+    notifyStateChange(prevState, nextState) {
+        const callbacks = [...this.stateChangeListeners];
+        if (this.options.events.onStateChange) {
+            callbacks.push(this.options.events.onStateChange);
+        }
+
+        callbacks.forEach(callback => {
+            try {
+                callback(nextState, prevState);
+            } catch (error) {
+                this.log('State change listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Schedule a render on the next microtask or animation frame
+     */
+    scheduleRender() {
+        if (this.renderScheduled || this.destroyed) return;
+        this.renderScheduled = true;
+
+        const flush = () => {
+            if (this.renderScheduled && !this.destroyed) {
+                this.render();
+            }
+        };
+
+        if (this.options.ui.renderScheduler === 'animationFrame' && typeof requestAnimationFrame === 'function') {
+            requestAnimationFrame(flush);
+        } else {
+            queueMicrotask(flush);
+        }
+    }
+
+    /**
+     * Update component data and schedule a re-render
      */
     update(newData) {
         this.setState({ data: newData });
-        this.render();
     }
 
     /**
@@ -513,6 +756,7 @@ class BaseComponent {
 
     /**
      * Show confirmation modal
+     * Resolves true (confirmed), false (cancelled) or null (dismissed via close, backdrop or ESC)
      */
     showConfirmModal(message, config = {}) {
         return new Promise((resolve) => {
@@ -521,6 +765,10 @@ class BaseComponent {
                 message: message,
                 confirmText: config.confirmText || 'Yes',
                 cancelText: config.cancelText || 'No',
+                onClose: () => {
+                    resolve(null);
+                    if (config.onClose) config.onClose();
+                },
                 onConfirm: () => {
                     this.hideModal();
                     resolve(true);
@@ -878,6 +1126,11 @@ class BaseComponent {
      * Cleanup component
      */
     destroy() {
+        // Stop reactive rendering
+        this.destroyed = true;
+        this.renderScheduled = false;
+        this.stateChangeListeners = [];
+
         // Hide any open modals
         this.hideModal();
 
@@ -887,15 +1140,11 @@ class BaseComponent {
         }
 
         // Remove event listeners
-        this.eventListeners.forEach(({ element, event, listener }) => {
-            if (element && element.removeEventListener) {
-                element.removeEventListener(event, listener);
-            }
-        });
-        this.eventListeners = [];
+        this.removeEventListeners();
 
         // Clear container
         this.container.innerHTML = '';
+        this.contentRendered = false;
 
         // Cleanup data manager
         if (this.dataManager && this.dataManager.destroy) {
@@ -913,6 +1162,59 @@ class BaseComponent {
         this.log('Component destroyed');
     }
 
+    /**
+     * Remove all tracked DOM event listeners
+     */
+    removeEventListeners() {
+        this.eventListeners.forEach(({ element, event, listener }) => {
+            if (element && element.removeEventListener) {
+                element.removeEventListener(event, listener);
+            }
+        });
+        this.eventListeners = [];
+    }
+
+    /**
+     * Get the AppConfig this component was mounted by
+     */
+    getAppConfig() {
+        return this.componentManager ? this.componentManager.appConfig : null;
+    }
+
+    /**
+     * Listen to an AppConfig event (e.g. 'sessionExpiring', 'sessionExpired')
+     * The listener is tracked like DOM listeners, so call this from addEventListeners().
+     */
+    listenToAppEvent(eventName, callback) {
+        const fullEventName = `appConfig:${eventName}`;
+        const listener = (event) => callback(event.detail, event);
+
+        window.addEventListener(fullEventName, listener);
+        this.eventListeners.push({ element: window, event: fullEventName, listener });
+    }
+
+    /**
+     * Navigate through AppConfig (and its router), or fall back to a page load
+     */
+    navigate(path, options = {}) {
+        const appConfig = this.getAppConfig();
+        if (appConfig) {
+            return appConfig.navigate(path, options);
+        }
+
+        window.location.href = path;
+    }
+
+    /**
+     * Absolute URL of an app path (through the router's URL mode), e.g. for links sent by email
+     */
+    getAbsoluteUrl(path) {
+        const appConfig = this.getAppConfig();
+        const url = appConfig && appConfig.router ? appConfig.router.getUrl(path) : path;
+
+        return new URL(url, window.location.href).href;
+    }
+
     /**
      * Get current component data
      */
@@ -968,6 +1270,14 @@ class BaseComponent {
         // Override in subclasses
     }
 
+    /**
+     * Called after a patch render instead of initialize() - MAY be implemented by subclasses
+     * @param {object} stats - Patch statistics ({ created, removed, updated })
+     */
+    onPatched(stats) {
+        // Override in subclasses
+    }
+
     /**
      * Logging utility
      */
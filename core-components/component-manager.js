@@ -4,9 +4,19 @@
  */
 
 class ComponentManager {
-    constructor() {
+    // Options every BaseComponent accepts, regardless of its JSON specification
+    static baseOptionKeys = ['cssFile', 'preview', 'dataSource', 'events', 'slots', 'route', 'debug'];
+
+    static dataSourceTypes = ['static', 'api', 'function', 'websocket'];
+
+    constructor(appConfig = null) {
+        this.appConfig = appConfig;
         this.mountedComponents = new Map();
         this.componentRegistry = new Map();
+
+        // Component JSON specifications, indexed by both name and type
+        this.specifications = new Map();
+        this.specificationsLoading = null;
     }
 
     /**
@@ -23,16 +33,30 @@ class ComponentManager {
     }
 
     /**
-     * Mount a component by class (UPDATED)
+     * Mount a component by class
+     * Children (legacy `children` entries or declared slots) are mounted in order and
+     * awaited before the component's postInit().
+     * @param {Function} ComponentClass - Component class to instantiate
+     * @param {string} containerId - Container element ID
+     * @param {object} options - Component options
+     * @param {Array|null} children - Legacy { container, componentClass, options } entries
+     * @param {string|null} parentId - Container ID of the parent component, if any
      */
-    async mountComponent(ComponentClass, containerId, options = {}, children = null) {
+    async mountComponent(ComponentClass, containerId, options = {}, children = null, parentId = null) {
         const container = this.findContainer(containerId);
         if (!container) {
             throw new Error(`Container with ID '${containerId}' not found`);
         }
 
+        await this.assertMountAllowed(ComponentClass);
+
         try {
             const component = new ComponentClass(container, options);
+            component.componentManager = this;
+            component.containerId = containerId;
+
+            // Mark the container as a mount point so parent re-renders leave it alone
+            container.setAttribute('data-mounted-component', ComponentClass.name);
 
             // Initialize the component and wait for completion
             await component.init();
@@ -43,14 +67,25 @@ class ComponentManager {
                 options,
                 containerId,
                 mountedAt: new Date().toISOString(),
-                children: children || []
+                children: children || [],
+                parentId,
+                childIds: [],
+                slotName: null,
+                slotDeclaration: null
             });
 
+            const parentMounted = parentId ? this.mountedComponents.get(parentId) : null;
+            if (parentMounted && !parentMounted.childIds.includes(containerId)) {
+                parentMounted.childIds.push(containerId);
+            }
+
             console.log(`[ComponentManager] Mounted ${ComponentClass.name} in #${containerId}`);
 
             // Now mount children after parent is fully initialized
             if (children && Array.isArray(children)) {
                 await this.mountChildren(containerId, children);
+            } else {
+                await component.mountSlots();
             }
             await component.postInit();
             return component;
@@ -92,65 +127,113 @@ class ComponentManager {
     }
 
     /**
-     * Mount children components (NEW METHOD)
+     * Mount children components
+     * Legacy { container, componentClass, options } entries become slot declarations
+     * on the parent, so they survive and re-mount across parent re-renders.
      */
-    mountChildren(parentContainerId, children) {
+    async mountChildren(parentContainerId, children) {
         const parentMounted = this.mountedComponents.get(parentContainerId);
         if (!parentMounted) {
             throw new Error(`Parent component not found in container #${parentContainerId}`);
         }
 
-        let mountedChildrenCount = 0;
+        const parent = parentMounted.component;
+        children.forEach(({ container, componentClass, options = {} }) => {
+            parent.options.slots[container] = { componentClass, options };
+        });
 
-        children.forEach((child, index) => {
-            try {
-                const { container, componentClass, options = {} } = child;
-
-                // Support both string class names and actual classes
-                let ChildComponentClass;
-                if (typeof componentClass === 'string') {
-                    ChildComponentClass = window[componentClass];
-                    if (!ChildComponentClass) {
-                        throw new Error(`Child component class "${componentClass}" not found in window`);
-                    }
-                } else {
-                    ChildComponentClass = componentClass;
-                }
+        // Update parent's children record
+        parentMounted.children = children;
 
-                // Create child container ID (within parent)
-                const childContainerId = `${parentContainerId}-${container}`;
+        const mountedChildrenCount = await parent.mountSlots();
 
-                // Find the child container within the parent
-                const parentContainer = this.findContainer(parentContainerId);
-                const childContainer = this.findChildContainer(parentContainer, container);
+        console.log(`[ComponentManager] Mounted ${mountedChildrenCount}/${children.length} children for #${parentContainerId}`);
+        return mountedChildrenCount;
+    }
 
-                if (!childContainer) {
-                    throw new Error(`Child container "${container}" not found within parent #${parentContainerId}`);
-                }
+    /**
+     * Resolve a component class from a class, registered name or window global
+     */
+    resolveComponentClass(componentClass) {
+        if (typeof componentClass !== 'string') {
+            return componentClass;
+        }
 
-                // Ensure child container has an ID for mounting
-                if (!childContainer.id) {
-                    childContainer.id = childContainerId;
-                }
+        const registration = this.componentRegistry.get(componentClass);
+        if (registration) {
+            return registration.ComponentClass;
+        }
+
+        const ComponentClass = window[componentClass];
+        if (!ComponentClass) {
+            throw new Error(`Component class "${componentClass}" not found in registry or window`);
+        }
+        return ComponentClass;
+    }
 
-                // Mount the child component
-                const childOptions = ChildComponentClass.getDefaultOptions();
-                childOptions.preview = options.preview;
-                this.mountComponent(ChildComponentClass, childContainer.id, childOptions);
-                mountedChildrenCount++;
+    /**
+     * Mount the child declared for a parent's named slot
+     * A child whose slot element survived the parent's re-render is kept as is;
+     * one whose slot element was replaced (or whose declaration changed) is re-mounted.
+     */
+    async mountSlot(parent, slotName, declaration) {
+        const slotElement = parent.getSlotElement(slotName);
+        if (!slotElement) {
+            throw new Error(`Slot "${slotName}" not found within #${parent.containerId}`);
+        }
 
-                console.log(`[ComponentManager] Mounted child ${ChildComponentClass.name} in container "${container}"`);
+        // Ensure slot element has an ID for mounting
+        if (!slotElement.id) {
+            slotElement.id = `${parent.containerId}-${slotName}`;
+        }
 
-            } catch (error) {
-                console.error(`[ComponentManager] Failed to mount child ${index}:`, error);
+        const existing = this.mountedComponents.get(slotElement.id);
+        if (existing) {
+            if (existing.component.container === slotElement && existing.slotDeclaration === declaration) {
+                return existing.component;
             }
-        });
+            this.unmountComponent(slotElement.id);
+        }
 
-        // Update parent's children record
-        parentMounted.children = children;
+        const ChildComponentClass = this.resolveComponentClass(declaration.componentClass);
+        const childOptions = this.resolveChildOptions(ChildComponentClass, declaration.options, parent.options);
 
-        console.log(`[ComponentManager] Mounted ${mountedChildrenCount}/${children.length} children for #${parentContainerId}`);
-        return mountedChildrenCount;
+        const child = await this.mountComponent(ChildComponentClass, slotElement.id, childOptions, null, parent.containerId);
+        const childMounted = this.mountedComponents.get(slotElement.id);
+        childMounted.slotName = slotName;
+        childMounted.slotDeclaration = declaration;
+        parent.slotComponents.set(slotName, slotElement.id);
+
+        console.log(`[ComponentManager] Mounted child ${ChildComponentClass.name} in slot "${slotName}" of #${parent.containerId}`);
+        return child;
+    }
+
+    /**
+     * Deep-merge a child's declared options over its class defaults
+     * The child inherits the parent's preview flag unless it sets its own.
+     */
+    resolveChildOptions(ChildComponentClass, options = {}, parentOptions = {}) {
+        const defaults = typeof ChildComponentClass.getDefaultOptions === 'function'
+            ? ChildComponentClass.getDefaultOptions()
+            : {};
+        const childOptions = Utils.deepMerge(defaults, Utils.deepClone(options));
+
+        if (childOptions.preview === undefined && parentOptions.preview !== undefined) {
+            childOptions.preview = parentOptions.preview;
+        }
+
+        return childOptions;
+    }
+
+    /**
+     * Unmount the child mounted in a parent's named slot
+     */
+    unmountSlot(parent, slotName) {
+        const containerId = parent.slotComponents.get(slotName);
+        if (!containerId || !this.mountedComponents.has(containerId)) {
+            return false;
+        }
+        return this.unmountComponent(containerId);
     }
 
     /**
@@ -162,12 +245,12 @@ class ComponentManager {
             throw new Error(`Component '${componentName}' not registered`);
         }
 
-        const mergedOptions = { ...registration.defaultOptions, ...options };
+        const mergedOptions = Utils.deepMerge(Utils.deepClone(registration.defaultOptions), Utils.deepClone(options));
         return this.mountComponent(registration.ComponentClass, containerId, mergedOptions);
     }
 
     /**
-     * Unmount a component
+     * Unmount a component and, depth-first, all of its descendants
      */
     unmountComponent(containerId) {
         const mounted = this.mountedComponents.get(containerId);
@@ -176,18 +259,28 @@ class ComponentManager {
             return false;
         }
 
+        // Children go first so they never outlive (or render into) a destroyed parent
+        [...mounted.childIds].forEach(childId => {
+            if (this.mountedComponents.has(childId)) {
+                this.unmountComponent(childId);
+            }
+        });
+
         try {
             // Call destroy method if available
             if (mounted.component.destroy && typeof mounted.component.destroy === 'function') {
                 mounted.component.destroy();
             }
 
-            // Clear container
-            const container = document.getElementById(containerId);
+            // Clear container (the component's own element; a re-rendered parent may
+            // already hold a fresh element with the same ID)
+            const container = mounted.component.container || document.getElementById(containerId);
             if (container) {
                 container.innerHTML = '';
+                container.removeAttribute('data-mounted-component');
             }
 
+            this.detachFromParent(mounted);
             this.mountedComponents.delete(containerId);
             console.log(`[ComponentManager] Unmounted component from #${containerId}`);
             return true;
@@ -199,18 +292,325 @@ class ComponentManager {
     }
 
     /**
-     * Remount a component (unmount then mount again)
+     * Remove a mounted entry from its parent's child and slot records
      */
-    remountComponent(containerId) {
+    detachFromParent(mounted) {
+        const parentMounted = mounted.parentId ? this.mountedComponents.get(mounted.parentId) : null;
+        if (!parentMounted) return;
+
+        parentMounted.childIds = parentMounted.childIds.filter(id => id !== mounted.containerId);
+
+        const { slotComponents } = parentMounted.component;
+        if (mounted.slotName && slotComponents && slotComponents.get(mounted.slotName) === mounted.containerId) {
+            slotComponents.delete(mounted.slotName);
+        }
+    }
+
+    /**
+     * Remount a component (unmount then mount again), cascading through descendants
+     * Slot children are re-mounted through their parent so the tree stays linked.
+     */
+    async remountComponent(containerId) {
         const mounted = this.mountedComponents.get(containerId);
         if (!mounted) {
             console.warn(`[ComponentManager] No component found to remount in #${containerId}`);
             return null;
         }
 
-        const { ComponentClass, options } = mounted;
+        const { ComponentClass, options, children, parentId, slotName } = mounted;
+        const parent = parentId ? this.getComponent(parentId) : null;
+
         this.unmountComponent(containerId);
-        return this.mountComponent(ComponentClass, containerId, options);
+
+        if (parent && slotName) {
+            return parent.mountSlot(slotName);
+        }
+
+        return this.mountComponent(ComponentClass, containerId, options, children.length ? children : null, parentId);
+    }
+
+    // ========================================
+    // JSON LAYOUTS
+    // ========================================
+
+    /**
+     * Mount a JSON layout document
+     * Layout nodes look like { type, options, dataSource, children: { [slotName]: node } },
+     * where type is a component specification name ("LeftRightContainer") or type
+     * ("left-right-container"). The whole tree is validated before anything is mounted.
+     * @param {object} layoutJson - Layout document
+     * @param {string} rootContainerId - Container element ID for the root node
+     */
+    async mountLayout(layoutJson, rootContainerId) {
+        await this.loadSpecifications();
+
+        const errors = this.validateLayout(layoutJson);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid layout:\n  ${errors.join('\n  ')}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        const { ComponentClass, options } = this.layoutNodeToDeclaration(layoutJson);
+        const rootOptions = this.resolveChildOptions(ComponentClass, options);
+
+        console.log(`[ComponentManager] Mounting layout ${ComponentClass.name} in #${rootContainerId}`);
+        return this.mountComponent(ComponentClass, rootContainerId, rootOptions);
+    }
+
+    /**
+     * Fetch a layout document from the metadata server and mount it
+     * @param {string} path - Layout path relative to the environment's metadata base URL
+     * @param {string} rootContainerId - Container element ID for the root node
+     */
+    async mountLayoutFromUrl(path, rootContainerId) {
+        const metadataBaseURL = this.appConfig && this.appConfig.httpConfig ? this.appConfig.httpConfig.metadata : '';
+        const url = window.API.isFullUrl(path)
+            ? path
+            : `${metadataBaseURL.replace(/\/$/, '')}/${path.replace(/^\//, '')}`;
+
+        const response = await window.API.get(url, { cache: false });
+        let layoutJson = response;
+        if (typeof layoutJson === 'string') {
+            layoutJson = JSON.parse(layoutJson);
+        }
+
+        if (!layoutJson || layoutJson.success === false) {
+            throw new Error(`Failed to load layout from ${url}: ${Utils.extractErrorMessage(layoutJson)}`);
+        }
+
+        return this.mountLayout(layoutJson, rootContainerId);
+    }
+
+    /**
+     * Convert a validated layout node into a { ComponentClass, options } slot declaration
+     */
+    layoutNodeToDeclaration(node) {
+        const spec = this.getSpecification(node.type);
+        const ComponentClass = this.resolveComponentClass(spec.name);
+        const options = Utils.deepClone(node.options || {});
+
+        if (node.dataSource) {
+            options.dataSource = { ...options.dataSource, ...node.dataSource };
+        }
+
+        if (node.children) {
+            options.slots = { ...options.slots };
+            Object.entries(node.children).forEach(([slotName, childNode]) => {
+                const child = this.layoutNodeToDeclaration(childNode);
+                options.slots[slotName] = { componentClass: child.ComponentClass, options: child.options };
+            });
+        }
+
+        return { ComponentClass, options };
+    }
+
+    /**
+     * Validate a layout tree against the component specifications
+     * @returns {string[]} - Error messages (empty when valid)
+     */
+    validateLayout(node, path = 'layout') {
+        const errors = [];
+
+        if (!Utils.isObject(node)) {
+            return [`${path}: must be an object`];
+        }
+
+        if (!node.type) {
+            return [`${path}.type: is required`];
+        }
+
+        const spec = this.getSpecification(node.type);
+        if (!spec) {
+            return [`${path}.type: no specification found for "${node.type}"`];
+        }
+
+        try {
+            this.resolveComponentClass(spec.name);
+        } catch (error) {
+            errors.push(`${path}.type: ${error.message}`);
+        }
+
+        if (node.options !== undefined) {
+            if (!Utils.isObject(node.options)) {
+                errors.push(`${path}.options: must be an object`);
+            } else {
+                Object.entries(node.options).forEach(([key, value]) => {
+                    if (ComponentManager.baseOptionKeys.includes(key)) return;
+                    errors.push(...this.validateOptionValue(value, (spec.options || {})[key], `${path}.options.${key}`, key in (spec.options || {})));
+                });
+            }
+        }
+
+        if (node.dataSource !== undefined) {
+            if (!Utils.isObject(node.dataSource)) {
+                errors.push(`${path}.dataSource: must be an object`);
+            } else if (node.dataSource.type && !ComponentManager.dataSourceTypes.includes(node.dataSource.type)) {
+                errors.push(`${path}.dataSource.type: must be one of ${ComponentManager.dataSourceTypes.join(', ')}`);
+            }
+        }
+
+        if (node.children !== undefined) {
+            const slots = this.getLayoutSlots(spec, node);
+            if (!Utils.isObject(node.children)) {
+                errors.push(`${path}.children: must be an object keyed by slot name`);
+            } else {
+                Object.entries(node.children).forEach(([slotName, childNode]) => {
+                    if (!slots.includes(slotName)) {
+                        errors.push(`${path}.children.${slotName}: ${spec.name} has no slot "${slotName}"${slots.length ? ` (slots: ${slots.join(', ')})` : ''}`);
+                        return;
+                    }
+                    errors.push(...this.validateLayout(childNode, `${path}.children.${slotName}`));
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Slot names a layout node may fill
+     * Specifications list fixed slots in "slots"; containers whose slots come from their
+     * options (e.g. grid areas) name that option path in "slotsOption" instead, where each
+     * entry is a slot name or an object with a name.
+     */
+    getLayoutSlots(spec, node) {
+        if (!spec.slotsOption) {
+            return spec.slots || [];
+        }
+
+        const entries = spec.slotsOption.split('.').reduce((value, key) => {
+            return Utils.isObject(value) ? value[key] : undefined;
+        }, node.options);
+
+        return (Array.isArray(entries) ? entries : [])
+            .map(entry => (Utils.isObject(entry) ? entry.name : entry))
+            .filter(name => typeof name === 'string' && name);
+    }
+
+    /**
+     * Validate an option value against the specification's example value
+     * Objects are checked key by key; other values must match the example's type.
+     */
+    validateOptionValue(value, specValue, path, known) {
+        if (!known) {
+            return [`${path}: unknown option`];
+        }
+
+        if (specValue === null || specValue === undefined || value === null) {
+            return [];
+        }
+
+        if (Utils.isObject(specValue)) {
+            if (!Utils.isObject(value)) {
+                return [`${path}: must be an object`];
+            }
+            return Object.entries(value).reduce((errors, [key, childValue]) => {
+                errors.push(...this.validateOptionValue(childValue, specValue[key], `${path}.${key}`, key in specValue));
+                return errors;
+            }, []);
+        }
+
+        const expectedType = Array.isArray(specValue) ? 'array' : typeof specValue;
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        return expectedType === actualType ? [] : [`${path}: expected ${expectedType}, got ${actualType}`];
+    }
+
+    // ========================================
+    // ACCESS CONTROL
+    // ========================================
+
+    /**
+     * Refuse to mount a component whose class declares permissions or roles the current
+     * user does not have (static permissions / static roles, see BaseComponent)
+     * The declaration lives on the class rather than in the JSON specification, so the
+     * check does not depend on fetching and parsing the script's source.
+     */
+    async assertMountAllowed(ComponentClass) {
+        if (!this.appConfig || !this.appConfig.isAllowed) return;
+
+        const permissions = ComponentClass.permissions || [];
+        const roles = ComponentClass.roles || [];
+        if (this.appConfig.isAllowed({ permissions, roles })) return;
+
+        const required = [...permissions, ...roles.map(role => `role:${role}`)];
+        const error = new Error(`Not allowed to mount ${ComponentClass.name} (requires ${required.join(', ')})`);
+        error.code = 'FORBIDDEN';
+        throw error;
+    }
+
+    // ========================================
+    // COMPONENT SPECIFICATIONS
+    // ========================================
+
+    /**
+     * Register a component JSON specification
+     */
+    registerSpecification(spec) {
+        if (!spec || !spec.name) {
+            throw new Error('Component specification must have a name');
+        }
+
+        this.specifications.set(spec.name, spec);
+        if (spec.type) {
+            this.specifications.set(spec.type, spec);
+        }
+        return this;
+    }
+
+    /**
+     * Get a component specification by name or type
+     */
+    getSpecification(nameOrType) {
+        return this.specifications.get(nameOrType) || null;
+    }
+
+    /**
+     * Load the JSON specification blocks of every loaded component script
+     * Runs once; later calls reuse the same promise.
+     */
+    loadSpecifications() {
+        if (!this.specificationsLoading) {
+            const sources = Array.from(document.querySelectorAll('script[src]')).map(script => script.src);
+            this.specificationsLoading = Promise.all(sources.map(src => this.loadSpecificationsFromScript(src)));
+        }
+        return this.specificationsLoading;
+    }
+
+    /**
+     * Fetch a script's source and register the specification blocks it contains
+     */
+    async loadSpecificationsFromScript(src) {
+        try {
+            const response = await fetch(src);
+            const source = await response.text();
+            return ComponentManager.parseSpecifications(source).map(spec => {
+                this.registerSpecification(spec);
+                return spec;
+            });
+        } catch (error) {
+            console.warn(`[ComponentManager] Could not read specifications from ${src}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Extract JSON specification blocks (block comments at the end of component files) from a script's source text
+     */
+    static parseSpecifications(source) {
+        const pattern = /\/\*\s*__START_OF_JSON_SPECIFICATION__([\s\S]*?)__END_OF_JSON_SPECIFICATION__\s*\*\//g;
+        const specs = [];
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            try {
+                specs.push(JSON.parse(match[1]));
+            } catch (error) {
+                console.warn('[ComponentManager] Invalid JSON specification block:', error.message);
+            }
+        }
+
+        return specs;
     }
 
     /**
@@ -228,6 +628,67 @@ class ComponentManager {
         return this.mountedComponents.has(containerId);
     }
 
+    /**
+     * Get the parent component of a mounted component
+     */
+    getParent(containerId) {
+        const mounted = this.mountedComponents.get(containerId);
+        return mounted && mounted.parentId ? this.getComponent(mounted.parentId) : null;
+    }
+
+    /**
+     * Get the direct children of a mounted component, in mount order
+     */
+    getChildren(containerId) {
+        const mounted = this.mountedComponents.get(containerId);
+        if (!mounted) return [];
+
+        return mounted.childIds
+            .filter(childId => this.mountedComponents.has(childId))
+            .map(childId => {
+                const child = this.mountedComponents.get(childId);
+                return {
+                    containerId: childId,
+                    slotName: child.slotName,
+                    componentName: child.ComponentClass.name,
+                    component: child.component
+                };
+            });
+    }
+
+    /**
+     * Get all descendants of a mounted component, depth-first
+     */
+    getDescendants(containerId) {
+        return this.getChildren(containerId).reduce((descendants, child) => {
+            descendants.push(child, ...this.getDescendants(child.containerId));
+            return descendants;
+        }, []);
+    }
+
+    /**
+     * Get the component tree rooted at a container (or all roots when omitted)
+     */
+    getComponentTree(containerId = null) {
+        const buildNode = (id) => {
+            const mounted = this.mountedComponents.get(id);
+            return {
+                containerId: id,
+                componentName: mounted.ComponentClass.name,
+                slotName: mounted.slotName,
+                children: mounted.childIds.filter(childId => this.mountedComponents.has(childId)).map(buildNode)
+            };
+        };
+
+        if (containerId) {
+            return this.mountedComponents.has(containerId) ? buildNode(containerId) : null;
+        }
+
+        return Array.from(this.mountedComponents.values())
+            .filter(mounted => !mounted.parentId)
+            .map(mounted => buildNode(mounted.containerId));
+    }
+
     /**
      * Update component options
      */
@@ -359,7 +820,10 @@ class ComponentManager {
             componentName: mounted.ComponentClass.name,
             component: mounted.component,
             mountedAt: mounted.mountedAt,
-            options: mounted.options
+            options: mounted.options,
+            parentId: mounted.parentId,
+            childIds: [...mounted.childIds],
+            slotName: mounted.slotName
         }));
     }
 
@@ -378,14 +842,17 @@ class ComponentManager {
      * Unmount all components
      */
     unmountAllComponents() {
-        const containerIds = Array.from(this.mountedComponents.keys());
-        let unmountedCount = 0;
+        const initialCount = this.mountedComponents.size;
 
-        containerIds.forEach(containerId => {
-            if (this.unmountComponent(containerId)) {
-                unmountedCount++;
-            }
-        });
+        // Unmounting roots cascades through their descendants
+        Array.from(this.mountedComponents.values())
+            .filter(mounted => !mounted.parentId)
+            .forEach(mounted => this.unmountComponent(mounted.containerId));
+
+        // Anything whose parent vanished without cascading
+        Array.from(this.mountedComponents.keys()).forEach(containerId => this.unmountComponent(containerId));
+
+        const unmountedCount = initialCount - this.mountedComponents.size;
 
         console.log(`[ComponentManager] Unmounted ${unmountedCount} components`);
         return unmountedCount;
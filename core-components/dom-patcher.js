@@ -0,0 +1,188 @@
+/**
+ * DOMPatcher - Keyed DOM reconciliation for BaseComponent rendering
+ * Patches an existing DOM subtree to match new HTML, touching only nodes that changed
+ */
+
+class DOMPatcher {
+    /**
+     * Patch the children of a container to match the given HTML string
+     * @param {HTMLElement} container - Element whose children are patched in place
+     * @param {string} html - Desired markup for the container's children
+     * @returns {object} - Patch statistics ({ created, removed, updated })
+     */
+    static patch(container, html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const stats = { created: 0, removed: 0, updated: 0 };
+        DOMPatcher.patchChildren(container, template.content, stats);
+        return stats;
+    }
+
+    /**
+     * Get the reconciliation key of a node (data-key, then data-slot, then id)
+     * Slots are keyed by name because ComponentManager assigns their IDs at mount time.
+     * @param {Node} node - Node to inspect
+     * @returns {string|null} - Key or null for unkeyed nodes
+     */
+    static getKey(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return null;
+        if (node.hasAttribute('data-key')) return node.getAttribute('data-key');
+        if (node.hasAttribute('data-slot')) return `slot:${node.getAttribute('data-slot')}`;
+        return node.id || null;
+    }
+
+    /**
+     * Check if two nodes can be patched into each other
+     */
+    static isSameType(oldNode, newNode) {
+        return oldNode.nodeType === newNode.nodeType && oldNode.nodeName === newNode.nodeName;
+    }
+
+    /**
+     * Reconcile the child list of oldParent with the child list of newParent
+     */
+    static patchChildren(oldParent, newParent, stats) {
+        const oldChildren = Array.from(oldParent.childNodes);
+        const newChildren = Array.from(newParent.childNodes);
+
+        // Index old children: keyed by key, unkeyed kept in document order
+        const keyed = new Map();
+        const unkeyed = [];
+        oldChildren.forEach(child => {
+            const key = DOMPatcher.getKey(child);
+            if (key !== null && !keyed.has(key)) {
+                keyed.set(key, child);
+            } else {
+                unkeyed.push(child);
+            }
+        });
+
+        const used = new Set();
+        let unkeyedIndex = 0;
+
+        newChildren.forEach((newChild, index) => {
+            const key = DOMPatcher.getKey(newChild);
+            let match = null;
+
+            if (key !== null) {
+                const candidate = keyed.get(key);
+                if (candidate && DOMPatcher.isSameType(candidate, newChild)) {
+                    match = candidate;
+                }
+            } else {
+                // Take the next unkeyed old node of the same type, skipping mismatches
+                for (let i = unkeyedIndex; i < unkeyed.length; i++) {
+                    if (!used.has(unkeyed[i]) && DOMPatcher.isSameType(unkeyed[i], newChild)) {
+                        match = unkeyed[i];
+                        unkeyedIndex = i + 1;
+                        break;
+                    }
+                }
+            }
+
+            let node;
+            if (match) {
+                DOMPatcher.patchNode(match, newChild, stats);
+                node = match;
+            } else {
+                node = newChild;
+                stats.created++;
+            }
+            used.add(node);
+
+            // Place node at its target index (indices before it are already settled)
+            const current = oldParent.childNodes[index];
+            if (current !== node) {
+                oldParent.insertBefore(node, current || null);
+            }
+        });
+
+        // Remove old nodes that have no counterpart
+        oldChildren.forEach(child => {
+            if (!used.has(child) && child.parentNode === oldParent) {
+                oldParent.removeChild(child);
+                stats.removed++;
+            }
+        });
+    }
+
+    /**
+     * Patch a single node in place
+     */
+    static patchNode(oldNode, newNode, stats) {
+        if (oldNode.nodeType === Node.TEXT_NODE || oldNode.nodeType === Node.COMMENT_NODE) {
+            if (oldNode.nodeValue !== newNode.nodeValue) {
+                oldNode.nodeValue = newNode.nodeValue;
+                stats.updated++;
+            }
+            return;
+        }
+
+        if (oldNode.nodeType !== Node.ELEMENT_NODE) return;
+
+        // Containers hosting a mounted component own their subtree - only add attributes
+        const isMountPoint = oldNode.hasAttribute('data-mounted-component');
+
+        if (DOMPatcher.patchAttributes(oldNode, newNode, isMountPoint)) {
+            stats.updated++;
+        }
+
+        if (isMountPoint || oldNode.hasAttribute('data-patch-ignore')) {
+            return;
+        }
+
+        // Leave a textarea the user is typing in alone; its children are its value
+        if (oldNode.nodeName === 'TEXTAREA') {
+            if (document.activeElement !== oldNode && oldNode.defaultValue !== newNode.defaultValue) {
+                oldNode.defaultValue = newNode.defaultValue;
+                stats.updated++;
+            }
+            return;
+        }
+
+        DOMPatcher.patchChildren(oldNode, newNode, stats);
+    }
+
+    /**
+     * Sync attributes from newNode onto oldNode
+     * Form control properties (value, checked) follow the attribute only while the
+     * user has not edited them, so in-progress input survives the patch.
+     * @returns {boolean} - True if anything changed
+     */
+    static patchAttributes(oldNode, newNode, additiveOnly = false) {
+        let changed = false;
+
+        if (!additiveOnly) {
+            Array.from(oldNode.attributes).forEach(({ name }) => {
+                if (!newNode.hasAttribute(name)) {
+                    oldNode.removeAttribute(name);
+                    changed = true;
+                }
+            });
+        }
+
+        Array.from(newNode.attributes).forEach(({ name, value }) => {
+            if (oldNode.getAttribute(name) !== value) {
+                oldNode.setAttribute(name, value);
+                changed = true;
+            }
+        });
+
+        return changed;
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DOMPatcher;
+}
+
+if (typeof window !== 'undefined') {
+    window.DOMPatcher = DOMPatcher;
+    console.log('✅ DOMPatcher loaded');
+}
@@ -22,7 +22,10 @@ class WebSocketDataManager {
             apiVersion: null,       // Override default API version if needed
             useGlobalConfig: true,  // Whether to use global API configuration
             token: null,            // Auth token
-            tokenType: 'Bearer'     // Token type
+            tokenType: 'Bearer',    // Token type
+            followTokenRefresh: true, // Re-authenticate when AppConfig refreshes the access token
+            shared: false,          // Share one connection across tabs (leader tab connects, see SessionSync)
+            sharedKey: null         // Channel key for the shared connection (defaults to the WebSocket URL)
         };
 
         // Handle legacy 'url' parameter for backward compatibility
@@ -46,11 +49,21 @@ class WebSocketDataManager {
         this.lastData = null;
         this.connectionId = 0;
 
+        // Shared connection state (config.shared)
+        this.sessionSync = null;
+        this.sharedSubscriptions = [];
+        this.releasingConnection = false;
+
         // Bind methods to preserve context
         this.handleOpen = this.handleOpen.bind(this);
         this.handleMessage = this.handleMessage.bind(this);
         this.handleError = this.handleError.bind(this);
         this.handleClose = this.handleClose.bind(this);
+        this.handleTokenRefreshed = this.handleTokenRefreshed.bind(this);
+
+        if (this.config.followTokenRefresh && typeof window !== 'undefined') {
+            window.addEventListener('appConfig:tokenRefreshed', this.handleTokenRefreshed);
+        }
 
         Utils.log('WebSocketDataManager', 'log', 'Initialized with config:', this.config);
     }
@@ -75,7 +88,10 @@ class WebSocketDataManager {
             apiVersion: null,
             useGlobalConfig: true,
             token: null,
-            tokenType: 'Bearer'
+            tokenType: 'Bearer',
+            followTokenRefresh: true,
+            shared: false,
+            sharedKey: null
         };
     }
 
@@ -153,6 +169,16 @@ class WebSocketDataManager {
         return this;
     }
 
+    /**
+     * Re-authenticate with the refreshed access token (appConfig:tokenRefreshed)
+     * Only connections that were authenticated with a token follow the refresh.
+     */
+    handleTokenRefreshed(event) {
+        if (!this.config || !this.config.token || !event.detail || !event.detail.token) return;
+
+        this.setAuth(event.detail.token, this.config.tokenType);
+    }
+
     /**
      * Remove authentication
      */
@@ -189,6 +215,11 @@ class WebSocketDataManager {
                 }
             }, this.config.timeout);
 
+            // Shared connections are opened by the leader tab only
+            if (this.config.shared && this.setupSharedConnection()) {
+                return;
+            }
+
             // Connect if not already connected
             if (this.readyState === WebSocket.CLOSED) {
                 this.connect();
@@ -196,6 +227,100 @@ class WebSocketDataManager {
         });
     }
 
+    // ========================================
+    // SHARED CONNECTION (CROSS-TAB)
+    // ========================================
+
+    /**
+     * Join the shared connection: the leader tab connects and relays messages,
+     * other tabs receive them over SessionSync and forward their sends to the leader
+     * @returns {boolean} - False when SessionSync is unavailable (falls back to a tab-local connection)
+     */
+    setupSharedConnection() {
+        if (this.sessionSync) {
+            if (!this.sessionSync.isLeader) this.requestSharedSnapshot();
+            return true;
+        }
+
+        const sessionSync = typeof window !== 'undefined' ? window.sessionSync : null;
+        if (!sessionSync || !sessionSync.started) {
+            Utils.log('WebSocketDataManager', 'warn', 'Shared connection requested but SessionSync is not running, connecting locally');
+            return false;
+        }
+
+        this.sessionSync = sessionSync;
+        const channel = this.getSharedChannel();
+
+        this.sharedSubscriptions.push(
+            sessionSync.on(channel, (payload) => this.handleSharedMessage(payload)),
+            sessionSync.runWhileLeader(
+                () => this.connect(),
+                () => this.releaseConnection()
+            )
+        );
+
+        if (!sessionSync.isLeader) {
+            this.requestSharedSnapshot();
+        }
+
+        Utils.log('WebSocketDataManager', 'log', `Joined shared connection ${channel} as ${sessionSync.isLeader ? 'leader' : 'follower'}`);
+        return true;
+    }
+
+    /**
+     * SessionSync message type for this connection
+     */
+    getSharedChannel() {
+        return `ws:${this.config.sharedKey || this.getWebSocketURL()}`;
+    }
+
+    /**
+     * Check if this tab uses a connection owned by another tab
+     */
+    isSharedFollower() {
+        return !!this.sessionSync && !this.sessionSync.isLeader;
+    }
+
+    /**
+     * Handle relay traffic for the shared connection
+     */
+    handleSharedMessage({ kind, raw, message } = {}) {
+        if (kind === 'message' && this.isSharedFollower()) {
+            this.handleMessage({ data: raw });
+        } else if (kind === 'send' && !this.isSharedFollower()) {
+            this.send(message);
+        } else if (kind === 'snapshot-request' && !this.isSharedFollower() && this.lastData !== null) {
+            this.sessionSync.broadcast(this.getSharedChannel(), {
+                kind: 'message',
+                raw: typeof this.lastData === 'string' ? this.lastData : JSON.stringify(this.lastData)
+            });
+        }
+    }
+
+    /**
+     * Ask the leader for the last message it received
+     */
+    requestSharedSnapshot() {
+        this.sessionSync.broadcast(this.getSharedChannel(), { kind: 'snapshot-request' });
+    }
+
+    /**
+     * Close the socket after losing leadership, keeping listeners for relayed messages
+     */
+    releaseConnection() {
+        if (!this.sessionSync) return;
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.ws && this.readyState !== WebSocket.CLOSED) {
+            this.releasingConnection = true;
+            this.ws.close(1000, 'Shared connection moved to another tab');
+        }
+    }
+
     /**
      * Establish WebSocket connection
      */
@@ -289,6 +414,11 @@ class WebSocketDataManager {
             // Store as last received data
             this.lastData = data;
 
+            // Leader relays everything it receives to the other tabs
+            if (this.sessionSync && this.sessionSync.isLeader) {
+                this.sessionSync.broadcast(this.getSharedChannel(), { kind: 'message', raw: event.data });
+            }
+
             this.emit('message', { data, raw: event.data, event });
 
             // Resolve pending load promises
@@ -345,6 +475,12 @@ class WebSocketDataManager {
             connectionId: this.connectionId
         });
 
+        // Handing the shared connection to another tab: keep waiting for relayed data
+        if (this.releasingConnection) {
+            this.releasingConnection = false;
+            return;
+        }
+
         // Attempt reconnection if enabled and not intentionally closed
         if (this.config.reconnect && !event.wasClean && event.code !== 1000) {
             this.attemptReconnect();
@@ -393,6 +529,13 @@ class WebSocketDataManager {
      * Send message through WebSocket
      */
     send(message) {
+        // Followers send through the leader tab's connection
+        if (this.isSharedFollower()) {
+            this.sessionSync.broadcast(this.getSharedChannel(), { kind: 'send', message });
+            this.emit('sent', { message, shared: true });
+            return true;
+        }
+
         if (this.readyState === WebSocket.OPEN) {
             try {
                 const messageStr = typeof message === 'string' ? message : JSON.stringify(message);
@@ -699,6 +842,15 @@ class WebSocketDataManager {
 
         // Clear event listeners
         this.eventListeners.clear();
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('appConfig:tokenRefreshed', this.handleTokenRefreshed);
+        }
+
+        // Leave the shared connection (the socket itself is closed by disconnect())
+        const sharedSubscriptions = this.sharedSubscriptions;
+        this.sessionSync = null;
+        this.sharedSubscriptions = [];
+        sharedSubscriptions.forEach(unsubscribe => unsubscribe());
     }
 
     /**
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/page');
+
+const ns = 'accordion-container';
+
+const layout = {
+    type: 'AccordionContainer',
+    options: {
+        ui: {
+            sections: [{ name: 'first', title: 'First' }, { name: 'second', title: 'Second' }],
+            deferMount: true,
+            rememberState: false
+        }
+    },
+    children: {
+        first: { type: 'AccessDenied' },
+        second: { type: 'AccessDenied' }
+    }
+};
+
+test('a deferred section animates to the height of its mounted child', async (t) => {
+    const window = await loadPage('index.html', {
+        hash: '?layout=/layouts/accordion.json',
+        backend: { 'GET /layouts/accordion.json': layout },
+        configure(window) {
+            // jsdom has no layout: a region is 120px tall once its child is mounted
+            Object.defineProperty(window.HTMLElement.prototype, 'scrollHeight', {
+                get() {
+                    return this.querySelector('[data-mounted-component]') ? 120 : 0;
+                }
+            });
+        }
+    });
+    t.after(() => window.close());
+
+    const { document } = window;
+    const header = await waitFor(() => document.querySelector(`[data-section="second"] [data-action="toggle-section"]`));
+    const region = () => document.querySelector(`[data-section="second"] [role="region"]`);
+
+    header.click();
+
+    await waitFor(() => region().querySelector('[data-mounted-component]'));
+    await waitFor(() => region().style.height === '120px');
+});
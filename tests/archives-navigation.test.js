@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadPage, waitFor, ROOT } = require('./helpers/page');
+
+const ns = 'tai-sidebar';
+const headerNs = 'tai-header';
+
+// Signed in with the 'user' role: no users, shipping, reports, analytics, settings or billing
+const session = {
+    _tillo_ai_at_: ['e30', Buffer.from(JSON.stringify({ exp: 4102444800 })).toString('base64'), 'signature'].join('.'),
+    userData: JSON.stringify({ userId: 'demo', role: 'user' })
+};
+
+function metadata(name) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'archives', 'metadata', `${name}.json`), 'utf8'));
+}
+
+function navItem(id, label) {
+    return `<div class="${ns}-nav-item"><a href="#" class="${ns}-nav-link" id="${ns}-nav-${id}">${label}</a></div>`;
+}
+
+function separator(label) {
+    return `<div class="${ns}-separator"><div class="${ns}-separator-label">${label}</div></div>`;
+}
+
+function action(name) {
+    return `<button class="${headerNs}-action" data-action="${name}"></button>`;
+}
+
+function dropdownItem(name) {
+    return `<button class="${headerNs}-dropdown-item" data-action="${name}"></button>`;
+}
+
+// What the template server renders from the full metadata (abridged)
+const backend = {
+    'GET /metadata/sidebar.json': metadata('sidebar'),
+    'GET /metadata/header.json': metadata('header'),
+    'GET /templates/sidebar': {
+        success: true,
+        data: {
+            componentName: 'sidebar',
+            css: '',
+            html: `<nav class="${ns}-nav">${[
+                navItem('dashboard', 'Dashboard'),
+                navItem('users', 'User Management'),
+                separator('Analytics'),
+                navItem('reports', 'Reports'),
+                navItem('analytics', 'Analytics'),
+                separator('System'),
+                navItem('settings', 'Settings'),
+                navItem('help', 'Help & Support')
+            ].join('')}</nav>`
+        }
+    },
+    'GET /templates/header': {
+        success: true,
+        data: {
+            componentName: 'header',
+            css: '',
+            html: `<header class="${headerNs}-header">${[
+                action('showNotifications'),
+                action('showQuickSettings')
+            ].join('')}<div id="${headerNs}-user-dropdown">${[
+                dropdownItem('showProfile'),
+                dropdownItem('showBilling'),
+                `<div class="${headerNs}-dropdown-separator"></div>`,
+                dropdownItem('logout')
+            ].join('')}</div></header>`
+        }
+    }
+};
+
+test('the archive sidebar and header hide items the user lacks permissions for', async (t) => {
+    const window = await loadPage('archives/index.html', {
+        backend,
+        storage: session
+    });
+    t.after(() => window.close());
+
+    const { document } = window;
+    await waitFor(() => document.querySelector(`.${headerNs}-header`));
+
+    const navIds = [...document.querySelectorAll(`.${ns}-nav-link`)].map(link => link.id.replace(`${ns}-nav-`, ''));
+    assert.deepStrictEqual(navIds, ['dashboard', 'help']);
+
+    const separators = [...document.querySelectorAll(`.${ns}-separator`)].map(element => element.textContent);
+    assert.deepStrictEqual(separators, ['System']);
+
+    const actions = [...document.querySelectorAll(`[data-action]`)].map(element => element.dataset.action);
+    assert.deepStrictEqual(actions, ['showNotifications', 'showProfile', 'logout']);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/page');
+
+// Signed-in session: a JWT-shaped token (AppConfig drops tokens it can't read) expiring in 2100
+const session = {
+    _tillo_ai_at_: ['e30', Buffer.from(JSON.stringify({ exp: 4102444800 })).toString('base64'), 'signature'].join('.'),
+    userData: JSON.stringify({ id: 1, name: 'Demo User', role: 'user' })
+};
+
+/**
+ * Open the dashboard route with the saved-layout endpoint answering `response`
+ */
+async function openDashboard(t, response) {
+    const window = await loadPage('index.html', {
+        hash: '#/dashboard',
+        storage: session,
+        backend: { 'GET /dashboard/layouts/dashboard': response }
+    });
+    t.after(() => window.close());
+
+    await waitFor(() => window.document.querySelector('.dashboard-container [data-widget]'));
+    return window;
+}
+
+function widgetNames(window) {
+    return Array.from(window.document.querySelectorAll('.dashboard-container [data-widget]'))
+        .map(element => element.dataset.widget);
+}
+
+const savedLayout = { widgets: [{ name: 'activity', x: 0, y: 0, w: 12, h: 2 }] };
+
+test('a saved layout is restored', async (t) => {
+    const window = await openDashboard(t, { success: true, data: { layout: savedLayout } });
+    assert.deepStrictEqual(widgetNames(window), ['activity']);
+});
+
+test('an error body carrying data is not applied as a saved layout', async (t) => {
+    const window = await openDashboard(t, { message: 'Internal server error', data: { layout: savedLayout } });
+    assert.deepStrictEqual(widgetNames(window), ['welcome', 'activity']);
+});
+
+test('widgets wider than the grid are clamped to it and still placed', async (t) => {
+    const window = await loadPage('index.html', { hash: '#/403' });
+    t.after(() => window.close());
+    await waitFor(() => window.document.querySelector('#main-container[data-mounted-component]'));
+
+    const { DashboardContainer, document } = window;
+    const dashboard = new DashboardContainer(document.createElement('div'), {
+        ui: {
+            ...DashboardContainer.getDefaultOptions().ui,
+            columns: 4,
+            widgets: [
+                { name: 'first', x: 0, y: 0, w: 4, h: 2 },
+                { name: 'wide', minW: 6, w: 8, h: 2 }
+            ]
+        }
+    });
+
+    const wide = dashboard.widgets.find(widget => widget.name === 'wide');
+    assert.deepStrictEqual({ x: wide.x, y: wide.y, w: wide.w }, { x: 0, y: 2, w: 4 });
+    assert.deepStrictEqual({ ...dashboard.findFreeSpot(dashboard.widgets, 6, 1) }, { x: 0, y: 4 });
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/page');
+
+const ns = 'grid-container';
+
+/**
+ * Open a GridContainer layout with the given ui options and an AccessDenied child per area
+ * @returns {Promise<{ window, root, css }>} - css is the text of the instance's grid rules
+ */
+async function openGrid(t, ui, children) {
+    const window = await loadPage('index.html', {
+        hash: '?layout=/layouts/grid.json',
+        backend: {
+            'GET /layouts/grid.json': { type: 'GridContainer', options: { ui }, children }
+        }
+    });
+    t.after(() => window.close());
+
+    const root = await waitFor(() => window.document.querySelector(`.${ns}`));
+    await waitFor(() => root.querySelectorAll('[data-mounted-component]').length === Object.keys(children).length);
+
+    // One line per rule, without the indentation of the media queries
+    const css = root.querySelector('style').textContent.split('\n').map(line => line.trim()).join('\n');
+    return { window, root, css };
+}
+
+const child = { type: 'AccessDenied' };
+
+test('each area hosts its child and is placed by span', async (t) => {
+    const { root, css } = await openGrid(t, {
+        areas: [{ name: 'main', colSpan: 8, rowSpan: 2 }, { name: 'side', colSpan: 4, column: 9 }, 'not valid', 'main']
+    }, { main: child, side: child });
+
+    const grid = `.${ns}[data-grid-id="${root.dataset.gridId}"] > .${ns}__grid`;
+    assert.deepStrictEqual(Array.from(root.querySelectorAll('[data-area]'), area => area.dataset.area), ['main', 'side']);
+    assert.ok(root.querySelector('[data-area="main"][data-mounted-component]'));
+    assert.ok(root.querySelector('[data-area="side"][data-mounted-component]'));
+
+    assert.ok(css.includes(`${grid} { grid-template-columns: repeat(12, minmax(0, 1fr)); }`));
+    assert.ok(css.includes(`${grid} > [data-area="main"] { grid-area: auto; grid-column: span 8; grid-row: span 2; }`));
+    assert.ok(css.includes(`${grid} > [data-area="side"] { grid-area: auto; grid-column: 9 / span 4; grid-row: span 1; }`));
+});
+
+test('a template places areas by name and breakpoints override it, widest first', async (t) => {
+    const { root, css } = await openGrid(t, {
+        areas: ['header', 'main', 'side'],
+        template: ['header header', 'main side'],
+        columnTemplate: '2fr 1fr',
+        breakpoints: [
+            { maxWidth: '600px', areas: { side: { hidden: true } } },
+            { maxWidth: '1024px', columns: 1, template: ['header', 'main', 'side'] }
+        ]
+    }, { header: child, main: child, side: child });
+
+    const grid = `.${ns}[data-grid-id="${root.dataset.gridId}"] > .${ns}__grid`;
+    assert.ok(css.includes(`${grid} { grid-template-columns: 2fr 1fr; grid-template-areas: "header header" "main side"; }`));
+    assert.ok(css.includes(`${grid} > [data-area="side"] { grid-area: side; }`));
+
+    const wide = css.indexOf('@media (max-width: 1024px)');
+    const narrow = css.indexOf('@media (max-width: 600px)');
+    assert.ok(wide !== -1 && narrow > wide);
+    assert.ok(css.includes(`${grid} { grid-template-columns: repeat(1, minmax(0, 1fr)); grid-template-areas: "header" "main" "side"; }`, wide));
+    assert.ok(css.includes(`${grid} > [data-area="side"] { display: none; }`, narrow));
+});
+
+test('below stackBelow the areas stack in mobileOrder', async (t) => {
+    const { root, css } = await openGrid(t, {
+        areas: [{ name: 'main', colSpan: 8, mobileOrder: 3 }, { name: 'side', colSpan: 4, mobileOrder: 1 }, 'footer'],
+        stackBelow: '700px'
+    }, { main: child, side: child, footer: child });
+
+    const grid = `.${ns}[data-grid-id="${root.dataset.gridId}"] > .${ns}__grid`;
+    const stacked = css.slice(css.indexOf('@media (max-width: 700px)'));
+    assert.ok(stacked.includes(`${grid} { grid-template-columns: minmax(0, 1fr); grid-template-areas: none; grid-template-rows: none; }`));
+    assert.ok(stacked.includes(`${grid} > [data-area="main"] { grid-area: auto; grid-column: 1 / -1; grid-row: auto; order: 3; }`));
+    assert.ok(stacked.includes(`${grid} > [data-area="side"] { grid-area: auto; grid-column: 1 / -1; grid-row: auto; order: 1; }`));
+    // Without a mobileOrder an area keeps its position
+    assert.ok(stacked.includes(`${grid} > [data-area="footer"] { grid-area: auto; grid-column: 1 / -1; grid-row: auto; order: 2; }`));
+});
+
+test('option values cannot end the rule or the style element', async (t) => {
+    const { root, css } = await openGrid(t, {
+        areas: ['main'],
+        gap: '1px; } body { display: none } </style><img src="x" class="injected">',
+        template: ['main" } body { display: none']
+    }, { main: child });
+
+    assert.strictEqual(root.querySelector('.injected'), null);
+    assert.ok(!/body \{/.test(css));
+    assert.ok(css.includes('grid-template-areas: "main  body  display none";'));
+});
@@ -0,0 +1,150 @@
+/**
+ * Test helpers - load a page of this repo in jsdom
+ * Scripts and stylesheets under http://localhost/ are served from the repo; other hosts
+ * (CDN fonts and icons) are not loaded. API requests are answered by a fake backend.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const ORIGIN = 'http://localhost';
+
+/**
+ * Serves ORIGIN from the repo and skips everything else
+ */
+class RepoResourceLoader extends ResourceLoader {
+    fetch(url, options) {
+        if (!url.startsWith(`${ORIGIN}/`)) {
+            return null;
+        }
+
+        const file = path.join(ROOT, decodeURIComponent(new URL(url).pathname));
+        return super.fetch(pathToFileURL(file).href, options);
+    }
+}
+
+/**
+ * A backend response with a status other than 200
+ */
+class Reply {
+    constructor(status, body) {
+        this.status = status;
+        this.body = body;
+    }
+}
+
+function reply(status, body) {
+    return new Reply(status, body);
+}
+
+/**
+ * fetch() for the page: files of ORIGIN come from the repo (ComponentManager reads the
+ * specifications from the scripts), API requests are answered from a map of
+ * 'METHOD /path' (path without the API version) to a response body or reply(status, body),
+ * or to a function of the request body returning one. Unknown requests get a 404 error
+ * body. API requests are recorded in fetch.requests as { key, body, headers }.
+ */
+function createFetch(backend) {
+    const fakeFetch = async (url, init = {}) => {
+        const target = new URL(url, `${ORIGIN}/`);
+
+        if (target.origin === ORIGIN) {
+            const file = path.join(ROOT, decodeURIComponent(target.pathname));
+            return fs.existsSync(file)
+                ? new Response(fs.readFileSync(file, 'utf8'), { status: 200, headers: { 'content-type': 'text/plain' } })
+                : new Response('Not found', { status: 404 });
+        }
+
+        const method = (init.method || 'GET').toUpperCase();
+        const route = target.pathname.replace(/^\/api\/v[\d.]+/, '');
+        const key = `${method} ${route}`;
+        const body = typeof init.body === 'string' ? JSON.parse(init.body) : init.body;
+        const handler = backend[key];
+
+        fakeFetch.requests.push({ key, body, headers: { ...init.headers } });
+
+        let result = typeof handler === 'function' ? handler(body) : handler;
+        if (handler === undefined) {
+            result = reply(404, { success: false, message: `No route for ${key}` });
+        } else if (!(result instanceof Reply)) {
+            result = reply(200, result);
+        }
+
+        return new Response(JSON.stringify(result.body), {
+            status: result.status,
+            headers: { 'content-type': 'application/json' }
+        });
+    };
+    fakeFetch.requests = [];
+
+    return fakeFetch;
+}
+
+/**
+ * Load a page of the repo and wait for its load event
+ * @param {string} file - Page path relative to the repo root, e.g. 'index.html'
+ * @param {object} options - { hash, backend, storage, configure }; configure(window) runs
+ * once the scripts have loaded, before the page's DOMContentLoaded handlers (e.g. to set
+ * AppConfig statics)
+ * @returns {Promise<Window>}
+ */
+async function loadPage(file, options = {}) {
+    const { hash = '', backend = {}, storage = {}, configure = null } = options;
+
+    const dom = await JSDOM.fromFile(path.join(ROOT, file), {
+        url: `${ORIGIN}/${file}${hash}`,
+        runScripts: 'dangerously',
+        resources: new RepoResourceLoader(),
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole(),
+        beforeParse(window) {
+            window.fetch = createFetch(backend);
+            window.scrollTo = () => {};
+            Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+            if (configure) {
+                window.addEventListener('DOMContentLoaded', () => configure(window), { capture: true, once: true });
+            }
+        }
+    });
+
+    const { window } = dom;
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+
+    return window;
+}
+
+/**
+ * Resolve once condition() returns a truthy value, reject after the timeout
+ */
+async function waitFor(condition, timeout = 3000) {
+    const start = Date.now();
+
+    for (;;) {
+        const result = condition();
+        if (result) {
+            return result;
+        }
+        if (Date.now() - start > timeout) {
+            throw new Error(`Timed out after ${timeout}ms waiting for ${condition}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Type into an input the way a user would (sets the value and fires input/change)
+ */
+function type(input, value) {
+    const { Event } = input.ownerDocument.defaultView;
+
+    input.value = value;
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+module.exports = { loadPage, waitFor, type, reply, ROOT };
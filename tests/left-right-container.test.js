@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/page');
+
+const ns = 'left-right-container';
+const storageKey = '_tillo_ai_lrc_split_test';
+
+/**
+ * Open a LeftRightContainer layout with two AccessDenied panes
+ * jsdom has no layout: the wrapper is 1000px wide with a 10px splitter, and an element's
+ * offsetHeight is its data-height attribute.
+ * @returns {Promise<{ window, root, container }>} - container is the LeftRightContainer instance
+ */
+async function openSplit(t, ui, storage = {}) {
+    const window = await loadPage('index.html', {
+        hash: '?layout=/layouts/split.json',
+        storage,
+        backend: {
+            'GET /layouts/split.json': {
+                type: 'LeftRightContainer',
+                options: { ui: { persistKey: 'test', ...ui } },
+                children: { left: { type: 'AccessDenied' }, right: { type: 'AccessDenied' } }
+            }
+        },
+        configure(window) {
+            const { HTMLElement, DOMRect } = window;
+            const getBoundingClientRect = HTMLElement.prototype.getBoundingClientRect;
+            HTMLElement.prototype.getBoundingClientRect = function () {
+                if (this.classList.contains(`${ns}__wrapper`)) return new DOMRect(0, 0, 1000, 600);
+                if (this.classList.contains(`${ns}__splitter`)) return new DOMRect(495, 0, 10, 600);
+                return getBoundingClientRect.call(this);
+            };
+            Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {
+                get() {
+                    return Number(this.dataset.height) || 0;
+                }
+            });
+
+            const postInit = window.LeftRightContainer.prototype.postInit;
+            window.LeftRightContainer.prototype.postInit = function () {
+                window.splitContainer = this;
+                return postInit.call(this);
+            };
+        }
+    });
+    t.after(() => window.close());
+
+    const root = await waitFor(() => window.document.querySelector(`.${ns}`));
+    await waitFor(() => root.querySelectorAll('[data-mounted-component]').length === 2);
+    return { window, root, container: window.splitContainer };
+}
+
+/**
+ * Dispatch a pointer event (jsdom has no PointerEvent, MouseEvent carries the same fields)
+ */
+function pointer(window, element, type, clientX) {
+    element.dispatchEvent(new window.MouseEvent(type, { bubbles: true, cancelable: true, button: 0, clientX }));
+}
+
+const leftSize = root => root.style.getPropertyValue(`--${ns}-left-size`);
+const saved = window => JSON.parse(window.localStorage.getItem(storageKey));
+
+test('dragging the splitter resizes within the pane limits, then saves and notifies', async (t) => {
+    const { window, root } = await openSplit(t, { resizable: true });
+    const splitter = root.querySelector(`.${ns}__splitter`);
+    const resizes = [];
+    root.querySelector(`.${ns}__right`).addEventListener('pane-resize', event => resizes.push(event.detail));
+
+    pointer(window, splitter, 'pointerdown', 500);
+    assert.ok(root.classList.contains(`${ns}--dragging`));
+
+    pointer(window, splitter, 'pointermove', 302);
+    assert.match(leftSize(root), /^calc\(30\.00% /);
+    assert.strictEqual(splitter.getAttribute('aria-valuenow'), '30');
+
+    // minLeftWidth is 200px of the 990px shared by the panes
+    pointer(window, splitter, 'pointermove', 20);
+    assert.match(leftSize(root), /^calc\(20\.20% /);
+    assert.strictEqual(window.localStorage.getItem(storageKey), null, 'saved only on release');
+    assert.strictEqual(resizes.length, 0);
+
+    pointer(window, splitter, 'pointerup', 20);
+    assert.ok(!root.classList.contains(`${ns}--dragging`));
+    assert.strictEqual(saved(window).ratio, 200 / 990);
+    assert.strictEqual(resizes.length, 1);
+    assert.strictEqual(resizes[0].slot, 'right');
+    assert.strictEqual(resizes[0].ratio, 200 / 990);
+});
+
+test('the keyboard moves and collapses the splitter and double-click resets it', async (t) => {
+    const { window, root } = await openSplit(t, { resizable: true });
+    const splitter = root.querySelector(`.${ns}__splitter`);
+    const key = (name, init = {}) => splitter.dispatchEvent(new window.KeyboardEvent('keydown', { key: name, cancelable: true, ...init }));
+
+    key('ArrowRight');
+    assert.strictEqual(splitter.getAttribute('aria-valuenow'), '52');
+    key('ArrowLeft', { shiftKey: true });
+    assert.strictEqual(splitter.getAttribute('aria-valuenow'), '42');
+
+    key('Enter');
+    assert.ok(root.classList.contains(`${ns}--collapsed-left`));
+    assert.strictEqual(splitter.getAttribute('aria-valuenow'), '0');
+    assert.strictEqual(saved(window).collapsed, 'left');
+    assert.strictEqual(Math.round(saved(window).ratio * 100), 42);
+
+    // With the left pane collapsed the right-hand button expands it
+    const collapseRight = root.querySelector('[data-action="collapse-right"]');
+    assert.strictEqual(collapseRight.getAttribute('aria-label'), 'Expand left pane');
+    collapseRight.click();
+    assert.ok(!root.classList.contains(`${ns}--collapsed-left`));
+    assert.strictEqual(splitter.getAttribute('aria-valuenow'), '42');
+    collapseRight.click();
+    assert.ok(root.classList.contains(`${ns}--collapsed-right`));
+
+    splitter.dispatchEvent(new window.MouseEvent('dblclick', { bubbles: true }));
+    assert.ok(!root.classList.contains(`${ns}--collapsed-right`));
+    assert.strictEqual(splitter.getAttribute('aria-valuenow'), '50');
+    assert.strictEqual(window.localStorage.getItem(storageKey), null);
+});
+
+test('a saved split is restored', async (t) => {
+    const { root } = await openSplit(t, { resizable: true }, {
+        [storageKey]: JSON.stringify({ ratio: 0.3, collapsed: 'right' })
+    });
+
+    assert.ok(root.classList.contains(`${ns}--collapsed-right`));
+    assert.match(leftSize(root), /^calc\(30\.00% /);
+    assert.strictEqual(root.querySelector(`.${ns}__splitter`).getAttribute('aria-valuenow'), '100');
+});
+
+test('in equal mode the pane children follow the taller one as content changes', async (t) => {
+    const { window, root, container } = await openSplit(t, { heightMode: 'equal' });
+    const [left, right] = ['left', 'right'].map(side => root.querySelector(`.${ns}__${side}`).firstElementChild);
+
+    left.dataset.height = '300';
+    right.dataset.height = '120';
+    right.appendChild(window.document.createElement('p'));
+    await waitFor(() => left.style.minHeight === '300px' && right.style.minHeight === '300px');
+
+    // Removing content is seen even though the held min-height keeps the size
+    left.dataset.height = '80';
+    left.removeChild(left.lastElementChild);
+    await waitFor(() => left.style.minHeight === '120px' && right.style.minHeight === '120px');
+
+    container.setHeightMode('independent');
+    const [newLeft, newRight] = ['left', 'right'].map(side => root.querySelector(`.${ns}__${side}`).firstElementChild);
+    assert.strictEqual(newLeft.style.minHeight, '');
+    assert.strictEqual(newRight.style.minHeight, '');
+});
+
+test('in scroll-sync mode scrolling one pane scrolls the other to the same position', async (t) => {
+    const { window, root } = await openSplit(t, { heightMode: 'scroll-sync' });
+    const [left, right] = ['left', 'right'].map(side => root.querySelector(`.${ns}__${side}`));
+    assert.ok(root.classList.contains(`${ns}--scroll-sync`));
+
+    const size = (pane, scrollHeight) => {
+        Object.defineProperty(pane, 'scrollHeight', { value: scrollHeight });
+        Object.defineProperty(pane, 'clientHeight', { value: 200 });
+    };
+    size(left, 600);
+    size(right, 1000);
+
+    left.scrollTop = 200;
+    left.dispatchEvent(new window.Event('scroll'));
+    assert.strictEqual(right.scrollTop, 400);
+
+    // The scroll event of that copy is not copied back
+    right.dispatchEvent(new window.Event('scroll'));
+    assert.strictEqual(left.scrollTop, 200);
+});
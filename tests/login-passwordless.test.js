@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor, type, reply } = require('./helpers/page');
+
+const ns = 'login-c9k2';
+
+const session = {
+    success: true,
+    data: { token: 'test-token', user: { id: 1, userIdOrEmail: 'jdoe@example.com', role: 'user' } }
+};
+
+/**
+ * Open index.html and mount a passwordless Login of its own
+ * @param {object} options - Extra Login options (e.g. route with a magic-link token)
+ * @returns {Promise<{ window, container }>}
+ */
+async function openPasswordless(t, backend, options = {}) {
+    const window = await loadPage('index.html', {
+        hash: '#/forgot-password',
+        backend,
+        configure(window) {
+            const start = window.Router.prototype.start;
+            window.Router.prototype.start = function () {
+                window.router = this;
+                return start.call(this);
+            };
+        }
+    });
+    t.after(() => window.close());
+    await waitFor(() => window.document.querySelector('#main-container[data-mounted-component]'));
+
+    const container = window.document.createElement('div');
+    container.id = 'passwordless-login';
+    window.document.body.appendChild(container);
+
+    await window.router.appConfig.componentManager.mountLayout({
+        type: 'Login',
+        options: { ui: { passwordless: true }, ...options }
+    }, container.id);
+
+    return { window, container };
+}
+
+/**
+ * Request a code for the email and wait for the code step
+ */
+async function requestCode(container, email) {
+    const form = container.querySelector(`#${ns}-passwordless-form`);
+    type(form.querySelector('input[name="passwordlessEmail"]'), email);
+    form.querySelector('[type="submit"]').click();
+
+    return waitFor(() => container.querySelector(`#${ns}-code-form`));
+}
+
+const requestsTo = (window, key) => window.fetch.requests.filter(request => request.key === key);
+
+test('an emailed code signs in', async (t) => {
+    const { window, container } = await openPasswordless(t, {
+        'POST /auth/passwordless/start': { success: true, data: { requestId: 'request-1' } },
+        'POST /auth/passwordless/verify': body => body.code === '123456' ? session : reply(401, { success: false })
+    });
+
+    assert.strictEqual(container.querySelector('input[name="password"]'), null);
+
+    const codeForm = await requestCode(container, 'jdoe@example.com');
+    const [start] = requestsTo(window, 'POST /auth/passwordless/start');
+    assert.strictEqual(start.body.email, 'jdoe@example.com');
+    assert.match(start.body.magicLinkUrl, /\/login$/);
+    assert.match(codeForm.textContent, /jdoe@example\.com/);
+
+    // Pasting the whole code fills the digits and submits it
+    const digits = codeForm.querySelectorAll(`.${ns}__code-digit`);
+    assert.strictEqual(digits.length, 6);
+    type(digits[0], '123456');
+
+    await waitFor(() => window.location.hash === '#/dashboard');
+    const [verify] = requestsTo(window, 'POST /auth/passwordless/verify');
+    assert.deepStrictEqual(verify.body, { requestId: 'request-1', email: 'jdoe@example.com', code: '123456' });
+});
+
+test('a rejected code is cleared and the error shown', async (t) => {
+    const { window, container } = await openPasswordless(t, {
+        'POST /auth/passwordless/start': { success: true, data: { requestId: 'request-1' } },
+        'POST /auth/passwordless/verify': reply(401, { success: false, message: 'The code is invalid or has expired' })
+    });
+
+    const codeForm = await requestCode(container, 'jdoe@example.com');
+    type(codeForm.querySelector(`.${ns}__code-digit`), '000000');
+
+    await waitFor(() => container.textContent.includes('The code is invalid or has expired'));
+    const digits = Array.from(container.querySelectorAll(`.${ns}__code-digit`));
+    assert.ok(digits.every(digit => digit.value === ''));
+    assert.strictEqual(window.location.hash, '#/forgot-password');
+});
+
+test('a magic link signs in without asking for the email', async (t) => {
+    const { window } = await openPasswordless(t, {
+        'POST /auth/passwordless/verify': body => body.token === 'magic-token' ? session : reply(401, { success: false })
+    }, {
+        route: { query: { token: 'magic-token' } }
+    });
+
+    await waitFor(() => window.location.hash === '#/dashboard');
+    const [verify] = requestsTo(window, 'POST /auth/passwordless/verify');
+    assert.deepStrictEqual(verify.body, { token: 'magic-token' });
+});
+
+test('an expired magic link falls back to the email form with the error', async (t) => {
+    const { container } = await openPasswordless(t, {
+        'POST /auth/passwordless/verify': reply(401, { success: false, message: 'This sign-in link has expired' })
+    }, {
+        route: { query: { token: 'old-token' } }
+    });
+
+    await waitFor(() => container.querySelector(`#${ns}-passwordless-form`));
+    await waitFor(() => container.textContent.includes('This sign-in link has expired'));
+});
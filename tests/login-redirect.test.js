@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor, type } = require('./helpers/page');
+
+const loginResponse = {
+    success: true,
+    data: {
+        token: 'test-token',
+        refreshToken: 'test-refresh-token',
+        user: { id: 1, userIdOrEmail: 'demo@example.com', name: 'Demo User', role: 'user' }
+    }
+};
+
+/**
+ * Sign in through the Login form of index.html
+ */
+async function signIn(window) {
+    const form = await waitFor(() => {
+        const input = window.document.querySelector('[data-slot="right"] input[name="userIdOrEmail"]');
+        return input && input.form;
+    });
+
+    type(form.querySelector('input[name="userIdOrEmail"]'), 'demo@example.com');
+    type(form.querySelector('input[name="password"]'), 'Secret#123');
+    form.querySelector('[type="submit"]').click();
+}
+
+test('signing in lands on the dashboard route', async (t) => {
+    const window = await loadPage('index.html', {
+        hash: '#/login',
+        backend: { 'POST /auth/login': loginResponse }
+    });
+    t.after(() => window.close());
+
+    await signIn(window);
+
+    await waitFor(() => window.location.hash === '#/dashboard');
+    await waitFor(() => window.document.querySelector('#main-container .dashboard-container'));
+    assert.strictEqual(window.document.querySelector('[data-slot="right"] input[name="userIdOrEmail"]'), null);
+});
+
+test('signing in follows the redirect query parameter', async (t) => {
+    const window = await loadPage('index.html', {
+        hash: '#/login?redirect=%2F403',
+        backend: { 'POST /auth/login': loginResponse }
+    });
+    t.after(() => window.close());
+
+    await signIn(window);
+
+    await waitFor(() => window.location.hash === '#/403');
+});
@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor, type, reply } = require('./helpers/page');
+
+const ns = 'login-c9k2';
+const throttleKey = '_tillo_ai_login_throttle_';
+const rejected = reply(401, { success: false, message: 'Invalid user ID or password' });
+
+/**
+ * The credentials form of the Login in container (the page's own by default)
+ */
+function credentialsForm(window, container = '[data-slot="right"]') {
+    const input = window.document.querySelector(`${container} input[name="userIdOrEmail"]`);
+    return input && input.form;
+}
+
+/**
+ * Submit the credentials form and wait for the submit button to settle
+ */
+async function submit(window, form, userIdOrEmail, password = 'Wrong#123') {
+    const requests = window.fetch.requests.length;
+
+    type(form.querySelector('input[name="userIdOrEmail"]'), userIdOrEmail);
+    type(form.querySelector('input[name="password"]'), password);
+    form.querySelector('[type="submit"]').click();
+
+    await waitFor(() => window.fetch.requests.length > requests);
+    await waitFor(() => !form.querySelector(`.${ns}__submit`).innerHTML.includes('Signing in'));
+}
+
+test('failures past the free attempts lock the identifier, also after a reload', async (t) => {
+    const window = await loadPage('index.html', { hash: '#/login', backend: { 'POST /auth/login': rejected } });
+    t.after(() => window.close());
+
+    const form = await waitFor(() => credentialsForm(window));
+    const button = form.querySelector(`.${ns}__submit`);
+
+    for (let i = 0; i < 3; i++) {
+        await submit(window, form, 'jdoe@example.com');
+        assert.strictEqual(button.disabled, false, `attempt ${i + 1} is free`);
+    }
+
+    await submit(window, form, 'jdoe@example.com');
+    assert.strictEqual(button.disabled, true);
+    assert.match(button.textContent, /Try again in [1-5]s/);
+
+    // Blocked submits do not reach the server
+    const requests = window.fetch.requests.length;
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    assert.strictEqual(window.fetch.requests.length, requests);
+
+    // Another identifier has its own count
+    type(form.querySelector('input[name="userIdOrEmail"]'), 'other@example.com');
+    assert.strictEqual(button.disabled, false);
+
+    // Records are kept per hashed identifier, not per user ID or email
+    const stored = window.localStorage.getItem(throttleKey);
+    assert.ok(!stored.includes('jdoe'));
+    const [record] = Object.values(JSON.parse(stored));
+    assert.strictEqual(record.failures, 4);
+
+    const reloaded = await loadPage('index.html', { hash: '#/login', storage: { [throttleKey]: stored } });
+    t.after(() => reloaded.close());
+
+    const reloadedForm = await waitFor(() => credentialsForm(reloaded));
+    type(reloadedForm.querySelector('input[name="userIdOrEmail"]'), ' JDoe@example.com ');
+    assert.strictEqual(reloadedForm.querySelector(`.${ns}__submit`).disabled, true);
+});
+
+test('a server retryAfter locks the identifier right away', async (t) => {
+    const window = await loadPage('index.html', {
+        hash: '#/login',
+        backend: {
+            'POST /auth/login': reply(429, { success: false, message: 'Too many attempts', retryAfter: 30 })
+        }
+    });
+    t.after(() => window.close());
+
+    const form = await waitFor(() => credentialsForm(window));
+    await submit(window, form, 'jdoe@example.com');
+
+    const button = form.querySelector(`.${ns}__submit`);
+    assert.strictEqual(button.disabled, true);
+    assert.match(button.textContent, /Try again in (29|30)s/);
+});
+
+test('the challenge hook gates the form and its token is sent with the next attempt', async (t) => {
+    const window = await loadPage('index.html', {
+        hash: '#/forgot-password',
+        backend: {
+            'POST /auth/login': body => body.challengeToken
+                ? { success: true, data: { token: 'test-token', user: { id: 1, role: 'user' } } }
+                : rejected
+        },
+        configure(window) {
+            const start = window.Router.prototype.start;
+            window.Router.prototype.start = function () {
+                window.router = this;
+                return start.call(this);
+            };
+        }
+    });
+    t.after(() => window.close());
+    await waitFor(() => window.document.querySelector('#main-container[data-mounted-component]'));
+
+    const container = window.document.createElement('div');
+    container.id = 'throttled-login';
+    window.document.body.appendChild(container);
+
+    const hooks = [];
+    await window.router.appConfig.componentManager.mountComponent(window.Login, container.id, {
+        throttle: { freeAttempts: 10, challengeAfter: 1 },
+        events: {
+            onChallengeRequired(slot, challenge) {
+                slot.innerHTML = '<div class="captcha"></div>';
+                hooks.push({ challenge, cleanups: 0 });
+                return () => hooks[hooks.length - 1].cleanups++;
+            }
+        }
+    });
+
+    const form = credentialsForm(window, '#throttled-login');
+    const button = form.querySelector(`.${ns}__submit`);
+    assert.strictEqual(hooks.length, 0);
+
+    await submit(window, form, 'jdoe@example.com');
+    assert.strictEqual(hooks.length, 1);
+    assert.strictEqual(hooks[0].challenge.failures, 1);
+    assert.ok(form.querySelector('.captcha'));
+    assert.strictEqual(button.disabled, true);
+
+    hooks[0].challenge.complete('challenge-token');
+    assert.strictEqual(button.disabled, false);
+
+    await submit(window, form, 'jdoe@example.com', 'Secret#123');
+    const attempts = window.fetch.requests.filter(request => request.key === 'POST /auth/login');
+    assert.strictEqual(attempts[0].body.challengeToken, undefined);
+    assert.strictEqual(attempts[1].body.challengeToken, 'challenge-token');
+    assert.strictEqual(hooks[0].cleanups, 1);
+    assert.deepStrictEqual(JSON.parse(window.localStorage.getItem(throttleKey)), {});
+});
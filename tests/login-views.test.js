@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor, type, reply } = require('./helpers/page');
+
+test('Forgot password and back re-renders the form without the password and with the user ID as text', async (t) => {
+    const window = await loadPage('index.html', {
+        hash: '#/login',
+        backend: { 'POST /auth/login': reply(401, { success: false, message: 'Invalid user ID or password' }) }
+    });
+    t.after(() => window.close());
+
+    const { document } = window;
+    const userIdOrEmail = 'a"><img/src=x/onerror=alert(1)>@x.y';
+    const credentials = () => document.querySelector('[data-slot="right"] input[name="userIdOrEmail"]');
+
+    const form = await waitFor(() => credentials() && credentials().form);
+    type(form.querySelector('input[name="userIdOrEmail"]'), userIdOrEmail);
+    type(form.querySelector('input[name="password"]'), 'Secret#123');
+    form.querySelector('[type="submit"]').click();
+
+    const right = document.querySelector('[data-slot="right"]');
+    await waitFor(() => right.textContent.includes('Invalid user ID or password'));
+
+    right.querySelector('[data-action="forgot-password"]').click();
+    await waitFor(() => right.querySelector('[data-action="back-to-login"]'));
+    right.querySelector('[data-action="back-to-login"]').click();
+
+    const input = await waitFor(credentials);
+    const password = input.form.querySelector('input[name="password"]');
+
+    assert.strictEqual(input.value, userIdOrEmail);
+    assert.strictEqual(right.querySelector('img'), null);
+    assert.strictEqual(password.value, '');
+    assert.ok(!password.hasAttribute('value'));
+    assert.ok(!right.innerHTML.includes('Secret#123'));
+});
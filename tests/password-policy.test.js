@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor, type } = require('./helpers/page');
+
+/**
+ * Raise the minimum length app-wide
+ */
+function configure(window) {
+    window.AppConfig.passwordPolicy = { minLength: 14 };
+}
+
+function ruleLabel(window, ns) {
+    return window.document.querySelector(`.${ns}__rule[data-rule="minLength"]`).textContent.trim();
+}
+
+test('Signup shows the rules of AppConfig.passwordPolicy', async (t) => {
+    const window = await loadPage('index.html', { hash: '#/login', configure });
+    t.after(() => window.close());
+
+    await waitFor(() => window.document.querySelector('.signup-r8j1__rule'));
+    assert.strictEqual(ruleLabel(window, 'signup-r8j1'), 'At least 14 characters');
+});
+
+test('ResetPassword enforces the same AppConfig.passwordPolicy', async (t) => {
+    const ns = 'reset-password-k2v9';
+    const window = await loadPage('index.html', {
+        hash: '#/reset-password?token=abc',
+        backend: {
+            'POST /auth/password/reset/validate': { success: true, data: { email: 'demo@example.com' } },
+            'POST /auth/password/reset': { success: true }
+        },
+        configure
+    });
+    t.after(() => window.close());
+
+    await waitFor(() => window.document.querySelector(`.${ns}__rule`));
+    assert.strictEqual(ruleLabel(window, ns), 'At least 14 characters');
+
+    const { document } = window;
+    type(document.getElementById(`${ns}-password`), 'Secret#12345');
+    type(document.getElementById(`${ns}-repeatPassword`), 'Secret#12345');
+    document.querySelector(`#${ns}-form [type="submit"]`).click();
+
+    const error = await waitFor(() => document.getElementById(`${ns}-password-error`).textContent.trim());
+    assert.strictEqual(error, 'Password must be at least 14 characters');
+    assert.ok(!window.fetch.requests.some(request => request.key === 'POST /auth/password/reset'));
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/page');
+
+// Signed in with the 'user' role (dashboard:read, orders:read, profile:*, help:read)
+const session = {
+    _tillo_ai_at_: ['e30', Buffer.from(JSON.stringify({ exp: 4102444800 })).toString('base64'), 'signature'].join('.'),
+    userData: JSON.stringify({ id: 1, role: 'user' })
+};
+
+/**
+ * Open index.html signed in and return its ComponentManager
+ */
+async function openPage(t) {
+    const window = await loadPage('index.html', {
+        hash: '#/403',
+        storage: session,
+        configure(window) {
+            const start = window.Router.prototype.start;
+            window.Router.prototype.start = function () {
+                window.router = this;
+                return start.call(this);
+            };
+        }
+    });
+    t.after(() => window.close());
+
+    await waitFor(() => window.document.querySelector('#main-container[data-mounted-component]'));
+    return window;
+}
+
+/**
+ * A component defined in the page (no script source, so no JSON specification)
+ */
+function defineComponent(window, permissions) {
+    const Component = class extends window.BaseComponent {
+        static permissions = permissions;
+
+        needsDataManager() {
+            return false;
+        }
+
+        generateHTML() {
+            return '<p class="restricted">Restricted</p>';
+        }
+    };
+
+    const container = window.document.createElement('div');
+    container.id = `restricted-${permissions.join('-').replace(/:/g, '_')}`;
+    window.document.body.appendChild(container);
+    return { Component, containerId: container.id };
+}
+
+test('a component without a specification is refused when the user lacks its permissions', async (t) => {
+    const window = await openPage(t);
+    const { componentManager } = window.router.appConfig;
+    const { Component, containerId } = defineComponent(window, ['billing:manage']);
+
+    await assert.rejects(componentManager.mountComponent(Component, containerId), (error) => error.code === 'FORBIDDEN');
+    assert.strictEqual(window.document.querySelector(`#${containerId} .restricted`), null);
+});
+
+test('a component is mounted when the user holds its permissions', async (t) => {
+    const window = await openPage(t);
+    const { componentManager } = window.router.appConfig;
+    const { Component, containerId } = defineComponent(window, ['dashboard:read']);
+
+    await componentManager.mountComponent(Component, containerId);
+    assert.ok(window.document.querySelector(`#${containerId} .restricted`));
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor, type } = require('./helpers/page');
+
+const ns = 'reset-password-k2v9';
+
+/**
+ * Open the reset link with the given validate and reset responses
+ */
+async function openResetLink(t, backend) {
+    const window = await loadPage('index.html', {
+        hash: '#/reset-password?token=abc',
+        backend: {
+            'POST /auth/password/reset/validate': { success: true, data: { email: 'demo@example.com' } },
+            ...backend
+        }
+    });
+    t.after(() => window.close());
+
+    await waitFor(() => window.document.querySelector(`.${ns}__title`));
+    return window;
+}
+
+function title(window) {
+    return window.document.querySelector(`.${ns}__title`).textContent.trim();
+}
+
+/**
+ * Fill in a new password and submit
+ */
+function submit(window) {
+    const { document } = window;
+    type(document.getElementById(`${ns}-password`), 'Secret#12345');
+    type(document.getElementById(`${ns}-repeatPassword`), 'Secret#12345');
+    document.querySelector(`#${ns}-form [type="submit"]`).click();
+}
+
+test('an expired token is reported by its code', async (t) => {
+    const window = await openResetLink(t, {
+        'POST /auth/password/reset/validate': { success: false, code: 'TOKEN_EXPIRED' }
+    });
+    assert.strictEqual(title(window), 'Link expired');
+});
+
+test('an error body from the reset is shown as an error, not as success', async (t) => {
+    const window = await openResetLink(t, {
+        'POST /auth/password/reset': { message: 'Internal server error' }
+    });
+
+    submit(window);
+
+    const error = await waitFor(() => {
+        const banner = window.document.getElementById(`${ns}-error`);
+        return banner.style.display === 'flex' && banner;
+    });
+    assert.match(error.textContent, /Internal server error/);
+    assert.notStrictEqual(title(window), 'Password updated');
+});
+
+test('a successful reset shows the success view', async (t) => {
+    const window = await openResetLink(t, {
+        'POST /auth/password/reset': { success: true }
+    });
+
+    submit(window);
+
+    await waitFor(() => title(window) === 'Password updated');
+});
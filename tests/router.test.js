@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/page');
+
+/**
+ * Open index.html with an extra /broken route whose lazy script does not exist
+ * The router is exposed as window.router.
+ */
+async function openWithBrokenRoute(t, hash) {
+    const window = await loadPage('index.html', {
+        hash,
+        configure(window) {
+            const start = window.Router.prototype.start;
+            window.Router.prototype.start = function () {
+                window.router = this;
+                this.routes.push(...this.flattenRoutes([
+                    { path: '/broken', name: 'broken', component: 'AccessDenied', load: 'components/missing.js' }
+                ]));
+                return start.call(this);
+            };
+        }
+    });
+    t.after(() => window.close());
+
+    await waitFor(() => window.document.querySelector('#main-container[data-mounted-component]'));
+    return window;
+}
+
+/**
+ * Collect unhandled rejections while a test runs
+ */
+function trackUnhandledRejections(t) {
+    const rejections = [];
+    const listener = (reason) => rejections.push(reason);
+    process.on('unhandledRejection', listener);
+    t.after(() => process.off('unhandledRejection', listener));
+    return rejections;
+}
+
+test('a route that fails to load leaves the URL on the rendered route', async (t) => {
+    const window = await openWithBrokenRoute(t, '#/403');
+
+    await assert.rejects(window.router.navigate('/broken'), /Failed to load script/);
+
+    assert.strictEqual(window.location.hash, '#/403');
+    assert.strictEqual(window.router.current.path, '/403');
+});
+
+test('a failed redirect after sign-in is logged, not left unhandled', async (t) => {
+    const rejections = trackUnhandledRejections(t);
+    const window = await openWithBrokenRoute(t, '#/login');
+    const { appConfig } = window.router;
+
+    const token = ['e30', Buffer.from(JSON.stringify({ exp: 4102444800 })).toString('base64'), 'signature'].join('.');
+    appConfig.handleLoginSuccess({ data: { token, user: { id: 1, role: 'user' } } }, {}, { redirect: '/broken' });
+
+    await waitFor(() => window.router.pendingPath === null);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.deepStrictEqual(rejections, []);
+    assert.strictEqual(window.location.hash, '#/login');
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/page');
+
+/**
+ * A JWT-shaped access token expiring at exp (seconds)
+ */
+function accessToken(exp) {
+    return ['e30', Buffer.from(JSON.stringify({ exp })).toString('base64'), 'signature'].join('.');
+}
+
+/**
+ * Open index.html signed in and monitor the session with the given options
+ * The monitor replaces the page's own once the page has mounted, so its deadlines count
+ * from then and the warning modal has a host.
+ * @returns {Promise<{ window, events }>} - events lists the appConfig:session* events as [name, detail]
+ */
+async function openSession(t, monitorOptions, options = {}) {
+    const events = [];
+    const window = await loadPage('index.html', {
+        hash: '#/403',
+        storage: {
+            _tillo_ai_at_: accessToken(options.exp || Math.floor(Date.now() / 1000) + 3600),
+            userData: JSON.stringify({ id: 1, role: 'user' })
+        },
+        configure(window) {
+            const start = window.Router.prototype.start;
+            window.Router.prototype.start = function () {
+                window.router = this;
+                return start.call(this);
+            };
+            ['sessionExpiring', 'sessionExtended', 'sessionExpired'].forEach(name => {
+                window.addEventListener(`appConfig:${name}`, event => events.push([name, event.detail]));
+            });
+        }
+    });
+    t.after(() => window.close());
+
+    await waitFor(() => window.document.querySelector('#main-container[data-mounted-component]'));
+    const { appConfig } = window.router;
+    appConfig.sessionMonitor.stop();
+    appConfig.sessionMonitor = new window.SessionMonitor(appConfig, monitorOptions).start();
+
+    return { window, events };
+}
+
+const names = events => events.map(([name]) => name);
+
+test('an idle session is warned about and then ends', async (t) => {
+    const { window, events } = await openSession(t, { idleTimeout: 600, warningTime: 400 });
+
+    await waitFor(() => window.document.querySelector('.base-modal__confirm'));
+    assert.strictEqual(events[0][0], 'sessionExpiring');
+    assert.strictEqual(events[0][1].reason, 'idle');
+
+    await waitFor(() => window.location.hash === '#/login');
+    assert.deepStrictEqual(names(events), ['sessionExpiring', 'sessionExpired']);
+    assert.strictEqual(events[1][1].reason, 'idle');
+    assert.strictEqual(window.localStorage.getItem('_tillo_ai_at_'), null);
+});
+
+test('"Stay signed in" resets the idle deadline', async (t) => {
+    const { window, events } = await openSession(t, { idleTimeout: 600, warningTime: 400 });
+
+    const confirm = await waitFor(() => window.document.querySelector('.base-modal__confirm'));
+    confirm.click();
+
+    await waitFor(() => names(events).includes('sessionExtended'));
+    assert.ok(window.localStorage.getItem('_tillo_ai_at_'));
+    assert.strictEqual(window.router.appConfig.sessionMonitor.warning, null);
+    assert.ok(!names(events).includes('sessionExpired'));
+});
+
+test('activity in another tab withdraws the warning', async (t) => {
+    const { window, events } = await openSession(t, { idleTimeout: 600, warningTime: 400 });
+    const { activityKey } = window.SessionMonitor;
+
+    await waitFor(() => names(events).includes('sessionExpiring'));
+
+    window.localStorage.setItem(activityKey, String(Date.now()));
+    window.dispatchEvent(new window.StorageEvent('storage', { key: activityKey, newValue: String(Date.now()) }));
+
+    assert.deepStrictEqual(names(events), ['sessionExpiring', 'sessionExtended']);
+    assert.strictEqual(window.router.appConfig.sessionMonitor.warning, null);
+    assert.ok(window.localStorage.getItem('_tillo_ai_at_'));
+});
+
+test('a token that cannot be refreshed is warned about before it expires and "Sign out" ends the session', async (t) => {
+    const { window, events } = await openSession(t, { idleTimeout: 0, warningTime: 5000 }, {
+        exp: Math.floor(Date.now() / 1000) + 4
+    });
+
+    const cancel = await waitFor(() => window.document.querySelector('.base-modal__cancel'));
+    assert.strictEqual(events[0][0], 'sessionExpiring');
+    assert.strictEqual(events[0][1].reason, 'token');
+
+    cancel.click();
+    await waitFor(() => window.location.hash === '#/login');
+    assert.strictEqual(window.localStorage.getItem('_tillo_ai_at_'), null);
+    assert.ok(!names(events).includes('sessionExpired'));
+});
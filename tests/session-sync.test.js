@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/page');
+
+/**
+ * Open index.html with the page's own SessionSync disabled, so the test owns the tabs
+ * @param {object} options - { broadcastChannel } to give the page a BroadcastChannel
+ * (jsdom has none, so SessionSync uses its localStorage fallback by default)
+ */
+async function openPage(t, options = {}) {
+    const window = await loadPage('index.html', {
+        hash: '#/login',
+        configure(window) {
+            window.AppConfig.sessionSyncEnabled = false;
+            if (options.broadcastChannel) {
+                window.BroadcastChannel = BroadcastChannel;
+            }
+        }
+    });
+    t.after(() => window.close());
+
+    await waitFor(() => window.document.querySelector('#main-container[data-mounted-component]'));
+    return window;
+}
+
+/**
+ * A storage event as another tab's localStorage write would fire it
+ */
+function storageEvent(window, key, value) {
+    return new window.StorageEvent('storage', { key, newValue: value === null ? null : JSON.stringify(value) });
+}
+
+test('the first tab leads and another tab takes over when it stops', async (t) => {
+    const window = await openPage(t);
+    const options = { heartbeatInterval: 20, leaderTimeout: 60 };
+
+    const first = new window.SessionSync(options).start();
+    const second = new window.SessionSync(options).start();
+    t.after(() => second.stop());
+
+    assert.strictEqual(first.isLeader, true);
+    assert.strictEqual(second.isLeader, false);
+
+    first.stop();
+    assert.strictEqual(first.isLeader, false);
+    await waitFor(() => second.isLeader);
+
+    const record = JSON.parse(window.localStorage.getItem(window.SessionSync.leaderKey));
+    assert.strictEqual(record.tabId, second.tabId);
+});
+
+test('a fresh claim of another tab is respected and an abandoned one is taken over', async (t) => {
+    const window = await openPage(t);
+    const { leaderKey } = window.SessionSync;
+
+    window.localStorage.setItem(leaderKey, JSON.stringify({ tabId: 'tab-other', at: Date.now() }));
+    const follower = new window.SessionSync().start();
+    t.after(() => follower.stop());
+    assert.strictEqual(follower.isLeader, false);
+
+    window.localStorage.setItem(leaderKey, JSON.stringify({ tabId: 'tab-other', at: Date.now() - 10000 }));
+    const taker = new window.SessionSync().start();
+    t.after(() => taker.stop());
+    assert.strictEqual(taker.isLeader, true);
+});
+
+test('a tab elects itself as soon as the leader claim is removed', async (t) => {
+    const window = await openPage(t);
+    const { leaderKey } = window.SessionSync;
+
+    window.localStorage.setItem(leaderKey, JSON.stringify({ tabId: 'tab-other', at: Date.now() }));
+    const follower = new window.SessionSync().start();
+    t.after(() => follower.stop());
+
+    window.localStorage.removeItem(leaderKey);
+    window.dispatchEvent(storageEvent(window, leaderKey, null));
+
+    assert.strictEqual(follower.isLeader, true);
+});
+
+test('runWhileLeader runs while the tab leads and stops when it no longer does', async (t) => {
+    const window = await openPage(t);
+    const calls = [];
+
+    const sync = new window.SessionSync().start();
+    sync.runWhileLeader(() => calls.push('start'), () => calls.push('stop'));
+    assert.deepStrictEqual(calls, ['start']);
+
+    sync.stop();
+    assert.deepStrictEqual(calls, ['start', 'stop']);
+});
+
+test('messages reach the other tabs but not the sender', async (t) => {
+    const window = await openPage(t, { broadcastChannel: true });
+    const received = { sender: [], other: [] };
+
+    const sender = new window.SessionSync().start();
+    const other = new window.SessionSync().start();
+    t.after(() => {
+        sender.stop();
+        other.stop();
+    });
+    assert.ok(sender.channel, 'uses the BroadcastChannel');
+
+    sender.on('userUpdated', payload => received.sender.push(payload));
+    other.on('userUpdated', payload => received.other.push(payload));
+    sender.broadcast('userUpdated', { id: 1 });
+
+    await waitFor(() => received.other.length);
+    assert.deepStrictEqual(received.other, [{ id: 1 }]);
+    assert.deepStrictEqual(received.sender, []);
+});
+
+test('without a BroadcastChannel messages arrive through storage events', async (t) => {
+    const window = await openPage(t);
+    const { messageKey } = window.SessionSync;
+    const received = [];
+
+    const sync = new window.SessionSync().start();
+    t.after(() => sync.stop());
+    assert.strictEqual(sync.channel, null);
+
+    sync.on('logout', (payload, message) => received.push(message.from));
+    window.dispatchEvent(storageEvent(window, messageKey, { type: 'logout', payload: {}, from: sync.tabId }));
+    window.dispatchEvent(storageEvent(window, messageKey, { type: 'logout', payload: {}, from: 'tab-other' }));
+
+    assert.deepStrictEqual(received, ['tab-other']);
+});
+
+test('a logout in another tab ends the session in this one', async (t) => {
+    const window = await loadPage('index.html', {
+        hash: '#/403',
+        storage: {
+            _tillo_ai_at_: ['e30', Buffer.from(JSON.stringify({ exp: 4102444800 })).toString('base64'), 'signature'].join('.'),
+            userData: JSON.stringify({ id: 1, role: 'user' })
+        }
+    });
+    t.after(() => window.close());
+    await waitFor(() => window.document.querySelector('#main-container[data-mounted-component]'));
+
+    let broadcasts = 0;
+    const sync = window.sessionSync;
+    const broadcast = sync.broadcast;
+    sync.broadcast = function (...args) {
+        broadcasts++;
+        return broadcast.apply(this, args);
+    };
+
+    window.dispatchEvent(storageEvent(window, window.SessionSync.messageKey, { type: 'logout', payload: {}, from: 'tab-other' }));
+
+    await waitFor(() => window.location.hash === '#/login');
+    assert.strictEqual(window.localStorage.getItem('_tillo_ai_at_'), null);
+    assert.strictEqual(window.localStorage.getItem('userData'), null);
+    assert.strictEqual(broadcasts, 0, 'does not echo the logout back');
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor, type } = require('./helpers/page');
+
+const ns = 'signup-r8j1';
+
+test('server messages in field errors are shown as text', async (t) => {
+    const window = await loadPage('index.html', {
+        hash: '#/login',
+        backend: {
+            'POST /auth/availability/user-id': {
+                success: true,
+                data: { available: false, message: '<img src="x" class="injected"> is taken' }
+            }
+        }
+    });
+    t.after(() => window.close());
+
+    const input = await waitFor(() => window.document.getElementById(`${ns}-userId`));
+    type(input, 'jdoe');
+    input.dispatchEvent(new window.Event('blur'));
+
+    const error = window.document.getElementById(`${ns}-userId-error`);
+    await waitFor(() => error.textContent.includes('is taken'), 3000);
+    assert.strictEqual(error.querySelector('.injected'), null);
+    assert.match(error.textContent, /<img src="x" class="injected"> is taken/);
+});
+
+test('"Sign in" on the check-your-inbox step goes to the login route', async (t) => {
+    const window = await loadPage('index.html', {
+        hash: '#/forgot-password',
+        backend: {
+            'POST /auth/availability/user-id': { success: true, data: { available: true } },
+            'POST /auth/availability/email': { success: true, data: { available: true } },
+            'POST /auth/register': {
+                success: true,
+                data: { userId: 'newuser', email: 'new@example.com', verificationRequired: true }
+            }
+        }
+    });
+    t.after(() => window.close());
+
+    const form = await waitFor(() => window.document.getElementById(`${ns}-form`));
+    type(form.querySelector('[name="userId"]'), 'newuser');
+    type(form.querySelector('[name="email"]'), 'new@example.com');
+    type(form.querySelector('[name="password"]'), 'Secret#12345');
+    type(form.querySelector('[name="repeatPassword"]'), 'Secret#12345');
+    type(form.querySelector('[name="firstName"]'), 'New');
+    type(form.querySelector('[name="lastName"]'), 'User');
+    form.querySelector('[type="submit"]').click();
+
+    const signIn = await waitFor(() => window.document.querySelector('[data-slot="left"] [data-action="login"]'));
+    signIn.click();
+
+    await waitFor(() => window.location.hash === '#/login');
+});
+
+test('going back from the check-your-inbox step re-renders the form without passwords and with names as text', async (t) => {
+    const window = await loadPage('index.html', {
+        hash: '#/forgot-password',
+        backend: {
+            'POST /auth/availability/user-id': { success: true, data: { available: true } },
+            'POST /auth/availability/email': { success: true, data: { available: true } },
+            'POST /auth/register': {
+                success: true,
+                data: { userId: 'newuser', email: 'new@example.com', verificationRequired: true }
+            }
+        }
+    });
+    t.after(() => window.close());
+
+    const firstName = '"><img src="x" class="injected">';
+    let form = await waitFor(() => window.document.getElementById(`${ns}-form`));
+    type(form.querySelector('[name="userId"]'), 'newuser');
+    type(form.querySelector('[name="email"]'), 'new@example.com');
+    type(form.querySelector('[name="password"]'), 'Secret#12345');
+    type(form.querySelector('[name="repeatPassword"]'), 'Secret#12345');
+    type(form.querySelector('[name="firstName"]'), firstName);
+    form.querySelector('[type="submit"]').click();
+
+    const back = await waitFor(() => window.document.querySelector('[data-slot="left"] [data-action="verify-back"]'));
+    back.click();
+
+    form = await waitFor(() => window.document.getElementById(`${ns}-form`));
+    assert.strictEqual(form.querySelector('[name="firstName"]').value, firstName);
+    assert.strictEqual(form.querySelector('.injected'), null);
+    for (const name of ['password', 'repeatPassword']) {
+        const input = form.querySelector(`[name="${name}"]`);
+        assert.strictEqual(input.value, '');
+        assert.ok(!input.hasAttribute('value'));
+    }
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/page');
+
+test('selecting a tab from the More menu stops listening for outside clicks', async (t) => {
+    const window = await loadPage('index.html', { hash: '#/403' });
+    t.after(() => window.close());
+    await waitFor(() => window.document.querySelector('#main-container[data-mounted-component]'));
+
+    const { TabsContainer, document } = window;
+    const element = document.createElement('div');
+    document.body.appendChild(element);
+
+    const tabs = new TabsContainer(element, {
+        ui: {
+            ...TabsContainer.getDefaultOptions().ui,
+            tabs: [{ name: 'a', title: 'A' }, { name: 'b', title: 'B' }, { name: 'c', title: 'C' }]
+        }
+    });
+    // jsdom has no layout, so put a tab into the menu by hand
+    tabs.updateOverflow = () => {};
+    tabs.overflowTabs = ['c'];
+    tabs.render();
+
+    const listeners = new Set();
+    const { addEventListener, removeEventListener } = document;
+    document.addEventListener = function (type, listener, ...rest) {
+        if (type === 'click') listeners.add(listener);
+        return addEventListener.call(this, type, listener, ...rest);
+    };
+    document.removeEventListener = function (type, listener, ...rest) {
+        if (type === 'click') listeners.delete(listener);
+        return removeEventListener.call(this, type, listener, ...rest);
+    };
+
+    element.querySelector('[data-action="toggle-menu"]').click();
+    assert.strictEqual(listeners.size, 1);
+
+    element.querySelector('[data-action="menu-select"][data-tab="c"]').click();
+    assert.strictEqual(tabs.activeTab, 'c');
+    assert.strictEqual(listeners.size, 0);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor, type, reply } = require('./helpers/page');
+
+// JWT-shaped token (AppConfig drops tokens it can't read) expiring in an hour
+function jwt(name) {
+    const payload = { sub: name, exp: Math.floor(Date.now() / 1000) + 3600 };
+    return ['e30', Buffer.from(JSON.stringify(payload)).toString('base64'), 'signature'].join('.');
+}
+
+const expired = jwt('expired');
+const fresh = jwt('fresh');
+
+const signedIn = {
+    _tillo_ai_at_: expired,
+    _tillo_ai_rt_: 'refresh-1',
+    userData: JSON.stringify({ id: 1, role: 'user' })
+};
+
+const wrongPassword = { success: false, message: 'Invalid user ID or password', code: 'INVALID_CREDENTIALS', retryAfter: 30 };
+
+/**
+ * Open a page and record appConfig:unauthorized events
+ */
+async function openPage(t, options) {
+    const window = await loadPage('index.html', { hash: '#/403', ...options });
+    t.after(() => window.close());
+    await waitFor(() => window.document.querySelector('#main-container[data-mounted-component]'));
+
+    window.unauthorized = 0;
+    window.addEventListener('appConfig:unauthorized', () => window.unauthorized++);
+    return window;
+}
+
+function requestKeys(window) {
+    return window.fetch.requests.map(request => request.key);
+}
+
+test('an anonymous 401 is returned as the server sent it, without a refresh', async (t) => {
+    const window = await openPage(t, {
+        backend: { 'POST /auth/login': reply(401, wrongPassword) }
+    });
+
+    const response = await window.API.postJson('/auth/login', { userIdOrEmail: 'demo', password: 'nope' });
+
+    assert.strictEqual(response.message, wrongPassword.message);
+    assert.strictEqual(response.code, 'INVALID_CREDENTIALS');
+    assert.strictEqual(response.retryAfter, 30);
+    assert.ok(!requestKeys(window).includes('POST /auth/refresh'));
+    assert.strictEqual(window.unauthorized, 0);
+});
+
+test('a 401 on an auth endpoint keeps its body when sent with skipAuthRefresh', async (t) => {
+    const window = await openPage(t, {
+        storage: signedIn,
+        backend: { 'POST /auth/login': reply(401, wrongPassword) }
+    });
+
+    const response = await window.API.postJson('/auth/login', {}, { skipAuthRefresh: true });
+
+    assert.strictEqual(response.code, 'INVALID_CREDENTIALS');
+    assert.ok(!requestKeys(window).includes('POST /auth/refresh'));
+    assert.strictEqual(window.unauthorized, 0);
+});
+
+test('without a refresh token a 401 is not turned into a refresh attempt', async (t) => {
+    const { _tillo_ai_rt_, ...withoutRefreshToken } = signedIn;
+    const window = await openPage(t, {
+        storage: withoutRefreshToken,
+        backend: { 'GET /orders': reply(401, { success: false, message: 'Token expired', code: 'TOKEN_EXPIRED' }) }
+    });
+
+    const response = await window.API.get('/orders', { cache: false });
+
+    assert.strictEqual(response.code, 'TOKEN_EXPIRED');
+    assert.ok(!requestKeys(window).includes('POST /auth/refresh'));
+});
+
+test('an expired token is refreshed and the request replayed with the new one', async (t) => {
+    let calls = 0;
+    const window = await openPage(t, {
+        storage: signedIn,
+        backend: {
+            'GET /orders': () => (++calls === 1
+                ? reply(401, { success: false, code: 'TOKEN_EXPIRED' })
+                : { success: true, data: [{ id: 7 }] }),
+            'POST /auth/refresh': { success: true, data: { token: fresh, refreshToken: 'refresh-2' } }
+        }
+    });
+
+    const response = await window.API.get('/orders', { cache: false });
+
+    assert.strictEqual(response.success, true);
+    assert.deepStrictEqual(requestKeys(window), ['GET /orders', 'POST /auth/refresh', 'GET /orders']);
+    assert.deepStrictEqual(window.fetch.requests[1].body, { refreshToken: 'refresh-1' });
+    assert.strictEqual(window.fetch.requests[2].headers.Authorization, `Bearer ${fresh}`);
+    assert.strictEqual(window.localStorage.getItem('_tillo_ai_at_'), fresh);
+    assert.strictEqual(window.localStorage.getItem('_tillo_ai_rt_'), 'refresh-2');
+});
+
+test('a replayed request that is still rejected ends the session', async (t) => {
+    const rejected = { success: false, message: 'Account disabled', code: 'ACCOUNT_DISABLED' };
+    const window = await openPage(t, {
+        storage: signedIn,
+        backend: {
+            'GET /orders': reply(401, rejected),
+            'POST /auth/refresh': { success: true, data: { token: fresh, refreshToken: 'refresh-2' } }
+        }
+    });
+
+    const response = await window.API.get('/orders', { cache: false });
+
+    assert.strictEqual(response.success, false);
+    assert.strictEqual(response.code, 'ACCOUNT_DISABLED');
+    assert.deepStrictEqual(requestKeys(window), ['GET /orders', 'POST /auth/refresh', 'GET /orders']);
+    assert.strictEqual(window.unauthorized, 1);
+    assert.strictEqual(window.localStorage.getItem('_tillo_ai_at_'), null);
+    assert.strictEqual(window.localStorage.getItem('_tillo_ai_rt_'), null);
+});
+
+test('a failed refresh returns the original 401 body', async (t) => {
+    const window = await openPage(t, {
+        storage: signedIn,
+        backend: {
+            'GET /orders': reply(401, { success: false, message: 'Token expired', code: 'TOKEN_EXPIRED' }),
+            'POST /auth/refresh': reply(401, { success: false, message: 'Refresh token revoked' })
+        }
+    });
+
+    const response = await window.API.get('/orders', { cache: false });
+
+    assert.strictEqual(response.code, 'TOKEN_EXPIRED');
+    assert.strictEqual(response.message, 'Token expired');
+    assert.strictEqual(window.unauthorized, 1);
+});
+
+test('Login shows the server message for a wrong password', async (t) => {
+    const window = await openPage(t, {
+        hash: '#/login',
+        storage: signedIn,
+        backend: { 'POST /auth/login': reply(401, wrongPassword) }
+    });
+
+    const form = await waitFor(() => {
+        const input = window.document.querySelector('[data-slot="right"] input[name="userIdOrEmail"]');
+        return input && input.form;
+    });
+    type(form.querySelector('input[name="userIdOrEmail"]'), 'demo@example.com');
+    type(form.querySelector('input[name="password"]'), 'Secret#123');
+    form.querySelector('[type="submit"]').click();
+
+    await waitFor(() => window.fetch.requests.some(request => request.key === 'POST /auth/login'));
+    await waitFor(() => form.ownerDocument.querySelector('[data-slot="right"]').textContent.includes(wrongPassword.message));
+    assert.ok(!requestKeys(window).includes('POST /auth/refresh'));
+    assert.strictEqual(window.unauthorized, 0);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadPage, waitFor } = require('./helpers/page');
+
+/**
+ * Open the activation link with the verify endpoint answering `response`, return the title shown
+ */
+async function verify(t, response) {
+    const window = await loadPage('index.html', {
+        hash: '#/verify-email?token=abc',
+        backend: { 'POST /auth/email/verify': response }
+    });
+    t.after(() => window.close());
+
+    const title = await waitFor(() => window.document.querySelector('.verify-email-h6t3__title'));
+    return title.textContent.trim();
+}
+
+test('a successful response verifies the email', async (t) => {
+    assert.strictEqual(await verify(t, { success: true, data: {} }), 'Email verified');
+});
+
+test('an error body without success:false is not taken as verified', async (t) => {
+    assert.strictEqual(await verify(t, { message: 'Internal server error' }), 'Could not verify your email');
+    assert.strictEqual(await verify(t, '<html><body>Not Found</body></html>'), 'Could not verify your email');
+});
+
+test('expired and invalid tokens are told apart by code', async (t) => {
+    assert.strictEqual(await verify(t, { success: false, code: 'TOKEN_EXPIRED' }), 'Link expired');
+    assert.strictEqual(await verify(t, { success: false, code: 'TOKEN_INVALID' }), 'Invalid link');
+});
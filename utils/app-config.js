@@ -15,6 +15,9 @@ class AppConfig {
             timeout: 30000,
             retryAttempts: 1,
             retryDelay : 1000,
+            tokenRefreshPath: '/auth/refresh',
+            oauthExchangePath: '/auth/oauth/token',
+            oauthClientIds: { google: '', microsoft: '', okta: '', local: 'tcs-ui-local' },
             mockMode: false
         },
         staging: {
@@ -26,6 +29,9 @@ class AppConfig {
             timeout: 10000,
             retryAttempts: 1,
             retryDelay : 1000,
+            tokenRefreshPath: '/auth/refresh',
+            oauthExchangePath: '/auth/oauth/token',
+            oauthClientIds: { google: '', microsoft: '', okta: '' },
             mockMode: false
         },
         production: {
@@ -37,18 +43,89 @@ class AppConfig {
             timeout: 10000,
             retryAttempts: 2,
             retryDelay : 2000,
+            tokenRefreshPath: '/auth/refresh',
+            oauthExchangePath: '/auth/oauth/token',
+            oauthClientIds: { google: '', microsoft: '', okta: '' },
             mockMode: false
         }
     };
 
     static tokenKey = "_tillo_ai_at_";
 
+    static refreshTokenKey = "_tillo_ai_rt_";
+
+    // Sync login/logout/token/user changes across tabs (requires utils/session-sync.js)
+    static sessionSyncEnabled = true;
+
+    // Leader tab refreshes the access token this long before it expires
+    static tokenRefreshLeadTime = 60 * 1000;
+
+    // Idle timeout and expiry warning (requires utils/session-monitor.js, see SessionMonitor)
+    static sessionTimeout = {
+        idleTimeout: 30 * 60 * 1000,
+        warningTime: 2 * 60 * 1000
+    };
+
     static logoutRedirect = "";
 
+    // OAuth / OpenID Connect sign-in providers (requires utils/oauth-client.js, see OAuthClient).
+    // A provider is offered only in environments that set its client ID in oauthClientIds.
+    static oauthProviders = {
+        google: {
+            label: 'Google',
+            icon: 'fab fa-google',
+            authorizationEndpoint: 'https://accounts.google.com/o/oauth2/v2/auth'
+        },
+        microsoft: {
+            label: 'Microsoft',
+            icon: 'fab fa-microsoft',
+            authorizationEndpoint: 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize'
+        },
+        okta: {
+            label: 'Okta',
+            icon: 'fas fa-circle-notch',
+            authorizationEndpoint: 'https://your-org.okta.com/oauth2/default/v1/authorize'
+        },
+        // Stand-in identity provider for local development (mock-idp.html)
+        local: {
+            label: 'Local IdP',
+            icon: 'fas fa-flask',
+            authorizationEndpoint: 'mock-idp.html'
+        }
+    };
+
+    static oauthMode = 'popup';
+
+    // Password rules for every component that sets a password (Signup, ResetPassword),
+    // overriding PasswordPolicy.defaults (requires utils/password-policy.js)
+    static passwordPolicy = {};
+
+    // Role -> granted permissions ('*' grants everything, 'orders:*' every orders permission).
+    // Roles may inherit the permissions of other roles.
+    static roles = {
+        admin: {
+            permissions: ['*']
+        },
+        manager: {
+            inherits: ['user'],
+            permissions: ['users:read', 'orders:*', 'shipping:*', 'reports:read', 'analytics:read']
+        },
+        user: {
+            permissions: ['dashboard:read', 'orders:read', 'profile:*', 'help:read']
+        }
+    };
+
     constructor() {
         this.token = '';
         this.initialized = false;
         this.eventListeners = [];
+        this.router = null;
+        this.sessionSync = null;
+        this.sessionMonitor = null;
+        this.oauth = null;
+        this.passwordPolicy = null;
+        this.tokenRefreshTimer = null;
+        this.stopTokenRefreshLeadership = null;
 
         // Bind methods
         this.handleStorageChange = this.handleStorageChange.bind(this);
@@ -78,9 +155,21 @@ class AppConfig {
             // 4. Setup event listeners
             this.setupEventListeners();
 
-            // 5. Initialize component manager
+            // 5. Setup cross-tab session sync
+            this.setupSessionSync();
+
+            // 6. Initialize component manager
             this.componentManager = new ComponentManager(this);
 
+            // 7. Watch for idle timeout and session expiry
+            this.setupSessionMonitor();
+
+            // 8. Setup OAuth / OpenID Connect sign-in
+            this.setupOAuthClient();
+
+            // 9. Shared password policy
+            this.setupPasswordPolicy();
+
             this.initialized = true;
             Utils.log('AppConfig', 'log', 'Initialization complete');
 
@@ -131,6 +220,15 @@ class AppConfig {
             window.API.setAuthToken(token);
         }
 
+        // Refresh expired access tokens instead of forcing a re-login
+        if (httpConfig.tokenRefreshPath) {
+            window.API.configureTokenRefresh({
+                url: httpConfig.tokenRefreshPath,
+                getRefreshToken: () => this.getStoredRefreshToken(),
+                onRefreshed: (tokens) => this.onTokenRefreshed(tokens)
+            });
+        }
+
         // Add error interceptor for global error handling
         window.API.addErrorInterceptor(async (error, config) => {
             this.handleApiError(error, config);
@@ -188,7 +286,7 @@ class AppConfig {
      * Handle localStorage changes (token updates, etc.)
      */
     handleStorageChange(event) {
-        if (event.key === AppConfig.auth.tokenKey) {
+        if (event.key === AppConfig.tokenKey) {
             if (event.newValue) {
                 // Token updated
                 window.API.setAuthToken(event.newValue);
@@ -208,9 +306,11 @@ class AppConfig {
      */
     handleApiError(error, config) {
         // Handle 401 Unauthorized
+        // (reached only when the token could not be refreshed)
         if (error.status === 401) {
             Utils.log('AppConfig', 'warn', 'Unauthorized request, clearing token');
             this.setAuthToken(null);
+            this.setRefreshToken(null);
             this.emitEvent('unauthorized', { error, config });
             return;
         }
@@ -239,25 +339,228 @@ class AppConfig {
     setupMockData() {
         window.API.setMockMode(true);
 
+        // Accounts that already exist, for the availability and register mocks
+        const takenUserIds = ['admin', 'test', 'jdoe'];
+        const takenEmails = ['admin@example.com', 'test@example.com', 'jdoe@example.com'];
+        let lastVerificationEmail = 0;
+
+        // Saved layout of the 'dashboard' DashboardContainer (kept for this page load)
+        let dashboardLayout = null;
+
+        // Error body for emailed link tokens (password reset, email verification) that are
+        // not accepted, null for valid ones
+        const mockLinkToken = (config) => {
+            const { token } = config.data || {};
+            if (token === 'expired') {
+                return { success: false, code: 'TOKEN_EXPIRED', message: 'This link has expired' };
+            }
+            if (!token || token === 'invalid') {
+                return { success: false, code: 'TOKEN_INVALID', message: 'This link is invalid' };
+            }
+            return null;
+        };
+
         // Add common mock endpoints with versioning
         const mockData = {
             // Authentication endpoints
-            [`POST:/auth/login`]: {
+            // Sign in as mfa@example.com to get the two-step verification challenge,
+            // or as unverified@example.com for an account that is not activated yet
+            [`POST:/auth/login`]: (config) => {
+                const body = config.data || {};
+                if (/^unverified@/i.test(body.userIdOrEmail || '')) {
+                    return {
+                        success: false,
+                        emailNotVerified: true,
+                        code: 'EMAIL_NOT_VERIFIED',
+                        message: 'Please verify your email address before signing in',
+                        data: { email: body.userIdOrEmail }
+                    };
+                }
+                if (/^locked@/i.test(body.userIdOrEmail || '')) {
+                    return {
+                        success: false,
+                        code: 'ACCOUNT_LOCKED',
+                        message: 'Too many failed sign-in attempts. Try again later.',
+                        retryAfter: 30,
+                        challengeRequired: true
+                    };
+                }
+                if (/^wrong/i.test(body.password || '')) {
+                    return { success: false, code: 'INVALID_CREDENTIALS', message: 'Invalid user ID or password' };
+                }
+                if (/^mfa@/i.test(body.userIdOrEmail || '') && !body.deviceToken) {
+                    return {
+                        success: false,
+                        mfaRequired: true,
+                        message: 'Two-step verification required',
+                        data: {
+                            mfaToken: 'mock-mfa-token-' + Date.now(),
+                            methods: ['totp', 'sms', 'email', 'backup'],
+                            defaultMethod: 'totp',
+                            destinations: { sms: '•••• ••• 4821', email: 'm•••@example.com' }
+                        }
+                    };
+                }
+                return {
+                    success: true,
+                    data: {
+                        token: 'mock-jwt-token-' + Date.now(),
+                        refreshToken: 'mock-refresh-token-' + Date.now(),
+                        user: {
+                            id: 1,
+                            userIdOrEmail: 'demo@example.com',
+                            name: 'Demo User',
+                            role: 'admin'
+                        }
+                    }
+                };
+            },
+            // Accepts 123456 (or backup code ABCD-1234)
+            [`POST:/auth/mfa/verify`]: (config) => {
+                const { code, trustDevice } = config.data || {};
+                if (code !== '123456' && code !== 'ABCD-1234') {
+                    return { success: false, message: 'Invalid verification code' };
+                }
+                return {
+                    success: true,
+                    data: {
+                        token: 'mock-jwt-token-' + Date.now(),
+                        refreshToken: 'mock-refresh-token-' + Date.now(),
+                        deviceToken: trustDevice ? 'mock-device-token-' + Date.now() : undefined,
+                        user: {
+                            id: 2,
+                            userIdOrEmail: 'mfa@example.com',
+                            name: 'MFA User',
+                            role: 'user'
+                        }
+                    }
+                };
+            },
+            // Exchanges codes issued by mock-idp.html (the code carries the IdP's claims)
+            [`POST:/auth/oauth/token`]: (config) => {
+                const { code } = config.data || {};
+                const claims = JSON.parse(atob(code.replace(/-/g, '+').replace(/_/g, '/')));
+                const encode = (value) => btoa(JSON.stringify(value)).replace(/=+$/, '');
+                return {
+                    success: true,
+                    data: {
+                        token: 'mock-jwt-token-' + Date.now(),
+                        refreshToken: 'mock-refresh-token-' + Date.now(),
+                        idToken: [encode({ alg: 'none' }), encode({ sub: claims.sub, email: claims.email, nonce: claims.nonce }), ''].join('.'),
+                        user: {
+                            id: 3,
+                            userIdOrEmail: claims.email,
+                            name: claims.name,
+                            role: 'user'
+                        }
+                    }
+                };
+            },
+            [`POST:/auth/mfa/resend`]: {
+                success: true,
+                message: 'Verification code sent'
+            },
+            [`POST:/auth/availability/user-id`]: (config) => ({
+                success: true,
+                data: { available: takenUserIds.indexOf(String((config.data || {}).userId).toLowerCase()) === -1 }
+            }),
+            [`POST:/auth/availability/email`]: (config) => ({
+                success: true,
+                data: { available: takenEmails.indexOf(String((config.data || {}).email).toLowerCase()) === -1 }
+            }),
+            // An inviteCode field (see Signup options.fields) only accepts WELCOME
+            [`POST:/auth/register`]: (config) => {
+                const body = config.data || {};
+                const errors = [];
+                if (takenUserIds.indexOf(String(body.userId).toLowerCase()) !== -1) {
+                    errors.push({ field: 'userId', message: 'This user ID is already taken' });
+                }
+                if (takenEmails.indexOf(String(body.email).toLowerCase()) !== -1) {
+                    errors.push({ field: 'email', message: 'An account with this email already exists' });
+                }
+                if (body.inviteCode !== undefined && body.inviteCode !== '' && body.inviteCode !== 'WELCOME') {
+                    errors.push({ field: 'inviteCode', message: 'This invitation code is not valid' });
+                }
+                if (errors.length > 0) {
+                    return { success: false, message: 'Please fix the highlighted fields', errors };
+                }
+                lastVerificationEmail = Date.now();
+                return {
+                    success: true,
+                    message: 'Account created',
+                    data: { userId: body.userId, email: body.email, verificationRequired: true }
+                };
+            },
+            // Activation emails can be resent once a minute
+            [`POST:/auth/email/resend`]: () => {
+                const retryAfter = Math.ceil((lastVerificationEmail + 60 * 1000 - Date.now()) / 1000);
+                if (retryAfter > 0) {
+                    return { success: false, code: 'RATE_LIMITED', message: 'Please wait before requesting another email', retryAfter };
+                }
+                lastVerificationEmail = Date.now();
+                return { success: true, message: 'Activation email sent' };
+            },
+            // Activation and reset links use token 'expired' or 'invalid' to show those states
+            [`POST:/auth/email/verify`]: (config) => mockLinkToken(config) || {
+                success: true,
+                message: 'Email verified'
+            },
+            // Code 123456 signs in; magic-link tokens 'expired' and 'invalid' fail
+            [`POST:/auth/passwordless/start`]: () => ({
+                success: true,
+                data: { requestId: 'mock-passwordless-' + Date.now() }
+            }),
+            [`POST:/auth/passwordless/verify`]: (config) => {
+                const { code, email } = config.data || {};
+                if (code === undefined) {
+                    const error = mockLinkToken(config);
+                    if (error) return error;
+                } else if (code !== '123456') {
+                    return { success: false, code: 'INVALID_CODE', message: 'Invalid or expired code' };
+                }
+                return {
+                    success: true,
+                    data: {
+                        token: 'mock-jwt-token-' + Date.now(),
+                        refreshToken: 'mock-refresh-token-' + Date.now(),
+                        email: email || 'demo@example.com',
+                        user: {
+                            id: 1,
+                            userIdOrEmail: email || 'demo@example.com',
+                            name: 'Demo User',
+                            role: 'admin'
+                        }
+                    }
+                };
+            },
+            [`POST:/auth/password/forgot`]: {
+                success: true,
+                message: 'If an account exists for this email, a reset link has been sent'
+            },
+            [`POST:/auth/password/reset/validate`]: (config) => mockLinkToken(config),
+            [`POST:/auth/password/reset`]: (config) => mockLinkToken(config) || {
+                success: true,
+                message: 'Password has been reset'
+            },
+            [`POST:/auth/refresh`]: () => ({
                 success: true,
                 data: {
                     token: 'mock-jwt-token-' + Date.now(),
-                    user: {
-                        id: 1,
-                        userIdOrEmail: 'demo@example.com',
-                        name: 'Demo User',
-                        role: 'admin'
-                    }
+                    refreshToken: 'mock-refresh-token-' + Date.now()
                 }
-            },
+            }),
             [`POST:/auth/logout`]: {
                 success: true,
                 message: 'Logged out successfully'
             },
+            [`GET:/dashboard/layouts/dashboard`]: () => ({
+                success: true,
+                data: { layout: dashboardLayout }
+            }),
+            [`PUT:/dashboard/layouts/dashboard`]: (config) => {
+                dashboardLayout = (config.data || {}).layout || null;
+                return { success: true };
+            },
             [`GET:/auth/me`]: {
                 success: true,
                 data: {
@@ -298,6 +601,11 @@ class AppConfig {
         try {
             const payload = JSON.parse(atob(token.split('.')[1]));
             if (payload.exp && payload.exp < Date.now() / 1000) {
+                if (this.getStoredRefreshToken()) {
+                    // HTTPClient refreshes it on the first 401
+                    Utils.log('AppConfig', 'log', 'Stored token expired, will refresh on next request');
+                    return;
+                }
                 Utils.log('AppConfig', 'warn', 'Stored token expired, clearing');
                 this.setAuthToken(null);
             }
@@ -327,6 +635,216 @@ class AppConfig {
         }
     }
 
+    /**
+     * Get stored refresh token
+     */
+    getStoredRefreshToken() {
+        return localStorage.getItem(AppConfig.refreshTokenKey);
+    }
+
+    /**
+     * Set refresh token
+     */
+    setRefreshToken(refreshToken) {
+        if (refreshToken) {
+            localStorage.setItem(AppConfig.refreshTokenKey, refreshToken);
+        } else {
+            localStorage.removeItem(AppConfig.refreshTokenKey);
+        }
+    }
+
+    /**
+     * Handle a refreshed access token (called by HTTPClient after a successful refresh)
+     */
+    onTokenRefreshed({ token, refreshToken }) {
+        this.setAuthToken(token);
+        if (refreshToken) {
+            this.setRefreshToken(refreshToken);
+        }
+
+        this.emitEvent('tokenRefreshed', { token });
+        Utils.log('AppConfig', 'log', 'Access token refreshed');
+
+        if (this.sessionSync) {
+            this.sessionSync.broadcast('tokenRefreshed');
+        }
+        this.scheduleTokenRefresh();
+        if (this.sessionMonitor) {
+            this.sessionMonitor.schedule();
+        }
+    }
+
+    /**
+     * Create the OAuth client with the providers configured for this environment
+     */
+    setupOAuthClient() {
+        if (typeof window.OAuthClient === 'undefined') {
+            return;
+        }
+
+        const clientIds = this.httpConfig.oauthClientIds || {};
+        const providers = {};
+        Object.entries(AppConfig.oauthProviders).forEach(([name, provider]) => {
+            providers[name] = { ...provider, clientId: clientIds[name] || provider.clientId || '' };
+        });
+
+        this.oauth = new OAuthClient(this, {
+            providers,
+            mode: AppConfig.oauthMode,
+            exchangePath: this.httpConfig.oauthExchangePath
+        });
+    }
+
+    /**
+     * Create the password policy shared by Signup and ResetPassword
+     */
+    setupPasswordPolicy() {
+        if (typeof window.PasswordPolicy === 'undefined') {
+            return;
+        }
+
+        this.passwordPolicy = new PasswordPolicy(AppConfig.passwordPolicy);
+    }
+
+    /**
+     * Start SessionMonitor for the stored session (restarted on login, stopped on logout)
+     */
+    setupSessionMonitor() {
+        if (!AppConfig.sessionTimeout || typeof window.SessionMonitor === 'undefined') {
+            return;
+        }
+
+        this.sessionMonitor = new SessionMonitor(this, AppConfig.sessionTimeout);
+        if (this.isAuthenticated()) {
+            this.sessionMonitor.start();
+        }
+    }
+
+    // ========================================
+    // CROSS-TAB SESSION SYNC
+    // ========================================
+
+    /**
+     * Start SessionSync and apply session changes made in other tabs
+     * Tokens and user data live in localStorage, so messages only say what changed.
+     */
+    setupSessionSync() {
+        if (!AppConfig.sessionSyncEnabled || typeof window.SessionSync === 'undefined') {
+            return;
+        }
+
+        this.sessionSync = new SessionSync();
+        this.sessionSync.on('login', (payload) => this.handleRemoteLogin(payload));
+        this.sessionSync.on('logout', () => this.handleRemoteLogout());
+        this.sessionSync.on('tokenRefreshed', () => this.handleRemoteTokenRefresh());
+        this.sessionSync.on('userUpdated', () => this.handleRemoteUserUpdate());
+        this.sessionSync.start();
+
+        // Only the leader tab runs the token refresh timer
+        this.stopTokenRefreshLeadership = this.sessionSync.runWhileLeader(
+            () => this.scheduleTokenRefresh(),
+            () => this.cancelTokenRefresh()
+        );
+
+        // Shared WebSocket connections find the sync instance here
+        window.sessionSync = this.sessionSync;
+
+        Utils.log('AppConfig', 'log', 'Session sync setup complete');
+    }
+
+    /**
+     * Another tab logged in
+     */
+    handleRemoteLogin({ user } = {}) {
+        window.API.setAuthToken(this.getStoredToken());
+        this.scheduleTokenRefresh();
+        if (this.sessionMonitor) {
+            this.sessionMonitor.start();
+        }
+
+        const redirectUrl = this.router && this.router.current && this.router.current.path === this.router.options.loginPath
+            ? this.getLoginRedirect()
+            : null;
+        if (redirectUrl) {
+            this.redirectTo(redirectUrl);
+        }
+
+        Utils.log('AppConfig', 'log', 'Logged in from another tab');
+        this.emitEvent('loginSuccess', { user: user || this.getCurrentUser(), redirectUrl, remote: true });
+    }
+
+    /**
+     * Another tab logged out
+     */
+    handleRemoteLogout() {
+        this.logout({ broadcast: false });
+    }
+
+    /**
+     * Another tab refreshed the access token
+     */
+    handleRemoteTokenRefresh() {
+        const token = this.getStoredToken();
+        window.API.setAuthToken(token);
+        this.scheduleTokenRefresh();
+        if (this.sessionMonitor) {
+            this.sessionMonitor.schedule();
+        }
+
+        this.emitEvent('tokenRefreshed', { token, remote: true });
+    }
+
+    /**
+     * Another tab updated the current user's profile
+     */
+    handleRemoteUserUpdate() {
+        this.emitEvent('userUpdated', { user: this.getCurrentUser(), remote: true });
+    }
+
+    /**
+     * Schedule a proactive token refresh before the access token expires (leader tab only)
+     */
+    scheduleTokenRefresh() {
+        this.cancelTokenRefresh();
+        if (this.sessionSync && !this.sessionSync.isLeader) return;
+        if (!window.API || !window.API.tokenRefresh || !this.getStoredRefreshToken()) return;
+
+        const expiresAt = this.getTokenExpiry(this.getStoredToken());
+        if (!expiresAt) return;
+
+        const delay = Math.max(expiresAt - Date.now() - AppConfig.tokenRefreshLeadTime, 0);
+        this.tokenRefreshTimer = setTimeout(() => {
+            this.tokenRefreshTimer = null;
+            window.API.refreshAccessToken().catch(error => {
+                Utils.log('AppConfig', 'warn', 'Scheduled token refresh failed:', error.message);
+            });
+        }, delay);
+    }
+
+    /**
+     * Cancel the scheduled token refresh
+     */
+    cancelTokenRefresh() {
+        if (this.tokenRefreshTimer) {
+            clearTimeout(this.tokenRefreshTimer);
+            this.tokenRefreshTimer = null;
+        }
+    }
+
+    /**
+     * Get a JWT's expiry time in milliseconds, or null
+     */
+    getTokenExpiry(token) {
+        if (!token) return null;
+
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1]));
+            return payload.exp ? payload.exp * 1000 : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Handle token update
      */
@@ -343,44 +861,89 @@ class AppConfig {
         Utils.log('AppConfig', 'log', 'Authentication token removed');
     }
 
+    /**
+     * Use a Router for navigation (navigate() falls back to full page loads without one)
+     */
+    setRouter(router) {
+        this.router = router;
+        return this;
+    }
+
     /**
      * Navigate to a different page/view
+     * @param {string} path - Target path
+     * @param {object} options - Router options ({ replace: boolean })
      */
-    navigate(path) {
-        // Simple navigation - can be enhanced with routing library
+    navigate(path, options = {}) {
+        if (this.router) {
+            return this.router.navigate(path, options);
+        }
+
         window.location.href = path;
     }
 
+    /**
+     * Replace the current route after a session change (login, logout, another tab)
+     * These run from event handlers and timers, so a route that fails to render is logged here.
+     */
+    redirectTo(path) {
+        Promise.resolve(this.navigate(path, { replace: true })).catch(error => {
+            Utils.log('AppConfig', 'error', `Navigation to ${path} failed:`, error);
+        });
+    }
+
     /**
      * Handle login success
+     * @param {object} response - Login response ({ data: { token, refreshToken, user } })
+     * @param {object} formData - Submitted credentials (or { provider } for OAuth sign-in)
+     * @param {object} options - { redirect, navigate: false } to override or skip the redirect
      */
-    handleLoginSuccess(response, formData) {
+    handleLoginSuccess(response, formData, options = {}) {
         // Extract data from response
-        const { token, user } = response.data || response;
+        const { token, refreshToken, user } = response.data || response;
 
         // Set authentication token
         if (token) {
             this.setAuthToken(token);
         }
+        if (refreshToken) {
+            this.setRefreshToken(refreshToken);
+        }
 
         // Store user data
         if (user) {
             localStorage.setItem('userData', JSON.stringify(user));
         }
 
-        // Navigate to dashboard or redirect URL
-        const redirectUrl = Utils.getNestedValue(
-            Utils.queryStringToObject(window.location.search),
-            'redirect',
-            '/dashboard'
-        );
+        if (this.sessionSync) {
+            this.sessionSync.broadcast('login', { user });
+        }
+        this.scheduleTokenRefresh();
+        if (this.sessionMonitor) {
+            this.sessionMonitor.start();
+        }
 
-        this.navigate(redirectUrl);
+        // Replace the login entry so "back" does not return to the login form
+        const redirectUrl = options.redirect || this.getLoginRedirect();
+        if (options.navigate !== false) {
+            this.redirectTo(redirectUrl);
+        }
 
         Utils.log('AppConfig', 'log', 'Login successful, redirecting to:', redirectUrl);
         this.emitEvent('loginSuccess', { user, redirectUrl });
     }
 
+    /**
+     * Get where to go after login: the redirect query parameter or the dashboard
+     * (the router keeps the query inside the hash in hash mode)
+     */
+    getLoginRedirect() {
+        const query = this.router && this.router.current
+            ? this.router.current.query
+            : Utils.queryStringToObject(window.location.search);
+        return Utils.getNestedValue(query, 'redirect', '/dashboard');
+    }
+
     /**
      * Handle login error
      */
@@ -391,19 +954,30 @@ class AppConfig {
 
     /**
      * Handle logout
+     * @param {object} options - { broadcast: false } when applying a logout from another tab
      */
-    logout() {
+    logout(options = {}) {
         // Clear authentication
         this.setAuthToken(null);
+        this.setRefreshToken(null);
+        this.cancelTokenRefresh();
+        if (this.sessionMonitor) {
+            this.sessionMonitor.stop();
+        }
+
+        if (this.sessionSync && options.broadcast !== false) {
+            this.sessionSync.broadcast('logout');
+        }
 
         // Clear user data
         localStorage.removeItem('userData');
 
         // Navigate to login
-        this.navigate(AppConfig.logoutRedirect);
+        const logoutRedirect = AppConfig.logoutRedirect || (this.router ? this.router.options.loginPath : '');
+        this.redirectTo(logoutRedirect);
 
         Utils.log('AppConfig', 'log', 'User logged out');
-        this.emitEvent('logout');
+        this.emitEvent('logout', { remote: options.broadcast === false });
     }
 
     /**
@@ -444,6 +1018,18 @@ class AppConfig {
         return userData ? JSON.parse(userData) : null;
     }
 
+    /**
+     * Update the current user's profile (synced to other tabs)
+     */
+    setCurrentUser(user) {
+        localStorage.setItem('userData', JSON.stringify(user));
+
+        if (this.sessionSync) {
+            this.sessionSync.broadcast('userUpdated');
+        }
+        this.emitEvent('userUpdated', { user });
+    }
+
     /**
      * Check if user is authenticated
      */
@@ -451,6 +1037,117 @@ class AppConfig {
         return !!this.getStoredToken();
     }
 
+    // ========================================
+    // ACCESS CONTROL
+    // ========================================
+
+    /**
+     * Get the current user's roles (user.roles or user.role)
+     */
+    getRoles() {
+        const user = this.isAuthenticated() ? this.getCurrentUser() : null;
+        if (!user) return [];
+
+        if (Array.isArray(user.roles)) return user.roles;
+        return user.role ? [user.role] : [];
+    }
+
+    /**
+     * Check if the current user has a role
+     */
+    hasRole(role) {
+        return this.getRoles().includes(role);
+    }
+
+    /**
+     * Get every permission granted to the current user, including inherited
+     * role permissions and permissions listed on the user itself
+     */
+    getPermissions() {
+        const permissions = new Set();
+        const visited = new Set();
+
+        const addRole = (role) => {
+            if (visited.has(role)) return;
+            visited.add(role);
+
+            const definition = AppConfig.roles[role];
+            if (!definition) return;
+
+            (definition.permissions || []).forEach(permission => permissions.add(permission));
+            (definition.inherits || []).forEach(addRole);
+        };
+
+        this.getRoles().forEach(addRole);
+
+        const user = this.isAuthenticated() ? this.getCurrentUser() : null;
+        if (user && Array.isArray(user.permissions)) {
+            user.permissions.forEach(permission => permissions.add(permission));
+        }
+
+        return permissions;
+    }
+
+    /**
+     * Check if the current user holds a permission (or all of an array of permissions)
+     * @param {string|string[]} permission - e.g. 'orders:read'
+     */
+    can(permission) {
+        const required = Array.isArray(permission) ? permission : [permission];
+        const granted = this.getPermissions();
+
+        return required.every(name => {
+            if (granted.has('*') || granted.has(name)) return true;
+
+            const [resource] = name.split(':');
+            return granted.has(`${resource}:*`);
+        });
+    }
+
+    /**
+     * Check an access declaration: every listed permission and any listed role
+     * @param {object} access - { permissions: string[], roles: string[] } (route, spec or nav item)
+     */
+    isAllowed(access = {}) {
+        const { permissions, roles } = access;
+
+        if (permissions && permissions.length > 0 && !this.can(permissions)) {
+            return false;
+        }
+        if (roles && roles.length > 0 && !roles.some(role => this.hasRole(role))) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Remove navigation items the current user may not see
+     * Groups left without children and dangling separators are dropped as well.
+     * @param {object[]} items - Items with optional permissions/roles and children
+     * @returns {object[]} - Filtered copy
+     */
+    filterByPermission(items = []) {
+        const filtered = items.reduce((result, item) => {
+            if (!this.isAllowed(item)) return result;
+
+            if (Array.isArray(item.children)) {
+                const children = this.filterByPermission(item.children);
+                if (children.length === 0 && !item.url) return result;
+                result.push({ ...item, children });
+            } else {
+                result.push({ ...item });
+            }
+            return result;
+        }, []);
+
+        // Drop separators (section headers) whose section ended up empty
+        return filtered.filter((item, index) => {
+            if (item.type !== 'separator') return true;
+            const next = filtered[index + 1];
+            return next && next.type !== 'separator';
+        });
+    }
+
     /**
      * Get application status
      */
@@ -478,6 +1175,22 @@ class AppConfig {
             element.removeEventListener(event, listener);
         });
         this.eventListeners = [];
+        this.cancelTokenRefresh();
+        if (this.sessionMonitor) {
+            this.sessionMonitor.stop();
+        }
+        if (this.stopTokenRefreshLeadership) {
+            this.stopTokenRefreshLeadership();
+        }
+        if (this.sessionSync) {
+            this.sessionSync.stop();
+            if (window.sessionSync === this.sessionSync) {
+                window.sessionSync = null;
+            }
+        }
+        if (this.router) {
+            this.router.destroy();
+        }
         if (this.componentManager) {
             this.componentManager.destroy();
         }
@@ -28,6 +28,10 @@ class HTTPClient {
         this.maxConcurrentRequests = 10;
         this.activeRequests = 0;
 
+        // Access-token refresh (see configureTokenRefresh)
+        this.tokenRefresh = null;
+        this.refreshPromise = null;
+
         // Debug mode
         this.debug = false;
 
@@ -66,6 +70,30 @@ class HTTPClient {
         return this;
     }
 
+    /**
+     * Enable the refresh-token flow: a 401 response pauses new requests, calls the
+     * refresh endpoint once for all concurrent failures and replays them with the new token
+     * @param {object} options - Refresh options
+     * @param {string} options.url - Refresh endpoint (path or full URL)
+     * @param {function} options.getRefreshToken - Returns the current refresh token
+     * @param {function} options.onRefreshed - Called with { token, refreshToken } after a successful refresh
+     * @param {function} options.onRefreshFailed - Called with the error when the refresh fails
+     */
+    configureTokenRefresh(options = {}) {
+        this.tokenRefresh = {
+            url: '',
+            method: 'POST',
+            getRefreshToken: null,
+            buildBody: (refreshToken) => ({ refreshToken }),
+            extractTokens: (response) => this.extractTokens(response),
+            onRefreshed: null,
+            onRefreshFailed: null,
+            ...options
+        };
+        this.log('Token refresh configured:', this.tokenRefresh.url);
+        return this;
+    }
+
     /**
      * Enable/disable mock mode
      */
@@ -316,6 +344,8 @@ class HTTPClient {
 
     /**
      * Main request method
+     * Pass options.signal (an AbortSignal) to cancel the request; a cancelled request
+     * rejects with an error named 'AbortError' instead of resolving success=false.
      * @param {string} urlOrPath - Full URL or path
      * @param {object} options - Request options
      */
@@ -334,6 +364,9 @@ class HTTPClient {
 
         config.headers = { ...this.defaultHeaders, ...config.headers };
 
+        // Requests that did not bring their own Authorization header pick up refreshed tokens
+        const usesDefaultAuth = !(options.headers && options.headers.Authorization);
+
         // Build full URL with API versioning
         const fullUrl = this.buildUrl(urlOrPath, config.params);
 
@@ -354,6 +387,12 @@ class HTTPClient {
         // Retry logic
         while (attempt <= config.retries) {
             try {
+                // Hold new requests while a token refresh is in flight
+                if (this.refreshPromise && !config.skipAuthRefresh) {
+                    await this.refreshPromise.catch(() => {});
+                    if (usesDefaultAuth) this.applyAuthHeader(config);
+                }
+
                 // Wait for available slot if too many concurrent requests
                 await this.waitForAvailableSlot();
 
@@ -373,6 +412,25 @@ class HTTPClient {
 
             } catch (error) {
                 this.activeRequests--;
+
+                // Cancelled by the caller - never retried
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+
+                // Refresh the access token once and replay the request
+                if (error.status === 401 && this.canRefreshToken(config)) {
+                    config.authRefreshed = true;
+                    try {
+                        await this.refreshAccessToken();
+                        if (usesDefaultAuth) this.applyAuthHeader(config);
+                        this.log('Replaying request after token refresh:', config.method, fullUrl);
+                        continue;
+                    } catch (refreshError) {
+                        error.message = `${error.message} (token refresh failed: ${refreshError.message})`;
+                    }
+                }
+
                 attempt++;
 
                 // Don't retry certain errors
@@ -388,8 +446,10 @@ class HTTPClient {
                         }
                     }
 
-                    // Return error object with success=false instead of throwing
+                    // Return error object with success=false instead of throwing, keeping the
+                    // server's body (message, code, retryAfter...) when there is one
                     return {
+                        ...(this.isPlainObject(error.data) ? error.data : {}),
                         success: false,
                         error: error.message,
                         status: error.status || 0,
@@ -458,6 +518,13 @@ class HTTPClient {
                url.startsWith('data:');
     }
 
+    /**
+     * Check if a response body is a plain JSON object (not text, a Blob or an ArrayBuffer)
+     */
+    isPlainObject(value) {
+        return !!value && value.constructor === Object;
+    }
+
     /**
      * Make the actual HTTP request
      */
@@ -471,9 +538,18 @@ class HTTPClient {
             }
         }
 
-        // Create AbortController for timeout
+        // Create AbortController for timeout (and the caller's signal, if any)
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), config.timeout);
+        const abortListener = () => controller.abort();
+
+        if (config.signal) {
+            if (config.signal.aborted) {
+                clearTimeout(timeoutId);
+                throw this.createAbortError();
+            }
+            config.signal.addEventListener('abort', abortListener);
+        }
 
         try {
             // Prepare fetch options
@@ -512,6 +588,24 @@ class HTTPClient {
                 }
             }
 
+            // Surface 401s as errors when they can be recovered by refreshing the token, and
+            // when a request replayed with a refreshed token is still rejected, so the error
+            // interceptors see it (AppConfig clears the session)
+            if (responseObj.status === 401 && (config.authRefreshed || this.canRefreshToken(config))) {
+                const error = new Error(`HTTP 401: ${response.statusText || 'Unauthorized'}`);
+                error.status = 401;
+                error.statusText = response.statusText;
+                error.data = responseObj.data;
+                throw error;
+            }
+
+            // Pass the server's throttling hint (429/503 Retry-After) on to the caller
+            const retryAfter = this.parseRetryAfter(responseObj.headers['retry-after']);
+            if (retryAfter !== null && this.isPlainObject(responseObj.data) &&
+                responseObj.data.retryAfter === undefined) {
+                responseObj.data.retryAfter = retryAfter;
+            }
+
             // Check if response is ok
             if (!responseObj.data) {
                 const error = {};
@@ -527,13 +621,29 @@ class HTTPClient {
             clearTimeout(timeoutId);
 
             if (error.name === 'AbortError') {
+                if (config.signal && config.signal.aborted) {
+                    throw this.createAbortError();
+                }
                 throw new Error(`Request timeout after ${config.timeout}ms`);
             }
 
             throw error;
+        } finally {
+            if (config.signal) {
+                config.signal.removeEventListener('abort', abortListener);
+            }
         }
     }
 
+    /**
+     * Error thrown when the caller's AbortSignal cancels a request
+     */
+    createAbortError() {
+        const error = new Error('Request aborted');
+        error.name = 'AbortError';
+        return error;
+    }
+
     /**
      * Create response object
      */
@@ -582,38 +692,49 @@ class HTTPClient {
 
     /**
      * Handle mock requests
+     * Mocks are registered by path (addMockData), so the lookup strips baseURL, API version
+     * and query. Like a real request, the response body is returned unwrapped.
      */
     async handleMockRequest(url, config) {
-        const mockKey = `${config.method}:${url}`;
-        const mockData = this.mockData.get(mockKey);
+        const mockKey = `${config.method}:${this.getMockPath(url)}`;
+        const mockData = this.mockData.get(`${config.method}:${url}`) || this.mockData.get(mockKey);
 
         if (mockData) {
             // Simulate network delay
             await this.sleep(Math.random() * 500 + 100);
 
+            if (config.signal && config.signal.aborted) {
+                throw this.createAbortError();
+            }
+
             this.log('Mock response for:', mockKey);
 
-            return {
-                status: 200,
-                statusText: 'OK',
-                headers: { 'content-type': 'application/json' },
-                data: typeof mockData === 'function' ? mockData(config) : mockData,
-                config: config,
-                url: url
-            };
+            return typeof mockData === 'function' ? mockData(config) : mockData;
         }
 
-        // Default mock response
+        // Default mock response (the body of a 404)
         return {
-            status: 404,
-            statusText: 'Not Found',
-            headers: {},
-            data: { error: 'Mock data not found for: ' + mockKey },
-            config: config,
-            url: url
+            success: false,
+            message: 'Mock data not found for: ' + mockKey
         };
     }
 
+    /**
+     * Path a mock is registered under: the request URL without baseURL, API version and query
+     */
+    getMockPath(url) {
+        let path = url.split('?')[0];
+
+        if (this.baseURL && path.startsWith(this.baseURL)) {
+            path = path.substring(this.baseURL.length);
+        }
+        if (this.apiVersion && path.startsWith(`/${this.apiVersion}/`)) {
+            path = path.substring(this.apiVersion.length + 1);
+        }
+
+        return path;
+    }
+
     /**
      * Wait for available request slot
      */
@@ -649,6 +770,21 @@ class HTTPClient {
         };
     }
 
+    /**
+     * Parse a Retry-After header (delay in seconds or an HTTP date) into seconds
+     * @returns {number|null} - null when absent or unparseable
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10);
+        }
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    }
+
     /**
      * Convert response headers to object
      */
@@ -705,6 +841,103 @@ class HTTPClient {
         }
     }
 
+    // === TOKEN REFRESH ===
+
+    /**
+     * Check if a failed request may trigger a token refresh: only signed-in requests (with
+     * an Authorization header) and only while there is a refresh token. Anonymous 401s, such
+     * as a wrong password on the login endpoint, are returned to the caller as they are.
+     */
+    canRefreshToken(config) {
+        if (!this.tokenRefresh || !this.tokenRefresh.url || config.skipAuthRefresh || config.authRefreshed) {
+            return false;
+        }
+        if (!config.headers || !config.headers.Authorization) {
+            return false;
+        }
+
+        const { getRefreshToken } = this.tokenRefresh;
+        return !!(getRefreshToken && getRefreshToken());
+    }
+
+    /**
+     * Refresh the access token (single-flight: concurrent callers share one refresh)
+     * @returns {Promise<object>} - { token, refreshToken }
+     */
+    refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.performTokenRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * Call the refresh endpoint and install the new access token
+     */
+    async performTokenRefresh() {
+        const { url, method, getRefreshToken, buildBody, extractTokens, onRefreshed, onRefreshFailed } = this.tokenRefresh;
+
+        try {
+            const refreshToken = getRefreshToken ? getRefreshToken() : null;
+            if (!refreshToken) {
+                throw new Error('No refresh token available');
+            }
+
+            this.log('Refreshing access token');
+            const response = await this.request(url, {
+                method,
+                data: buildBody(refreshToken),
+                headers: { 'Content-Type': 'application/json' },
+                cache: false,
+                retries: 0,
+                skipAuthRefresh: true
+            });
+
+            const tokens = response && response.success !== false ? extractTokens(response) : null;
+            if (!tokens || !tokens.token) {
+                throw new Error((response && (response.error || response.message)) || 'Refresh response did not contain an access token');
+            }
+
+            this.setAuthToken(tokens.token);
+            if (onRefreshed) {
+                await onRefreshed(tokens);
+            }
+            return tokens;
+
+        } catch (error) {
+            this.log('Token refresh failed:', error.message);
+            if (onRefreshFailed) {
+                onRefreshFailed(error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Find { token, refreshToken } in a (possibly wrapped) refresh response
+     */
+    extractTokens(response) {
+        let body = response;
+        while (body && !body.token && !body.accessToken && body.data) {
+            body = body.data;
+        }
+
+        return body ? { token: body.token || body.accessToken, refreshToken: body.refreshToken || null } : null;
+    }
+
+    /**
+     * Copy the current default Authorization header onto a request
+     */
+    applyAuthHeader(config) {
+        if (this.defaultHeaders['Authorization']) {
+            config.headers = { ...config.headers, Authorization: this.defaultHeaders['Authorization'] };
+        } else if (config.headers) {
+            delete config.headers['Authorization'];
+        }
+    }
+
     // === BATCH OPERATIONS ===
 
     /**
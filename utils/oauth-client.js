@@ -0,0 +1,406 @@
+/**
+ * OAuthClient - OAuth 2.0 / OpenID Connect sign-in (authorization code + PKCE)
+ * Sends the user to a provider's authorization endpoint in a popup or a full-page
+ * redirect, checks the returned state, and exchanges the code - with the PKCE verifier
+ * and nonce - at our backend, which answers like /auth/login. The session is then
+ * handed to AppConfig.handleLoginSuccess.
+ *
+ * The provider redirects to oauth-callback.html, which posts the callback URL to the
+ * opener (popup mode) or forwards it to the app's /oauth/callback route (redirect mode).
+ */
+
+class OAuthClient {
+    // sessionStorage key for pending sign-ins, keyed by state
+    static transactionKey = '_tillo_ai_oauth_';
+
+    static messageType = 'tcs-ui:oauth-callback';
+
+    // Pending sign-ins older than this are discarded
+    static transactionTimeout = 10 * 60 * 1000;
+
+    constructor(appConfig, options = {}) {
+        this.appConfig = appConfig;
+        this.options = {
+            providers: {},             // name -> { label, icon, authorizationEndpoint, clientId, scope, params, mode }
+            mode: 'popup',             // 'popup' or 'redirect'
+            redirectUri: new URL('oauth-callback.html', window.location.href).href,
+            exchangePath: '/auth/oauth/token',
+            popupWidth: 500,
+            popupHeight: 640,
+            popupTimeout: 5 * 60 * 1000,
+            ...options
+        };
+
+        // Error from a redirect-mode callback, shown by Login when it next renders
+        this.lastError = null;
+    }
+
+    // ========================================
+    // PROVIDERS
+    // ========================================
+
+    /**
+     * Get a provider configuration with defaults applied
+     */
+    getProvider(name) {
+        const provider = this.options.providers[name];
+        if (!provider) {
+            throw new Error(`Unknown sign-in provider '${name}'`);
+        }
+
+        return {
+            name,
+            label: name,
+            icon: 'fas fa-sign-in-alt',
+            scope: 'openid email profile',
+            params: {},
+            ...provider
+        };
+    }
+
+    /**
+     * Get the configured providers among the given names
+     * Unknown providers and providers without a client ID in this environment are skipped.
+     * @param {Array<string>} names - Provider names from component options
+     */
+    getProviders(names = []) {
+        return names.filter(name => {
+            const provider = this.options.providers[name];
+            return !!(provider && provider.clientId && provider.authorizationEndpoint);
+        }).map(name => this.getProvider(name));
+    }
+
+    // ========================================
+    // SIGN-IN
+    // ========================================
+
+    /**
+     * Start signing in with a provider
+     * In popup mode resolves with the exchange result once the popup completes; in
+     * redirect mode (or when the popup is blocked) the page navigates away and this
+     * resolves null.
+     * @param {string} name - Provider name
+     * @param {object} options - { mode, redirect }
+     * @returns {Promise<object|null>} - { response, provider, redirect } or null
+     */
+    async signIn(name, options = {}) {
+        const provider = this.getProvider(name);
+        const mode = options.mode || provider.mode || this.options.mode;
+
+        // Open the popup before any await so it still counts as a user-initiated window
+        const popup = mode === 'popup' ? this.openPopup() : null;
+
+        try {
+            const redirect = options.redirect || this.appConfig.getLoginRedirect();
+            const transaction = await this.createTransaction(provider, redirect);
+            this.saveTransaction(transaction);
+
+            const url = this.buildAuthorizeUrl(provider, transaction);
+
+            if (popup) {
+                popup.location.href = url;
+                const callbackUrl = await this.waitForPopup(popup);
+                return this.handleCallback(new URL(callbackUrl).searchParams);
+            }
+
+            if (mode === 'popup') {
+                Utils.log('OAuthClient', 'warn', 'Sign-in popup was blocked, falling back to redirect');
+            }
+            window.location.assign(url);
+            return null;
+        } catch (error) {
+            if (popup && !popup.closed) {
+                popup.close();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Open a centered popup window
+     * @returns {Window|null} - null when blocked
+     */
+    openPopup() {
+        const { popupWidth, popupHeight } = this.options;
+        const left = window.screenX + Math.max(0, (window.outerWidth - popupWidth) / 2);
+        const top = window.screenY + Math.max(0, (window.outerHeight - popupHeight) / 2);
+
+        return window.open(
+            'about:blank',
+            'tcs-ui-oauth',
+            `width=${popupWidth},height=${popupHeight},left=${left},top=${top}`
+        );
+    }
+
+    /**
+     * Wait for oauth-callback.html in the popup to post its URL back
+     * @returns {Promise<string>} - Callback URL
+     */
+    waitForPopup(popup) {
+        return new Promise((resolve, reject) => {
+            let closedTimer = null;
+            let timeoutTimer = null;
+
+            const cleanup = () => {
+                window.removeEventListener('message', handleMessage);
+                clearInterval(closedTimer);
+                clearTimeout(timeoutTimer);
+            };
+
+            const handleMessage = (event) => {
+                if (event.origin !== window.location.origin || event.source !== popup) return;
+                if (!event.data || event.data.type !== OAuthClient.messageType) return;
+
+                cleanup();
+                resolve(event.data.url);
+            };
+
+            window.addEventListener('message', handleMessage);
+
+            closedTimer = setInterval(() => {
+                if (popup.closed) {
+                    cleanup();
+                    reject(this.createError('The sign-in window was closed', 'popup_closed'));
+                }
+            }, 500);
+
+            timeoutTimer = setTimeout(() => {
+                cleanup();
+                popup.close();
+                reject(this.createError('Sign-in timed out. Please try again.', 'timeout'));
+            }, this.options.popupTimeout);
+        });
+    }
+
+    /**
+     * Build the provider's authorization URL
+     */
+    buildAuthorizeUrl(provider, transaction) {
+        const url = new URL(provider.authorizationEndpoint, window.location.href);
+        const params = {
+            response_type: 'code',
+            client_id: provider.clientId,
+            redirect_uri: transaction.redirectUri,
+            scope: provider.scope,
+            state: transaction.state,
+            nonce: transaction.nonce,
+            code_challenge: transaction.codeChallenge,
+            code_challenge_method: 'S256',
+            ...provider.params
+        };
+
+        Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+        return url.href;
+    }
+
+    // ========================================
+    // CALLBACK
+    // ========================================
+
+    /**
+     * Validate a callback and exchange its code at the backend
+     * @param {URLSearchParams|object} params - Callback query (code, state or error)
+     * @returns {Promise<object>} - { response, provider, redirect }
+     */
+    async handleCallback(params) {
+        const query = params instanceof URLSearchParams ? Object.fromEntries(params) : (params || {});
+
+        // Always consume the pending sign-in so a state value is usable once
+        const transaction = query.state ? this.takeTransaction(query.state) : null;
+
+        if (query.error) {
+            const message = query.error === 'access_denied'
+                ? 'Sign-in was cancelled.'
+                : query.error_description || `Sign-in failed (${query.error})`;
+            throw this.createError(message, query.error);
+        }
+
+        if (!transaction) {
+            throw this.createError('This sign-in request has expired or was not started here. Please try again.', 'invalid_state');
+        }
+
+        if (!query.code) {
+            throw this.createError('The provider did not return an authorization code.', 'invalid_request');
+        }
+
+        const response = await API.postJson(this.options.exchangePath, {
+            provider: transaction.provider,
+            code: query.code,
+            codeVerifier: transaction.codeVerifier,
+            redirectUri: transaction.redirectUri,
+            nonce: transaction.nonce
+        });
+
+        if (!response || !response.success) {
+            throw this.createError(Utils.extractErrorMessage(response), 'exchange_failed');
+        }
+
+        this.verifyNonce(response.data && response.data.idToken, transaction.nonce);
+
+        Utils.log('OAuthClient', 'log', `Signed in with ${transaction.provider}`);
+        return { response, provider: transaction.provider, redirect: transaction.redirect };
+    }
+
+    /**
+     * Router beforeEnter guard for the /oauth/callback route (redirect mode)
+     * Starts the session and redirects to where the user was going, or back to the
+     * login page with lastError set (and an appConfig:oauthError event).
+     * @returns {Promise<string>} - Redirect path
+     */
+    async handleRedirectCallback(to) {
+        try {
+            const { response, provider, redirect } = await this.handleCallback(to.query);
+            this.appConfig.handleLoginSuccess(response, { provider }, { redirect, navigate: false });
+            return redirect;
+        } catch (error) {
+            Utils.log('OAuthClient', 'error', 'Sign-in callback failed:', error.message);
+            this.lastError = error;
+            this.appConfig.emitEvent('oauthError', { error });
+
+            const router = this.appConfig.router;
+            return router && router.options.loginPath ? router.options.loginPath : '/login';
+        }
+    }
+
+    /**
+     * Get and clear the error left by a redirect-mode callback
+     */
+    consumeError() {
+        const error = this.lastError;
+        this.lastError = null;
+        return error;
+    }
+
+    /**
+     * Check the ID token's nonce against the one sent with the authorization request
+     */
+    verifyNonce(idToken, nonce) {
+        if (!idToken) return;
+
+        let claims = null;
+        try {
+            const payload = idToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+            claims = JSON.parse(atob(payload));
+        } catch (error) {
+            throw this.createError('The provider returned an invalid ID token.', 'invalid_token');
+        }
+
+        if (claims.nonce !== nonce) {
+            throw this.createError('The ID token does not match this sign-in request.', 'invalid_nonce');
+        }
+    }
+
+    // ========================================
+    // TRANSACTIONS (STATE, NONCE, PKCE)
+    // ========================================
+
+    /**
+     * Create the state, nonce and PKCE verifier/challenge for one sign-in
+     */
+    async createTransaction(provider, redirect) {
+        const codeVerifier = OAuthClient.randomString(64);
+
+        return {
+            provider: provider.name,
+            state: OAuthClient.randomString(32),
+            nonce: OAuthClient.randomString(32),
+            codeVerifier,
+            codeChallenge: await OAuthClient.createCodeChallenge(codeVerifier),
+            redirectUri: this.options.redirectUri,
+            redirect,
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * Read pending sign-ins, dropping expired ones
+     */
+    readTransactions() {
+        try {
+            const transactions = JSON.parse(sessionStorage.getItem(OAuthClient.transactionKey)) || {};
+            const now = Date.now();
+
+            return Object.fromEntries(Object.entries(transactions).filter(([, transaction]) => {
+                return now - transaction.createdAt < OAuthClient.transactionTimeout;
+            }));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Store a pending sign-in (survives the full-page redirect)
+     */
+    saveTransaction(transaction) {
+        const transactions = this.readTransactions();
+        transactions[transaction.state] = transaction;
+        sessionStorage.setItem(OAuthClient.transactionKey, JSON.stringify(transactions));
+    }
+
+    /**
+     * Remove and return the pending sign-in for a state value
+     */
+    takeTransaction(state) {
+        const transactions = this.readTransactions();
+        const transaction = transactions[state] || null;
+
+        delete transactions[state];
+        sessionStorage.setItem(OAuthClient.transactionKey, JSON.stringify(transactions));
+        return transaction;
+    }
+
+    /**
+     * Create an Error carrying an OAuth error code
+     */
+    createError(message, code) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Random URL-safe string from the platform CSPRNG
+     */
+    static randomString(length) {
+        const bytes = new Uint8Array(length);
+        crypto.getRandomValues(bytes);
+        return OAuthClient.base64UrlEncode(bytes).slice(0, length);
+    }
+
+    /**
+     * S256 PKCE code challenge for a verifier
+     */
+    static async createCodeChallenge(verifier) {
+        if (!window.crypto || !crypto.subtle) {
+            throw new Error('PKCE requires a secure context (https or localhost)');
+        }
+
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+        return OAuthClient.base64UrlEncode(new Uint8Array(digest));
+    }
+
+    /**
+     * Base64url-encode bytes without padding
+     */
+    static base64UrlEncode(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OAuthClient;
+}
+
+if (typeof window !== 'undefined') {
+    window.OAuthClient = OAuthClient;
+    console.log('✅ OAuthClient loaded');
+}
@@ -0,0 +1,359 @@
+/**
+ * PasswordPolicy - Client-side password rules and strength estimation
+ * Shared by Signup and ResetPassword so both enforce the same policy: the app-wide
+ * instance is AppConfig.passwordPolicy (see PasswordPolicy.getShared). Each rule
+ * yields a checklist item for the UI and an error message for validation; the
+ * strength estimate is a rough entropy figure (character pool x effective length)
+ * that ignores repeated/sequential characters and zeroes out common passwords.
+ * generateMeterHTML/getMeterCSS render the strength meter in a component's namespace.
+ *
+ * The server must still enforce its own policy - this is for guidance only.
+ */
+
+class PasswordPolicy {
+    static defaults = {
+        minLength: 8,
+        requireLowercase: true,
+        requireUppercase: true,
+        requireDigit: true,
+        requireSymbol: false,
+        maxRepeatedChars: 3,        // Longest run of one character; 0 allows any
+        disallowUserInfo: true,     // Reject passwords containing the user ID or email name
+        disallowCommon: true,       // Reject PasswordPolicy.commonPasswords
+        bannedPasswords: []         // Extra passwords to reject (case-insensitive)
+    };
+
+    // Common leaked passwords, compared case-insensitively
+    static commonPasswords = [
+        'password', 'password1', 'password12', 'password123', 'passw0rd', 'p@ssw0rd', 'p@ssword',
+        '12345678', '123456789', '1234567890', '87654321', '11111111', '00000000',
+        'qwerty', 'qwerty123', 'qwertyuiop', 'qwerty12', '1q2w3e4r', '1qaz2wsx', 'zaq12wsx',
+        'abc12345', 'abcd1234', 'abc123456', 'a1b2c3d4', 'aa123456', 'asdfghjkl', 'asdf1234',
+        'iloveyou', 'iloveyou1', 'letmein', 'letmein1', 'welcome', 'welcome1', 'welcome123',
+        'admin123', 'administrator', 'changeme', 'changeme1', 'default1', 'trustno1',
+        'sunshine', 'sunshine1', 'princess', 'princess1', 'football', 'football1', 'baseball',
+        'baseball1', 'superman', 'batman123', 'monkey123', 'dragon123', 'master123', 'shadow123',
+        'starwars', 'whatever', 'computer', 'internet', 'michael1', 'jennifer', 'summer2024',
+        'winter2024', 'spring2024', 'autumn2024', 'summer2025', 'winter2025', 'test1234', 'testtest'
+    ];
+
+    // Strength levels by score (0-4)
+    static strengthLevels = [
+        { label: 'Very weak', color: '#d32f2f' },
+        { label: 'Weak', color: '#f57c00' },
+        { label: 'Fair', color: '#fbc02d' },
+        { label: 'Strong', color: '#7cb342' },
+        { label: 'Very strong', color: '#388e3c' }
+    ];
+
+    // Minimum entropy bits for scores 1-4
+    static strengthThresholds = [28, 36, 60, 80];
+
+    constructor(options = {}) {
+        this.options = { ...PasswordPolicy.defaults, ...options };
+    }
+
+    /**
+     * The app-wide policy, or the defaults when there is no AppConfig (e.g. in previews)
+     * @param {AppConfig|null} appConfig
+     */
+    static getShared(appConfig) {
+        return appConfig && appConfig.passwordPolicy ? appConfig.passwordPolicy : new PasswordPolicy();
+    }
+
+    // ========================================
+    // RULES
+    // ========================================
+
+    /**
+     * Get the active rules
+     * @param {object} context - { userId, email } of the account, for the user-info rule
+     * @returns {Array<object>} - { id, label, message, test(password) }
+     */
+    getRules(context = {}) {
+        const { options } = this;
+        const rules = [];
+
+        rules.push({
+            id: 'minLength',
+            label: `At least ${options.minLength} characters`,
+            message: `Password must be at least ${options.minLength} characters`,
+            test: (password) => password.length >= options.minLength
+        });
+
+        if (options.requireLowercase) {
+            rules.push({
+                id: 'lowercase',
+                label: 'A lowercase letter',
+                message: 'Password must contain a lowercase letter',
+                test: (password) => /[a-z]/.test(password)
+            });
+        }
+
+        if (options.requireUppercase) {
+            rules.push({
+                id: 'uppercase',
+                label: 'An uppercase letter',
+                message: 'Password must contain an uppercase letter',
+                test: (password) => /[A-Z]/.test(password)
+            });
+        }
+
+        if (options.requireDigit) {
+            rules.push({
+                id: 'digit',
+                label: 'A number',
+                message: 'Password must contain a number',
+                test: (password) => /\d/.test(password)
+            });
+        }
+
+        if (options.requireSymbol) {
+            rules.push({
+                id: 'symbol',
+                label: 'A symbol',
+                message: 'Password must contain a symbol',
+                test: (password) => /[^A-Za-z0-9]/.test(password)
+            });
+        }
+
+        if (options.maxRepeatedChars > 0) {
+            rules.push({
+                id: 'repeated',
+                label: `No character more than ${options.maxRepeatedChars} times in a row`,
+                message: `Password must not repeat a character more than ${options.maxRepeatedChars} times in a row`,
+                test: (password) => PasswordPolicy.longestRun(password) <= options.maxRepeatedChars
+            });
+        }
+
+        const userInfo = options.disallowUserInfo ? PasswordPolicy.getUserInfoParts(context) : [];
+        if (userInfo.length > 0) {
+            rules.push({
+                id: 'userInfo',
+                label: 'Does not contain your user ID or email',
+                message: 'Password must not contain your user ID or email',
+                test: (password) => {
+                    const lower = password.toLowerCase();
+                    return !userInfo.some(part => lower.indexOf(part) !== -1);
+                }
+            });
+        }
+
+        if (options.disallowCommon || options.bannedPasswords.length > 0) {
+            rules.push({
+                id: 'common',
+                label: 'Not a commonly used password',
+                message: 'This password is too common. Choose something harder to guess',
+                test: (password) => !this.isBanned(password)
+            });
+        }
+
+        return rules;
+    }
+
+    /**
+     * Check a password against the policy
+     * @param {string} password - Password to check
+     * @param {object} context - { userId, email }
+     * @returns {object} - { valid, error, rules: [{ id, label, passed }], entropy, score, strength }
+     */
+    check(password, context = {}) {
+        const value = password || '';
+        const rules = this.getRules(context).map(rule => ({
+            id: rule.id,
+            label: rule.label,
+            message: rule.message,
+            passed: value.length > 0 && rule.test(value)
+        }));
+        const failed = rules.find(rule => !rule.passed);
+        const entropy = this.isBanned(value) ? 0 : PasswordPolicy.estimateEntropy(value);
+        const score = PasswordPolicy.getScore(entropy);
+
+        return {
+            valid: !failed,
+            error: !value ? 'Password is required' : (failed ? failed.message : null),
+            rules,
+            entropy,
+            score,
+            strength: PasswordPolicy.strengthLevels[score]
+        };
+    }
+
+    /**
+     * Get the first validation error for a password
+     * @returns {string|null} - Error message, or null if the password is acceptable
+     */
+    getError(password, context = {}) {
+        return this.check(password, context).error;
+    }
+
+    /**
+     * Whether a password is on the common or banned list
+     */
+    isBanned(password) {
+        const lower = (password || '').toLowerCase();
+        if (!lower) return false;
+
+        if (this.options.disallowCommon && PasswordPolicy.commonPasswords.indexOf(lower) !== -1) {
+            return true;
+        }
+
+        return this.options.bannedPasswords.some(banned => String(banned).toLowerCase() === lower);
+    }
+
+    // ========================================
+    // STRENGTH METER
+    // ========================================
+
+    /**
+     * Strength bar and rule checklist for a password
+     * @param {string} ns - CSS namespace of the component showing the meter
+     * @param {string} password - Password to rate
+     * @param {object} context - { userId, email }
+     */
+    generateMeterHTML(ns, password, context = {}) {
+        const result = this.check(password, context);
+
+        return `
+            <div class="${ns}__strength-bar">
+                <div
+                    class="${ns}__strength-fill"
+                    style="width: ${password ? (result.score + 1) * 20 : 0}%; background: ${result.strength.color};"
+                ></div>
+            </div>
+            <div class="${ns}__strength-label text-secondary">
+                ${password ? `Strength: <strong style="color: ${result.strength.color};">${result.strength.label}</strong>` : 'Password strength'}
+            </div>
+            <ul class="${ns}__checklist">
+                ${result.rules.map(rule => `
+                    <li class="${ns}__rule ${rule.passed ? `${ns}__rule--passed` : ''}" data-rule="${rule.id}">
+                        <i class="fas ${rule.passed ? 'fa-check-circle' : 'fa-circle'}"></i>
+                        ${rule.label}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Styles for generateMeterHTML in a component's namespace
+     */
+    static getMeterCSS(ns) {
+        return `
+            .${ns}__strength-bar {
+                height: 4px;
+                border-radius: var(--radius-full);
+                background: #e0e0e0;
+                overflow: hidden;
+            }
+
+            .${ns}__strength-fill {
+                height: 100%;
+                transition: width var(--transition-normal), background var(--transition-normal);
+            }
+
+            .${ns}__strength-label {
+                font-size: var(--font-size-xs);
+                margin-top: var(--spacing-xs);
+            }
+
+            .${ns}__checklist {
+                list-style: none;
+                margin: var(--spacing-xs) 0 0 0;
+                padding: 0;
+                font-size: var(--font-size-xs);
+                color: var(--color-text-secondary);
+            }
+
+            .${ns}__rule {
+                display: flex;
+                align-items: center;
+                gap: var(--spacing-xs);
+                line-height: 1.6;
+            }
+
+            .${ns}__rule i {
+                font-size: 10px;
+            }
+
+            .${ns}__rule--passed {
+                color: var(--color-success);
+            }
+        `;
+    }
+
+    // ========================================
+    // STRENGTH
+    // ========================================
+
+    /**
+     * Estimate password entropy in bits
+     * Pool size comes from the character classes used; characters that repeat or
+     * continue a sequence (abc, 321) from the previous one count as half.
+     */
+    static estimateEntropy(password) {
+        if (!password) return 0;
+
+        let pool = 0;
+        if (/[a-z]/.test(password)) pool += 26;
+        if (/[A-Z]/.test(password)) pool += 26;
+        if (/\d/.test(password)) pool += 10;
+        if (/[!-/:-@[-`{-~ ]/.test(password)) pool += 33;
+        if (/[^\x20-\x7e]/.test(password)) pool += 100;
+
+        let effectiveLength = 0;
+        for (let i = 0; i < password.length; i++) {
+            const delta = i > 0 ? password.charCodeAt(i) - password.charCodeAt(i - 1) : null;
+            effectiveLength += delta === 0 || delta === 1 || delta === -1 ? 0.5 : 1;
+        }
+
+        return Math.round(effectiveLength * Math.log2(pool));
+    }
+
+    /**
+     * Map entropy bits to a 0-4 score
+     */
+    static getScore(entropy) {
+        return PasswordPolicy.strengthThresholds.filter(threshold => entropy >= threshold).length;
+    }
+
+    /**
+     * Length of the longest run of one character
+     */
+    static longestRun(password) {
+        let longest = 0;
+        let run = 0;
+
+        for (let i = 0; i < password.length; i++) {
+            run = i > 0 && password[i] === password[i - 1] ? run + 1 : 1;
+            longest = Math.max(longest, run);
+        }
+
+        return longest;
+    }
+
+    /**
+     * Lowercased user ID and email local part (3+ characters) to keep out of passwords
+     */
+    static getUserInfoParts(context = {}) {
+        const parts = [context.userId, context.email ? String(context.email).split('@')[0] : ''];
+
+        return parts
+            .map(part => String(part || '').trim().toLowerCase())
+            .filter(part => part.length >= 3);
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PasswordPolicy;
+}
+
+if (typeof window !== 'undefined') {
+    window.PasswordPolicy = PasswordPolicy;
+    console.log('✅ PasswordPolicy loaded');
+}
@@ -0,0 +1,644 @@
+/**
+ * Router - Client-side routing for AppConfig and ComponentManager
+ * Maps history/hash URLs to layouts or registered components, with path params,
+ * nested routes rendered into a parent's outlet slot, guards, lazy script loading
+ * and scroll restoration.
+ *
+ * Route definition:
+ *   {
+ *     path: '/users/:id',          // ':name' captures a segment, '*' captures the rest
+ *     name: 'user',
+ *     component: 'UserDetail',     // registered component name or class, or...
+ *     layout: { type, children },  // ...a JSON layout document (see ComponentManager.mountLayout)
+ *     options: {},                 // component options (component routes)
+ *     outlet: 'outlet',            // slot of this route's component that renders child routes
+ *     children: [ ...routes ],     // child paths are relative to the parent path
+ *     redirect: '/path',           // string or function(to) returning a path
+ *     requiresAuth: true,          // redirect to loginPath unless appConfig.isAuthenticated()
+ *     permissions: ['orders:read'],// all required (see AppConfig.can); roles: ['admin'] - any required
+ *     beforeEnter: (to, from) => true | false | '/redirect',
+ *     load: 'components/x.js',     // script(s) or function returning a promise, loaded before mounting
+ *     title: 'Page title'
+ *   }
+ */
+
+class Router {
+    static loadedScripts = new Map();
+
+    static maxRedirects = 10;
+
+    constructor(appConfig, options = {}) {
+        this.appConfig = appConfig;
+        this.options = {
+            mode: 'history',            // 'history' or 'hash'
+            base: '',                   // path prefix in history mode
+            container: 'main-container',
+            loginPath: '/login',
+            forbiddenPath: null,        // path to redirect to when the user lacks a route's permissions
+            notFound: null,             // path to redirect to when nothing matches
+            scrollRestoration: true,
+            linkSelector: 'a[data-route]',
+            routes: [],
+            ...options
+        };
+
+        this.routes = this.flattenRoutes(this.options.routes);
+        this.guards = [];
+        this.current = null;
+        this.mounted = [];              // [{ route, params, component }] per matched level
+        this.navigationId = 0;
+        this.pendingPath = null;
+        this.scrollPositions = new Map();
+        this.currentKey = null;         // history entry key of the rendered route
+        this.started = false;
+
+        // Bind methods
+        this.handlePopState = this.handlePopState.bind(this);
+        this.handleLinkClick = this.handleLinkClick.bind(this);
+    }
+
+    // ========================================
+    // ROUTE TABLE
+    // ========================================
+
+    /**
+     * Flatten nested route definitions into matchable chains (children before parents)
+     */
+    flattenRoutes(routes, parentChain = [], parentPath = '') {
+        const flattened = [];
+
+        routes.forEach(route => {
+            const fullPath = this.joinPaths(parentPath, route.path || '');
+            const chain = [...parentChain, route];
+
+            if (route.children) {
+                flattened.push(...this.flattenRoutes(route.children, chain, fullPath));
+            }
+
+            const { regex, keys } = this.compilePath(fullPath);
+            flattened.push({ chain, fullPath, regex, keys, paramKeys: chain.map(r => this.compilePath(r.path || '').keys) });
+        });
+
+        return flattened;
+    }
+
+    /**
+     * Join a parent and child path
+     */
+    joinPaths(parentPath, childPath) {
+        if (childPath.startsWith('/')) return childPath;
+        const joined = `${parentPath.replace(/\/$/, '')}/${childPath}`;
+        return joined.length > 1 ? joined.replace(/\/$/, '') : '/';
+    }
+
+    /**
+     * Compile a route path into a regex and its parameter names
+     */
+    compilePath(path) {
+        const keys = [];
+        const pattern = path
+            .split('/')
+            .map(segment => {
+                if (segment === '*') {
+                    keys.push('pathMatch');
+                    return '(.*)';
+                }
+                if (segment.startsWith(':')) {
+                    keys.push(segment.slice(1));
+                    return '([^/]+)';
+                }
+                return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('/');
+
+        return { regex: new RegExp(`^${pattern || '/'}/?$`), keys };
+    }
+
+    /**
+     * Resolve a path to a route location
+     * @returns {object|null} - { path, fullPath, params, query, hash, name, matched, meta } or null
+     */
+    match(fullPath) {
+        const [pathAndQuery, hash = ''] = fullPath.split('#');
+        const [path, queryString = ''] = pathAndQuery.split('?');
+        const normalizedPath = path.startsWith('/') ? path : `/${path}`;
+
+        for (const entry of this.routes) {
+            const result = entry.regex.exec(normalizedPath);
+            if (!result) continue;
+
+            const params = {};
+            entry.keys.forEach((key, index) => {
+                params[key] = decodeURIComponent(result[index + 1] || '');
+            });
+
+            const leaf = entry.chain[entry.chain.length - 1];
+            return {
+                path: normalizedPath,
+                fullPath: `${normalizedPath}${queryString ? `?${queryString}` : ''}${hash ? `#${hash}` : ''}`,
+                params,
+                query: Utils.queryStringToObject(queryString),
+                hash,
+                name: leaf.name || null,
+                matched: entry.chain,
+                paramKeys: entry.paramKeys
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Build a path from a route name and params
+     */
+    resolve(name, params = {}, query = {}) {
+        const entry = this.routes.find(route => route.chain[route.chain.length - 1].name === name);
+        if (!entry) {
+            throw new Error(`Route "${name}" not found`);
+        }
+
+        const path = entry.fullPath
+            .replace(/:([^/]+)/g, (match, key) => encodeURIComponent(params[key] !== undefined ? params[key] : ''))
+            .replace('*', params.pathMatch || '');
+        const queryString = Utils.objectToQueryString(query);
+
+        return queryString ? `${path}?${queryString}` : path;
+    }
+
+    /**
+     * Register a global guard run before every navigation
+     * @param {function} guard - (to, from) => true | false | redirect path (may be async)
+     * @returns {function} - Unregister function
+     */
+    beforeEach(guard) {
+        this.guards.push(guard);
+        return () => {
+            this.guards = this.guards.filter(existing => existing !== guard);
+        };
+    }
+
+    // ========================================
+    // LIFECYCLE
+    // ========================================
+
+    /**
+     * Start listening to URL changes and render the current location
+     */
+    async start() {
+        if (this.started) return this.current;
+        this.started = true;
+
+        if (this.options.scrollRestoration && 'scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        window.addEventListener('popstate', this.handlePopState);
+        document.addEventListener('click', this.handleLinkClick);
+
+        Utils.log('Router', 'log', `Started in ${this.options.mode} mode`);
+        return this.navigate(this.getCurrentPath(), { replace: true });
+    }
+
+    /**
+     * Stop listening to URL changes
+     */
+    destroy() {
+        window.removeEventListener('popstate', this.handlePopState);
+        document.removeEventListener('click', this.handleLinkClick);
+        this.navigationId++;
+        this.mounted = [];
+        this.started = false;
+        Utils.log('Router', 'log', 'Destroyed');
+    }
+
+    // ========================================
+    // NAVIGATION
+    // ========================================
+
+    /**
+     * Navigate to a path
+     * @param {string} path - Target path (with optional query string)
+     * @param {object} options - { replace: boolean }
+     * @returns {Promise<object|false>} - The new route location, or false if navigation was cancelled
+     */
+    navigate(path, options = {}) {
+        return this.transitionTo(path, { history: options.replace ? 'replace' : 'push' });
+    }
+
+    /**
+     * Replace the current history entry with a path
+     */
+    replace(path) {
+        return this.navigate(path, { replace: true });
+    }
+
+    /**
+     * Go back in history
+     */
+    back() {
+        window.history.back();
+    }
+
+    /**
+     * Handle back/forward (and manual hash edits in hash mode)
+     */
+    handlePopState(event) {
+        const path = this.getCurrentPath();
+        if (path === this.pendingPath || (this.current && this.current.fullPath === path)) return;
+
+        // Render failures are logged by runTransition
+        this.transitionTo(path, {
+            history: 'none',
+            scrollKey: event.state && event.state.key
+        }).catch(() => {});
+    }
+
+    /**
+     * Intercept clicks on router links
+     */
+    handleLinkClick(event) {
+        if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+            return;
+        }
+
+        const link = event.target.closest && event.target.closest(this.options.linkSelector);
+        if (!link || link.target === '_blank') return;
+
+        event.preventDefault();
+        this.navigate(link.getAttribute('href'), { replace: link.hasAttribute('data-replace') }).catch(() => {});
+    }
+
+    /**
+     * Resolve guards and redirects, update history and render the matched components
+     */
+    async transitionTo(path, options = {}) {
+        const navigationId = ++this.navigationId;
+        this.pendingPath = path;
+
+        try {
+            return await this.runTransition(path, navigationId, options);
+        } finally {
+            if (navigationId === this.navigationId) {
+                this.pendingPath = null;
+            }
+        }
+    }
+
+    /**
+     * Run a transition; bails out with false as soon as a newer navigation starts
+     */
+    async runTransition(path, navigationId, { history = 'push', scrollKey = null }) {
+        const from = this.current;
+        let target = path || '/';
+        let to = null;
+
+        for (let redirects = 0; ; redirects++) {
+            if (redirects > Router.maxRedirects) {
+                throw new Error(`Too many redirects while navigating to ${path}`);
+            }
+
+            to = this.match(target);
+            if (!to) {
+                if (this.options.notFound && target !== this.options.notFound) {
+                    Utils.log('Router', 'warn', `No route matches ${target}, redirecting to ${this.options.notFound}`);
+                    target = this.options.notFound;
+                    continue;
+                }
+                Utils.log('Router', 'error', `No route matches ${target}`);
+                return false;
+            }
+
+            const result = await this.runGuards(to, from);
+            if (navigationId !== this.navigationId) return false;
+            if (result === false) {
+                Utils.log('Router', 'log', `Navigation to ${to.fullPath} cancelled`);
+                // Put the URL back if the browser already moved it
+                if (history === 'none' && from) this.updateHistory(from.fullPath, 'replace');
+                return false;
+            }
+            if (typeof result === 'string') {
+                target = result;
+                history = history === 'none' ? 'replace' : history;
+                continue;
+            }
+            break;
+        }
+
+        this.saveScrollPosition();
+        if (history !== 'none') {
+            this.updateHistory(to.fullPath, history);
+        }
+
+        try {
+            await this.loadRouteScripts(to);
+            if (navigationId !== this.navigationId) return false;
+
+            await this.renderRoute(to);
+        } catch (error) {
+            Utils.log('Router', 'error', `Failed to render ${to.fullPath}:`, error);
+            // The URL already moved to the route that failed; put the rendered one back
+            if (from && navigationId === this.navigationId) {
+                this.updateHistory(from.fullPath, 'replace');
+                this.currentKey = window.history.state ? window.history.state.key : null;
+            }
+            throw error;
+        }
+
+        if (navigationId !== this.navigationId) return false;
+
+        this.current = to;
+        this.currentKey = window.history.state ? window.history.state.key : null;
+        const leaf = to.matched[to.matched.length - 1];
+        if (leaf.title) {
+            document.title = typeof leaf.title === 'function' ? leaf.title(to) : leaf.title;
+        }
+        this.restoreScrollPosition(history === 'none' ? scrollKey : null, to);
+
+        Utils.log('Router', 'log', `Navigated to ${to.fullPath}`);
+        if (this.appConfig) {
+            this.appConfig.emitEvent('routeChanged', { to, from });
+        }
+
+        return to;
+    }
+
+    /**
+     * Run redirects, auth checks, global guards and per-route guards
+     * @returns {Promise<boolean|string>} - true to continue, false to cancel, or a redirect path
+     */
+    async runGuards(to, from) {
+        for (const route of to.matched) {
+            if (route.redirect) {
+                return typeof route.redirect === 'function' ? route.redirect(to) : route.redirect;
+            }
+
+            const authenticated = this.appConfig && this.appConfig.isAuthenticated();
+            const restricted = route.permissions || route.roles;
+
+            if ((route.requiresAuth || restricted) && !authenticated) {
+                const query = Utils.objectToQueryString({ redirect: to.fullPath });
+                return `${this.options.loginPath}?${query}`;
+            }
+
+            if (restricted && !this.appConfig.isAllowed(route)) {
+                Utils.log('Router', 'warn', `Access to ${to.fullPath} denied`);
+                if (!this.options.forbiddenPath) return false;
+
+                const query = Utils.objectToQueryString({ from: to.fullPath });
+                return `${this.options.forbiddenPath}?${query}`;
+            }
+        }
+
+        const guards = [...this.guards, ...to.matched.map(route => route.beforeEnter).filter(Boolean)];
+        for (const guard of guards) {
+            const result = await guard(to, from);
+            if (result === false || typeof result === 'string') {
+                return result;
+            }
+        }
+
+        return true;
+    }
+
+    // ========================================
+    // RENDERING
+    // ========================================
+
+    /**
+     * Mount the matched route chain, reusing components from the previous route where
+     * the route and its params are unchanged. A changed level is swapped in its parent's
+     * outlet slot so the surrounding layout stays mounted.
+     */
+    async renderRoute(to) {
+        const componentManager = this.appConfig.componentManager;
+        await componentManager.loadSpecifications();
+
+        // First level whose route or own params differ from what is mounted
+        let level = 0;
+        while (
+            level < this.mounted.length &&
+            level < to.matched.length &&
+            this.mounted[level].route === to.matched[level] &&
+            to.paramKeys[level].every(key => this.mounted[level].params[key] === to.params[key])
+        ) {
+            level++;
+        }
+
+        // Build the declaration for the changed level, nesting deeper levels into outlets
+        let declaration = null;
+        for (let index = to.matched.length - 1; index >= level; index--) {
+            const current = this.createDeclaration(to.matched[index], to);
+            if (declaration) {
+                current.options.slots = { ...current.options.slots, [this.getOutlet(to.matched[index])]: declaration };
+            }
+            declaration = { componentClass: current.ComponentClass, options: current.options };
+        }
+
+        if (level === 0) {
+            if (componentManager.getComponent(this.options.container)) {
+                componentManager.unmountComponent(this.options.container);
+            }
+            if (declaration) {
+                const rootOptions = componentManager.resolveChildOptions(declaration.componentClass, declaration.options);
+                await componentManager.mountComponent(declaration.componentClass, this.options.container, rootOptions);
+            }
+        } else if (level < this.mounted.length || declaration) {
+            const parent = this.mounted[level - 1];
+            const outlet = this.getOutlet(parent.route);
+            const slots = { ...parent.component.options.slots };
+
+            if (declaration) {
+                slots[outlet] = declaration;
+            } else {
+                delete slots[outlet];
+            }
+            parent.component.options.slots = slots;
+            await parent.component.mountSlots();
+        }
+
+        // Record the mounted chain and refresh route info on reused components
+        let component = componentManager.getComponent(this.options.container);
+        this.mounted = to.matched.map((route, index) => {
+            if (index > 0) {
+                component = component ? component.getSlotComponent(this.getOutlet(to.matched[index - 1])) : null;
+            }
+            if (component && index < level) {
+                component.options.route = this.getRouteInfo(to);
+            }
+            return { route, params: { ...to.params }, component };
+        });
+    }
+
+    /**
+     * Create a { ComponentClass, options } declaration for a route
+     */
+    createDeclaration(route, to) {
+        const componentManager = this.appConfig.componentManager;
+        let declaration;
+
+        if (route.layout) {
+            const errors = componentManager.validateLayout(route.layout);
+            if (errors.length > 0) {
+                throw new Error(`Invalid layout for route ${route.path}:\n  ${errors.join('\n  ')}`);
+            }
+            declaration = componentManager.layoutNodeToDeclaration(route.layout);
+        } else if (route.component) {
+            declaration = {
+                ComponentClass: componentManager.resolveComponentClass(route.component),
+                options: Utils.deepClone(route.options || {})
+            };
+        } else {
+            throw new Error(`Route ${route.path} has no component or layout`);
+        }
+
+        declaration.options.route = this.getRouteInfo(to);
+        return declaration;
+    }
+
+    /**
+     * Route information passed to mounted components as options.route
+     */
+    getRouteInfo(to) {
+        return {
+            path: to.path,
+            fullPath: to.fullPath,
+            name: to.name,
+            params: { ...to.params },
+            query: { ...to.query }
+        };
+    }
+
+    /**
+     * Get the slot a route renders its child routes into
+     */
+    getOutlet(route) {
+        return route.outlet || 'outlet';
+    }
+
+    // ========================================
+    // LAZY LOADING
+    // ========================================
+
+    /**
+     * Load the scripts declared by the matched routes
+     */
+    async loadRouteScripts(to) {
+        for (const route of to.matched) {
+            if (!route.load) continue;
+
+            if (typeof route.load === 'function') {
+                await route.load(to);
+            } else {
+                const sources = Array.isArray(route.load) ? route.load : [route.load];
+                await Promise.all(sources.map(src => this.loadScript(src)));
+            }
+        }
+    }
+
+    /**
+     * Load a script once and register its component specifications
+     */
+    loadScript(src) {
+        if (!Router.loadedScripts.has(src)) {
+            const loading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = () => resolve(script.src);
+                script.onerror = () => {
+                    Router.loadedScripts.delete(src);
+                    reject(new Error(`Failed to load script: ${src}`));
+                };
+                document.head.appendChild(script);
+            }).then(url => this.appConfig.componentManager.loadSpecificationsFromScript(url));
+
+            Router.loadedScripts.set(src, loading);
+        }
+
+        return Router.loadedScripts.get(src);
+    }
+
+    // ========================================
+    // HISTORY AND SCROLL
+    // ========================================
+
+    /**
+     * Get the current app path from the browser location
+     */
+    getCurrentPath() {
+        if (this.options.mode === 'hash') {
+            return window.location.hash.slice(1) || '/';
+        }
+
+        const base = this.options.base.replace(/\/$/, '');
+        let path = window.location.pathname;
+        if (base && path.startsWith(base)) {
+            path = path.slice(base.length) || '/';
+        }
+        return `${path}${window.location.search}${window.location.hash}`;
+    }
+
+    /**
+     * Get the browser URL for an app path
+     */
+    getUrl(path) {
+        if (this.options.mode === 'hash') {
+            return `${window.location.pathname}${window.location.search}#${path}`;
+        }
+        return `${this.options.base.replace(/\/$/, '')}${path}`;
+    }
+
+    /**
+     * Push or replace a history entry; each entry carries a key for scroll restoration
+     */
+    updateHistory(path, mode) {
+        const state = { key: Utils.generateId('route') };
+        if (mode === 'replace') {
+            window.history.replaceState(state, '', this.getUrl(path));
+        } else {
+            window.history.pushState(state, '', this.getUrl(path));
+        }
+    }
+
+    /**
+     * Remember the scroll position of the current history entry
+     */
+    saveScrollPosition() {
+        if (!this.options.scrollRestoration || !this.currentKey) return;
+
+        this.scrollPositions.set(this.currentKey, { x: window.scrollX, y: window.scrollY });
+    }
+
+    /**
+     * Restore a saved position on back/forward, otherwise scroll to the anchor or top
+     */
+    restoreScrollPosition(key, to) {
+        if (!this.options.scrollRestoration) return;
+
+        const saved = key && this.scrollPositions.get(key);
+        if (saved) {
+            window.scrollTo(saved.x, saved.y);
+            return;
+        }
+
+        const anchor = to.hash && document.getElementById(to.hash);
+        if (anchor) {
+            anchor.scrollIntoView();
+        } else {
+            window.scrollTo(0, 0);
+        }
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Router;
+}
+
+if (typeof window !== 'undefined') {
+    window.Router = Router;
+    console.log('✅ Router loaded');
+}
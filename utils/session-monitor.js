@@ -0,0 +1,297 @@
+/**
+ * SessionMonitor - Idle timeout and session expiry warnings
+ * Schedules a warning a configurable time before the session ends - either the access
+ * token's `exp` (when it cannot be refreshed) or the idle deadline - asks the user to
+ * stay signed in through a BaseComponent confirm modal, and logs out when time runs out.
+ * Activity is shared across tabs through localStorage, so working in one tab keeps the
+ * others alive.
+ *
+ * Emits appConfig:sessionExpiring, appConfig:sessionExtended and appConfig:sessionExpired.
+ */
+
+class SessionMonitor {
+    static activityKey = '_tillo_ai_last_activity_';
+
+    // setTimeout delays are 32-bit signed integers
+    static maxTimerDelay = 2147483647;
+
+    constructor(appConfig, options = {}) {
+        this.appConfig = appConfig;
+        this.options = {
+            idleTimeout: 30 * 60 * 1000,   // 0 disables the idle timeout
+            warningTime: 2 * 60 * 1000,    // Warn this long before the session ends
+            activityEvents: ['mousedown', 'keydown', 'scroll', 'touchstart', 'mousemove'],
+            activityThrottle: 5000,
+            title: 'Session expiring',
+            message: 'Your session is about to expire — stay signed in?',
+            confirmText: 'Stay signed in',
+            cancelText: 'Sign out',
+            ...options
+        };
+
+        this.running = false;
+        this.timer = null;
+        this.warning = null;            // { reason, at } while the warning is shown
+        this.lastActivity = Date.now();
+
+        // Bind methods
+        this.handleActivity = Utils.throttle(() => this.recordActivity(), this.options.activityThrottle);
+        this.handleStorage = this.handleStorage.bind(this);
+    }
+
+    // ========================================
+    // LIFECYCLE
+    // ========================================
+
+    /**
+     * Start (or restart) monitoring the current session
+     */
+    start() {
+        if (!this.running) {
+            this.running = true;
+            this.options.activityEvents.forEach(event => {
+                document.addEventListener(event, this.handleActivity, { passive: true });
+            });
+            window.addEventListener('storage', this.handleStorage);
+        }
+
+        this.hideWarning();
+        this.recordActivity();
+        this.schedule();
+
+        Utils.log('SessionMonitor', 'log', 'Monitoring session');
+        return this;
+    }
+
+    /**
+     * Stop monitoring (logout, destroy)
+     */
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+
+        this.options.activityEvents.forEach(event => {
+            document.removeEventListener(event, this.handleActivity, { passive: true });
+        });
+        window.removeEventListener('storage', this.handleStorage);
+
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.hideWarning();
+
+        Utils.log('SessionMonitor', 'log', 'Stopped');
+    }
+
+    // ========================================
+    // ACTIVITY
+    // ========================================
+
+    /**
+     * Record user activity in this tab
+     */
+    recordActivity() {
+        this.lastActivity = Date.now();
+        try {
+            localStorage.setItem(SessionMonitor.activityKey, String(this.lastActivity));
+        } catch (error) {
+            // Storage unavailable - activity stays tab-local
+        }
+    }
+
+    /**
+     * Get the most recent activity across tabs
+     */
+    getLastActivity() {
+        const shared = Number(localStorage.getItem(SessionMonitor.activityKey)) || 0;
+        return Math.max(this.lastActivity, shared);
+    }
+
+    /**
+     * Activity in another tab may push the idle deadline out
+     */
+    handleStorage(event) {
+        if (event.key === SessionMonitor.activityKey && this.warning) {
+            this.schedule();
+        }
+    }
+
+    // ========================================
+    // SCHEDULING
+    // ========================================
+
+    /**
+     * Get the earliest point the session ends, and why
+     * Tokens that can be refreshed are renewed silently, so only the idle deadline applies to them.
+     * @returns {object|null} - { reason: 'idle'|'token', at } or null
+     */
+    getDeadline() {
+        const deadlines = [];
+
+        if (this.options.idleTimeout > 0) {
+            deadlines.push({ reason: 'idle', at: this.getLastActivity() + this.options.idleTimeout });
+        }
+
+        if (!this.canRefreshToken()) {
+            const expiresAt = this.appConfig.getTokenExpiry(this.appConfig.getStoredToken());
+            if (expiresAt) {
+                deadlines.push({ reason: 'token', at: expiresAt });
+            }
+        }
+
+        return deadlines.sort((a, b) => a.at - b.at)[0] || null;
+    }
+
+    /**
+     * Check if the access token can be renewed without the user signing in again
+     */
+    canRefreshToken() {
+        return !!(window.API && window.API.tokenRefresh && this.appConfig.getStoredRefreshToken());
+    }
+
+    /**
+     * Set the timer for the next warning or expiry
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.running) return;
+
+        const deadline = this.getDeadline();
+        if (!deadline) {
+            this.hideWarning();
+            return;
+        }
+
+        const now = Date.now();
+        if (now >= deadline.at) {
+            this.expire(deadline.reason);
+            return;
+        }
+
+        const warnAt = deadline.at - this.options.warningTime;
+        if (now >= warnAt) {
+            if (!this.warning) {
+                this.showWarning(deadline);
+            }
+            this.setTimer(deadline.at - now);
+        } else {
+            // The deadline moved (activity elsewhere, refreshed token) - withdraw the warning
+            if (this.warning) {
+                this.hideWarning();
+                this.appConfig.emitEvent('sessionExtended', { reason: deadline.reason });
+            }
+            this.setTimer(warnAt - now);
+        }
+    }
+
+    /**
+     * Re-run schedule() after a delay
+     */
+    setTimer(delay) {
+        this.timer = setTimeout(() => this.schedule(), Math.min(delay, SessionMonitor.maxTimerDelay));
+    }
+
+    // ========================================
+    // WARNING AND EXPIRY
+    // ========================================
+
+    /**
+     * Emit sessionExpiring and ask the user whether to stay signed in
+     */
+    showWarning(deadline) {
+        this.warning = deadline;
+
+        const remaining = Math.max(deadline.at - Date.now(), 0);
+        Utils.log('SessionMonitor', 'log', `Session expiring in ${Math.round(remaining / 1000)}s (${deadline.reason})`);
+        this.appConfig.emitEvent('sessionExpiring', { reason: deadline.reason, expiresAt: deadline.at, remaining });
+
+        const host = this.getModalHost();
+        if (!host) return;
+
+        host.showConfirmModal(this.options.message, {
+            title: this.options.title,
+            confirmText: this.options.confirmText,
+            cancelText: this.options.cancelText
+        }).then(result => {
+            if (this.warning !== deadline) return;
+
+            if (result === true) {
+                this.extend();
+            } else if (result === false) {
+                this.warning = null;
+                this.appConfig.logout();
+            }
+            // Dismissed: the session still ends at the deadline
+        });
+    }
+
+    /**
+     * Withdraw the warning modal
+     */
+    hideWarning() {
+        if (!this.warning) return;
+        this.warning = null;
+
+        const host = this.getModalHost();
+        if (host) {
+            host.hideModal();
+        }
+    }
+
+    /**
+     * User chose to stay signed in: reset the idle deadline and renew the token if possible
+     */
+    async extend() {
+        const { reason } = this.warning || {};
+        this.warning = null;
+        this.recordActivity();
+
+        if (reason === 'token' && window.API && window.API.tokenRefresh) {
+            try {
+                await window.API.refreshAccessToken();
+            } catch (error) {
+                Utils.log('SessionMonitor', 'warn', 'Could not extend session:', error.message);
+            }
+        }
+
+        this.appConfig.emitEvent('sessionExtended', { reason });
+        this.schedule();
+    }
+
+    /**
+     * End the session
+     */
+    expire(reason) {
+        Utils.log('SessionMonitor', 'warn', `Session expired (${reason})`);
+        this.hideWarning();
+        this.stop();
+
+        this.appConfig.emitEvent('sessionExpired', { reason });
+        this.appConfig.logout();
+    }
+
+    /**
+     * Get a mounted root component to host the warning modal
+     */
+    getModalHost() {
+        const componentManager = this.appConfig.componentManager;
+        if (!componentManager) return null;
+
+        const root = componentManager.getMountedComponents().find(mounted => !mounted.parentId);
+        return root ? root.component : null;
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionMonitor;
+}
+
+if (typeof window !== 'undefined') {
+    window.SessionMonitor = SessionMonitor;
+    console.log('✅ SessionMonitor loaded');
+}
@@ -0,0 +1,297 @@
+/**
+ * SessionSync - Cross-tab session synchronization
+ * Propagates session messages between tabs over BroadcastChannel (with a localStorage
+ * fallback) and elects one leader tab through a localStorage heartbeat. The leader runs
+ * work that should happen once per browser, such as token refresh timers and shared
+ * WebSocket connections.
+ */
+
+class SessionSync {
+    static channelName = 'tcs-ui-session';
+
+    static messageKey = '_tillo_ai_session_msg_';
+
+    static leaderKey = '_tillo_ai_session_leader_';
+
+    constructor(options = {}) {
+        this.options = {
+            heartbeatInterval: 2000,   // How often the leader renews its claim
+            leaderTimeout: 6000,       // A claim older than this is considered abandoned
+            ...options
+        };
+
+        this.tabId = Utils.generateId('tab');
+        this.channel = null;
+        this.started = false;
+        this.isLeader = false;
+        this.heartbeatTimer = null;
+        this.subscribers = new Map();
+        this.leaderListeners = [];
+
+        // Bind methods
+        this.handleChannelMessage = this.handleChannelMessage.bind(this);
+        this.handleStorage = this.handleStorage.bind(this);
+        this.handlePageHide = this.handlePageHide.bind(this);
+    }
+
+    // ========================================
+    // LIFECYCLE
+    // ========================================
+
+    /**
+     * Open the channel and join the leader election
+     */
+    start() {
+        if (this.started) return this;
+        this.started = true;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(SessionSync.channelName);
+            this.channel.addEventListener('message', this.handleChannelMessage);
+        }
+
+        // Storage events carry fallback messages and leader hand-offs
+        window.addEventListener('storage', this.handleStorage);
+        window.addEventListener('pagehide', this.handlePageHide);
+
+        this.on('leader:resigned', () => this.electLeader());
+
+        this.electLeader();
+        this.heartbeatTimer = setInterval(() => this.electLeader(), this.options.heartbeatInterval);
+
+        Utils.log('SessionSync', 'log', `Started (${this.channel ? 'BroadcastChannel' : 'storage fallback'}), tab ${this.tabId}`);
+        return this;
+    }
+
+    /**
+     * Leave the election and close the channel
+     */
+    stop() {
+        if (!this.started) return;
+
+        this.resign();
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+
+        if (this.channel) {
+            this.channel.removeEventListener('message', this.handleChannelMessage);
+            this.channel.close();
+            this.channel = null;
+        }
+
+        window.removeEventListener('storage', this.handleStorage);
+        window.removeEventListener('pagehide', this.handlePageHide);
+
+        this.subscribers.clear();
+        this.leaderListeners = [];
+        this.started = false;
+        Utils.log('SessionSync', 'log', 'Stopped');
+    }
+
+    // ========================================
+    // MESSAGING
+    // ========================================
+
+    /**
+     * Send a message to every other tab
+     * @param {string} type - Message type (e.g. 'login', 'logout')
+     * @param {object} payload - Message data (must be structured-cloneable)
+     */
+    broadcast(type, payload = {}) {
+        if (!this.started) return;
+
+        const message = { type, payload, from: this.tabId, at: Date.now() };
+
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+
+        // Fallback: a set/remove pair fires a storage event in the other tabs
+        try {
+            localStorage.setItem(SessionSync.messageKey, JSON.stringify({ ...message, nonce: Math.random() }));
+            localStorage.removeItem(SessionSync.messageKey);
+        } catch (error) {
+            Utils.log('SessionSync', 'warn', 'Could not broadcast message:', error.message);
+        }
+    }
+
+    /**
+     * Subscribe to messages of a type sent by other tabs
+     * @returns {function} - Unsubscribe function
+     */
+    on(type, callback) {
+        if (!this.subscribers.has(type)) {
+            this.subscribers.set(type, []);
+        }
+        this.subscribers.get(type).push(callback);
+
+        return () => {
+            const callbacks = this.subscribers.get(type) || [];
+            this.subscribers.set(type, callbacks.filter(existing => existing !== callback));
+        };
+    }
+
+    /**
+     * Dispatch a message from another tab to its subscribers
+     */
+    handleMessage(message) {
+        if (!message || message.from === this.tabId) return;
+
+        (this.subscribers.get(message.type) || []).forEach(callback => {
+            try {
+                callback(message.payload, message);
+            } catch (error) {
+                Utils.log('SessionSync', 'error', `Error handling "${message.type}" message:`, error);
+            }
+        });
+    }
+
+    /**
+     * Handle BroadcastChannel messages
+     */
+    handleChannelMessage(event) {
+        this.handleMessage(event.data);
+    }
+
+    /**
+     * Handle fallback messages and leader changes made by other tabs
+     */
+    handleStorage(event) {
+        if (event.key === SessionSync.messageKey && event.newValue) {
+            try {
+                this.handleMessage(JSON.parse(event.newValue));
+            } catch (error) {
+                Utils.log('SessionSync', 'warn', 'Invalid session message:', error.message);
+            }
+        } else if (event.key === SessionSync.leaderKey && !event.newValue) {
+            this.electLeader();
+        }
+    }
+
+    // ========================================
+    // LEADER ELECTION
+    // ========================================
+
+    /**
+     * Claim leadership if nobody holds a fresh claim, and renew our own claim
+     * Two tabs claiming at the same moment settle on the last writer at the next heartbeat.
+     */
+    electLeader() {
+        const record = this.readLeaderRecord();
+        const now = Date.now();
+
+        if (!record || record.tabId === this.tabId || now - record.at > this.options.leaderTimeout) {
+            try {
+                localStorage.setItem(SessionSync.leaderKey, JSON.stringify({ tabId: this.tabId, at: now }));
+            } catch (error) {
+                Utils.log('SessionSync', 'warn', 'Could not write leader claim:', error.message);
+            }
+        }
+
+        const current = this.readLeaderRecord();
+        this.setLeader(!!current && current.tabId === this.tabId);
+    }
+
+    /**
+     * Read the current leader claim
+     */
+    readLeaderRecord() {
+        try {
+            return JSON.parse(localStorage.getItem(SessionSync.leaderKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Update leadership and notify listeners on change
+     */
+    setLeader(isLeader) {
+        if (this.isLeader === isLeader) return;
+
+        this.isLeader = isLeader;
+        Utils.log('SessionSync', 'log', isLeader ? 'This tab is now the leader' : 'This tab is no longer the leader');
+
+        this.leaderListeners.forEach(callback => {
+            try {
+                callback(isLeader);
+            } catch (error) {
+                Utils.log('SessionSync', 'error', 'Error in leader change listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Give up leadership so another tab takes over immediately
+     */
+    resign() {
+        if (!this.isLeader) return;
+
+        const record = this.readLeaderRecord();
+        if (record && record.tabId === this.tabId) {
+            localStorage.removeItem(SessionSync.leaderKey);
+        }
+        this.setLeader(false);
+        this.broadcast('leader:resigned');
+    }
+
+    /**
+     * Resign when the tab is closed or navigated away
+     */
+    handlePageHide() {
+        this.resign();
+    }
+
+    /**
+     * Listen for leadership changes
+     * @param {function} callback - (isLeader) => void
+     * @returns {function} - Unsubscribe function
+     */
+    onLeaderChange(callback) {
+        this.leaderListeners.push(callback);
+        return () => {
+            this.leaderListeners = this.leaderListeners.filter(existing => existing !== callback);
+        };
+    }
+
+    /**
+     * Run start() while this tab is the leader and stop() when it stops being the leader
+     * @returns {function} - Cancel function (calls stop() if running)
+     */
+    runWhileLeader(start, stop) {
+        let running = false;
+
+        const update = (isLeader) => {
+            if (isLeader && !running) {
+                running = true;
+                start();
+            } else if (!isLeader && running) {
+                running = false;
+                stop();
+            }
+        };
+
+        const unsubscribe = this.onLeaderChange(update);
+        update(this.isLeader);
+
+        return () => {
+            unsubscribe();
+            update(false);
+        };
+    }
+}
+
+// ========================================
+// EXPORT AND GLOBAL ASSIGNMENT
+// ========================================
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionSync;
+}
+
+if (typeof window !== 'undefined') {
+    window.SessionSync = SessionSync;
+    console.log('✅ SessionSync loaded');
+}